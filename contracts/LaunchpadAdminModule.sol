@@ -0,0 +1,793 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./LaunchpadBase.sol";
+
+/**
+ * @title Launchpad admin module
+ * @dev Owner and payment token functions of the Launchpad and the collection and vesting of
+ * Project funds, run by the Launchpad through delegatecall
+ * @dev Calls to functions not implemented here are delegated to the project module
+ */
+
+contract LaunchpadAdminModule is LaunchpadBase {
+
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable projectModule; // Module adding, editing and configuring Projects
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address projectModule_) {
+        require(projectModule_ != address(0), "Launchpad: Invalid module");
+        projectModule = projectModule_;
+        _disableInitializers();
+    }
+
+    /* Owner Functions */
+
+    /** 
+     * @notice This function is used to add an address as an admin
+     * @dev Only the platform owner can call this function
+     * @param newAdmin Address of the new admin
+     */
+    function grantRole(address newAdmin) external onlyOwner {
+        _addAdmin(ADMIN, newAdmin);
+    }
+
+    /** 
+     * @notice This function is used to remove an admin
+     * @dev Only the platform owner can call this function
+     * @param adminAddress Address of the admin
+     */
+    function revokeRole(address adminAddress) external onlyOwner {
+        _removeAdmin(ADMIN, adminAddress);
+    }
+
+    /**
+     * @notice This function is used to set the role allowed to grant and revoke a role
+     * @dev Only the platform owner can call this function, the sub admin role is managed by the owner alone
+     * @param role Role whose admin role is set
+     * @param adminRole Role allowed to grant and revoke the role
+     */
+    function setRoleAdmin(bytes32 role, bytes32 adminRole) external onlyOwner {
+        require(role != ADMIN, "Launchpad: admin role managed by owner");
+        bytes32 previousAdminRole = _getRoleAdmin(role);
+        _roleAdmins[role] = adminRole;
+        emit RoleAdminChanged(role, previousAdminRole, adminRole);
+    }
+
+    /**
+     * @notice This function is used to grant a role to an account
+     * @dev Only the owner, sub admins and members of the admin role of the role can call this function
+     * @param role Role to be granted
+     * @param account Address of the account
+     */
+    function grantAccessRole(bytes32 role, address account) external {
+        _checkRoleAdmin(role);
+        require(account != address(0), "Launchpad: account address zero");
+        _grantRole(role, account);
+        emit RoleGranted(role, account, msg.sender);
+    }
+
+    /**
+     * @notice This function is used to revoke a role from an account
+     * @dev Only the owner, sub admins and members of the admin role of the role can call this function
+     * @param role Role to be revoked
+     * @param account Address of the account
+     */
+    function revokeAccessRole(bytes32 role, address account) external {
+        _checkRoleAdmin(role);
+        require(_roles[role][account], "Launchpad: account does not have role");
+        _revokeRole(role, account);
+        emit RoleRevoked(role, account, msg.sender);
+    }
+
+    /**
+     * @notice This function is used by an account to give up one of its roles
+     * @param role Role to be renounced
+     */
+    function renounceAccessRole(bytes32 role) external {
+        require(_roles[role][msg.sender], "Launchpad: account does not have role");
+        _revokeRole(role, msg.sender);
+        emit RoleRevoked(role, msg.sender, msg.sender);
+    }
+
+    /**
+     * @notice This function is used to add a potential owner of the contract
+     * @dev Only the owner can call this function
+     * @param _potentialOwner Address of the potential owner
+     */
+    function addPotentialOwner(address _potentialOwner) external onlyOwner {
+        require(
+            _potentialOwner != address(0),
+            "Launchpad: potential owner zero"
+        );
+        require(
+            _potentialOwner != owner,
+            "Launchpad: potential owner same as owner"
+        );
+        potentialOwner = _potentialOwner;
+        emit NominateOwner(_potentialOwner);
+    }
+
+    /**
+     * @notice This function is used to cancel the nomination of a potential owner
+     * @dev Only the owner can call this function
+     */
+    function cancelOwnerNomination() external onlyOwner {
+        address _potentialOwner = potentialOwner;
+        require(
+            _potentialOwner != address(0),
+            "Launchpad: no potential owner"
+        );
+        delete potentialOwner;
+        emit NominationCancelled(_potentialOwner);
+    }
+
+    /**
+     * @notice This function is used to leave the contract without an owner
+     * @dev Only the owner can call this function, owner functions can no longer be called afterwards
+     */
+    function renounceOwnership() external onlyOwner {
+        delete owner;
+        delete potentialOwner;
+        emit OwnerChange(address(0));
+    }
+
+    /**
+     * @notice This function is used to accept ownership of the contract
+     * @dev only an address nominated as a potential owner can call this function
+     */
+    function acceptOwnership() external {
+        require(
+            msg.sender == potentialOwner,
+            "Launchpad: only potential owner"
+        );
+        owner = potentialOwner;
+        delete potentialOwner;
+        emit OwnerChange(owner);
+    }
+
+    /**
+     * @notice This method is used to set the Vesting contract investors can be moved to
+     * @dev Only the owner can call this function
+     * @dev The Launchpad must be set as launchpad in the Vesting contract
+     * @param _vestingContract Address of the Vesting contract
+     */
+    function setVestingContract(address _vestingContract) external onlyOwner {
+        require(
+            _vestingContract != address(0),
+            "Launchpad: vesting contract zero"
+        );
+        vestingContract = _vestingContract;
+        emit SetVestingContract(_vestingContract);
+    }
+
+    /**
+     * @notice This method is used to set the Staking contract presale tiers are read from
+     * @dev Only the owner can call this function
+     * @param _stakingContract Address of the Staking contract
+     */
+    function setStakingContract(address _stakingContract) external onlyOwner {
+        require(
+            _stakingContract != address(0),
+            "Launchpad: staking contract zero"
+        );
+        stakingContract = _stakingContract;
+        emit SetStakingContract(_stakingContract);
+    }
+
+    /**
+     * @notice This method is used to set the EIP-2771 forwarder relaying investor calls
+     * @dev Only the owner can call this function
+     * @dev A zero address disables meta-transactions
+     * @dev The change is queued if a timelock delay is set, as the forwarder can invest on behalf of any investor
+     * @param _trustedForwarder Address of the forwarder
+     */
+    function setTrustedForwarder(address _trustedForwarder) external onlyOwner {
+        if (_queueChange("setTrustedForwarder", abi.encode(_trustedForwarder))) {
+            _setTrustedForwarder(_trustedForwarder);
+        }
+    }
+
+    /**
+     * @notice This method is used to execute a queued change of the EIP-2771 forwarder
+     * @dev Only the owner can call this function
+     * @param _trustedForwarder Address of the forwarder the change was queued with
+     */
+    function executeSetTrustedForwarder(address _trustedForwarder) external onlyOwner {
+        _executeChange("setTrustedForwarder", abi.encode(_trustedForwarder));
+        _setTrustedForwarder(_trustedForwarder);
+    }
+
+    /**
+     * @notice This method is used to set the USD price feed of a payment token
+     * @dev Only the owner can call this function
+     * @dev A zero aggregator removes the price feed of the payment token
+     * @dev The change is queued if a timelock delay is set
+     * @param paymentToken Payment token, zero address for BNB
+     * @param aggregator Chainlink compatible aggregator of the USD price of the payment token
+     * @param stalenessThreshold Maximum age in seconds of an aggregator answer
+     */
+    function setPriceFeed(
+        address paymentToken,
+        address aggregator,
+        uint256 stalenessThreshold
+    ) external onlyOwner {
+        require(
+            aggregator == address(0) || stalenessThreshold != 0,
+            "Launchpad: staleness threshold zero"
+        );
+        if (
+            _queueChange(
+                "setPriceFeed",
+                abi.encode(paymentToken, aggregator, stalenessThreshold)
+            )
+        ) {
+            _setPriceFeed(paymentToken, aggregator, stalenessThreshold);
+        }
+    }
+
+    /**
+     * @notice This method is used to execute a queued change of the USD price feed of a payment token
+     * @dev Only the owner can call this function
+     * @param paymentToken Payment token the change was queued with
+     * @param aggregator Aggregator the change was queued with
+     * @param stalenessThreshold Staleness threshold the change was queued with
+     */
+    function executeSetPriceFeed(
+        address paymentToken,
+        address aggregator,
+        uint256 stalenessThreshold
+    ) external onlyOwner {
+        _executeChange(
+            "setPriceFeed",
+            abi.encode(paymentToken, aggregator, stalenessThreshold)
+        );
+        _setPriceFeed(paymentToken, aggregator, stalenessThreshold);
+    }
+
+    /**
+     * @notice This method is used to pause investments, claims and collections on all Projects
+     * @dev This method can only be called by a pauser, refunds stay available while paused
+     * @dev Pausers can halt the platform but not resume it, see unpause
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        require(!paused, "Launchpad: paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @notice This method is used to unpause the platform
+     * @dev This method can only be called by the owner or an admin, not by pausers, so that a pauser
+     * reacting to an incident cannot lift the pause before the owner or an admin has reviewed it
+     * @dev Staking and Vesting have no pauser role, only their owner pauses and unpauses them
+     */
+    function unpause() external onlyRole(ADMIN) {
+        require(paused, "Launchpad: not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /* Owner Functions end*/
+
+    /* Timelock */
+
+    /**
+     * @notice This method is used to set the delay of timelocked changes
+     * @dev This method can only be called by the owner and is itself timelocked by the current delay
+     * @param delay Delay in seconds between queueing and executing a change
+     */
+    function setTimelockDelay(uint256 delay) external onlyOwner {
+        require(
+            delay <= MAXIMUM_TIMELOCK_DELAY,
+            "Launchpad: timelock delay too long"
+        );
+        if (_queueChange("setTimelockDelay", abi.encode(delay))) {
+            _setTimelockDelay(delay);
+        }
+    }
+
+    /**
+     * @notice This method is used to execute a queued change of the timelock delay
+     * @dev This method can only be called by the owner
+     * @param delay Delay in seconds the change was queued with
+     */
+    function executeSetTimelockDelay(uint256 delay) external onlyOwner {
+        _executeChange("setTimelockDelay", abi.encode(delay));
+        _setTimelockDelay(delay);
+    }
+
+    /**
+     * @notice This method is used to cancel a queued change
+     * @dev This method can only be called by the owner, changes are queued by the owner and by fee managers
+     * @param changeID ID of the change, see getChangeID
+     */
+    function cancelChange(bytes32 changeID) external onlyOwner {
+        require(
+            _changeExecutionTimes[changeID] != 0,
+            "Launchpad: change not queued"
+        );
+        delete _changeExecutionTimes[changeID];
+        emit ChangeCancelled(changeID);
+    }
+
+    /**
+     * @notice This method is used to set commission percentage for the launchpad
+     * @dev The fee should be beteen the range of 0% and 100%
+     * @dev The change is queued if a timelock delay is set
+     * @param _feePercentage Percentage from raised funds to be set as fee
+     */
+    function setFee(uint256 _feePercentage) external onlyRole(FEE_MANAGER_ROLE){
+
+        require(
+            _feePercentage <= 10000,
+            "Launchpad: fee Percentage should be less than 10000"
+        );
+        if (_queueChange("setFee", abi.encode(_feePercentage))) {
+            _setFee(_feePercentage);
+        }
+    }
+
+    /**
+     * @notice This method is used to execute a queued change of the commission percentage
+     * @param _feePercentage Percentage the change was queued with
+     */
+    function executeSetFee(uint256 _feePercentage) external onlyRole(FEE_MANAGER_ROLE){
+        _executeChange("setFee", abi.encode(_feePercentage));
+        _setFee(_feePercentage);
+    }
+
+    /**
+     * @notice This method is used to replace the platform fee of a Project
+     * @dev This method can only be called by a fee manager before the Project receives any investment
+     * @dev The change is queued if a timelock delay is set
+     * @dev The Project token fee is reserved along with the tokens for distribution, a higher fee is
+     * transferred from the Project owner and a lower one returned when the change is made
+     * @param projectID ID of the Project
+     * @param _feePercentage Percentage from raised funds to be paid as fee
+     * @param projectTokenFeePercentage Percentage from Project tokens sold to be paid as fee
+     */
+    function setProjectFee(
+        string calldata projectID,
+        uint256 _feePercentage,
+        uint256 projectTokenFeePercentage
+    )
+        external
+        onlyValidProject(projectID)
+        onlyRole(FEE_MANAGER_ROLE)
+    {
+        _checkProjectFee(_feePercentage, projectTokenFeePercentage);
+        if (
+            _queueChange(
+                "setProjectFee",
+                abi.encode(projectID, _feePercentage, projectTokenFeePercentage)
+            )
+        ) {
+            _setProjectFee(projectID, _feePercentage, projectTokenFeePercentage);
+        }
+    }
+
+    /**
+     * @notice This method is used to execute a queued change of the fees of a Project
+     * @param projectID ID of the Project
+     * @param _feePercentage Percentage from raised funds the change was queued with
+     * @param projectTokenFeePercentage Percentage from Project tokens sold the change was queued with
+     */
+    function executeSetProjectFee(
+        string calldata projectID,
+        uint256 _feePercentage,
+        uint256 projectTokenFeePercentage
+    )
+        external
+        onlyValidProject(projectID)
+        onlyRole(FEE_MANAGER_ROLE)
+        nonReentrant
+    {
+        _executeChange(
+            "setProjectFee",
+            abi.encode(projectID, _feePercentage, projectTokenFeePercentage)
+        );
+        _setProjectFee(projectID, _feePercentage, projectTokenFeePercentage);
+    }
+
+    /**
+     * @notice This method is used to split the platform fee among several recipients
+     * @dev An empty list sends the whole platform fee to the owner
+     * @dev The change is queued if a timelock delay is set
+     * @param recipients Addresses receiving a share of the platform fee
+     * @param shares Share of each recipient, adding up to 10000
+     */
+    function setFeeRecipients(
+        address[] calldata recipients,
+        uint256[] calldata shares
+    )
+        external
+        onlyRole(FEE_MANAGER_ROLE)
+    {
+        require(
+            recipients.length == shares.length,
+            "Launchpad: fee recipients and shares length mismatch"
+        );
+        uint256 totalShares;
+        for (uint256 i; i < recipients.length; ++i) {
+            require(recipients[i] != address(0), "Launchpad: fee recipient zero");
+            require(shares[i] != 0, "Launchpad: fee share zero");
+            totalShares += shares[i];
+        }
+        require(
+            recipients.length == 0 || totalShares == PERCENT_DENOMINATOR,
+            "Launchpad: fee shares do not add up to 10000"
+        );
+        if (_queueChange("setFeeRecipients", abi.encode(recipients, shares))) {
+            _setFeeRecipients(recipients, shares);
+        }
+    }
+
+    /**
+     * @notice This method is used to execute a queued change of the fee recipients
+     * @param recipients Addresses the change was queued with
+     * @param shares Shares the change was queued with
+     */
+    function executeSetFeeRecipients(
+        address[] calldata recipients,
+        uint256[] calldata shares
+    )
+        external
+        onlyRole(FEE_MANAGER_ROLE)
+    {
+        _executeChange("setFeeRecipients", abi.encode(recipients, shares));
+        _setFeeRecipients(recipients, shares);
+    }
+
+    /**
+     * @notice This method is used to set the percentage of the platform fee paid to referrers
+     * @dev The percentage applies to the platform fee of referred investments when a Project is collected
+     * @dev The change is queued if a timelock delay is set
+     * @param _referralFeePercentage Percentage of the platform fee paid to referrers
+     */
+    function setReferralFee(uint256 _referralFeePercentage) external onlyRole(FEE_MANAGER_ROLE){
+        require(
+            _referralFeePercentage <= PERCENT_DENOMINATOR,
+            "Launchpad: fee Percentage should be less than 10000"
+        );
+        if (_queueChange("setReferralFee", abi.encode(_referralFeePercentage))) {
+            _setReferralFee(_referralFeePercentage);
+        }
+    }
+
+    /**
+     * @notice This method is used to execute a queued change of the referral fee percentage
+     * @param _referralFeePercentage Percentage the change was queued with
+     */
+    function executeSetReferralFee(uint256 _referralFeePercentage) external onlyRole(FEE_MANAGER_ROLE){
+        _executeChange("setReferralFee", abi.encode(_referralFeePercentage));
+        _setReferralFee(_referralFeePercentage);
+    }
+
+    /* Timelock end*/
+
+    /* Payment Token */
+
+    /**
+     * @notice This method is used to add Payment token
+     * @dev The change is queued if a timelock delay is set
+     * @param _paymentToken Address of payment token to be added
+     */
+    function addPaymentToken(address _paymentToken) external onlyRole(FEE_MANAGER_ROLE){
+        require(
+            !_paymentSupported[_paymentToken],
+            "Launchpad: token already added"
+        );
+        if (_queueChange("addPaymentToken", abi.encode(_paymentToken))) {
+            _addPaymentToken(_paymentToken);
+        }
+    }
+
+    /**
+     * @notice This method is used to execute a queued addition of a Payment token
+     * @param _paymentToken Address of payment token the change was queued with
+     */
+    function executeAddPaymentToken(address _paymentToken) external onlyRole(FEE_MANAGER_ROLE){
+        _executeChange("addPaymentToken", abi.encode(_paymentToken));
+        _addPaymentToken(_paymentToken);
+    }
+
+    /**
+     * @notice This method is used to remove Payment token
+     * @dev The change is queued if a timelock delay is set
+     * @param _paymentToken Address of payment token to be removed
+     */
+    function removePaymentToken(address _paymentToken) external onlyRole(FEE_MANAGER_ROLE){
+        require(
+            _paymentSupported[_paymentToken],
+            "Launchpad: token not added"
+        );
+        if (_queueChange("removePaymentToken", abi.encode(_paymentToken))) {
+            _removePaymentToken(_paymentToken);
+        }
+    }
+
+    /**
+     * @notice This method is used to execute a queued removal of a Payment token
+     * @param _paymentToken Address of payment token the change was queued with
+     */
+    function executeRemovePaymentToken(address _paymentToken) external onlyRole(FEE_MANAGER_ROLE){
+        _executeChange("removePaymentToken", abi.encode(_paymentToken));
+        _removePaymentToken(_paymentToken);
+    }
+
+    /**
+     * @notice This method is to collect any BNB left from failed transfers.
+     * @dev This method can only be called by the contract owner
+     */
+    function collectBNBFromFailedTransfers() external onlyRole(TREASURY_ROLE){
+        uint256 bnbToSend = BNBFromFailedTransfers;
+        BNBFromFailedTransfers = 0;
+        (bool success, ) = payable(owner).call{value: bnbToSend}("");
+        require(success, "Launchpad: BNB transfer failed");
+    }
+
+    /* Payment Token end*/
+
+    /* Project */
+
+    /**
+     * @notice This method is used to distribute investment raised in launch to project owner
+     * @dev This method can only be called by the contract owner
+     * @dev Platform commission based on the fee of the Project will be split among the fee recipients
+     * @dev Investment is paid out in each payment token it was made in
+     * @param projectID ID of the Project
+     */
+    function collectIDOInvestment(string calldata projectID)
+        external
+        onlyValidProject(projectID)
+        onlyRole(TREASURY_ROLE)
+        whenNotPaused
+        whenNotFrozen(projectID)
+    {
+        Project memory project = _projects[projectID];
+        require(project.projectToken != address(0),
+                "Launchpad: Project token not added yet");
+        require(!project.cancelled, "Launchpad: Project is cancelled");
+        require(
+            block.timestamp > project.projectCloseTime,
+            "Launchpad: Project is open"
+        );
+        require(!_isProjectFailed(projectID), "Launchpad: soft cap not reached");
+
+        ProjectInvestment memory projectInvestment = _projectInvestments[
+            projectID
+        ];
+
+        require(
+            !projectInvestment.collected,
+            "Launchpad: Project investment already collected"
+        );
+
+        _projectInvestments[projectID].collected = true;
+
+        if(projectInvestment.totalInvestment == 0){
+            IERC20Upgradeable(project.projectToken).safeTransfer(
+                project.projectOwner,
+                _projectTokenDeposit(projectID, project.tokensForDistribution)
+            );
+        }
+        else{
+            // investment left over from an oversubscription stays in the contract for refunds
+            uint256 raisedAmount = _acceptedInvestment(
+                projectID,
+                projectInvestment.totalInvestment
+            );
+
+            _projectInvestments[projectID].collected = true;
+
+            _collectPaymentToken(
+                projectID,
+                project.paymentToken,
+                _paymentTokenAmount(projectID, address(0), project.paymentToken)
+            );
+            address[] memory paymentTokens = _additionalPaymentTokens[projectID];
+            for (uint256 i; i < paymentTokens.length; ++i) {
+                _collectPaymentToken(
+                    projectID,
+                    paymentTokens[i],
+                    _paymentTokenInvestments[projectID][paymentTokens[i]]
+                );
+            }
+
+            // Project tokens left unsold and the reserved fee not charged on them go back
+            uint256 soldProjectTokens = _soldProjectTokens(projectID, raisedAmount);
+            uint256 projectTokenFee = _projectTokenFee(projectID, soldProjectTokens);
+            transferTokens(
+                project.projectOwner,
+                project.projectToken,
+                _projectTokenDeposit(projectID, project.tokensForDistribution) -
+                    soldProjectTokens -
+                    projectTokenFee
+            );
+            if (projectTokenFee != 0) {
+                _transferPlatformFee(project.projectToken, projectTokenFee);
+            }
+        } 
+
+        emit ProjectInvestmentCollect(projectID);
+    }
+
+    /**
+     * @notice This method is used to return Project tokens of a failed Project to the Project owner
+     * @dev This method can only be called by an admin
+     * @param projectID ID of the Project
+     */
+    function returnFailedProjectTokens(string calldata projectID)
+        external
+        onlyValidProject(projectID)
+        onlyRole(TREASURY_ROLE)
+    {
+        Project memory project = _projects[projectID];
+        require(_isProjectFailed(projectID), "Launchpad: Project has not failed");
+        require(project.projectToken != address(0),
+                "Launchpad: Project token not added yet");
+        require(
+            !_failedProjectTokensReturned[projectID],
+            "Launchpad: Project tokens already returned"
+        );
+
+        _failedProjectTokensReturned[projectID] = true;
+        IERC20Upgradeable(project.projectToken).safeTransfer(
+                project.projectOwner,
+                _projectTokenDeposit(projectID, project.tokensForDistribution)
+            );
+        emit FailedProjectTokensReturn(
+            projectID,
+            _projectTokenDeposit(projectID, project.tokensForDistribution)
+        );
+    }
+
+    /**
+     * @notice This method is used to add a vesting pool for the investors of a Project
+     * @dev This method can only be called by an admin after the investment is collected
+     * @dev A vesting pool named after the projectID is added to the Vesting contract for the Project
+     * tokens not claimed yet, investors are moved to it in batches with addProjectVestingBeneficiaries
+     * @dev Release times are in milliseconds as expected by the Vesting contract
+     * @param projectID ID of the Project
+     * @param releaseTimes Array of timestamps corresponding to release
+     * @param releaseAmountPercentage Array of release percentages
+     */
+    function addProjectVestingPool(
+        string calldata projectID,
+        uint256[] calldata releaseTimes,
+        uint256[] calldata releaseAmountPercentage
+    )
+        external
+        onlyValidProject(projectID)
+        onlyRole(PROJECT_MANAGER_ROLE)
+        nonReentrant
+    {
+        address vesting = vestingContract;
+        require(vesting != address(0), "Launchpad: vesting contract not set");
+        ProjectInvestment memory projectInvestment = _projectInvestments[projectID];
+        require(
+            projectInvestment.collected,
+            "Launchpad: Project investment not collected"
+        );
+        require(
+            !_vestingPoolAdded[projectID],
+            "Launchpad: vesting pool already added"
+        );
+        require(
+            IVesting(vesting).getToken() == _projects[projectID].projectToken,
+            "Launchpad: vesting token mismatch"
+        );
+
+        uint256 totalPoolTokenAmount = _soldProjectTokens(
+            projectID,
+            _acceptedInvestment(projectID, projectInvestment.totalInvestment)
+        ) - projectInvestment.totalProjectTokensClaimed;
+        require(totalPoolTokenAmount != 0, "Launchpad: no tokens to vest");
+
+        _vestingPoolAdded[projectID] = true;
+
+        IVesting(vesting).addVestingPool(
+            projectID,
+            releaseTimes,
+            releaseAmountPercentage,
+            totalPoolTokenAmount
+        );
+
+        emit ProjectVestingPoolAdd(
+            projectID,
+            IVesting(vesting).getPoolIndex(projectID),
+            totalPoolTokenAmount
+        );
+    }
+
+    /**
+     * @notice This method is used to move a batch of investors of a Project to its vesting pool
+     * @dev This method can only be called by an admin after the vesting pool is added
+     * @dev Every investor of the batch is registered with the Project tokens they have not claimed yet,
+     * investors who already claimed or were moved are skipped
+     * @param projectID ID of the Project
+     * @param startIndex Index of the first investor of the batch in the investor list
+     * @param count Maximum number of investors in the batch
+     */
+    function addProjectVestingBeneficiaries(
+        string calldata projectID,
+        uint256 startIndex,
+        uint256 count
+    )
+        external
+        onlyValidProject(projectID)
+        onlyRole(PROJECT_MANAGER_ROLE)
+        nonReentrant
+    {
+        require(
+            _vestingPoolAdded[projectID],
+            "Launchpad: vesting pool not added"
+        );
+        address vesting = vestingContract;
+
+        address[] storage investors = _projectInvestorAddresses[projectID];
+        uint256 length = _pageLength(investors.length, startIndex, count);
+        address[] memory beneficiaries = new address[](length);
+        uint256[] memory tokenAmounts = new uint256[](length);
+        uint256 beneficiaryCount;
+        uint256 batchTokenAmount;
+        for (uint256 i; i < length; ++i) {
+            address investor = investors[startIndex + i];
+            if (_projectInvestors[projectID][investor].claimed) continue;
+            uint256 projectTokens = _projectTokensOf(projectID, investor);
+            uint256 unclaimedTokens = projectTokens -
+                _claimedProjectTokens[projectID][investor];
+            if (unclaimedTokens == 0) continue;
+
+            _claimedProjectTokens[projectID][investor] = projectTokens;
+            _projectInvestors[projectID][investor].claimed = true;
+            beneficiaries[beneficiaryCount] = investor;
+            tokenAmounts[beneficiaryCount] = unclaimedTokens;
+            ++beneficiaryCount;
+            batchTokenAmount += unclaimedTokens;
+        }
+        require(batchTokenAmount != 0, "Launchpad: no tokens to vest");
+
+        address[] memory poolBeneficiaries = new address[](beneficiaryCount);
+        uint256[] memory poolTokenAmounts = new uint256[](beneficiaryCount);
+        for (uint256 i; i < beneficiaryCount; ++i) {
+            poolBeneficiaries[i] = beneficiaries[i];
+            poolTokenAmounts[i] = tokenAmounts[i];
+        }
+
+        _projectInvestments[projectID]
+            .totalProjectTokensClaimed += batchTokenAmount;
+
+        uint256 poolIndex = IVesting(vesting).getPoolIndex(projectID);
+        IVesting(vesting).uploadWhitelist(poolIndex, poolBeneficiaries);
+        IVesting(vesting).addToBeneficiariesListMultiple(
+            poolIndex,
+            poolBeneficiaries,
+            poolTokenAmounts
+        );
+        IERC20Upgradeable(_projects[projectID].projectToken).safeTransfer(
+            vesting,
+            batchTokenAmount
+        );
+
+        emit ProjectVestingBeneficiariesAdd(
+            projectID,
+            poolIndex,
+            beneficiaryCount,
+            batchTokenAmount
+        );
+    }
+
+    /* Project end*/
+
+    /**
+     * @notice Delegates calls to functions of the project module
+     */
+    fallback() external {
+        _delegate(projectModule);
+    }
+}
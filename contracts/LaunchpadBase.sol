@@ -0,0 +1,1983 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/MerkleProofUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/IERC20MetadataUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/IERC20PermitUpgradeable.sol";
+import "./interfaces/IVesting.sol";
+import "./interfaces/IStaking.sol";
+import "./interfaces/IAggregatorV3.sol";
+
+/**
+ * @title Launchpad storage and shared logic
+ * @dev Storage layout, events, modifiers and helper functions of the Launchpad and its modules.
+ * The modules run on the storage of the Launchpad proxy through delegatecall, so new storage
+ * must only be appended here
+ */
+
+abstract contract LaunchpadBase is ReentrancyGuardUpgradeable {
+
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+    // Denominator adjusted with degree of precision = 2
+    uint256 internal constant PERCENT_DENOMINATOR = 10000;
+
+    struct Project {
+        address projectOwner; // Address of the Project owner
+        address paymentToken; // Address of the payment token
+        uint256 targetAmount; // Funds targeted to be raised for the project
+        uint256 minInvestmentAmount; // Minimum amount of payment token that can be invested
+        address projectToken; // Address of the Project token
+        uint256 tokensForDistribution; // Number of tokens to be distributed
+        uint256 tokenPrice; // Token price in payment token (Decimals same as payment token)
+        uint256 winnersOutTime; // Timestamp at which winners are announced
+        uint256 projectOpenTime; // Timestamp at which the Project is open for investment
+        uint256 projectCloseTime; // Timestamp at which the Project is closed
+        bool cancelled; // Boolean indicating if Project is cancelled
+        uint256 maxInvestmentAmount; // Maximum amount of payment token a wallet can invest, 0 for no limit
+    }
+
+    struct ProjectInvestment {
+        uint256 totalInvestment; // Total investment in payment token
+        uint256 totalProjectTokensClaimed; // Total number of Project tokens claimed
+        uint256 totalInvestors; // Total number of investors
+        bool collected; // Boolean indicating if the investment raised in Project collected
+    }
+
+    struct Investor {
+        uint256 investment; // Amount of payment tokens invested by the investor
+        bool claimed; // Boolean indicating if user has claimed Project tokens
+        bool refunded; // Boolean indicating if user is refunded
+        uint256 tier; // Allocation tier of the user from the presale whitelist
+    }
+
+    struct ReleaseSchedule {
+        uint256 tgePercentage; // Percentage of tokens unlocked at projectCloseTime
+        uint256 cliffDuration; // Seconds after projectCloseTime before the remaining tokens start unlocking
+        uint256 vestingDuration; // Seconds over which the remaining tokens unlock after the cliff
+        uint256 releaseInterval; // Seconds between stepped unlocks, 0 for linear unlocks
+    }
+
+    struct PriceFeed {
+        address aggregator; // Aggregator of the USD price of a payment token
+        uint256 stalenessThreshold; // Maximum age in seconds of an aggregator answer
+    }
+
+    struct ProjectFee {
+        bool overridden; // Whether the fees of the Project replace the platform fee
+        uint256 feePercentage; // Percentage of Funds raised to be paid as fee
+        uint256 projectTokenFeePercentage; // Percentage of Project tokens sold to be paid as fee
+    }
+
+    struct ProjectDetails {
+        string projectID; // ID of the Project
+        uint256 projectNumber; // Numeric ID of the Project in the registry
+        ProjectStatus status; // Status of the Project at the time of the call
+        Project project; // Project record
+        ProjectInvestment investment; // Investment raised in the Project
+        uint256 presalePrice; // Project token price for the presale round, 0 if no presale
+        uint256 presaleEndTime; // Timestamp at which the presale round ends, 0 if no presale
+        bytes32 merkleRoot; // Merkle root of the presale whitelist
+    }
+
+    struct InvestorDetails {
+        address investor; // Address of the investor
+        uint256 investment; // Amount of payment tokens invested by the investor
+        uint256 presaleInvestment; // Amount of payment tokens invested in the presale round
+        uint256 publicInvestment; // Amount of payment tokens invested in the public round, all of it without presale
+        uint256 tier; // Allocation tier of the user from the presale whitelist
+        uint256 claimedProjectTokens; // Number of Project tokens claimed by the investor
+        bool claimed; // Boolean indicating if user has claimed Project tokens
+        bool refunded; // Boolean indicating if user is refunded
+    }
+
+    enum ProjectStatus {
+        Upcoming, // Project is not yet open for investment
+        Open, // Project is open for presale or public investment
+        Closed, // Project close time has passed
+        Cancelled // Project is cancelled or deleted
+    }
+
+    address public owner; // Owner of the Smart Contract
+    address public potentialOwner; // Potential owner's address
+    uint256 public feePercentage; // Percentage of Funds raised to be paid as fee
+    uint256 public BNBFromFailedTransfers; // BNB left in the contract from failed transfers
+    bytes32 internal constant ADMIN = keccak256(abi.encodePacked("ADMIN")); // hashed string for ADMIN role
+    bytes32 public constant PROJECT_MANAGER_ROLE = keccak256(abi.encodePacked("PROJECT_MANAGER")); // adds, edits and cancels Projects
+    bytes32 public constant WHITELIST_MANAGER_ROLE = keccak256(abi.encodePacked("WHITELIST_MANAGER")); // manages presale whitelists and tiers
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256(abi.encodePacked("FEE_MANAGER")); // sets the fee and platform payment tokens
+    bytes32 public constant TREASURY_ROLE = keccak256(abi.encodePacked("TREASURY")); // collects investments and returns tokens
+    bytes32 public constant PAUSER_ROLE = keccak256(abi.encodePacked("PAUSER")); // pauses the platform
+    uint256 public constant MAXIMUM_TIMELOCK_DELAY = 30 days; // longest delay of timelocked changes
+
+    /* Mappings */
+
+    // Project ID => Project{}
+    mapping(string => Project) internal _projects; 
+
+    // Project ID => ProjectInvestment{}
+    mapping(string => ProjectInvestment) internal _projectInvestments;
+
+    // IDO ID => Its Merkle Root
+    mapping(string => bytes32) internal _projectMerkleRoots;
+
+    // Project ID => userAddress => Investor{}
+    mapping(string => mapping(address => Investor)) internal _projectInvestors;
+
+    // tokenAddress => Is token supported as payment
+    mapping(address => bool) internal _paymentSupported;
+
+    // Role => walletAddress => status
+    mapping(bytes32 => mapping(address => bool)) internal _roles;
+
+    // Project ID => presale token price
+    mapping(string => uint256) internal _presalePrices;
+
+    // Project ID => userAddress => Presale round investment
+    mapping(string => mapping(address => uint256)) internal _presaleInvestments;
+
+    // Project ID => userAddress => Public round investment in a presale launch
+    mapping(string => mapping(address => uint256)) internal _publicInvestments;
+
+    // Project ID => presaleEndTime
+    mapping(string => uint256) internal _presaleEndTimes;
+
+    // Project ID => ReleaseSchedule{}
+    mapping(string => ReleaseSchedule) internal _releaseSchedules;
+
+    // Project ID => userAddress => Project tokens claimed so far
+    mapping(string => mapping(address => uint256)) internal _claimedProjectTokens;
+
+    // Vesting contract that investors of closed Projects can be moved to
+    address public vestingContract;
+
+    // Project ID => addresses of all investors
+    mapping(string => address[]) internal _projectInvestorAddresses;
+
+    // Project ID => Is Project moved to a vesting pool
+    mapping(string => bool) internal _vestingPoolAdded;
+
+    // Project ID => Are investments above targetAmount accepted
+    mapping(string => bool) internal _oversubscriptionEnabled;
+
+    // Project ID => userAddress => Is investment left over from an oversubscription refunded
+    mapping(string => mapping(address => bool)) internal _excessInvestmentRefunded;
+
+    // Project ID => Minimum investment for the Project to succeed
+    mapping(string => uint256) internal _softCaps;
+
+    // Project ID => Are Project tokens of a failed Project returned to the Project owner
+    mapping(string => bool) internal _failedProjectTokensReturned;
+
+    // Project ID => tier => Maximum presale round investment per wallet in the tier
+    mapping(string => mapping(uint256 => uint256)) internal _tierMaxInvestments;
+
+    // Staking contract that presale allocation tiers of stakers are read from
+    address public stakingContract;
+
+    // Project ID => minimum total stake of each tier, tier 1 first
+    mapping(string => uint256[]) internal _stakingTiers;
+
+    // Project ID => Dutch auction floor price, 0 for fixed price launches
+    mapping(string => uint256) internal _floorPrices;
+
+    // Project ID => Project tokens sold in a batch auction, 0 for fixed price launches
+    mapping(string => uint256) internal _batchAuctionTokens;
+
+    // Project ID => payment tokens accepted besides the paymentToken of the Project
+    mapping(string => address[]) internal _additionalPaymentTokens;
+
+    // Project ID => payment token => Is payment token added to the additional payment tokens
+    mapping(string => mapping(address => bool)) internal _additionalPaymentTokenAdded;
+
+    // Project ID => payment token => Project token price in the payment token, 0 if not accepted
+    mapping(string => mapping(address => uint256)) internal _paymentTokenPrices;
+
+    // Project ID => payment token => Total investment in a payment token tracked per token
+    mapping(string => mapping(address => uint256)) internal _paymentTokenInvestments;
+
+    // Project ID => userAddress => payment token => Investment in a payment token tracked per token
+    mapping(string => mapping(address => mapping(address => uint256)))
+        internal _investorPaymentTokenInvestments;
+
+    // Project ID => Value of all investments tracked per payment token
+    mapping(string => uint256) internal _additionalPaymentValues;
+
+    // Project ID => userAddress => Value of investments tracked per payment token
+    mapping(string => mapping(address => uint256)) internal _investorAdditionalPaymentValues;
+
+    // payment token => USD price feed of the payment token
+    mapping(address => PriceFeed) internal _priceFeeds;
+
+    // Project ID => Are amounts and prices of the Project in USD
+    mapping(string => bool) internal _usdPriced;
+
+    // Role => Role allowed to grant and revoke it, ADMIN if not set
+    mapping(bytes32 => bytes32) internal _roleAdmins;
+
+    // Role => members of the role
+    mapping(bytes32 => address[]) internal _roleMembers;
+
+    // Role => walletAddress => position of the wallet in the members of the role, starting at 1
+    mapping(bytes32 => mapping(address => uint256)) internal _roleMemberIndexes;
+
+    // Are investments, claims and collections paused on all Projects
+    bool public paused;
+
+    // Project ID => Are investments, claims and collections paused on the Project
+    mapping(string => bool) internal _frozenProjects;
+
+    // Delay in seconds between queueing and executing a timelocked change, changes apply at once if 0
+    uint256 public timelockDelay;
+
+    // Change ID => Timestamp from which a queued change can be executed, 0 if not queued
+    mapping(bytes32 => uint256) internal _changeExecutionTimes;
+
+    // Project ID => ProjectFee{}
+    mapping(string => ProjectFee) internal _projectFees;
+
+    // Recipients of the platform fee, the owner receives it if empty
+    address[] internal _feeRecipients;
+
+    // Share of each fee recipient in the platform fee, adding up to PERCENT_DENOMINATOR
+    uint256[] internal _feeRecipientShares;
+
+    // Percentage of the platform fee paid to referrers
+    uint256 public referralFeePercentage;
+
+    // Project ID => userAddress => Referrer of the investor
+    mapping(string => mapping(address => address)) internal _investorReferrers;
+
+    // Project ID => referrerAddress => Value of investments of referred investors
+    mapping(string => mapping(address => uint256)) internal _referredInvestments;
+
+    // Project ID => referrerAddress => Number of referred investors
+    mapping(string => mapping(address => uint256)) internal _referralCounts;
+
+    // Project ID => Value of investments of all referred investors
+    mapping(string => uint256) internal _projectReferredInvestments;
+
+    // Project ID => payment token => Platform fee set aside for referrers at collection
+    mapping(string => mapping(address => uint256)) internal _referralRewards;
+
+    // Project ID => referrerAddress => Are referral rewards claimed
+    mapping(string => mapping(address => bool)) internal _referralRewardsClaimed;
+
+    // EIP-2771 forwarder allowed to relay investor calls on behalf of investors
+    address public trustedForwarder;
+
+    // Project IDs in the order they were registered, the numeric ID of a Project is its index + 1
+    string[] internal _projectIDs;
+
+    // Project ID => Numeric ID of the Project, 0 if not registered
+    mapping(string => uint256) internal _projectNumbers;
+
+    // Project ID => Timestamp at which the total stake of stakers sets their staking tier
+    mapping(string => uint256) internal _stakingSnapshotTimes;
+
+    // Project ID => staking tier => Presale round investment still reserved for stakers in the tier
+    mapping(string => mapping(uint256 => uint256)) internal _tierReservedInvestments;
+
+    // Project ID => Presale round investment still reserved for stakers in all tiers
+    mapping(string => uint256) internal _reservedInvestments;
+
+    // Project ID => staking tier => Maximum presale round investment per wallet of the tier
+    mapping(string => mapping(uint256 => uint256)) internal _stakingTierMaxInvestments;
+
+    /* Events */
+
+    /// @notice event emitted when a potential owner accepts ownership
+    event OwnerChange(address newOwner);
+
+    /// @notice event emitted when a potential owner is added by the owner
+    event NominateOwner(address potentialOwner);
+
+    /// @notice event emitted when the owner cancels the nomination of a potential owner
+    event NominationCancelled(address potentialOwner);
+
+    /// @notice event emitted when the owner sets the platform fee
+    event SetFeePercentage(uint256 feePercentage);
+
+    /// @notice event emitted when the owner adds a sub admin
+    event AddAdmin(address adminAddress);
+
+    /// @notice event emitted when the owner revokes admin rights of a sub admin
+    event RevokeAdmin(address adminAddress);
+
+    /// @notice event emitted when a role is granted to an account
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+
+    /// @notice event emitted when a role is revoked from an account
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+
+    /// @notice event emitted when the owner changes the admin role of a role
+    event RoleAdminChanged(bytes32 indexed role, bytes32 previousAdminRole, bytes32 newAdminRole);
+
+    /// @notice event emitted when the owner sets the vesting contract
+    event SetVestingContract(address vestingContract);
+
+    /// @notice event emitted when the owner sets the staking contract
+    event SetStakingContract(address stakingContract);
+
+    /// @notice event emitted when the owner sets the trusted forwarder
+    event SetTrustedForwarder(address trustedForwarder);
+
+    /// @notice event emitted when an admin sets the staking tiers of a launch
+    event SetStakingTiers(
+        string projectID,
+        uint256 snapshotTime,
+        uint256[] minimumStakes,
+        uint256[] maxInvestments,
+        uint256[] reservedInvestments
+    );
+
+    /// @notice event emitted when an admin sets the price of a Project in an additional payment token
+    event SetProjectPaymentToken(
+        string projectID,
+        address paymentToken,
+        uint256 tokenPrice
+    );
+
+    /// @notice event emitted when a user invests in a Project with an additional payment token
+    event ProjectPaymentTokenInvest(
+        string projectID,
+        address indexed investor,
+        address paymentToken,
+        uint256 paymentAmount
+    );
+
+    /// @notice event emitted when the owner sets the USD price feed of a payment token
+    event SetPriceFeed(
+        address paymentToken,
+        address aggregator,
+        uint256 stalenessThreshold
+    );
+
+    /// @notice event emitted when an admin sets whether a launch is priced in USD
+    event SetUSDPricing(string projectID, bool enabled);
+
+    /// @notice event emitted when a pauser pauses the platform
+    event Paused(address account);
+
+    /// @notice event emitted when an admin unpauses the platform
+    event Unpaused(address account);
+
+    /// @notice event emitted when a pauser freezes or unfreezes a Project
+    event SetProjectFrozen(string projectID, bool frozen);
+
+    /// @notice event emitted when a timelocked change is queued
+    event ChangeQueued(bytes32 indexed changeID, string action, bytes params, uint256 executableAt);
+
+    /// @notice event emitted when a queued change is executed
+    event ChangeExecuted(bytes32 indexed changeID);
+
+    /// @notice event emitted when a queued change is cancelled
+    event ChangeCancelled(bytes32 indexed changeID);
+
+    /// @notice event emitted when the timelock delay is set
+    event SetTimelockDelay(uint256 delay);
+
+    /// @notice event emitted when a fee manager sets the fees of a Project
+    event SetProjectFee(string projectID, uint256 feePercentage, uint256 projectTokenFeePercentage);
+
+    /// @notice event emitted when a fee manager sets the recipients of the platform fee
+    event SetFeeRecipients(address[] recipients, uint256[] shares);
+
+    /// @notice event emitted when a fee manager sets the percentage of the platform fee paid to referrers
+    event SetReferralFeePercentage(uint256 referralFeePercentage);
+
+    /// @notice event emitted when a referred investor invests in a project
+    event ReferredInvest(string projectID, address indexed investor, address indexed referrer, uint256 amount);
+
+    /// @notice event emitted when a referrer claims referral rewards in a payment token
+    event ReferralRewardClaim(string projectID, address indexed referrer, address paymentToken, uint256 amount);
+
+    /// @notice event emitted when an admin adds a vesting pool for the investors of a project
+    event ProjectVestingPoolAdd(
+        string projectID,
+        uint256 poolIndex,
+        uint256 totalPoolTokenAmount
+    );
+
+    /// @notice event emitted when an admin moves a batch of investors of a project to its vesting pool
+    event ProjectVestingBeneficiariesAdd(
+        string projectID,
+        uint256 poolIndex,
+        uint256 beneficiaryCount,
+        uint256 tokenAmount
+    );
+
+    /// @notice event emitted when the owner adds the merkle root of a project with whitelisting
+    event SetMerkleRoot(string projectID, bytes32 merkleRoot);
+
+    /// @notice event emitted when the owner adds a token that can be used to invest
+    event AddPaymentToken(address indexed paymentToken);
+
+    /// @notice event emitted when the owner removes a payment token
+    event RemovePaymentToken(address indexed paymentToken);
+
+    /// @notice event emitted when the owner adds a new project launch
+    event ProjectAdd(
+        string projectID,
+        address projectOwner,
+        address paymentToken,
+        uint256 targetAmount,
+        uint256 minInvestmentAmount,
+        address projectToken,
+        uint256 tokenPrice,
+        uint256 winnersOutTime,
+        uint256 projectOpenTime,
+        uint256 projectCloseTime
+    );
+
+    /// @notice event emitted to notify presale price of a presale launch
+    event NotifyPresaleData(
+        string projectID,
+        uint256 presaleStartTime,
+        uint256 presaleEndTime,
+        uint256 presalePrice
+    );
+
+    /// @notice event emitted to notify prices of a Dutch auction launch
+    event NotifyDutchAuctionData(
+        string projectID,
+        uint256 startPrice,
+        uint256 floorPrice
+    );
+
+    /// @notice event emitted to notify Project tokens sold in a batch auction launch
+    event NotifyBatchAuctionData(string projectID, uint256 tokensForDistribution);
+
+    /// @notice event emitted to notify the release schedule of project tokens
+    event NotifyReleaseSchedule(
+        string projectID,
+        uint256 tgePercentage,
+        uint256 cliffDuration,
+        uint256 vestingDuration,
+        uint256 releaseInterval
+    );
+
+    /// @notice event emitted when an admin toggles oversubscription of a launch
+    event SetOversubscription(string projectID, bool enabled);
+
+    /// @notice event emitted when an admin sets the soft cap of a launch
+    event SetSoftCap(string projectID, uint256 softCap);
+
+    /// @notice event emitted when an admin sets the maximum investment per wallet of a launch
+    event SetMaxInvestment(string projectID, uint256 maxInvestmentAmount);
+
+    /// @notice event emitted when an admin sets the maximum presale investment per wallet of a tier
+    event SetTierMaxInvestment(string projectID, uint256 tier, uint256 maxInvestmentAmount);
+
+    /// @notice event emitted when the owner edits a launch
+    event ProjectEdit(
+        string projectID, 
+        address projectToken, 
+        uint256 projectOpenTime, 
+        uint256 projectCloseTime);
+
+    /// @notice event emitted when the owner cancels a project launch    
+    event ProjectCancel(string projectID);
+
+    /// @notice event emitted when the owner deletes a project
+    event ProjectDelete(string projectID);
+
+    /// @notice event emitted when a project is added to the project registry
+    event ProjectRegister(string projectID, uint256 projectNumber);
+
+    /// @notice event emitted when project tokens of a failed project are returned to the project owner
+    event FailedProjectTokensReturn(string projectID, uint256 tokenAmount);
+
+    /// @notice event emitted when the owner collects the investment raised
+    event ProjectInvestmentCollect(string projectID);
+
+    /// @notice event emitted when a user invests in a project
+    event ProjectInvest(
+        string projectID,
+        address indexed investor,
+        uint256 investment
+    );
+
+    /// @notice event emitted when a user claims project tokens from an invested project
+    event ProjectInvestmentClaim(
+        string projectID,
+        address indexed investor,
+        uint256 tokenAmount
+    );
+
+    /// @notice event emitted when a user claims refund of investment from a cancelled project
+    event ProjectInvestmentRefund(
+        string projectID,
+        address indexed investor,
+        uint256 refundAmount
+    );
+
+    /// @notice event emitted when a user is refunded the investment left over from an oversubscribed project
+    event ProjectExcessInvestmentRefund(
+        string projectID,
+        address indexed investor,
+        uint256 refundAmount
+    );
+
+    /// @notice event emitted when BNB transfer fails
+    event TransferOfBNBFail(address indexed receiver, uint256 indexed amount);
+
+    /* Modifiers */
+
+    /// @notice checks if the caller is the owner
+    modifier onlyOwner() {
+        require(owner == msg.sender, "Launchpad: Only owner allowed");
+        _;
+    }
+
+    /// @notice checks if the caller is the owner, a sub admin or a member of the role
+    modifier onlyRole(bytes32 role) {
+        require(
+            msg.sender == owner || _roles[ADMIN][msg.sender] || _roles[role][msg.sender],
+            "Launchpad: not authorized"
+        );
+        _;
+    }
+
+    /// @notice checks if the platform is not paused
+    modifier whenNotPaused() {
+        require(!paused, "Launchpad: paused");
+        _;
+    }
+
+    /// @notice checks if the project is not frozen
+    modifier whenNotFrozen(string calldata projectID) {
+        require(!_frozenProjects[projectID], "Launchpad: Project is frozen");
+        _;
+    }
+
+    /// @notice checks if the project exists
+    modifier onlyValidProject(string calldata projectID) {
+        require(_projectExist(projectID), "Launchpad: invalid Project");
+        _;
+    }
+
+    /* View */
+
+    /**
+     * @dev This helper method is used to validate whether the address is whitelisted or not
+     * @param merkleRoot Merkle Root of the IDO
+     * @param merkleProof Merkle Proof of the user for that IDO
+     * @param maxAllocation Maximum presale round investment of the user in the whitelist
+     * @param tier Allocation tier of the user in the whitelist
+     */
+    function _isWhitelisted(
+        bytes32 merkleRoot,
+        bytes32[] calldata merkleProof,
+        uint256 maxAllocation,
+        uint256 tier
+    )
+        internal
+        view
+        returns (bool)
+    {
+        bytes32 leaf = keccak256(
+            abi.encodePacked(_msgSender(), maxAllocation, tier)
+        );
+        return MerkleProofUpgradeable.verify(merkleProof, merkleRoot, leaf);
+    }
+
+    /**
+     * @notice This method is used to check if an address is the EIP-2771 forwarder of the Launchpad
+     * @param forwarder Address to be checked
+     * @return Whether the forwarder can relay investor calls
+     */
+    function isTrustedForwarder(address forwarder) public view virtual returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    /* View end*/
+
+    /* Helper Functions */
+
+    /**
+     * @notice This method is used to check if a Project exist
+     * @param projectID ID of the Project
+     * @return bool whether the given projectID exists or not
+     */
+    function _projectExist(string calldata projectID)
+        internal
+        view
+        returns (bool)
+    {
+        return _projects[projectID].projectOwner != address(0) ? true : false;
+    }
+
+    /**
+     * @notice This method is used to get the staking tier of an investor in a Project
+     * @dev Tier is derived from the total stake of the investor in the Staking contract at the
+     * snapshot time of the Project
+     * @param projectID ID of the Project
+     * @param investor Address of the investor
+     * @return Staking tier of the investor, 0 if the lowest tier is not reached or the snapshot
+     * time has not passed
+     */
+    function _getStakingTier(string calldata projectID, address investor)
+        internal
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        uint256[] memory minimumStakes = _stakingTiers[projectID];
+        uint256 snapshotTime = _stakingSnapshotTimes[projectID];
+        if (minimumStakes.length == 0 || snapshotTime >= block.timestamp) return 0;
+        uint256 stake = IStaking(stakingContract).getTotalStakeAt(investor, snapshotTime);
+        for (uint256 i = minimumStakes.length; i > 0; --i) {
+            if (stake >= minimumStakes[i - 1]) return i;
+        }
+        return 0;
+    }
+
+    /**
+     * @notice This method is used to get the USD value of a payment
+     * @dev Reverts if the price feed of the payment token is not set or its answer is stale
+     * @param paymentToken Payment token, zero address for BNB
+     * @param amount Amount of the payment token
+     * @return USD value of the payment with 18 decimals
+     */
+    function _getUSDValue(address paymentToken, uint256 amount)
+        internal
+        view
+        returns (uint256)
+    {
+        PriceFeed memory priceFeed = _priceFeeds[paymentToken];
+        require(
+            priceFeed.aggregator != address(0),
+            "Launchpad: price feed not set"
+        );
+        (
+            uint80 roundId,
+            int256 answer,
+            ,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) = IAggregatorV3(priceFeed.aggregator).latestRoundData();
+        require(answer > 0, "Launchpad: invalid oracle price");
+        require(
+            updatedAt != 0 && answeredInRound >= roundId,
+            "Launchpad: incomplete oracle round"
+        );
+        require(
+            block.timestamp - updatedAt <= priceFeed.stalenessThreshold,
+            "Launchpad: stale oracle price"
+        );
+        uint256 paymentTokenDecimals = paymentToken == address(0)
+            ? 18
+            : uint256(IERC20MetadataUpgradeable(paymentToken).decimals());
+        return
+            (amount * uint256(answer) * 10**18) /
+            10**(paymentTokenDecimals + IAggregatorV3(priceFeed.aggregator).decimals());
+    }
+
+    /**
+     * @notice This method is used to get all payment tokens accepted in a Project
+     * @param projectID ID of the Project
+     * @return paymentTokens paymentToken of the Project followed by the additional payment tokens
+     */
+    function _getProjectPaymentTokens(string calldata projectID)
+        internal
+        view
+        onlyValidProject(projectID)
+        returns (address[] memory paymentTokens)
+    {
+        address[] memory additionalPaymentTokens = _additionalPaymentTokens[projectID];
+        paymentTokens = new address[](additionalPaymentTokens.length + 1);
+        paymentTokens[0] = _projects[projectID].paymentToken;
+        for (uint256 i; i < additionalPaymentTokens.length; ++i) {
+            paymentTokens[i + 1] = additionalPaymentTokens[i];
+        }
+    }
+
+    /**
+     * @notice This method is used to get the current Project token price
+     * @dev Price of a Dutch auction declines linearly from tokenPrice at projectOpenTime
+     * to the floor price at projectCloseTime, price of a batch auction is its clearing price
+     * @param projectID ID of the Project
+     * @return Project token price in terms of payment token
+     */
+    function _getCurrentPrice(string calldata projectID)
+        internal
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        if (_batchAuctionTokens[projectID] != 0) return _getClearingPrice(projectID);
+        Project storage project = _projects[projectID];
+        uint256 floorPrice = _floorPrices[projectID];
+        if (floorPrice == 0 || block.timestamp <= project.projectOpenTime)
+            return project.tokenPrice;
+        if (block.timestamp >= project.projectCloseTime) return floorPrice;
+        return
+            project.tokenPrice -
+            ((project.tokenPrice - floorPrice) *
+                (block.timestamp - project.projectOpenTime)) /
+            (project.projectCloseTime - project.projectOpenTime);
+    }
+
+    /**
+     * @notice This method is used to get the price all investors of an auction settle at
+     * @dev Clearing price of a Dutch auction is the price at which the auction sold out, or the
+     * floor price if it did not, and is final once the Project closes
+     * @dev Clearing price of a batch auction is totalInvestment / tokensForDistribution,
+     * 0 until the Project token is added
+     * @param projectID ID of the Project
+     * @return Project token price in terms of payment token
+     */
+    function _getClearingPrice(string calldata projectID)
+        internal
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        Project storage project = _projects[projectID];
+        if (_batchAuctionTokens[projectID] != 0) {
+            if (project.projectToken == address(0)) return 0;
+            uint256 projectTokenDecimals = uint256(
+                IERC20MetadataUpgradeable(project.projectToken).decimals()
+            );
+            return
+                (_projectInvestments[projectID].totalInvestment *
+                    10**projectTokenDecimals) / project.tokensForDistribution;
+        }
+        uint256 floorPrice = _floorPrices[projectID];
+        if (floorPrice == 0) return project.tokenPrice;
+        // rounded up so that the tokens sold never exceed the tokens for distribution
+        uint256 soldOutPrice = (_projectInvestments[projectID].totalInvestment *
+            project.tokenPrice +
+            project.targetAmount -
+            1) / project.targetAmount;
+        return soldOutPrice > floorPrice ? soldOutPrice : floorPrice;
+    }
+
+    /**
+     * @notice This method is used to check if a Project closed below its soft cap
+     * @dev a Project is closed from projectCloseTime on, when it stops accepting investments
+     * @param projectID ID of the Project
+     * @return bool whether the Project has failed
+     */
+    function _isProjectFailed(string calldata projectID)
+        internal
+        view
+        returns (bool)
+    {
+        return
+            !_projects[projectID].cancelled &&
+            block.timestamp >= _projects[projectID].projectCloseTime &&
+            _projectInvestments[projectID].totalInvestment < _softCaps[projectID];
+    }
+
+    /**
+     * @notice Helper function to estimate Project token amount for payment
+     * @param amount Amount of payment tokens
+     * @param projectToken Address of the Project token
+     * @param tokenPrice Price for Project token
+     */
+    function _estimateProjectTokens(
+        address projectToken,
+        uint256 tokenPrice,
+        uint256 amount
+    ) internal view returns (uint256 projectTokenCount) {
+        require(projectToken != address(0), "Launchpad: token address zero");
+        uint256 projectTokenDecimals = uint256(
+            IERC20MetadataUpgradeable(projectToken).decimals()
+        );
+        projectTokenCount = (amount * 10**projectTokenDecimals) / tokenPrice;
+    }
+
+    /**
+     * @notice This method is used to get the role allowed to grant and revoke a role
+     * @param role Role to be checked
+     * @return Admin role of the role, the sub admin role if not set
+     */
+    function _getRoleAdmin(bytes32 role) internal view returns (bytes32) {
+        bytes32 adminRole = _roleAdmins[role];
+        return adminRole == bytes32(0) ? ADMIN : adminRole;
+    }
+
+    /** 
+     * @notice This internal function is used to add an address as an admin
+     * @dev Only the platform owner can call this function
+     * @param role Role to be granted
+     * @param newAdmin Address of the new admin
+     */
+    function _addAdmin(bytes32 role, address newAdmin) internal {
+        require(
+            newAdmin != address(0),
+            "Launchpad: admin address zero"
+        );
+        _grantRole(role, newAdmin);
+        emit AddAdmin(newAdmin);
+    }
+
+    /** 
+     * @notice This internal function is used to remove an admin
+     * @dev Only the platform owner can call this function
+     * @param role Role to be revoked
+     * @param adminAddress Address of the admin
+     */
+    function _removeAdmin(bytes32 role, address adminAddress) internal {
+        require(
+            adminAddress != address(0),
+            "Launchpad: admin address zero"
+        );
+        _revokeRole(role, adminAddress);
+        emit RevokeAdmin(adminAddress);
+    }
+
+    /**
+     * @notice This internal function is used to queue a timelocked change
+     * @dev Nothing is queued if no timelock delay is set
+     * @param action Name of the function making the change
+     * @param params ABI encoded parameters of the function
+     * @return Whether the change can be applied at once
+     */
+    function _queueChange(string memory action, bytes memory params) internal returns (bool) {
+        uint256 delay = timelockDelay;
+        if (delay == 0) return true;
+        bytes32 changeID = keccak256(abi.encode(action, params));
+        require(
+            _changeExecutionTimes[changeID] == 0,
+            "Launchpad: change already queued"
+        );
+        uint256 executableAt = block.timestamp + delay;
+        _changeExecutionTimes[changeID] = executableAt;
+        emit ChangeQueued(changeID, action, params, executableAt);
+        return false;
+    }
+
+    /**
+     * @notice This internal function is used to remove a queued change once its delay has passed
+     * @param action Name of the function making the change
+     * @param params ABI encoded parameters of the function
+     */
+    function _executeChange(string memory action, bytes memory params) internal {
+        bytes32 changeID = keccak256(abi.encode(action, params));
+        uint256 executableAt = _changeExecutionTimes[changeID];
+        require(executableAt != 0, "Launchpad: change not queued");
+        require(
+            block.timestamp >= executableAt,
+            "Launchpad: change is timelocked"
+        );
+        delete _changeExecutionTimes[changeID];
+        emit ChangeExecuted(changeID);
+    }
+
+    /**
+     * @notice This internal function is used to set the delay of timelocked changes
+     * @param delay Delay in seconds between queueing and executing a change
+     */
+    function _setTimelockDelay(uint256 delay) internal {
+        timelockDelay = delay;
+        emit SetTimelockDelay(delay);
+    }
+
+    /**
+     * @notice This internal function is used to set the EIP-2771 forwarder relaying investor calls
+     * @param _trustedForwarder Address of the forwarder
+     */
+    function _setTrustedForwarder(address _trustedForwarder) internal {
+        trustedForwarder = _trustedForwarder;
+        emit SetTrustedForwarder(_trustedForwarder);
+    }
+
+    /**
+     * @notice This internal function is used to set the commission percentage
+     * @param _feePercentage Percentage from raised funds to be set as fee
+     */
+    function _setFee(uint256 _feePercentage) internal {
+        feePercentage = _feePercentage;
+        emit SetFeePercentage(_feePercentage);
+    }
+
+    /**
+     * @notice This internal function is used to replace the platform fee of a Project
+     * @dev The difference in the reserved Project token fee is settled with the Project owner
+     * @param projectID ID of the Project
+     * @param _feePercentage Percentage from raised funds to be paid as fee
+     * @param projectTokenFeePercentage Percentage from Project tokens sold to be paid as fee
+     */
+    function _setProjectFee(
+        string calldata projectID,
+        uint256 _feePercentage,
+        uint256 projectTokenFeePercentage
+    ) internal {
+        Project memory project = _projects[projectID];
+        require(!project.cancelled, "Launchpad: Project is cancelled");
+        require(
+            _projectInvestments[projectID].totalInvestment == 0,
+            "Launchpad: Project has investments"
+        );
+        uint256 reservedFee = _projectTokenFee(projectID, project.tokensForDistribution);
+        _projectFees[projectID] = ProjectFee(
+            true,
+            _feePercentage,
+            projectTokenFeePercentage
+        );
+        uint256 projectTokenFee = _projectTokenFee(projectID, project.tokensForDistribution);
+        if (projectTokenFee > reservedFee) {
+            IERC20Upgradeable(project.projectToken).safeTransferFrom(
+                project.projectOwner,
+                address(this),
+                projectTokenFee - reservedFee
+            );
+        } else {
+            transferTokens(
+                project.projectOwner,
+                project.projectToken,
+                reservedFee - projectTokenFee
+            );
+        }
+        emit SetProjectFee(projectID, _feePercentage, projectTokenFeePercentage);
+    }
+
+    /**
+     * @notice This internal function is used to set the recipients of the platform fee
+     * @param recipients Addresses receiving a share of the platform fee
+     * @param shares Share of each recipient
+     */
+    function _setFeeRecipients(
+        address[] calldata recipients,
+        uint256[] calldata shares
+    ) internal {
+        _feeRecipients = recipients;
+        _feeRecipientShares = shares;
+        emit SetFeeRecipients(recipients, shares);
+    }
+
+    /**
+     * @notice This internal function is used to set the percentage of the platform fee paid to referrers
+     * @param _referralFeePercentage Percentage of the platform fee paid to referrers
+     */
+    function _setReferralFee(uint256 _referralFeePercentage) internal {
+        referralFeePercentage = _referralFeePercentage;
+        emit SetReferralFeePercentage(_referralFeePercentage);
+    }
+
+    /**
+     * @notice This internal function is used to add a Payment token
+     * @param _paymentToken Address of payment token to be added
+     */
+    function _addPaymentToken(address _paymentToken) internal {
+        require(
+            !_paymentSupported[_paymentToken],
+            "Launchpad: token already added"
+        );
+        _paymentSupported[_paymentToken] = true;
+        emit AddPaymentToken(_paymentToken);
+    }
+
+    /**
+     * @notice This internal function is used to remove a Payment token
+     * @param _paymentToken Address of payment token to be removed
+     */
+    function _removePaymentToken(address _paymentToken) internal {
+        require(
+            _paymentSupported[_paymentToken],
+            "Launchpad: token not added"
+        );
+        _paymentSupported[_paymentToken] = false;
+        emit RemovePaymentToken(_paymentToken);
+    }
+
+    /**
+     * @notice This internal function is used to set the USD price feed of a payment token
+     * @param paymentToken Payment token, zero address for BNB
+     * @param aggregator Chainlink compatible aggregator of the USD price of the payment token
+     * @param stalenessThreshold Maximum age in seconds of an aggregator answer
+     */
+    function _setPriceFeed(
+        address paymentToken,
+        address aggregator,
+        uint256 stalenessThreshold
+    ) internal {
+        _priceFeeds[paymentToken] = PriceFeed(aggregator, stalenessThreshold);
+        emit SetPriceFeed(paymentToken, aggregator, stalenessThreshold);
+    }
+
+    /**
+     * @notice This internal function is used to add an account to the members of a role
+     * @param role Role to be granted
+     * @param account Address of the account
+     */
+    function _grantRole(bytes32 role, address account) internal {
+        if (_roles[role][account]) return;
+        _roles[role][account] = true;
+        _roleMembers[role].push(account);
+        _roleMemberIndexes[role][account] = _roleMembers[role].length;
+    }
+
+    /**
+     * @notice This internal function is used to remove an account from the members of a role
+     * @dev The last member takes the place of the removed one
+     * @param role Role to be revoked
+     * @param account Address of the account
+     */
+    function _revokeRole(bytes32 role, address account) internal {
+        _roles[role][account] = false;
+        uint256 index = _roleMemberIndexes[role][account];
+        if (index == 0) return;
+        address[] storage members = _roleMembers[role];
+        address lastMember = members[members.length - 1];
+        members[index - 1] = lastMember;
+        _roleMemberIndexes[role][lastMember] = index;
+        members.pop();
+        delete _roleMemberIndexes[role][account];
+    }
+
+    /**
+     * @notice This internal function checks if the caller can grant and revoke a role
+     * @dev The sub admin role can only be granted and revoked by the owner
+     * @param role Role to be granted or revoked
+     */
+    function _checkRoleAdmin(bytes32 role) internal view {
+        require(
+            msg.sender == owner ||
+            (role != ADMIN && (_roles[ADMIN][msg.sender] || _roles[_getRoleAdmin(role)][msg.sender])),
+            "Launchpad: not authorized"
+        );
+    }
+
+    /**
+     * @notice This internal function is used to validate and store the release schedule of a Project
+     * @param projectID ID of the Project
+     * @param releaseSchedule Release schedule of Project tokens after the Project closes
+     */
+    function _setReleaseSchedule(
+        string calldata projectID,
+        ReleaseSchedule calldata releaseSchedule
+    ) internal {
+        require(
+            releaseSchedule.tgePercentage <= PERCENT_DENOMINATOR,
+            "Launchpad: TGE percentage should be less than 10000"
+        );
+        require(
+            releaseSchedule.releaseInterval <= releaseSchedule.vestingDuration,
+            "Launchpad: invalid release interval"
+        );
+        _releaseSchedules[projectID] = releaseSchedule;
+        emit NotifyReleaseSchedule(
+            projectID,
+            releaseSchedule.tgePercentage,
+            releaseSchedule.cliffDuration,
+            releaseSchedule.vestingDuration,
+            releaseSchedule.releaseInterval
+        );
+    }
+
+    /**
+     * @dev Clamps a page of a list to the end of the list
+     * @param length Length of the list
+     * @param offset Number of list items to skip
+     * @param limit Maximum number of list items in the page
+     * @return uint256 number of list items in the page
+     */
+    function _pageLength(uint256 length, uint256 offset, uint256 limit)
+        internal
+        pure
+        returns (uint256)
+    {
+        if (offset >= length) {
+            return 0;
+        }
+        return limit < length - offset ? limit : length - offset;
+    }
+
+    /**
+     * @dev Adds a Project to the project registry and assigns it the next numeric ID
+     * @param projectID ID of the Project
+     */
+    function _registerProject(string calldata projectID) internal {
+        _projectIDs.push(projectID);
+        _projectNumbers[projectID] = _projectIDs.length;
+        emit ProjectRegister(projectID, _projectIDs.length);
+    }
+
+    /**
+     * @dev Presale Projects are open from the presale start time, other Projects from the open time
+     * @param project Project record
+     * @return ProjectStatus of the Project at the current block timestamp
+     */
+    function _getProjectStatus(Project storage project)
+        internal
+        view
+        returns (ProjectStatus)
+    {
+        if (project.cancelled) {
+            return ProjectStatus.Cancelled;
+        }
+        if (block.timestamp >= project.projectCloseTime) {
+            return ProjectStatus.Closed;
+        }
+        uint256 openTime = project.winnersOutTime != 0
+            ? project.winnersOutTime
+            : project.projectOpenTime;
+        if (block.timestamp >= openTime) {
+            return ProjectStatus.Open;
+        }
+        return ProjectStatus.Upcoming;
+    }
+
+    /**
+     * @dev Collects the Project, investment and presale data of a Project
+     * @param projectID ID of the Project
+     * @return ProjectDetails record of the Project
+     */
+    function _getProjectDetails(string memory projectID)
+        internal
+        view
+        returns (ProjectDetails memory)
+    {
+        Project storage project = _projects[projectID];
+        return ProjectDetails(
+            projectID,
+            _projectNumbers[projectID],
+            _getProjectStatus(project),
+            project,
+            _projectInvestments[projectID],
+            _presalePrices[projectID],
+            _presaleEndTimes[projectID],
+            _projectMerkleRoots[projectID]
+        );
+    }
+
+    /**
+     * @dev Helper method to add a new Public project
+     * @param projectID ID of the Project to be added
+     * @param projectOwner Address of the Project owner
+     * @param paymentToken Payment token to be used for the Project
+     * @param targetAmount Targeted amount to be raised in Project
+     * @param minInvestmentAmount Minimum amount of payment token that can be invested in Project
+     * @param projectToken Address of Project token
+     * @param tokenPrice Project token price in terms of payment token
+     * @param presaleStartTime Beginning of pre-sale round. 0 for public launch
+     * @param projectOpenTime Project open timestamp
+     * @param projectCloseTime Project close timestamp
+     * @param releaseSchedule Release schedule of Project tokens after the Project closes
+     */
+    function _addPublicLaunch(
+        string calldata projectID,
+        address projectOwner,
+        address paymentToken,
+        uint256 targetAmount,
+        uint256 minInvestmentAmount,
+        address projectToken,
+        uint256 tokenPrice,
+        uint256 presaleStartTime,
+        uint256 projectOpenTime,
+        uint256 projectCloseTime,
+        ReleaseSchedule calldata releaseSchedule
+    ) internal {
+        require(
+            !_projectExist(projectID),
+            "Launchpad: Project id already exist"
+        );
+        require(
+            projectOwner != address(0),
+            "Launchpad: Project owner zero"
+        );
+        require(
+            _paymentSupported[paymentToken],
+            "Launchpad: payment token not supported"
+        );
+        require(targetAmount != 0, "Launchpad: target amount zero");
+        require(tokenPrice != 0, "Launchpad: token price zero");
+        require(presaleStartTime == 0, "Launchpad: presale time not zero");
+        require(block.timestamp < projectOpenTime 
+                && projectOpenTime < projectCloseTime,
+            "Launchpad: Project invalid timestamps"
+        );
+
+        uint256 tokensForDistribution = projectToken == address(0)
+                ? 0
+                : _estimateProjectTokens(
+                projectToken,
+                tokenPrice,
+                targetAmount);
+ 
+
+            _projects[projectID] = Project(
+            projectOwner,
+            paymentToken,
+            targetAmount,
+            minInvestmentAmount,
+            projectToken,
+            tokensForDistribution,
+            tokenPrice,
+            presaleStartTime,
+            projectOpenTime,
+            projectCloseTime,
+            false,
+            0
+        );
+        _setReleaseSchedule(projectID, releaseSchedule);
+        _registerProject(projectID);
+        if(projectToken != address(0))
+        {
+            _depositProjectTokens(projectID, projectOwner, projectToken, tokensForDistribution);
+        }    
+
+        emit ProjectAdd(projectID, 
+                        projectOwner,
+                        paymentToken,
+                        targetAmount,
+                        minInvestmentAmount,
+                        projectToken,
+                        tokenPrice,
+                        presaleStartTime,
+                        projectOpenTime,
+                        projectCloseTime);
+    }
+
+    /**
+     * @dev Helper method to invest in a publicly listed Project
+     * @param projectID ID of the Project
+     * @param paymentToken payment token to invest with
+     * @param paymentAmount amount of the payment token to be invested
+     * @param referrer Address of the referrer, zero if not referred
+     */
+    function _investFairLaunch(
+        string calldata projectID,
+        address paymentToken,
+        uint256 paymentAmount,
+        address referrer
+    ) internal whenNotPaused whenNotFrozen(projectID) {
+        require(
+            _projectExist(projectID),
+            "Launchpad: Project does not exist"
+        );
+        uint256 _amount = _paymentValue(projectID, paymentToken, paymentAmount);
+        require(_amount != 0, "Launchpad: investment zero");
+
+        Project memory project = _projects[projectID];
+        require(
+            block.timestamp >= project.projectOpenTime,
+            "Launchpad: Project is not open"
+        );
+        require(
+            block.timestamp < project.projectCloseTime,
+            "Launchpad: Project has closed"
+        );
+        require(!project.cancelled, "Launchpad: Project cancelled");
+        require(
+            _amount >= project.minInvestmentAmount,
+            "Launchpad: amount less than minimum investment"
+        );
+        require(
+            project.maxInvestmentAmount == 0 ||
+                _projectInvestors[projectID][_msgSender()].investment + _amount <=
+                project.maxInvestmentAmount,
+            "Launchpad: amount exceeds maximum investment"
+        );
+        ProjectInvestment storage projectInvestment = _projectInvestments[
+            projectID
+        ];
+
+        require(
+            _oversubscriptionEnabled[projectID] ||
+                _investmentCap(projectID) >= projectInvestment.totalInvestment + _amount,
+            "Launchpad: amount exceeds target"
+        );
+
+        projectInvestment.totalInvestment += _amount;
+        if (_projectInvestors[projectID][_msgSender()].investment == 0) {
+            ++projectInvestment.totalInvestors;
+            _projectInvestorAddresses[projectID].push(_msgSender());
+        }
+        _projectInvestors[projectID][_msgSender()].investment += _amount;
+
+        _receivePayment(projectID, paymentToken, paymentAmount, _amount);
+        _recordReferral(projectID, referrer, _amount);
+
+        emit ProjectInvest(projectID, _msgSender(), _amount);
+    }
+
+    /**
+     * @dev Helper method to invest in a project with a presale round
+     * @param projectID ID of the Project
+     * @param merkleProof merkle path to verify selection
+     * @param maxAllocation maximum presale round investment of the user in the whitelist
+     * @param tier allocation tier of the user in the whitelist
+     * @param paymentToken payment token to invest with
+     * @param paymentAmount amount of the payment token to be invested
+     * @param referrer Address of the referrer, zero if not referred
+     */
+    function _investPresale(
+        string calldata projectID,
+        bytes32[] calldata merkleProof,
+        uint256 maxAllocation,
+        uint256 tier,
+        address paymentToken,
+        uint256 paymentAmount,
+        address referrer
+    ) internal whenNotPaused whenNotFrozen(projectID) {
+        require(
+            _projectExist(projectID),
+            "Launchpad: Project does not exist"
+        );
+        uint256 _amount = _paymentValue(projectID, paymentToken, paymentAmount);
+        require(_amount != 0, "Launchpad: investment zero");
+        Project memory project = _projects[projectID];
+        require(
+            block.timestamp >= project.winnersOutTime,
+            "Launchpad: Project is not open"
+        );
+        require(
+            block.timestamp < project.projectCloseTime,
+            "Launchpad: Project closed"
+        );
+        require(!project.cancelled, "Launchpad: Project cancelled");
+        if(block.timestamp >= project.winnersOutTime && block.timestamp < project.projectOpenTime){
+            uint256 tierMaxInvestment;
+            // stakers invest in a Project without a whitelist
+            if (_projectMerkleRoots[projectID] == bytes32(0) && _stakingTiers[projectID].length != 0) {
+                tier = _getStakingTier(projectID, _msgSender());
+                require(tier != 0, "Launchpad: stake below lowest tier");
+                tierMaxInvestment = _stakingTierMaxInvestments[projectID][tier];
+                // the investment takes up the reservation of the tier first
+                uint256 reserved = _tierReservedInvestments[projectID][tier];
+                if (reserved > _amount) reserved = _amount;
+                _tierReservedInvestments[projectID][tier] -= reserved;
+                _reservedInvestments[projectID] -= reserved;
+            } else {
+                require(
+                    _projectMerkleRoots[projectID] != bytes32(0),
+                    "Launchpad: whitelist not approved by admin yet"
+                );
+                require(
+                    _isWhitelisted(
+                        _projectMerkleRoots[projectID],
+                        merkleProof,
+                        maxAllocation,
+                        tier
+                    ),
+                    "Launchpad: user is not whitelisted"
+                );
+                require(
+                    _presaleInvestments[projectID][_msgSender()] + _amount <= maxAllocation,
+                    "Launchpad: amount exceeds allocation"
+                );
+                tierMaxInvestment = _tierMaxInvestments[projectID][tier];
+            }
+            _presaleInvestments[projectID][_msgSender()] += _amount;
+            require(
+                tierMaxInvestment == 0 ||
+                    _presaleInvestments[projectID][_msgSender()] <= tierMaxInvestment,
+                "Launchpad: amount exceeds tier allocation"
+            );
+            _projectInvestors[projectID][_msgSender()].tier = tier;
+        }
+        else{
+            _publicInvestments[projectID][_msgSender()] += _amount;
+        }
+        require(
+            _amount >= project.minInvestmentAmount,
+            "Launchpad: amount less than minimum investment"
+        );
+        require(
+            project.maxInvestmentAmount == 0 ||
+                _projectInvestors[projectID][_msgSender()].investment + _amount <=
+                project.maxInvestmentAmount,
+            "Launchpad: amount exceeds maximum investment"
+        );
+        ProjectInvestment storage projectInvestment = _projectInvestments[
+            projectID
+        ];
+
+        // investments reserved for stakers stay available to them during the presale round
+        uint256 reservedInvestment = block.timestamp < project.projectOpenTime
+            ? _reservedInvestments[projectID]
+            : 0;
+        require(
+            _oversubscriptionEnabled[projectID] ||
+                _investmentCap(projectID) >=
+                projectInvestment.totalInvestment + _amount + reservedInvestment,
+            "Launchpad: amount exceeds target"
+        );
+
+        projectInvestment.totalInvestment += _amount;
+        if (_projectInvestors[projectID][_msgSender()].investment == 0) {
+            ++projectInvestment.totalInvestors;
+            _projectInvestorAddresses[projectID].push(_msgSender());
+        }
+        _projectInvestors[projectID][_msgSender()].investment += _amount;
+
+        _receivePayment(projectID, paymentToken, paymentAmount, _amount);
+        _recordReferral(projectID, referrer, _amount);
+        emit ProjectInvest(projectID, _msgSender(), _amount);
+    }
+
+    /**
+     * @dev Helper method to get the value of a payment in the paymentToken of a Project, or in USD
+     * if the Project is priced in USD
+     * @param projectID ID of the Project
+     * @param paymentToken payment token of the payment
+     * @param paymentAmount amount of the payment token
+     * @return value of the payment in the paymentToken of the Project
+     */
+    function _paymentValue(
+        string calldata projectID,
+        address paymentToken,
+        uint256 paymentAmount
+    ) internal view returns (uint256) {
+        Project storage project = _projects[projectID];
+        if (paymentToken == project.paymentToken)
+            return
+                _usdPriced[projectID]
+                    ? _getUSDValue(paymentToken, paymentAmount)
+                    : paymentAmount;
+        uint256 tokenPrice = _paymentTokenPrices[projectID][paymentToken];
+        require(tokenPrice != 0, "Launchpad: payment token not accepted");
+        return (paymentAmount * project.tokenPrice) / tokenPrice;
+    }
+
+    /**
+     * @dev Helper method to refund an investor in the payment tokens it invested with
+     * @param projectID ID of the Project
+     * @param investor Address of the investor
+     * @param excessOnly whether only the investment left over from an oversubscription is refunded
+     */
+    function _refundPaymentTokens(
+        string calldata projectID,
+        address investor,
+        bool excessOnly
+    ) internal {
+        address[] memory paymentTokens = _additionalPaymentTokens[projectID];
+        for (uint256 i; i <= paymentTokens.length; ++i) {
+            address paymentToken = i == 0
+                ? _projects[projectID].paymentToken
+                : paymentTokens[i - 1];
+            uint256 amount = _paymentTokenAmount(projectID, investor, paymentToken);
+            if (excessOnly) amount = _excessInvestment(projectID, amount);
+            transferTokens(investor, paymentToken, amount);
+        }
+    }
+
+    /**
+     * @dev Helper method to pay out the investment raised in a payment token to the Project owner
+     * @dev Platform commission based on the fee of the Project is split among the fee recipients
+     * @param projectID ID of the Project
+     * @param paymentToken Payment token of the investment
+     * @param totalAmount Total amount of the payment token invested
+     */
+    function _collectPaymentToken(
+        string calldata projectID,
+        address paymentToken,
+        uint256 totalAmount
+    ) internal {
+        uint256 raisedAmount = _acceptedInvestment(projectID, totalAmount);
+        ProjectFee memory projectFee = _projectFees[projectID];
+        uint256 fee = projectFee.overridden ? projectFee.feePercentage : feePercentage;
+        uint256 platformShare = fee == 0
+            ? 0
+            : (fee * raisedAmount) / PERCENT_DENOMINATOR;
+        uint256 referralShare = referralFeePercentage == 0
+            ? 0
+            : (platformShare * referralFeePercentage * _projectReferredInvestments[projectID]) /
+                (PERCENT_DENOMINATOR * _projectInvestments[projectID].totalInvestment);
+        _referralRewards[projectID][paymentToken] = referralShare;
+        _transferPlatformFee(paymentToken, platformShare - referralShare);
+        transferTokens(
+            _projects[projectID].projectOwner,
+            paymentToken,
+            raisedAmount - platformShare
+        );
+    }
+
+    /**
+     * @dev Helper method to approve the payment of an investment with a permit of the investor
+     * @dev A failing permit is ignored so that a permit front-run by someone else does not block
+     * the investment, the transfer of the payment then fails without an allowance
+     * @param paymentToken EIP-2612 payment token to invest with
+     * @param paymentAmount amount of the payment token to be invested
+     * @param deadline Deadline of the permit
+     * @param v Signature of the permit
+     * @param r Signature of the permit
+     * @param s Signature of the permit
+     */
+    function _permit(
+        address paymentToken,
+        uint256 paymentAmount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        require(paymentToken != address(0), "Launchpad: permit not supported for BNB");
+        try IERC20PermitUpgradeable(paymentToken).permit(
+            _msgSender(),
+            address(this),
+            paymentAmount,
+            deadline,
+            v,
+            r,
+            s
+        ) {} catch {}
+    }
+
+    /**
+     * @dev Helper method to get the investor of a call, relayed calls of the trusted forwarder
+     * carry the address of the investor in their last 20 bytes
+     * @dev Follows ERC2771ContextUpgradeable, which is not inherited as its storage gap would shift
+     * the storage of deployed Launchpads and its forwarder is immutable
+     * @return sender Address of the investor
+     */
+    function _msgSender() internal view virtual returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            /// @solidity memory-safe-assembly
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            return msg.sender;
+        }
+    }
+
+    /**
+     * @dev Helper method to get the calldata of a call without the investor appended by the trusted forwarder
+     * @return Calldata of the call
+     */
+    function _msgData() internal view virtual returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        } else {
+            return msg.data;
+        }
+    }
+
+    /**
+     * @dev Helper method to credit an investment to the referrer of the investor
+     * @dev The first referrer of an investor stays credited with their later investments
+     * @param projectID ID of the Project
+     * @param referrer Address of the referrer passed with the investment, zero if not referred
+     * @param value value of the investment
+     */
+    function _recordReferral(
+        string calldata projectID,
+        address referrer,
+        uint256 value
+    ) internal {
+        address investorReferrer = _investorReferrers[projectID][_msgSender()];
+        if (investorReferrer == address(0)) {
+            if (referrer == address(0)) return;
+            require(referrer != _msgSender(), "Launchpad: cannot refer yourself");
+            investorReferrer = referrer;
+            _investorReferrers[projectID][_msgSender()] = referrer;
+            ++_referralCounts[projectID][referrer];
+        }
+        _referredInvestments[projectID][investorReferrer] += value;
+        _projectReferredInvestments[projectID] += value;
+        emit ReferredInvest(projectID, _msgSender(), investorReferrer, value);
+    }
+
+    /**
+     * @dev Helper method to get the referral reward of a referrer in a payment token
+     * @param projectID ID of the Project
+     * @param referrer Address of the referrer
+     * @param paymentToken payment token of the reward
+     * @return share of the referrer in the platform fee set aside for referrers
+     */
+    function _referralReward(
+        string calldata projectID,
+        address referrer,
+        address paymentToken
+    ) internal view returns (uint256) {
+        uint256 referredInvestment = _referredInvestments[projectID][referrer];
+        if (referredInvestment == 0) return 0;
+        return
+            (_referralRewards[projectID][paymentToken] * referredInvestment) /
+            _projectReferredInvestments[projectID];
+    }
+
+    /**
+     * @dev Helper method to split the platform fee among the fee recipients
+     * @dev The last recipient receives the rounding remainder, the owner receives the whole fee
+     * if no recipients are set
+     * @param token token the fee is paid in
+     * @param amount fee to be transferred
+     */
+    function _transferPlatformFee(address token, uint256 amount) internal {
+        uint256 recipientCount = _feeRecipients.length;
+        if (recipientCount == 0) {
+            transferTokens(owner, token, amount);
+            return;
+        }
+        uint256 remaining = amount;
+        for (uint256 i; i < recipientCount - 1; ++i) {
+            uint256 share = (amount * _feeRecipientShares[i]) / PERCENT_DENOMINATOR;
+            remaining -= share;
+            transferTokens(_feeRecipients[i], token, share);
+        }
+        transferTokens(_feeRecipients[recipientCount - 1], token, remaining);
+    }
+
+    /**
+     * @dev Helper method to receive the payment of an investment
+     * @dev Investments in additional payment tokens are tracked per token for collection and refunds
+     * @param projectID ID of the Project
+     * @param paymentToken payment token invested with
+     * @param paymentAmount amount of the payment token invested
+     * @param value value of the investment in the paymentToken of the Project, or in USD
+     */
+    function _receivePayment(
+        string calldata projectID,
+        address paymentToken,
+        uint256 paymentAmount,
+        uint256 value
+    ) internal {
+        if (paymentToken == address(0)) {
+            require(
+                msg.value == paymentAmount,
+                "Launchpad: msg.value not equal to amount"
+            );
+        } else {
+            require(msg.value == 0, "Launchpad: msg.value not zero");
+            IERC20Upgradeable(paymentToken).safeTransferFrom(
+                _msgSender(),
+                address(this),
+                paymentAmount
+            );
+        }
+        bool additionalPaymentToken = paymentToken != _projects[projectID].paymentToken;
+        if (additionalPaymentToken || _usdPriced[projectID]) {
+            _paymentTokenInvestments[projectID][paymentToken] += paymentAmount;
+            _investorPaymentTokenInvestments[projectID][_msgSender()][
+                paymentToken
+            ] += paymentAmount;
+            _additionalPaymentValues[projectID] += value;
+            _investorAdditionalPaymentValues[projectID][_msgSender()] += value;
+        }
+        if (additionalPaymentToken) {
+            emit ProjectPaymentTokenInvest(
+                projectID,
+                _msgSender(),
+                paymentToken,
+                paymentAmount
+            );
+        }
+    }
+
+    /**
+     * @dev Helper method to get the amount invested in a payment token
+     * @dev Investments in the paymentToken of a Project not priced in USD are not tracked per token
+     * and equal the investment not tracked per token
+     * @param projectID ID of the Project
+     * @param investor Address of the investor, zero address for all investors
+     * @param paymentToken Payment token
+     * @return Amount of the payment token invested
+     */
+    function _paymentTokenAmount(
+        string calldata projectID,
+        address investor,
+        address paymentToken
+    ) internal view returns (uint256) {
+        if (paymentToken == _projects[projectID].paymentToken && !_usdPriced[projectID]) {
+            return investor == address(0)
+                ? _projectInvestments[projectID].totalInvestment -
+                    _additionalPaymentValues[projectID]
+                : _projectInvestors[projectID][investor].investment -
+                    _investorAdditionalPaymentValues[projectID][investor];
+        }
+        return investor == address(0)
+            ? _paymentTokenInvestments[projectID][paymentToken]
+            : _investorPaymentTokenInvestments[projectID][investor][paymentToken];
+    }
+
+    /**
+     * @notice Helper function to get the Project tokens allocated to an investor
+     * @param projectID ID of the Project
+     * @param investor Address of the investor
+     * @return projectTokens Project tokens bought in presale and public rounds
+     */
+    function _projectTokensOf(string calldata projectID, address investor)
+        internal
+        view
+        returns (uint256 projectTokens)
+    {
+        Project storage project = _projects[projectID];
+        if (_batchAuctionTokens[projectID] != 0) {
+            return
+                (_projectInvestors[projectID][investor].investment *
+                    project.tokensForDistribution) /
+                _projectInvestments[projectID].totalInvestment;
+        }
+        if (_floorPrices[projectID] != 0) {
+            return _estimateProjectTokens(
+                project.projectToken,
+                _getClearingPrice(projectID),
+                _projectInvestors[projectID][investor].investment
+            );
+        }
+        if (_presalePrices[projectID] == 0) {
+            return _estimateProjectTokens(
+                project.projectToken,
+                project.tokenPrice,
+                _acceptedInvestment(
+                    projectID,
+                    _projectInvestors[projectID][investor].investment
+                )
+            );
+        }
+        projectTokens =
+            _estimateProjectTokens(
+                project.projectToken,
+                _presalePrices[projectID],
+                _acceptedInvestment(
+                    projectID,
+                    _presaleInvestments[projectID][investor]
+                )
+            ) +
+            _estimateProjectTokens(
+                project.projectToken,
+                project.tokenPrice,
+                _acceptedInvestment(
+                    projectID,
+                    _publicInvestments[projectID][investor]
+                )
+            );
+    }
+
+    /**
+     * @dev Helper method to add the fees of a Project replacing the platform fee
+     * @param projectID ID of the Project
+     * @param projectFee Fees of the Project, ignored if not overridden
+     */
+    function _addProjectFee(string calldata projectID, ProjectFee calldata projectFee) internal {
+        if (!projectFee.overridden) return;
+        _checkProjectFee(projectFee.feePercentage, projectFee.projectTokenFeePercentage);
+        _projectFees[projectID] = projectFee;
+        emit SetProjectFee(
+            projectID,
+            projectFee.feePercentage,
+            projectFee.projectTokenFeePercentage
+        );
+    }
+
+    /**
+     * @dev Helper method to validate the fees of a Project
+     * @param _feePercentage Percentage from raised funds to be paid as fee
+     * @param projectTokenFeePercentage Percentage from Project tokens sold to be paid as fee
+     */
+    function _checkProjectFee(uint256 _feePercentage, uint256 projectTokenFeePercentage)
+        internal
+        pure
+    {
+        require(
+            _feePercentage <= PERCENT_DENOMINATOR &&
+            projectTokenFeePercentage <= PERCENT_DENOMINATOR,
+            "Launchpad: fee Percentage should be less than 10000"
+        );
+    }
+
+    /**
+     * @dev Helper method to transfer the Project tokens for distribution from the Project owner
+     * @dev The Project token fee on the tokens for distribution is reserved along with them
+     * @param projectID ID of the Project
+     * @param projectOwner Address of the Project owner
+     * @param projectToken Address of Project token
+     * @param tokensForDistribution Number of Project tokens to be distributed
+     */
+    function _depositProjectTokens(
+        string calldata projectID,
+        address projectOwner,
+        address projectToken,
+        uint256 tokensForDistribution
+    ) internal {
+        IERC20Upgradeable(projectToken).safeTransferFrom(
+            projectOwner,
+            address(this),
+            _projectTokenDeposit(projectID, tokensForDistribution)
+        );
+    }
+
+    /**
+     * @notice Helper function to get the Project tokens held for a Project
+     * @param projectID ID of the Project
+     * @param tokensForDistribution Number of Project tokens to be distributed
+     * @return uint256 tokens for distribution and the Project token fee reserved on them
+     */
+    function _projectTokenDeposit(string calldata projectID, uint256 tokensForDistribution)
+        internal
+        view
+        returns (uint256)
+    {
+        return tokensForDistribution + _projectTokenFee(projectID, tokensForDistribution);
+    }
+
+    /**
+     * @notice Helper function to get the Project token fee of a Project on a number of Project tokens
+     * @param projectID ID of the Project
+     * @param projectTokens Number of Project tokens
+     * @return uint256 Project token fee, zero unless the fees of the Project are overridden
+     */
+    function _projectTokenFee(string calldata projectID, uint256 projectTokens)
+        internal
+        view
+        returns (uint256)
+    {
+        return (_projectFees[projectID].projectTokenFeePercentage * projectTokens) /
+            PERCENT_DENOMINATOR;
+    }
+
+    /**
+     * @notice Helper function to get the Project tokens sold to the investors of a Project
+     * @dev All Project tokens of a batch auction are sold to its investors
+     * @param projectID ID of the Project
+     * @param raisedAmount Amount of payment tokens accepted in the Project
+     * @return uint256 number of Project tokens sold
+     */
+    function _soldProjectTokens(string calldata projectID, uint256 raisedAmount)
+        internal
+        view
+        returns (uint256)
+    {
+        Project storage project = _projects[projectID];
+        if (_batchAuctionTokens[projectID] != 0) {
+            return project.tokensForDistribution;
+        }
+        uint256 price = _floorPrices[projectID] != 0
+            ? _getClearingPrice(projectID)
+            : _presalePrices[projectID] == 0
+            ? project.tokenPrice
+            : _presalePrices[projectID];
+        return _estimateProjectTokens(project.projectToken, price, raisedAmount);
+    }
+
+    /**
+     * @notice Helper function to get the part of an investment accepted in a Project
+     * @dev Investments in an oversubscribed Project are scaled down pro-rata to the target amount
+     * @param projectID ID of the Project
+     * @param amount Amount of payment tokens invested
+     * @return Amount of payment tokens accepted
+     */
+    function _acceptedInvestment(string calldata projectID, uint256 amount)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 totalInvestment = _projectInvestments[projectID].totalInvestment;
+        uint256 targetAmount = _projects[projectID].targetAmount;
+        if (!_oversubscriptionEnabled[projectID] || totalInvestment <= targetAmount)
+            return amount;
+        return (amount * targetAmount) / totalInvestment;
+    }
+
+    /**
+     * @notice Helper function to get the part of an investment refunded from an oversubscribed Project
+     * @dev Rounded down like the accepted part, the rounding dust of both stays in the contract so that
+     * the collected investment and the refunds never exceed the investment made
+     * @param projectID ID of the Project
+     * @param amount Amount of payment tokens invested
+     * @return Amount of payment tokens refunded
+     */
+    function _excessInvestment(string calldata projectID, uint256 amount)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 totalInvestment = _projectInvestments[projectID].totalInvestment;
+        uint256 targetAmount = _projects[projectID].targetAmount;
+        if (!_oversubscriptionEnabled[projectID] || totalInvestment <= targetAmount)
+            return 0;
+        return (amount * (totalInvestment - targetAmount)) / totalInvestment;
+    }
+
+    /**
+     * @notice Helper function to get the maximum total investment a Project accepts
+     * @dev A Dutch auction accepts the value of its tokens for distribution at the current price
+     * @param projectID ID of the Project
+     * @return Maximum total investment in payment token
+     */
+    function _investmentCap(string calldata projectID)
+        internal
+        view
+        returns (uint256)
+    {
+        Project storage project = _projects[projectID];
+        if (_floorPrices[projectID] == 0) return project.targetAmount;
+        return (project.targetAmount * _getCurrentPrice(projectID)) / project.tokenPrice;
+    }
+
+    /**
+     * @notice Helper function to get the Project tokens unlocked by the release schedule
+     * @dev TGE share unlocks at projectCloseTime, the rest unlocks linearly or in steps
+     * of releaseInterval once the cliff is over
+     * @param projectID ID of the Project
+     * @param projectTokens Total Project tokens allocated to an investor
+     * @return Project tokens unlocked at the current timestamp
+     */
+    function _unlockedProjectTokens(string calldata projectID, uint256 projectTokens)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 projectCloseTime = _projects[projectID].projectCloseTime;
+        if (block.timestamp <= projectCloseTime) return 0;
+
+        ReleaseSchedule memory schedule = _releaseSchedules[projectID];
+        uint256 tgeTokens = (projectTokens * schedule.tgePercentage) /
+            PERCENT_DENOMINATOR;
+        uint256 vestingStartTime = projectCloseTime + schedule.cliffDuration;
+        if (block.timestamp < vestingStartTime) return tgeTokens;
+
+        uint256 elapsed = block.timestamp - vestingStartTime;
+        if (elapsed >= schedule.vestingDuration) return projectTokens;
+        if (schedule.releaseInterval != 0)
+            elapsed -= elapsed % schedule.releaseInterval;
+        return tgeTokens +
+            ((projectTokens - tgeTokens) * elapsed) / schedule.vestingDuration;
+    }
+
+    /**
+     * @notice Helper function to transfer tokens based on type
+     * @param receiver Address of the receiver
+     * @param paymentToken Address of the token to be transferred
+     * @param amount Number of tokens to transfer
+     */
+    function transferTokens(
+        address receiver,
+        address paymentToken,
+        uint256 amount
+    ) internal {
+        if (amount != 0) {
+            if (paymentToken != address(0)) {
+                IERC20Upgradeable(paymentToken).safeTransfer(receiver, amount);
+            } else {
+                (bool success, ) = payable(receiver).call{value: amount}("");
+                if (!success) {
+                    BNBFromFailedTransfers += amount;
+                    emit TransferOfBNBFail(receiver, amount);
+                }
+            }
+        }
+    }
+
+    /**
+     * @notice Helper function to execute a call in a module on the storage of this contract
+     * @dev Returns the return data of the module or bubbles up its revert
+     * @param module Address of the module
+     */
+    function _delegate(address module) internal {
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let result := delegatecall(gas(), module, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(ptr, returndatasize())
+            }
+            default {
+                return(ptr, returndatasize())
+            }
+        }
+    }
+
+    /* Helper Functions end*/
+}
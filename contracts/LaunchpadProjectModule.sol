@@ -0,0 +1,1024 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./LaunchpadBase.sol";
+
+/**
+ * @title Launchpad project module
+ * @dev Adds, edits and configures the Projects of the Launchpad, run by the Launchpad through delegatecall
+ * @dev Calls to functions not implemented here are delegated to the view module
+ */
+
+contract LaunchpadProjectModule is LaunchpadBase {
+
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable viewModule; // Module of the view functions
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address viewModule_) {
+        require(viewModule_ != address(0), "Launchpad: Invalid module");
+        viewModule = viewModule_;
+        _disableInitializers();
+    }
+
+    /* Owner Functions */
+
+    /**
+     * @notice This method is used to set Merkle Root of an IDO
+     * @dev This method can only be called by the platform owner
+     * @dev Stakers invest in the presale round of a Project with staking tiers, which has no whitelist
+     * @param projectID ID of the IDO
+     * @param merkleRoot Merkle Root of the IDO
+     */
+    function addMerkleRoot(string calldata projectID, bytes32 merkleRoot) 
+        external 
+        onlyValidProject(projectID)
+        onlyRole(WHITELIST_MANAGER_ROLE){
+        
+        require(
+            _projects[projectID].winnersOutTime <= block.timestamp,
+            "Launchpad: cannot update before whitelisting closes"
+        );
+        require(
+            _projectMerkleRoots[projectID] == bytes32(0),
+            "Launchpad: merkle root already added"
+        );
+        require(
+            _stakingTiers[projectID].length == 0,
+            "Launchpad: Project has staking tiers"
+        );
+        _projectMerkleRoots[projectID] = merkleRoot;
+        emit SetMerkleRoot(projectID, merkleRoot);
+    }
+
+    /**
+     * @notice This method is used to accept investments above the target amount of a Project
+     * @dev This method can only be called by an admin before the Project receives any investment
+     * @dev Final allocations of an oversubscribed Project are computed pro-rata after it closes
+     * and the investment left over is refunded when tokens are claimed
+     * @param projectID ID of the Project
+     * @param enabled Whether oversubscription is enabled
+     */
+    function setOversubscription(string calldata projectID, bool enabled)
+        external
+        onlyValidProject(projectID)
+        onlyRole(PROJECT_MANAGER_ROLE)
+    {
+        require(!_projects[projectID].cancelled, "Launchpad: Project is cancelled");
+        require(
+            _projectInvestments[projectID].totalInvestment == 0,
+            "Launchpad: Project has investments"
+        );
+        require(
+            _floorPrices[projectID] == 0,
+            "Launchpad: Project is a Dutch auction"
+        );
+        require(
+            _batchAuctionTokens[projectID] == 0,
+            "Launchpad: Project is a batch auction"
+        );
+        _oversubscriptionEnabled[projectID] = enabled;
+        emit SetOversubscription(projectID, enabled);
+    }
+
+    /**
+     * @notice This method is used to set the minimum investment for a Project to succeed
+     * @dev This method can only be called by an admin before the Project receives any investment
+     * @dev A Project closing below its soft cap fails: investors are refunded and
+     * the investment cannot be collected
+     * @param projectID ID of the Project
+     * @param softCap Minimum total investment in payment token, 0 to disable
+     */
+    function setSoftCap(string calldata projectID, uint256 softCap)
+        external
+        onlyValidProject(projectID)
+        onlyRole(PROJECT_MANAGER_ROLE)
+    {
+        require(!_projects[projectID].cancelled, "Launchpad: Project is cancelled");
+        require(
+            _projectInvestments[projectID].totalInvestment == 0,
+            "Launchpad: Project has investments"
+        );
+        require(
+            softCap <= _projects[projectID].targetAmount,
+            "Launchpad: soft cap exceeds target"
+        );
+        _softCaps[projectID] = softCap;
+        emit SetSoftCap(projectID, softCap);
+    }
+
+    /**
+     * @notice This method is used to set the maximum investment per wallet in a Project
+     * @dev This method can only be called by an admin before the Project closes
+     * @param projectID ID of the Project
+     * @param maxInvestmentAmount Maximum amount of payment token a wallet can invest, 0 for no limit
+     */
+    function setMaxInvestment(string calldata projectID, uint256 maxInvestmentAmount)
+        external
+        onlyValidProject(projectID)
+        onlyRole(PROJECT_MANAGER_ROLE)
+    {
+        Project memory project = _projects[projectID];
+        require(!project.cancelled, "Launchpad: Project is cancelled");
+        require(
+            block.timestamp < project.projectCloseTime,
+            "Launchpad: Project is closed"
+        );
+        require(
+            maxInvestmentAmount == 0 ||
+                maxInvestmentAmount >= project.minInvestmentAmount,
+            "Launchpad: maximum less than minimum investment"
+        );
+        _projects[projectID].maxInvestmentAmount = maxInvestmentAmount;
+        emit SetMaxInvestment(projectID, maxInvestmentAmount);
+    }
+
+    /**
+     * @notice This method is used to set the maximum presale round investment per wallet of a tier
+     * @dev This method can only be called by an admin before the Project closes
+     * @dev Tier of a whitelisted wallet is part of its leaf in the Merkle tree of the Project
+     * @param projectID ID of the Project
+     * @param tier Allocation tier
+     * @param maxInvestmentAmount Maximum amount of payment token a wallet in the tier can invest
+     * in the presale round, 0 for no limit
+     */
+    function setTierMaxInvestment(
+        string calldata projectID,
+        uint256 tier,
+        uint256 maxInvestmentAmount
+    )
+        external
+        onlyValidProject(projectID)
+        onlyRole(WHITELIST_MANAGER_ROLE)
+    {
+        Project memory project = _projects[projectID];
+        require(!project.cancelled, "Launchpad: Project is cancelled");
+        require(
+            block.timestamp < project.projectCloseTime,
+            "Launchpad: Project is closed"
+        );
+        _tierMaxInvestments[projectID][tier] = maxInvestmentAmount;
+        emit SetTierMaxInvestment(projectID, tier, maxInvestmentAmount);
+    }
+
+    /**
+     * @notice This method is used to let stakers invest in the presale round instead of a whitelist
+     * @dev This method can only be called by an admin before the presale round opens
+     * @dev A staker is in the highest tier whose minimum stake is reached at the snapshot time, its
+     * presale round allocation is the maximum investment of that tier
+     * @dev Reserved investments are kept out of reach of other investors until the public round opens
+     * @dev Empty arrays remove the staking tiers of the Project
+     * @param projectID ID of the Project
+     * @param snapshotTime Timestamp at which total stakes are read, before the presale round opens
+     * @param minimumStakes Minimum total stake of each tier in ascending order, tier 1 first
+     * @param maxInvestments Non-zero maximum presale round investment per wallet of each tier
+     * @param reservedInvestments Presale round investment reserved for the stakers of each tier
+     */
+    function setStakingTiers(
+        string calldata projectID,
+        uint256 snapshotTime,
+        uint256[] calldata minimumStakes,
+        uint256[] calldata maxInvestments,
+        uint256[] calldata reservedInvestments
+    )
+        external
+        onlyValidProject(projectID)
+        onlyRole(WHITELIST_MANAGER_ROLE)
+    {
+        require(
+            stakingContract != address(0),
+            "Launchpad: staking contract not set"
+        );
+        Project memory project = _projects[projectID];
+        require(!project.cancelled, "Launchpad: Project is cancelled");
+        require(
+            block.timestamp < project.winnersOutTime,
+            "Launchpad: presale round started"
+        );
+        require(
+            snapshotTime < project.winnersOutTime,
+            "Launchpad: snapshot after presale round opens"
+        );
+        require(
+            maxInvestments.length == minimumStakes.length &&
+                reservedInvestments.length == minimumStakes.length,
+            "Launchpad: staking tier length mismatch"
+        );
+        for (uint256 i = _stakingTiers[projectID].length; i > 0; --i) {
+            delete _stakingTierMaxInvestments[projectID][i];
+            delete _tierReservedInvestments[projectID][i];
+        }
+        uint256 reservedInvestment;
+        for (uint256 i; i < minimumStakes.length; ++i) {
+            require(
+                i == 0 || minimumStakes[i] > minimumStakes[i - 1],
+                "Launchpad: staking tiers not ascending"
+            );
+            require(
+                maxInvestments[i] != 0,
+                "Launchpad: staking tier maximum investment zero"
+            );
+            _stakingTierMaxInvestments[projectID][i + 1] = maxInvestments[i];
+            _tierReservedInvestments[projectID][i + 1] = reservedInvestments[i];
+            reservedInvestment += reservedInvestments[i];
+        }
+        require(
+            reservedInvestment <= project.targetAmount,
+            "Launchpad: reserved investment exceeds target"
+        );
+        _stakingTiers[projectID] = minimumStakes;
+        _stakingSnapshotTimes[projectID] = snapshotTime;
+        _reservedInvestments[projectID] = reservedInvestment;
+        emit SetStakingTiers(
+            projectID,
+            snapshotTime,
+            minimumStakes,
+            maxInvestments,
+            reservedInvestments
+        );
+    }
+
+    /**
+     * @notice This method is used to accept an additional payment token in a Project
+     * @dev This method can only be called by an admin before the Project closes
+     * @dev Investments in an additional payment token are valued in the paymentToken of the Project
+     * at the ratio of tokenPrice to the price in the additional payment token
+     * @dev A zero tokenPrice stops accepting the payment token, existing investments are still
+     * collected and refunded in it
+     * @param projectID ID of the Project
+     * @param paymentToken Payment token to be accepted
+     * @param tokenPrice Project token price in terms of the payment token
+     */
+    function setProjectPaymentToken(
+        string calldata projectID,
+        address paymentToken,
+        uint256 tokenPrice
+    )
+        external
+        onlyValidProject(projectID)
+        onlyRole(PROJECT_MANAGER_ROLE)
+    {
+        require(
+            _paymentSupported[paymentToken],
+            "Launchpad: payment token not supported"
+        );
+        Project memory project = _projects[projectID];
+        require(!project.cancelled, "Launchpad: Project is cancelled");
+        require(
+            block.timestamp < project.projectCloseTime,
+            "Launchpad: Project is closed"
+        );
+        require(
+            paymentToken != project.paymentToken,
+            "Launchpad: payment token already accepted"
+        );
+        require(
+            _floorPrices[projectID] == 0,
+            "Launchpad: Project is a Dutch auction"
+        );
+        require(
+            _batchAuctionTokens[projectID] == 0,
+            "Launchpad: Project is a batch auction"
+        );
+        require(!_usdPriced[projectID], "Launchpad: Project is priced in USD");
+        if (!_additionalPaymentTokenAdded[projectID][paymentToken]) {
+            _additionalPaymentTokenAdded[projectID][paymentToken] = true;
+            _additionalPaymentTokens[projectID].push(paymentToken);
+        }
+        _paymentTokenPrices[projectID][paymentToken] = tokenPrice;
+        emit SetProjectPaymentToken(projectID, paymentToken, tokenPrice);
+    }
+
+    /**
+     * @notice This method is used to price a Project in USD
+     * @dev This method can only be called by an admin before the Project receives any investment
+     * @dev Amounts and prices of a Project priced in USD, including targetAmount, minInvestmentAmount
+     * and tokenPrice, have 18 decimals and payments are converted at the price feed of the
+     * paymentToken of the Project when invested
+     * @param projectID ID of the Project
+     * @param enabled Whether the Project is priced in USD
+     */
+    function setUSDPricing(string calldata projectID, bool enabled)
+        external
+        onlyValidProject(projectID)
+        onlyRole(PROJECT_MANAGER_ROLE)
+    {
+        Project memory project = _projects[projectID];
+        require(!project.cancelled, "Launchpad: Project is cancelled");
+        require(
+            _projectInvestments[projectID].totalInvestment == 0,
+            "Launchpad: Project has investments"
+        );
+        require(
+            _additionalPaymentTokens[projectID].length == 0,
+            "Launchpad: Project has additional payment tokens"
+        );
+        require(
+            !enabled || _priceFeeds[project.paymentToken].aggregator != address(0),
+            "Launchpad: price feed not set"
+        );
+        _usdPriced[projectID] = enabled;
+        emit SetUSDPricing(projectID, enabled);
+    }
+
+    /**
+     * @notice This method is used to pause investments, claims and collections on a Project
+     * @dev This method can only be called by a pauser, refunds stay available while frozen
+     * @param projectID ID of the Project
+     * @param frozen Whether the Project is frozen
+     */
+    function setProjectFrozen(string calldata projectID, bool frozen)
+        external
+        onlyValidProject(projectID)
+        onlyRole(PAUSER_ROLE)
+    {
+        _frozenProjects[projectID] = frozen;
+        emit SetProjectFrozen(projectID, frozen);
+    }
+
+    /* Owner Functions end*/
+
+    /* Project */
+
+    /**
+     * @notice This method is used to add a new Public project
+     * @dev This method can only be called by the contract owner
+     * @dev Any investor can invest without the need to be whitelisted beforehand
+     * @dev Project token address can be added or zero address can be passed to add it later
+     * @param projectID ID of the Project to be added
+     * @param projectOwner Address of the Project owner
+     * @param paymentToken Payment token to be used for the Project
+     * @param targetAmount Targeted amount to be raised in Project
+     * @param minInvestmentAmount Minimum amount of payment token that can be invested in Project
+     * @param projectToken Address of Project token
+     * @param tokenPrice Project token price in terms of payment token
+     * @param presaleStartTime Beginning of pre-sale round. 0 for public launch
+     * @param projectOpenTime Project open timestamp
+     * @param projectCloseTime Project close timestamp
+     * @param releaseSchedule Release schedule of Project tokens after the Project closes
+     * @param projectFee Fees of the Project replacing the platform fee if overridden
+     */
+    function addPublicLaunch(
+        string calldata projectID,
+        address projectOwner,
+        address paymentToken,
+        uint256 targetAmount,
+        uint256 minInvestmentAmount,
+        address projectToken,
+        uint256 tokenPrice,
+        uint256 presaleStartTime,
+        uint256 projectOpenTime,
+        uint256 projectCloseTime,
+        ReleaseSchedule calldata releaseSchedule,
+        ProjectFee calldata projectFee
+    ) external 
+      onlyRole(PROJECT_MANAGER_ROLE)
+      nonReentrant{
+        _addProjectFee(projectID, projectFee);
+        _addPublicLaunch(
+            projectID,
+            projectOwner,
+            paymentToken,
+            targetAmount,
+            minInvestmentAmount,
+            projectToken,
+            tokenPrice,
+            presaleStartTime,
+            projectOpenTime,
+            projectCloseTime,
+            releaseSchedule
+        );
+    }
+
+    /**
+     * @notice This method is used to add a new Dutch auction project
+     * @dev This method can only be called by the contract owner
+     * @dev Token price declines linearly from startPrice at projectOpenTime to floorPrice
+     * at projectCloseTime, investors lock in the price at which they invest
+     * @dev Tokens for distribution are estimated from targetAmount at startPrice and the auction
+     * sells out once the investment reaches their value at the current price
+     * @dev All investors settle at the clearing price, which is never above the price they locked in
+     * @dev Project token address can be added or zero address can be passed to add it later
+     * @param projectID ID of the Project to be added
+     * @param projectOwner Address of the Project owner
+     * @param paymentToken Payment token to be used for the Project
+     * @param targetAmount Amount raised if all tokens sell at startPrice
+     * @param minInvestmentAmount Minimum amount of payment token that can be invested in Project
+     * @param projectToken Address of Project token
+     * @param startPrice Project token price in terms of payment token when the Project opens
+     * @param floorPrice Project token price in terms of payment token when the Project closes
+     * @param projectOpenTime Project open timestamp
+     * @param projectCloseTime Project close timestamp
+     * @param releaseSchedule Release schedule of Project tokens after the Project closes
+     * @param projectFee Fees of the Project replacing the platform fee if overridden
+     */
+    function addDutchAuctionLaunch(
+        string calldata projectID,
+        address projectOwner,
+        address paymentToken,
+        uint256 targetAmount,
+        uint256 minInvestmentAmount,
+        address projectToken,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 projectOpenTime,
+        uint256 projectCloseTime,
+        ReleaseSchedule calldata releaseSchedule,
+        ProjectFee calldata projectFee
+    ) external 
+      onlyRole(PROJECT_MANAGER_ROLE)
+      nonReentrant{
+        _addProjectFee(projectID, projectFee);
+        require(floorPrice != 0, "Launchpad: floor price zero");
+        require(
+            floorPrice < startPrice,
+            "Launchpad: floor price not below start price"
+        );
+        _addPublicLaunch(
+            projectID,
+            projectOwner,
+            paymentToken,
+            targetAmount,
+            minInvestmentAmount,
+            projectToken,
+            startPrice,
+            0,
+            projectOpenTime,
+            projectCloseTime,
+            releaseSchedule
+        );
+        _floorPrices[projectID] = floorPrice;
+        emit NotifyDutchAuctionData(projectID, startPrice, floorPrice);
+    }
+
+    /**
+     * @notice This method is used to add a new batch auction project
+     * @dev This method can only be called by the contract owner
+     * @dev Investors commit payment tokens while the Project is open and share the Project tokens
+     * pro-rata to their investment, the token price is totalInvestment / tokensForDistribution
+     * @dev Project token address can be added or zero address can be passed to add it later
+     * @param projectID ID of the Project to be added
+     * @param projectOwner Address of the Project owner
+     * @param paymentToken Payment token to be used for the Project
+     * @param targetAmount Maximum amount that can be raised in Project
+     * @param minInvestmentAmount Minimum amount of payment token that can be invested in Project
+     * @param projectToken Address of Project token
+     * @param tokensForDistribution Amount of Project tokens sold in the auction
+     * @param projectOpenTime Project open timestamp
+     * @param projectCloseTime Project close timestamp
+     * @param releaseSchedule Release schedule of Project tokens after the Project closes
+     * @param projectFee Fees of the Project replacing the platform fee if overridden
+     */
+    function addBatchAuctionLaunch(
+        string calldata projectID,
+        address projectOwner,
+        address paymentToken,
+        uint256 targetAmount,
+        uint256 minInvestmentAmount,
+        address projectToken,
+        uint256 tokensForDistribution,
+        uint256 projectOpenTime,
+        uint256 projectCloseTime,
+        ReleaseSchedule calldata releaseSchedule,
+        ProjectFee calldata projectFee
+    ) external 
+      onlyRole(PROJECT_MANAGER_ROLE)
+      nonReentrant{
+        _addProjectFee(projectID, projectFee);
+        require(
+            !_projectExist(projectID),
+            "Launchpad: Project id already exist"
+        );
+        require(
+            projectOwner != address(0),
+            "Launchpad: Project owner zero"
+        );
+        require(
+            _paymentSupported[paymentToken],
+            "Launchpad: payment token not supported"
+        );
+        require(targetAmount != 0, "Launchpad: target amount zero");
+        require(
+            tokensForDistribution != 0,
+            "Launchpad: tokens for distribution zero"
+        );
+        require(block.timestamp < projectOpenTime 
+                && projectOpenTime < projectCloseTime,
+            "Launchpad: Project invalid timestamps"
+        );
+
+        _projects[projectID] = Project(
+            projectOwner,
+            paymentToken,
+            targetAmount,
+            minInvestmentAmount,
+            projectToken,
+            projectToken == address(0) ? 0 : tokensForDistribution,
+            0,
+            0,
+            projectOpenTime,
+            projectCloseTime,
+            false,
+            0
+        );
+        _batchAuctionTokens[projectID] = tokensForDistribution;
+        _setReleaseSchedule(projectID, releaseSchedule);
+        _registerProject(projectID);
+        if(projectToken != address(0))
+        {
+            _depositProjectTokens(projectID, projectOwner, projectToken, tokensForDistribution);
+        }
+
+        emit ProjectAdd(projectID, 
+                        projectOwner,
+                        paymentToken,
+                        targetAmount,
+                        minInvestmentAmount,
+                        projectToken,
+                        0,
+                        0,
+                        projectOpenTime,
+                        projectCloseTime);
+        emit NotifyBatchAuctionData(projectID, tokensForDistribution);
+    }
+
+    /**
+     * @notice This method is used to add a new project with presale round
+     * @dev This method can only be called by the contract owner
+     * @dev A specific number of whitelisted users can invest early in pre sale rounds
+     * @dev Post whitelist investment any user can invest in the launch without getting whitelisted
+     * beforehand
+     * @dev Project token address can be added or zero address can be passed to add it later
+     * @param projectID ID of the Project to be added
+     * @param projectOwner Address of the Project owner
+     * @param paymentToken Payment token to be used for the Project
+     * @param targetAmount Targeted amount to be raised in Project
+     * @param minInvestmentAmount Minimum amount of payment token that can be invested in Project
+     * @param projectToken Address of Project token
+     * @param tokenPrice Project token price in terms of payment token
+     * @param presaleTokenPrice Project token price for presale round
+     * @param timeStamps Array of project timestamps
+     * timeStamps[0] = presaleStartTime
+     * timeStamps[1] = presaleEndTime
+     * timeStamps[2] = projectOpenTime
+     * timeStamps[3] = projectCloseTime
+     * @param releaseSchedule Release schedule of Project tokens after the Project closes
+     * @param projectFee Fees of the Project replacing the platform fee if overridden
+     */
+    function addPresaleLaunch(
+        string calldata projectID,
+        address projectOwner,
+        address paymentToken,
+        uint256 targetAmount,
+        uint256 minInvestmentAmount,
+        address projectToken,
+        uint256 tokenPrice,
+        uint256 presaleTokenPrice,
+        uint256[4] calldata timeStamps,
+        ReleaseSchedule calldata releaseSchedule,
+        ProjectFee calldata projectFee
+    ) external 
+      onlyRole(PROJECT_MANAGER_ROLE)
+      nonReentrant{
+        _addProjectFee(projectID, projectFee);
+        require(
+            !_projectExist(projectID),
+            "Launchpad: Project id already exist"
+        );
+        require(
+            projectOwner != address(0),
+            "Launchpad: Project owner zero"
+        );
+        require(
+            _paymentSupported[paymentToken],
+            "Launchpad: payment token not supported"
+        );
+        require(targetAmount != 0, "Launchpad: target amount zero");
+        require(tokenPrice != 0, "Launchpad: token price zero");
+        require(
+                block.timestamp < timeStamps[0] &&
+                timeStamps[0] < timeStamps[1] &&
+                timeStamps[1] <= timeStamps[2] &&
+                timeStamps[2] < timeStamps[3],
+            "Launchpad: Project invalid timestamps"
+        );
+
+        uint256 tokensForDistribution = projectToken == address(0)
+                ? 0
+                : _estimateProjectTokens(
+                projectToken,
+                presaleTokenPrice,
+                targetAmount);
+ 
+            _projects[projectID] = Project(
+            projectOwner,
+            paymentToken,
+            targetAmount,
+            minInvestmentAmount,
+            projectToken,
+            tokensForDistribution,
+            tokenPrice,
+            timeStamps[0],
+            timeStamps[2],
+            timeStamps[3],
+            false,
+            0
+        );
+        _presalePrices[projectID] = presaleTokenPrice;
+        _presaleEndTimes[projectID] = timeStamps[1];
+        _setReleaseSchedule(projectID, releaseSchedule);
+        _registerProject(projectID);
+        if(projectToken != address(0))
+        {
+            _depositProjectTokens(projectID, projectOwner, projectToken, tokensForDistribution);
+        }    
+        emit ProjectAdd(projectID, 
+                        projectOwner,
+                        paymentToken,
+                        targetAmount,
+                        minInvestmentAmount,
+                        projectToken,
+                        tokenPrice,
+                        timeStamps[0],
+                        timeStamps[2],
+                        timeStamps[3]);
+        emit NotifyPresaleData(projectID, timeStamps[0], timeStamps[1], presaleTokenPrice);               
+    }
+
+    /**
+     * @notice This method is used to edit a Public project
+     * @dev This method can only be called by the contract owner
+     * @dev Project token address can be added or zero address can be passed to add it later
+     * @dev Adding a project token would initialize a transfer and project token can only be added once
+     * @param projectID ID of the Project to be added
+     * @param projectOwner Address of the Project owner
+     * @param paymentToken Payment token to be used for the Project
+     * @param targetAmount Targeted amount to be raised in Project
+     * @param minInvestmentAmount Minimum amount of payment token that can be invested in Project
+     * @param projectToken Address of Project token
+     * @param tokenPrice Project token price in terms of payment token
+     * @param presaleStartTime Beginning of pre-sale round. 0 for public launch
+     * @param projectOpenTime Project open timestamp
+     * @param projectCloseTime Project close timestamp
+     */
+    function editPublicProject(
+        string calldata projectID,
+        address projectOwner,
+        address paymentToken,
+        uint256 targetAmount,
+        uint256 minInvestmentAmount,
+        address projectToken,
+        uint256 tokenPrice,
+        uint256 presaleStartTime,
+        uint256 projectOpenTime,
+        uint256 projectCloseTime
+    ) external
+      onlyRole(PROJECT_MANAGER_ROLE)
+      nonReentrant{
+        require(
+            _projectExist(projectID),
+            "Launchpad: Project does not exist"
+        );
+        require(
+            projectOwner != address(0),
+            "Launchpad: Project owner zero"
+        );
+        require(
+            _paymentSupported[paymentToken],
+            "Launchpad: payment token not supported"
+        );
+        require(
+            !_additionalPaymentTokenAdded[projectID][paymentToken],
+            "Launchpad: payment token already accepted"
+        );
+        require(
+            _batchAuctionTokens[projectID] == 0,
+            "Launchpad: Project is a batch auction"
+        );
+        require(targetAmount != 0, "Launchpad: target amount zero");
+        require(
+            targetAmount >= _softCaps[projectID],
+            "Launchpad: target amount less than soft cap"
+        );
+        require(tokenPrice != 0, "Launchpad: token price zero");
+        require(
+            tokenPrice > _floorPrices[projectID],
+            "Launchpad: floor price not below start price"
+        );
+        require(presaleStartTime == 0, "Launchpad: presale time not zero");
+        require(projectOpenTime < projectCloseTime,
+            "Launchpad: invalid timestamps"
+        );
+
+        uint256 tokensForDistribution;
+        if(projectToken != address(0) && _projects[projectID].projectToken == address(0))
+        {
+            tokensForDistribution = _estimateProjectTokens(
+                        projectToken,
+                        tokenPrice,
+                        targetAmount);
+            _depositProjectTokens(projectID, projectOwner, projectToken, tokensForDistribution);            
+        }
+        else if(projectToken != address(0) && _projects[projectID].projectToken != address(0))
+        {
+            require(projectToken == _projects[projectID].projectToken,
+                    "Launchpad: Project token already added");
+            tokensForDistribution = _projects[projectID].tokensForDistribution;
+        }
+        else {
+            tokensForDistribution = 0;
+        }
+
+            _projects[projectID] = Project(
+            projectOwner,
+            paymentToken,
+            targetAmount,
+            minInvestmentAmount,
+            projectToken,
+            tokensForDistribution,
+            tokenPrice,
+            presaleStartTime,
+            projectOpenTime,
+            projectCloseTime,
+            false,
+            _projects[projectID].maxInvestmentAmount
+        );  
+        emit ProjectEdit(projectID,projectToken,projectOpenTime,projectCloseTime);
+      }
+
+    /**
+     * @notice This method is used to edit a batch auction project
+     * @dev This method can only be called by the contract owner
+     * @dev Project token address can be added or zero address can be passed to add it later
+     * @dev Adding a project token would initialize a transfer of tokensForDistribution, project token
+     * and tokensForDistribution cannot be changed once added
+     * @param projectID ID of the Project to be edited
+     * @param projectOwner Address of the Project owner
+     * @param paymentToken Payment token to be used for the Project
+     * @param targetAmount Maximum amount that can be raised in Project
+     * @param minInvestmentAmount Minimum amount of payment token that can be invested in Project
+     * @param projectToken Address of Project token
+     * @param tokensForDistribution Amount of Project tokens sold in the auction
+     * @param projectOpenTime Project open timestamp
+     * @param projectCloseTime Project close timestamp
+     */
+    function editBatchAuctionProject(
+        string calldata projectID,
+        address projectOwner,
+        address paymentToken,
+        uint256 targetAmount,
+        uint256 minInvestmentAmount,
+        address projectToken,
+        uint256 tokensForDistribution,
+        uint256 projectOpenTime,
+        uint256 projectCloseTime
+    ) external
+      onlyRole(PROJECT_MANAGER_ROLE)
+      nonReentrant{
+        require(
+            _projectExist(projectID),
+            "Launchpad: Project does not exist"
+        );
+        require(
+            _batchAuctionTokens[projectID] != 0,
+            "Launchpad: Project is not a batch auction"
+        );
+        require(
+            projectOwner != address(0),
+            "Launchpad: Project owner zero"
+        );
+        require(
+            _paymentSupported[paymentToken],
+            "Launchpad: payment token not supported"
+        );
+        require(
+            !_additionalPaymentTokenAdded[projectID][paymentToken],
+            "Launchpad: payment token already accepted"
+        );
+        require(targetAmount != 0, "Launchpad: target amount zero");
+        require(
+            targetAmount >= _softCaps[projectID],
+            "Launchpad: target amount less than soft cap"
+        );
+        require(
+            tokensForDistribution != 0,
+            "Launchpad: tokens for distribution zero"
+        );
+        require(projectOpenTime < projectCloseTime,
+            "Launchpad: invalid timestamps"
+        );
+
+        Project memory project = _projects[projectID];
+        if(project.projectToken != address(0))
+        {
+            require(projectToken == project.projectToken,
+                    "Launchpad: Project token already added");
+            require(tokensForDistribution == project.tokensForDistribution,
+                    "Launchpad: tokens for distribution already added");
+        }
+        else if(projectToken != address(0))
+        {
+            _depositProjectTokens(projectID, projectOwner, projectToken, tokensForDistribution);
+        }
+
+        _projects[projectID] = Project(
+            projectOwner,
+            paymentToken,
+            targetAmount,
+            minInvestmentAmount,
+            projectToken,
+            projectToken == address(0) ? 0 : tokensForDistribution,
+            0,
+            0,
+            projectOpenTime,
+            projectCloseTime,
+            false,
+            project.maxInvestmentAmount
+        );
+        _batchAuctionTokens[projectID] = tokensForDistribution;
+        emit ProjectEdit(projectID,projectToken,projectOpenTime,projectCloseTime);
+    }
+
+    /**
+     * @notice This method is used to edit a project with pre sale round
+     * @dev This method can only be called by the contract owner
+     * @dev Project token address can be added or zero address can be passed to add it later
+     * @dev Adding a project token would initialize a transfer and project token can only be added once
+     * @param projectID ID of the Project to be added
+     * @param projectOwner Address of the Project owner
+     * @param paymentToken Payment token to be used for the Project
+     * @param minInvestmentAmount Minimum amount of payment token that can be invested in Project
+     * @param projectToken Address of Project token
+     * @param timeStamps Array of project timestamps
+     * timeStamps[0] = presaleStartTime
+     * timeStamps[1] = presaleEndTime
+     * timeStamps[2] = projectOpenTime
+     * timeStamps[3] = projectCloseTime
+     */
+    function editPresaleProject(
+        string calldata projectID,
+        address projectOwner,
+        address paymentToken,
+        uint256 minInvestmentAmount,
+        address projectToken,
+        uint256[4] calldata timeStamps
+    ) external
+      onlyRole(PROJECT_MANAGER_ROLE)
+      nonReentrant{
+        require(
+            _projectExist(projectID),
+            "Launchpad: Project does not exist"
+        );
+        require(
+            projectOwner != address(0),
+            "Launchpad: Project owner zero"
+        );
+        require(
+            _batchAuctionTokens[projectID] == 0,
+            "Launchpad: Project is a batch auction"
+        );
+        require(
+            _paymentSupported[paymentToken],
+            "Launchpad: payment token not supported"
+        );
+        require(
+            !_additionalPaymentTokenAdded[projectID][paymentToken],
+            "Launchpad: payment token already accepted"
+        );
+        require(
+                block.timestamp < timeStamps[0] &&
+                timeStamps[0] < timeStamps[1] &&
+                timeStamps[1] <= timeStamps[2] &&
+                timeStamps[2] < timeStamps[3],
+            "Launchpad: Project invalid timestamps"
+        );
+
+        uint256 tokensForDistribution;
+        if(projectToken != address(0) && _projects[projectID].projectToken == address(0))
+        {
+            tokensForDistribution = _estimateProjectTokens(
+                        projectToken,
+                        _presalePrices[projectID],
+                        _projects[projectID].targetAmount);
+            _depositProjectTokens(projectID, projectOwner, projectToken, tokensForDistribution);            
+        }
+        else if(projectToken != address(0) && _projects[projectID].projectToken != address(0))
+        {
+            require(projectToken == _projects[projectID].projectToken,
+                    "Launchpad: Project token already added");
+            tokensForDistribution = _projects[projectID].tokensForDistribution;
+        }
+        else {
+            tokensForDistribution = 0;
+        }
+
+        _projects[projectID] = Project(
+        projectOwner,
+        paymentToken,
+        _projects[projectID].targetAmount,
+        minInvestmentAmount,
+        projectToken,
+        tokensForDistribution,
+        _projects[projectID].tokenPrice,
+        timeStamps[0],
+        timeStamps[2],
+        timeStamps[3],
+        false,
+        _projects[projectID].maxInvestmentAmount
+        );
+        _presaleEndTimes[projectID] = timeStamps[1];   
+        emit ProjectEdit(projectID,projectToken,timeStamps[2],timeStamps[3]);
+        emit NotifyPresaleData(projectID, timeStamps[0], timeStamps[1], _presalePrices[projectID]);
+      }
+
+    /**
+     * @notice This method is used to cancel an Project
+     * @dev This method can only be called by the contract owner
+     * @param projectID ID of the Project
+     */
+    function cancelIDO(string calldata projectID)
+        external
+        onlyValidProject(projectID)
+        onlyRole(PROJECT_MANAGER_ROLE)
+    {
+        Project memory project = _projects[projectID];
+        require(
+            !project.cancelled,
+            "Launchpad: Project already cancelled"
+        );
+        require(
+            block.timestamp < project.projectCloseTime,
+            "Launchpad: Project is closed"
+        );
+
+        _projects[projectID].cancelled = true;
+        if(project.projectToken != address(0)){
+            IERC20Upgradeable(project.projectToken).safeTransfer(
+                project.projectOwner,
+                _projectTokenDeposit(projectID, project.tokensForDistribution)
+            );
+        }
+        emit ProjectCancel(projectID);
+    }
+
+    /**
+     * @notice This method is used to register Projects added before the project registry existed
+     * @dev This method can only be called by the contract owner or a project manager
+     * @dev Projects are numbered in the order they are registered
+     * @param projectIDs IDs of the Projects to be registered
+     */
+    function registerProjects(string[] calldata projectIDs)
+        external
+        onlyRole(PROJECT_MANAGER_ROLE)
+    {
+        for (uint256 i = 0; i < projectIDs.length; i++) {
+            require(_projectExist(projectIDs[i]), "Launchpad: invalid Project");
+            require(
+                _projectNumbers[projectIDs[i]] == 0,
+                "Launchpad: Project already registered"
+            );
+            _registerProject(projectIDs[i]);
+        }
+    }
+
+    /**
+     * @notice This method is used to delete a Project before it opens up for investment
+     * @dev This method can only be called by the contract owner
+     * @param projectID ID of the Project
+     */
+    function deleteIDO(string calldata projectID)
+        external
+        onlyValidProject(projectID)
+        onlyRole(PROJECT_MANAGER_ROLE)
+    {
+        Project memory project = _projects[projectID];
+        require(
+            !project.cancelled,
+            "Launchpad: Project already cancelled"
+        );
+        require(
+            block.timestamp < project.projectOpenTime,
+            "Launchpad: Project is open"
+        );
+
+        _projects[projectID].cancelled = true;
+        if(project.projectToken != address(0)){
+            IERC20Upgradeable(project.projectToken).safeTransfer(
+                project.projectOwner,
+                _projectTokenDeposit(projectID, project.tokensForDistribution)
+            );
+        }
+        emit ProjectDelete(projectID);
+    }
+
+    /* Project end*/
+
+    /**
+     * @notice Delegates calls to functions of the view module
+     */
+    fallback() external {
+        _delegate(viewModule);
+    }
+}
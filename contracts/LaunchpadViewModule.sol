@@ -0,0 +1,898 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./LaunchpadBase.sol";
+
+/**
+ * @title Launchpad view module
+ * @dev View functions of the Launchpad, run by the Launchpad through delegatecall
+ */
+
+contract LaunchpadViewModule is LaunchpadBase {
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /* View */
+
+    /**
+     * @notice This method is used to check if a payment token is supported
+     * @param _paymentToken Address of the token
+     */
+    function isPaymentTokenSupported(address _paymentToken)
+        external
+        view
+        returns (bool)
+    {
+        return _paymentSupported[_paymentToken];
+    }
+
+    /**
+     * @notice This method is used to check if a Project exist
+     * @param projectID ID of the Project
+     * @return bool whether the given projectID exists or not
+     */
+    function projectExist(string calldata projectID)
+        external
+        view
+        returns (bool)
+    {
+        return _projectExist(projectID);
+    }
+
+    /**
+     * @notice This method is used to get Project details
+     * @param projectID ID of the Project
+     * @return the Project record for the particular projectID
+     */
+    function getProject(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (Project memory)
+    {
+        return _projects[projectID];
+    }
+
+    /**
+     * @notice This method is used to get Project Investment details
+     * @param projectID ID of the Project
+     * @return ProjectInvestment record for the particular projectID
+     */
+    function getProjectInvestment(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (ProjectInvestment memory)
+    {
+        return _projectInvestments[projectID];
+    }
+
+    /**
+     * @notice This method is used to get the number of Projects in the project registry
+     * @return uint256 number of registered Projects
+     */
+    function getProjectCount() external view returns (uint256) {
+        return _projectIDs.length;
+    }
+
+    /**
+     * @notice This method is used to get the numeric ID of a Project
+     * @param projectID ID of the Project
+     * @return uint256 numeric ID of the Project, 0 if the Project is not registered
+     */
+    function getProjectNumber(string calldata projectID)
+        external
+        view
+        returns (uint256)
+    {
+        return _projectNumbers[projectID];
+    }
+
+    /**
+     * @notice This method is used to get the ID of a Project from its numeric ID
+     * @param projectNumber Numeric ID of the Project
+     * @return string ID of the Project
+     */
+    function getProjectID(uint256 projectNumber)
+        external
+        view
+        returns (string memory)
+    {
+        require(
+            projectNumber != 0 && projectNumber <= _projectIDs.length,
+            "Launchpad: invalid Project number"
+        );
+        return _projectIDs[projectNumber - 1];
+    }
+
+    /**
+     * @notice This method is used to get the status of a Project
+     * @param projectID ID of the Project
+     * @return ProjectStatus Upcoming, Open, Closed or Cancelled
+     */
+    function getProjectStatus(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (ProjectStatus)
+    {
+        return _getProjectStatus(_projects[projectID]);
+    }
+
+    /**
+     * @notice This method is used to get the Project, investment and presale data of a Project
+     * @param projectID ID of the Project
+     * @return ProjectDetails record for the particular projectID
+     */
+    function getProjectDetails(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (ProjectDetails memory)
+    {
+        return _getProjectDetails(projectID);
+    }
+
+    /**
+     * @notice This method is used to get registered Projects in the order they were registered
+     * @param offset Number of Projects to skip
+     * @param limit Maximum number of Projects to return
+     * @return ProjectDetails records of the Projects in the page
+     */
+    function getProjects(uint256 offset, uint256 limit)
+        external
+        view
+        returns (ProjectDetails[] memory)
+    {
+        uint256 count = _pageLength(_projectIDs.length, offset, limit);
+        ProjectDetails[] memory projects = new ProjectDetails[](count);
+        for (uint256 i = 0; i < count; i++) {
+            projects[i] = _getProjectDetails(_projectIDs[offset + i]);
+        }
+        return projects;
+    }
+
+    /**
+     * @notice This method is used to get the number of registered Projects with a status
+     * @param status Status of the Projects
+     * @return count number of registered Projects with the status
+     */
+    function getProjectCountByStatus(ProjectStatus status)
+        external
+        view
+        returns (uint256 count)
+    {
+        for (uint256 i = 0; i < _projectIDs.length; i++) {
+            if (_getProjectStatus(_projects[_projectIDs[i]]) == status) {
+                count++;
+            }
+        }
+    }
+
+    /**
+     * @notice This method is used to get registered Projects with a status
+     * @dev Offset and limit apply to the Projects with the status, in the order they were registered
+     * @param status Status of the Projects
+     * @param offset Number of Projects with the status to skip
+     * @param limit Maximum number of Projects to return
+     * @return ProjectDetails records of the Projects in the page
+     */
+    function getProjectsByStatus(
+        ProjectStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ProjectDetails[] memory) {
+        // no more Projects than registered after the offset can match
+        limit = _pageLength(_projectIDs.length, offset, limit);
+        ProjectDetails[] memory projects = new ProjectDetails[](limit);
+        uint256 found;
+        uint256 matched;
+        for (uint256 i = 0; i < _projectIDs.length && found < limit; i++) {
+            if (_getProjectStatus(_projects[_projectIDs[i]]) != status) {
+                continue;
+            }
+            if (matched++ < offset) {
+                continue;
+            }
+            projects[found++] = _getProjectDetails(_projectIDs[i]);
+        }
+        ProjectDetails[] memory page = new ProjectDetails[](found);
+        for (uint256 i = 0; i < found; i++) {
+            page[i] = projects[i];
+        }
+        return page;
+    }
+
+    /**
+     * @notice This method is used to get Project Investment details of an investor
+     * @param projectID ID of the Project
+     * @param investor Address of the investor
+     * @return Investor record for an investor for a particular projectID
+     */
+    function getInvestor(string calldata projectID, address investor)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (Investor memory)
+    {
+        return _projectInvestors[projectID][investor];
+    }
+
+    /**
+     * @notice This method is used to get the number of investors in a Project
+     * @dev Refunded investors are still counted
+     * @param projectID ID of the Project
+     * @return uint256 number of investors in the Project
+     */
+    function getInvestorCount(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _projectInvestorAddresses[projectID].length;
+    }
+
+    /**
+     * @notice This method is used to get the addresses of investors in a Project
+     * @param projectID ID of the Project
+     * @param offset Number of investors to skip, in the order of their first investment
+     * @param limit Maximum number of investors to return
+     * @return investors Addresses of the investors in the page
+     */
+    function getInvestorAddresses(
+        string calldata projectID,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        onlyValidProject(projectID)
+        returns (address[] memory investors)
+    {
+        address[] storage investorAddresses = _projectInvestorAddresses[projectID];
+        uint256 count = _pageLength(investorAddresses.length, offset, limit);
+        investors = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            investors[i] = investorAddresses[offset + i];
+        }
+    }
+
+    /**
+     * @notice This method is used to get the investments and claim status of investors in a Project
+     * @param projectID ID of the Project
+     * @param offset Number of investors to skip, in the order of their first investment
+     * @param limit Maximum number of investors to return
+     * @return investors InvestorDetails records of the investors in the page
+     */
+    function getInvestors(
+        string calldata projectID,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        onlyValidProject(projectID)
+        returns (InvestorDetails[] memory investors)
+    {
+        address[] storage investorAddresses = _projectInvestorAddresses[projectID];
+        uint256 count = _pageLength(investorAddresses.length, offset, limit);
+        bool hasPresale = _projects[projectID].winnersOutTime != 0;
+        investors = new InvestorDetails[](count);
+        for (uint256 i = 0; i < count; i++) {
+            address investor = investorAddresses[offset + i];
+            Investor storage record = _projectInvestors[projectID][investor];
+            investors[i] = InvestorDetails(
+                investor,
+                record.investment,
+                _presaleInvestments[projectID][investor],
+                hasPresale
+                    ? _publicInvestments[projectID][investor]
+                    : record.investment,
+                record.tier,
+                _claimedProjectTokens[projectID][investor],
+                record.claimed,
+                record.refunded
+            );
+        }
+    }
+
+    /**
+     * @notice This method is used to get the presale round investment of an investor
+     * @dev Presale round investment is checked against the allocation of the investor in the whitelist
+     * @param projectID ID of the Project
+     * @param investor Address of the investor
+     * @return Amount of payment token invested in the presale round
+     */
+    function getPresaleInvestment(string calldata projectID, address investor)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _presaleInvestments[projectID][investor];
+    }
+
+    /**
+     * @notice This method is used to get the maximum presale round investment per wallet of a tier
+     * @param projectID ID of the Project
+     * @param tier Allocation tier
+     * @return Maximum amount of payment token a wallet in the tier can invest, 0 for no limit
+     */
+    function getTierMaxInvestment(string calldata projectID, uint256 tier)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _tierMaxInvestments[projectID][tier];
+    }
+
+    /**
+     * @notice This method is used to get the minimum total stake of each staking tier of a Project
+     * @param projectID ID of the Project
+     * @return Minimum total stake of each tier, tier 1 first
+     */
+    function getStakingTiers(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256[] memory)
+    {
+        return _stakingTiers[projectID];
+    }
+
+    /**
+     * @notice This method is used to get the maximum presale round investment per wallet of a staking tier
+     * @param projectID ID of the Project
+     * @param tier Staking tier
+     * @return Maximum amount of payment token a staker in the tier can invest
+     */
+    function getStakingTierMaxInvestment(string calldata projectID, uint256 tier)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _stakingTierMaxInvestments[projectID][tier];
+    }
+
+    /**
+     * @notice This method is used to get the timestamp at which the total stake of stakers sets their tier
+     * @param projectID ID of the Project
+     * @return Snapshot time of the staking tiers
+     */
+    function getStakingSnapshotTime(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _stakingSnapshotTimes[projectID];
+    }
+
+    /**
+     * @notice This method is used to get the presale round investment still reserved for a staking tier
+     * @param projectID ID of the Project
+     * @param tier Staking tier
+     * @return Amount of payment token reserved for the stakers in the tier
+     */
+    function getTierReservedInvestment(string calldata projectID, uint256 tier)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _tierReservedInvestments[projectID][tier];
+    }
+
+    /**
+     * @notice This method is used to get the staking tier of an investor in a Project
+     * @dev Tier is derived from the total stake of the investor in the Staking contract at the
+     * snapshot time of the Project
+     * @param projectID ID of the Project
+     * @param investor Address of the investor
+     * @return Staking tier of the investor, 0 if the lowest tier is not reached or the snapshot
+     * time has not passed
+     */
+    function getStakingTier(string calldata projectID, address investor)
+        external
+        view
+        returns (uint256)
+    {
+        return _getStakingTier(projectID, investor);
+    }
+
+    /**
+     * @notice This method is used to get the USD price feed of a payment token
+     * @param paymentToken Payment token, zero address for BNB
+     * @return USD price feed of the payment token
+     */
+    function getPriceFeed(address paymentToken)
+        external
+        view
+        returns (PriceFeed memory)
+    {
+        return _priceFeeds[paymentToken];
+    }
+
+    /**
+     * @notice This method is used to check if a Project is priced in USD
+     * @param projectID ID of the Project
+     * @return Whether amounts and prices of the Project are in USD
+     */
+    function isUSDPriced(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (bool)
+    {
+        return _usdPriced[projectID];
+    }
+
+    /**
+     * @notice This method is used to check if a Project is frozen
+     * @param projectID ID of the Project
+     * @return Whether investments, claims and collections are paused on the Project
+     */
+    function isProjectFrozen(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (bool)
+    {
+        return _frozenProjects[projectID];
+    }
+
+    /**
+     * @notice This method is used to get the ID of a timelocked change
+     * @param action Name of the function making the change, e.g. setFee
+     * @param params ABI encoded parameters of the function
+     * @return ID of the change
+     */
+    function getChangeID(string calldata action, bytes calldata params)
+        external
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(action, params));
+    }
+
+    /**
+     * @notice This method is used to get the time from which a queued change can be executed
+     * @param changeID ID of the change
+     * @return Timestamp from which the change can be executed, 0 if not queued
+     */
+    function getChangeExecutionTime(bytes32 changeID) external view returns (uint256) {
+        return _changeExecutionTimes[changeID];
+    }
+
+    /**
+     * @notice This method is used to get the fees paid by a Project
+     * @param projectID ID of the Project
+     * @return _feePercentage Percentage of Funds raised to be paid as fee
+     * @return projectTokenFeePercentage Percentage of Project tokens sold to be paid as fee
+     */
+    function getProjectFee(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256 _feePercentage, uint256 projectTokenFeePercentage)
+    {
+        ProjectFee memory projectFee = _projectFees[projectID];
+        if (!projectFee.overridden) return (feePercentage, 0);
+        return (projectFee.feePercentage, projectFee.projectTokenFeePercentage);
+    }
+
+    /**
+     * @notice This method is used to get the referrer credited with the investments of an investor
+     * @param projectID ID of the Project
+     * @param investor Address of the investor
+     * @return Address of the referrer, zero if not referred
+     */
+    function getReferrer(string calldata projectID, address investor)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (address)
+    {
+        return _investorReferrers[projectID][investor];
+    }
+
+    /**
+     * @notice This method is used to get the referral stats of a referrer in a Project
+     * @param projectID ID of the Project
+     * @param referrer Address of the referrer
+     * @return referredInvestment Value of investments of the investors referred
+     * @return referralCount Number of investors referred
+     * @return rewardsClaimed Whether the referral rewards are claimed
+     */
+    function getReferralStats(string calldata projectID, address referrer)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256 referredInvestment, uint256 referralCount, bool rewardsClaimed)
+    {
+        return (
+            _referredInvestments[projectID][referrer],
+            _referralCounts[projectID][referrer],
+            _referralRewardsClaimed[projectID][referrer]
+        );
+    }
+
+    /**
+     * @notice This method is used to get the value of all referred investments in a Project
+     * @param projectID ID of the Project
+     * @return Value of investments of all referred investors
+     */
+    function getProjectReferredInvestment(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _projectReferredInvestments[projectID];
+    }
+
+    /**
+     * @notice This method is used to get the referral rewards of a referrer in each payment token
+     * @dev Rewards are zero until the investment of the Project is collected
+     * @param projectID ID of the Project
+     * @param referrer Address of the referrer
+     * @return paymentTokens Payment tokens of the Project
+     * @return rewards Rewards of the referrer in each payment token, zero once claimed
+     */
+    function getReferralRewards(string calldata projectID, address referrer)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (address[] memory paymentTokens, uint256[] memory rewards)
+    {
+        paymentTokens = _getProjectPaymentTokens(projectID);
+        rewards = new uint256[](paymentTokens.length);
+        if (_referralRewardsClaimed[projectID][referrer]) return (paymentTokens, rewards);
+        for (uint256 i; i < paymentTokens.length; ++i) {
+            rewards[i] = _referralReward(projectID, referrer, paymentTokens[i]);
+        }
+    }
+
+    /**
+     * @notice This method is used to get the recipients of the platform fee
+     * @return recipients Addresses receiving a share of the platform fee, empty if the owner receives it
+     * @return shares Share of each recipient out of 10000
+     */
+    function getFeeRecipients()
+        external
+        view
+        returns (address[] memory recipients, uint256[] memory shares)
+    {
+        return (_feeRecipients, _feeRecipientShares);
+    }
+
+    /**
+     * @notice This method is used to get the USD value of a payment
+     * @dev Reverts if the price feed of the payment token is not set or its answer is stale
+     * @param paymentToken Payment token, zero address for BNB
+     * @param amount Amount of the payment token
+     * @return USD value of the payment with 18 decimals
+     */
+    function getUSDValue(address paymentToken, uint256 amount)
+        external
+        view
+        returns (uint256)
+    {
+        return _getUSDValue(paymentToken, amount);
+    }
+
+    /**
+     * @notice This method is used to get all payment tokens accepted in a Project
+     * @param projectID ID of the Project
+     * @return paymentTokens paymentToken of the Project followed by the additional payment tokens
+     */
+    function getProjectPaymentTokens(string calldata projectID)
+        external
+        view
+        returns (address[] memory paymentTokens)
+    {
+        return _getProjectPaymentTokens(projectID);
+    }
+
+    /**
+     * @notice This method is used to get the Project token price in a payment token
+     * @param projectID ID of the Project
+     * @param paymentToken Payment token
+     * @return Project token price in terms of the payment token, 0 if not accepted
+     */
+    function getPaymentTokenPrice(string calldata projectID, address paymentToken)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        if (paymentToken == _projects[projectID].paymentToken)
+            return _projects[projectID].tokenPrice;
+        return _paymentTokenPrices[projectID][paymentToken];
+    }
+
+    /**
+     * @notice This method is used to get the total investment in a payment token of a Project
+     * @param projectID ID of the Project
+     * @param paymentToken Payment token
+     * @return Total amount of the payment token invested
+     */
+    function getPaymentTokenInvestment(string calldata projectID, address paymentToken)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _paymentTokenAmount(projectID, address(0), paymentToken);
+    }
+
+    /**
+     * @notice This method is used to get the investment of an investor in a payment token
+     * @param projectID ID of the Project
+     * @param investor Address of the investor
+     * @param paymentToken Payment token
+     * @return Amount of the payment token invested by the investor
+     */
+    function getInvestorPaymentTokenInvestment(
+        string calldata projectID,
+        address investor,
+        address paymentToken
+    )
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _paymentTokenAmount(projectID, investor, paymentToken);
+    }
+
+    /**
+     * @notice This method is used to get the floor price of a Dutch auction
+     * @param projectID ID of the Project
+     * @return Project token price when the Project closes, 0 for fixed price launches
+     */
+    function getFloorPrice(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _floorPrices[projectID];
+    }
+
+    /**
+     * @notice This method is used to get the current Project token price
+     * @dev Price of a Dutch auction declines linearly from tokenPrice at projectOpenTime
+     * to the floor price at projectCloseTime, price of a batch auction is its clearing price
+     * @param projectID ID of the Project
+     * @return Project token price in terms of payment token
+     */
+    function getCurrentPrice(string calldata projectID)
+        external
+        view
+        returns (uint256)
+    {
+        return _getCurrentPrice(projectID);
+    }
+
+    /**
+     * @notice This method is used to get the price all investors of an auction settle at
+     * @dev Clearing price of a Dutch auction is the price at which the auction sold out, or the
+     * floor price if it did not, and is final once the Project closes
+     * @dev Clearing price of a batch auction is totalInvestment / tokensForDistribution,
+     * 0 until the Project token is added
+     * @param projectID ID of the Project
+     * @return Project token price in terms of payment token
+     */
+    function getClearingPrice(string calldata projectID)
+        external
+        view
+        returns (uint256)
+    {
+        return _getClearingPrice(projectID);
+    }
+
+    /**
+     * @notice This method is used to get the soft cap of a Project
+     * @param projectID ID of the Project
+     * @return Minimum total investment for the Project to succeed
+     */
+    function getSoftCap(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256)
+    {
+        return _softCaps[projectID];
+    }
+
+    /**
+     * @notice This method is used to check if a Project closed below its soft cap
+     * @dev a Project is closed from projectCloseTime on, when it stops accepting investments
+     * @param projectID ID of the Project
+     * @return bool whether the Project has failed
+     */
+    function isProjectFailed(string calldata projectID)
+        external
+        view
+        returns (bool)
+    {
+        return _isProjectFailed(projectID);
+    }
+
+    /**
+     * @notice This method is used to check if a Project accepts investments above its target
+     * @param projectID ID of the Project
+     * @return bool whether oversubscription is enabled for the projectID
+     */
+    function isOversubscriptionEnabled(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (bool)
+    {
+        return _oversubscriptionEnabled[projectID];
+    }
+
+    /**
+     * @notice This method is used to get the final allocation of an investor
+     * @dev Allocations of an oversubscribed Project are final only after it closes
+     * @param projectID ID of the Project
+     * @param investor Address of the investor
+     * @return acceptedInvestment Payment tokens accepted for Project tokens
+     * @return excessInvestment Payment tokens to be refunded
+     */
+    function getInvestorAllocation(string calldata projectID, address investor)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256 acceptedInvestment, uint256 excessInvestment)
+    {
+        uint256 investment = _projectInvestors[projectID][investor].investment;
+        acceptedInvestment = _acceptedInvestment(projectID, investment);
+        excessInvestment = _excessInvestment(projectID, investment);
+    }
+
+    /**
+     * @notice This method is used to get the release schedule of Project tokens
+     * @param projectID ID of the Project
+     * @return ReleaseSchedule record for the particular projectID
+     */
+    function getReleaseSchedule(string calldata projectID)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (ReleaseSchedule memory)
+    {
+        return _releaseSchedules[projectID];
+    }
+
+    /**
+     * @notice This method is used to get the vesting status of an investor's Project tokens
+     * @param projectID ID of the Project
+     * @param investor Address of the investor
+     * @return claimable Project tokens unlocked and not claimed yet
+     * @return claimed Project tokens already claimed
+     * @return locked Project tokens not unlocked yet
+     */
+    function getVestingStatus(string calldata projectID, address investor)
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256 claimable, uint256 claimed, uint256 locked)
+    {
+        if (
+            _projects[projectID].cancelled ||
+            _projects[projectID].projectToken == address(0) ||
+            _projectInvestors[projectID][investor].investment == 0
+        ) return (0, 0, 0);
+
+        uint256 projectTokens = _projectTokensOf(projectID, investor);
+        uint256 unlockedTokens = _unlockedProjectTokens(projectID, projectTokens);
+        claimed = _claimedProjectTokens[projectID][investor];
+        claimable = unlockedTokens - claimed;
+        locked = projectTokens - unlockedTokens;
+    }
+
+    /**
+     * @notice Helper function to estimate Project token amount for payment
+     * @param amount Amount of payment tokens
+     * @param projectToken Address of the Project token
+     * @param tokenPrice Price for Project token
+     */
+    function estimateProjectTokens(
+        address projectToken,
+        uint256 tokenPrice,
+        uint256 amount
+    ) external view returns (uint256 projectTokenCount) {
+        return _estimateProjectTokens(projectToken, tokenPrice, amount);
+    }
+
+    /**
+     * @notice Helper function to estimate Project token amount for payment
+     * @dev Estimate for a batch auction assumes amount is invested on top of the current investment
+     * @param projectID ID of the Project
+     * @param amount Amount of payment tokens
+     */
+    function estimateProjectTokensById(
+        string calldata projectID,
+        uint256 amount
+    )
+        external
+        view
+        onlyValidProject(projectID)
+        returns (uint256 projectTokenCount)
+    {
+        if(_batchAuctionTokens[projectID] != 0){
+            projectTokenCount =
+                (amount * _batchAuctionTokens[projectID]) /
+                (_projectInvestments[projectID].totalInvestment + amount);
+        }
+        else if(_projects[projectID].projectToken != address(0)){
+            uint256 projectTokenDecimals = uint256(
+                IERC20MetadataUpgradeable(_projects[projectID].projectToken)
+                    .decimals()
+            );
+            projectTokenCount =
+                (amount * 10**projectTokenDecimals) /
+                _getCurrentPrice(projectID);
+        }    
+    }
+
+    /**
+     * @notice This method is used to check if an account has a role
+     * @param role Role to be checked
+     * @param account Address of the account
+     * @return Whether the account is a member of the role
+     */
+    function hasRole(bytes32 role, address account) external view returns (bool) {
+        return _roles[role][account];
+    }
+
+    /**
+     * @notice This method is used to get the role allowed to grant and revoke a role
+     * @param role Role to be checked
+     * @return Admin role of the role, the sub admin role if not set
+     */
+    function getRoleAdmin(bytes32 role) external view returns (bytes32) {
+        return _getRoleAdmin(role);
+    }
+
+    /**
+     * @notice This method is used to get the number of members of a role
+     * @param role Role to be checked
+     * @return Number of accounts having the role
+     */
+    function getRoleMemberCount(bytes32 role) external view returns (uint256) {
+        return _roleMembers[role].length;
+    }
+
+    /**
+     * @notice This method is used to get a member of a role
+     * @dev Members are not kept in any particular order and may move when a member is removed
+     * @param role Role to be checked
+     * @param index Position of the member
+     * @return Address of the member
+     */
+    function getRoleMember(bytes32 role, uint256 index) external view returns (address) {
+        require(index < _roleMembers[role].length, "Launchpad: role member index out of bounds");
+        return _roleMembers[role][index];
+    }
+
+    /**
+     * @notice This method is used to get all members of a role
+     * @param role Role to be checked
+     * @return Addresses of the accounts having the role
+     */
+    function getRoleMembers(bytes32 role) external view returns (address[] memory) {
+        return _roleMembers[role];
+    }
+
+    /* View end*/
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./interfaces/IAggregatorV3.sol";
+
+contract MockAggregator is IAggregatorV3 {
+    uint8 public override decimals;
+    uint80 private _roundId;
+    int256 private _answer;
+    uint256 private _updatedAt;
+
+    constructor(uint8 decimals_, int256 answer_) {
+        decimals = decimals_;
+        setAnswer(answer_);
+    }
+
+    function setAnswer(int256 answer_) public {
+        ++_roundId;
+        _answer = answer_;
+        _updatedAt = block.timestamp;
+    }
+
+    function setUpdatedAt(uint256 updatedAt_) external {
+        _updatedAt = updatedAt_;
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        return (_roundId, _answer, _updatedAt, _updatedAt, _roundId);
+    }
+}
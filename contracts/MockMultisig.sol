@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+contract MockMultisig {
+    struct Batch {
+        address[] targets;
+        bytes[] data;
+        uint256 confirmations;
+        bool executed;
+    }
+
+    mapping(address => bool) public isSigner;
+    uint256 public threshold;
+    Batch[] private _batches;
+    mapping(uint256 => mapping(address => bool)) public confirmed;
+
+    constructor(address[] memory signers_, uint256 threshold_) {
+        require(threshold_ > 0 && threshold_ <= signers_.length, "MockMultisig: invalid threshold");
+        for (uint256 i = 0; i < signers_.length; i++) {
+            isSigner[signers_[i]] = true;
+        }
+        threshold = threshold_;
+    }
+
+    modifier onlySigner() {
+        require(isSigner[msg.sender], "MockMultisig: not a signer");
+        _;
+    }
+
+    function submit(address[] calldata targets, bytes[] calldata data)
+        external
+        onlySigner
+        returns (uint256 batchId)
+    {
+        require(targets.length == data.length, "MockMultisig: length mismatch");
+        batchId = _batches.length;
+        _batches.push();
+        Batch storage batch = _batches[batchId];
+        batch.targets = targets;
+        batch.data = data;
+        confirm(batchId);
+    }
+
+    function confirm(uint256 batchId) public onlySigner {
+        require(!confirmed[batchId][msg.sender], "MockMultisig: already confirmed");
+        confirmed[batchId][msg.sender] = true;
+        _batches[batchId].confirmations++;
+    }
+
+    function execute(uint256 batchId) external onlySigner {
+        Batch storage batch = _batches[batchId];
+        require(!batch.executed, "MockMultisig: already executed");
+        require(batch.confirmations >= threshold, "MockMultisig: not enough confirmations");
+        batch.executed = true;
+        for (uint256 i = 0; i < batch.targets.length; i++) {
+            (bool success, bytes memory result) = batch.targets[i].call(batch.data[i]);
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+    }
+
+    function batchCount() external view returns (uint256) {
+        return _batches.length;
+    }
+}
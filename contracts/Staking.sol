@@ -6,16 +6,51 @@ import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.
 
 /**
  * @title Staking
- * @dev Smart contract houses 4 vaults into which users can stake their ZMT tokens to earn rewards.
+ * @dev Smart contract houses vaults into which users can stake their ZMT tokens to earn rewards.
  */
 contract Staking is ReentrancyGuardUpgradeable {
     using SafeERC20Upgradeable for IERC20Upgradeable;
 
+    // Longest delay of timelocked changes
+    uint256 public constant MAXIMUM_TIMELOCK_DELAY = 30 days;
+
+    // Scale of the reward per staked token of emission vaults
+    uint256 private constant REWARD_PER_TOKEN_PRECISION = 1e18;
+
+    // Most reward tokens a vault can pay besides the staking token
+    uint256 public constant MAXIMUM_REWARD_TOKENS = 5;
+
     struct StakeData {
         uint256 stakeAmount; // Stake Amount
         uint256 stakingTime; // First staking time
         uint256 stakeUnlockTime; // Stake Unlock Timestamp
         uint256 rewardPerSecond; // Reward for this stake per second
+        uint256 vault; // Vault of the stake
+    }
+
+    struct Vault {
+        string name; // Display name of the vault
+        uint256 lockingPeriod; // Locking period in seconds
+        uint256 rewardRate; // APY rate, 10000 max
+        uint256 minStake; // Minimum amount of a stake, 0 for no minimum
+        uint256 maxStake; // Maximum total stake of a staker in the vault, 0 for no limit
+        uint256 capacity; // Maximum total stake in the vault, 0 for no limit
+        uint256 totalStaked; // Total stake in the vault
+        bool active; // Whether the vault accepts new stakes
+        bool emission; // Whether rewards are streamed from an emission budget instead of a fixed APY
+    }
+
+    struct EmissionPool {
+        uint256 emissionRate; // Reward tokens streamed per second
+        uint256 periodFinish; // Timestamp at which the emission budget runs out
+        uint256 lastUpdateTime; // Timestamp up to which rewardPerTokenStored is accumulated
+        uint256 rewardPerTokenStored; // Reward per staked token, scaled by REWARD_PER_TOKEN_PRECISION
+        uint256 totalStaked; // Total stake of the positions sharing the emission
+    }
+
+    struct StakeCheckpoint {
+        uint256 timestamp; // Timestamp from which the total stake applies
+        uint256 totalStake; // Total stake of the staker from all the positions
     }
 
     // Total stake in the platform
@@ -45,22 +80,102 @@ contract Staking is ReentrancyGuardUpgradeable {
     // Penalties collected by the platform
     uint256 private _collectedPenalties;
 
-    // locking period vaults
+    // locking periods of the four vaults preceding the vault registry, see migrateVaults
     uint256[4] private _vaults;
 
     /* Mappings */
 
-    // staker address => vault => StakeData
+    // staker address => position => StakeData
+    // stakes made before stake positions have their vault number as position
     mapping(address => mapping(uint256 => StakeData)) private _stakeData;
-    // vault => reward rate
+    // vault => reward rate of the four vaults preceding the vault registry, see migrateVaults
     mapping(uint256 => uint256) private _rewardRate;
-    // staker => vault => exist or not
+    // staker => position => exist or not
     mapping(address => mapping(uint256 => bool)) private _stakeExist;
-    // staker address => vault => last claim time
+    // staker address => position => last claim time
     mapping(address => mapping(uint256 => uint256)) private _claimTime;
-    // staker address => vault => vault rate
+    // staker address => position => vault rate
     mapping(address => mapping(uint256 => uint256)) private _stakeRate;
 
+    // Are staking and reward claims paused
+    bool private _paused;
+
+    // Delay in seconds between queueing and executing a timelocked change, changes apply at once if 0
+    uint256 private _timelockDelay;
+
+    // change ID => timestamp from which a queued change can be executed, 0 if not queued
+    mapping(bytes32 => uint256) private _changeExecutionTimes;
+
+    // EIP-2771 forwarder allowed to relay reward claims on behalf of stakers
+    address private _trustedForwarder;
+
+    // vault => Vault{}
+    mapping(uint256 => Vault) private _vaultData;
+
+    // vaults that are added and not removed, in the order they were added
+    uint256[] private _vaultIDs;
+
+    // vault => index in _vaultIDs + 1, 0 if the vault is not added
+    mapping(uint256 => uint256) private _vaultIndexes;
+
+    // staker address => open positions of the staker
+    mapping(address => uint256[]) private _stakerPositions;
+
+    // staker address => position => index in _stakerPositions + 1, 0 if not open
+    mapping(address => mapping(uint256 => uint256)) private _stakerPositionIndexes;
+
+    // Are the four vaults preceding the vault registry migrated, true on new deployments
+    bool private _vaultsMigrated;
+
+    // Were stakes made before the vault registry, set when the vaults are migrated
+    bool private _legacyStakes;
+
+    // staker address => are stakes made before the vault registry added to the registry
+    mapping(address => bool) private _stakesMigrated;
+
+    // staker address => position of the next stake of the staker
+    mapping(address => uint256) private _nextPositionIDs;
+
+    // staker address => vault => total stake of the staker in the vault
+    mapping(address => mapping(uint256 => uint256)) private _stakerVaultStakes;
+
+    // vault => EmissionPool{} of an emission vault
+    mapping(uint256 => EmissionPool) private _emissionPools;
+
+    // staker address => position => reward per token already accounted for an emission position
+    mapping(address => mapping(uint256 => uint256)) private _rewardPerTokenPaid;
+
+    // staker address => position => can anyone compound the rewards of the position
+    mapping(address => mapping(uint256 => bool)) private _autoCompound;
+
+    // staker address => position => does the position share the emission budget of its vault
+    mapping(address => mapping(uint256 => bool)) private _emissionPositions;
+
+    // vault => reward tokens paid by the vault besides the staking token
+    mapping(uint256 => address[]) private _vaultRewardTokens;
+
+    // vault => reward token => reward rate of the reward token
+    mapping(uint256 => mapping(address => uint256)) private _vaultRewardTokenRates;
+
+    // reward token => bonus pool of the reward token
+    mapping(address => uint256) private _rewardTokenBonusPools;
+
+    // reward token => total expected reward of the reward token
+    mapping(address => uint256) private _rewardTokenExpectedBonus;
+
+    // staker address => position => reward tokens paid by the position
+    mapping(address => mapping(uint256 => address[])) private _positionRewardTokens;
+
+    // staker address => position => reward token => reward per second of the reward token
+    mapping(address => mapping(uint256 => mapping(address => uint256)))
+        private _positionRewardsPerSecond;
+
+    // staker address => total stake of the staker after each change, oldest first
+    mapping(address => StakeCheckpoint[]) private _stakeCheckpoints;
+
+    // staker address => reward token => released rewards of the reward token not yet claimed
+    mapping(address => mapping(address => uint256)) private _claimableRewardTokens;
+
     /* Events */
     /// @notice event emitted when a potential owner is added
     event NominateOwner(address indexed potentialOwner);
@@ -68,20 +183,24 @@ contract Staking is ReentrancyGuardUpgradeable {
     /// @notice event emitted when a potential owner accepts ownership
     event OwnerChanged(address indexed newOwner);
 
+    /// @notice event emitted when the nomination of a potential owner is cancelled
+    event NominationCancelled(address indexed potentialOwner);
+
     /// @notice event emitted when a user stakes
     event Stake(
         address indexed staker,
         uint256 vault,
+        uint256 positionID,
         uint256 amount,
         uint256 rewardPerSecond,
-        uint256 unStakeTime,
-        uint256 reward
+        uint256 unStakeTime
     );
 
     /// @notice event emitted when a user unstakes
     event UnStake(
         address indexed staker,
         uint256 vault,
+        uint256 positionID,
         uint256 amount,
         uint256 penalty,
         uint256 reward
@@ -112,12 +231,14 @@ contract Staking is ReentrancyGuardUpgradeable {
     event BonusPoolAmountAdded(uint256 amount, uint256 newBalance);
 
     ///@notice event emitted when rewards are claimed by a user
-    event RewardReleased(address indexed staker, uint256 vault, uint256 reward);
+    event RewardReleased(
+        address indexed staker,
+        uint256 vault,
+        uint256 positionID,
+        uint256 reward
+    );
 
-    /* 
-     * @notice event emitted when admin adds a vault
-     * @dev there can be only four APY rates maximum at a time 
-     */
+    /// @notice event emitted when admin adds a vault
     event VaultAdded(
         uint256 indexed vault,
         uint256 indexed lockingPeriod,
@@ -134,14 +255,113 @@ contract Staking is ReentrancyGuardUpgradeable {
     /// @notice event emitted when admin removes a vault
     event VaultRemoved(uint256 indexed vault, uint256 indexed lockingPeriod);
 
+    /// @notice event emitted when admin changes the name and stake limits of a vault
+    event VaultDetailsChanged(
+        uint256 indexed vault,
+        string name,
+        uint256 minStake,
+        uint256 maxStake,
+        uint256 capacity
+    );
+
+    /// @notice event emitted when admin opens or closes a vault for new stakes
+    event VaultActiveChanged(uint256 indexed vault, bool active);
+
+    /// @notice event emitted when the four vaults preceding the vault registry are migrated
+    event VaultsMigrated();
+
+    /// @notice event emitted when rewards of a position are rolled into its stake
+    event Compound(
+        address indexed staker,
+        uint256 vault,
+        uint256 positionID,
+        uint256 reward,
+        uint256 stakeAmount
+    );
+
+    /// @notice event emitted when a staker opts a position in or out of auto-compounding
+    event AutoCompoundChanged(
+        address indexed staker,
+        uint256 positionID,
+        bool enabled
+    );
+
+    /// @notice event emitted when admin sets the rate of a reward token paid by a vault
+    event VaultRewardTokenSet(
+        uint256 indexed vault,
+        address indexed rewardToken,
+        uint256 rewardRate
+    );
+
+    /// @notice event emitted when owner adds tokens to the bonus pool of a reward token
+    event RewardTokenBonusPoolAmountAdded(
+        address indexed rewardToken,
+        uint256 amount,
+        uint256 newBalance
+    );
+
+    /// @notice event emitted when owner withdraws the unreserved bonus pool of a reward token
+    event RewardTokenBalanceWithdraw(
+        address indexed owner,
+        address indexed rewardToken,
+        uint256 balance
+    );
+
+    /// @notice event emitted when rewards of a reward token are released to a user
+    event RewardTokenReleased(
+        address indexed staker,
+        uint256 vault,
+        uint256 positionID,
+        address indexed rewardToken,
+        uint256 reward
+    );
+
+    /// @notice event emitted when a user claims the released rewards of a reward token
+    event RewardTokenClaimed(
+        address indexed staker,
+        address indexed rewardToken,
+        uint256 reward
+    );
+
+    /// @notice event emitted when owner adds a reward budget to an emission vault
+    event EmissionBudgetAdded(
+        uint256 indexed vault,
+        uint256 amount,
+        uint256 emissionRate,
+        uint256 periodFinish
+    );
+
+    /// @notice event emitted when the owner pauses staking and reward claims
+    event Paused(address account);
+
+    /// @notice event emitted when the owner unpauses staking and reward claims
+    event Unpaused(address account);
+
+    /// @notice event emitted when a timelocked change is queued
+    event ChangeQueued(
+        bytes32 indexed changeID,
+        string action,
+        bytes params,
+        uint256 executableAt
+    );
+
+    /// @notice event emitted when a queued change is executed
+    event ChangeExecuted(bytes32 indexed changeID);
+
+    /// @notice event emitted when a queued change is cancelled
+    event ChangeCancelled(bytes32 indexed changeID);
+
+    /// @notice event emitted when the timelock delay is set
+    event TimelockDelayChanged(uint256 delay);
+
+    /// @notice event emitted when the owner sets the trusted forwarder
+    event TrustedForwarderChanged(address indexed trustedForwarder);
+
     /* Modifiers */
 
     /// @notice checks if caller is the owner
     modifier onlyOwner() {
-        require(
-            _owner == msg.sender,
-            "Staking: Only owner can call this function"
-        );
+        _checkOwner();
         _;
     }
 
@@ -160,6 +380,12 @@ contract Staking is ReentrancyGuardUpgradeable {
         _;
     }
 
+    /// @notice checks if staking is not paused
+    modifier whenNotPaused() {
+        _checkNotPaused();
+        _;
+    }
+
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
     /**
@@ -192,6 +418,7 @@ contract Staking is ReentrancyGuardUpgradeable {
         _tokenAddress = IERC20Upgradeable(tokenAddress_);
         _owner = owner_;
         _penaltyRate = penaltyRate_;
+        _vaultsMigrated = true;
     }
 
     /* View Methods Start */
@@ -199,37 +426,42 @@ contract Staking is ReentrancyGuardUpgradeable {
     /**
      * @notice This function is used to get All the stake details for a user
      * @param account address of the staker
-     * @return stakeData stake records for all vaults
-     * @return totalReward total rewards for all vaults
-     * @return claimableReward claimable rewards for all vaults
+     * @return positions open positions of the staker
+     * @return stakeData stake records for the positions
+     * @return totalReward total rewards for the positions
+     * @return claimableReward claimable rewards for the positions
      */
     function getAllStakes(address account)
         external
         view
         returns (
-            StakeData[4] memory stakeData,
-            uint256[4] memory totalReward,
-            uint256[4] memory claimableReward
+            uint256[] memory positions,
+            StakeData[] memory stakeData,
+            uint256[] memory totalReward,
+            uint256[] memory claimableReward
         )
     {
-        for (uint256 i = 0; i < 4; i++) {
-            if (!_stakeExist[account][i]) continue;
+        positions = _getStakerPositions(account);
+        stakeData = new StakeData[](positions.length);
+        totalReward = new uint256[](positions.length);
+        claimableReward = new uint256[](positions.length);
+        for (uint256 i = 0; i < positions.length; i++) {
             (stakeData[i], totalReward[i], claimableReward[i]) = getStake(
                 account,
-                i
+                positions[i]
             );
         }
     }
 
     /**
-     * @notice This function is used to get Stake's details for a particular vault
+     * @notice This function is used to get Stake's details for a particular position
      * @param account address of the staker
-     * @param vault vault number of the stake
-     * @return stakeData stake record for the particular vault
-     * @return totalReward total rewards for the particular vault
-     * @return claimableReward claimable rewards for the particular vault
+     * @param positionID position of the stake
+     * @return stakeData stake record for the particular position
+     * @return totalReward total rewards for the particular position, rewards accrued so far in an emission vault
+     * @return claimableReward claimable rewards for the particular position
      */
-    function getStake(address account, uint256 vault)
+    function getStake(address account, uint256 positionID)
         public
         view
         returns (
@@ -239,54 +471,97 @@ contract Staking is ReentrancyGuardUpgradeable {
         )
     {
         require(
-            _stakeExist[account][vault],
-            "Staking: Stake does not exist for the staker for this vault"
+            _stakeExist[account][positionID],
+            "Staking: Stake does not exist for the staker for this position"
         );
         // stake record
-        stakeData = _stakeData[account][vault];
+        stakeData = _getStakeData(account, positionID);
+
+        // emission rewards are only known up to now
+        if (_isEmissionPosition(account, positionID)) {
+            claimableReward = _getEmissionReward(
+                account,
+                positionID,
+                stakeData.stakeAmount,
+                _getRewardPerToken(_emissionPools[stakeData.vault])
+            );
+            return (stakeData, claimableReward, claimableReward);
+        }
 
-        // total reward per vault
+        // total reward per position
         totalReward = _getTotalReward(
             stakeData.rewardPerSecond,
             (stakeData.stakeUnlockTime - stakeData.stakingTime)
         );
 
-        // claimable reward per vault
+        // claimable reward per position
         claimableReward = _getTotalReward(
             stakeData.rewardPerSecond,
-            _getInterval(stakeData.stakeUnlockTime, _claimTime[account][vault])
+            _getInterval(stakeData.stakeUnlockTime, _claimTime[account][positionID])
         );
     }
 
     /**
      * @notice This function is used to get Total staked amount a particular account
      * @param account address of the staker
-     * @return totalStake_ total staked amount from all the vaults
+     * @return totalStake_ total staked amount from all the positions
      */
     function getTotalStake(address account)
-        external
+        public
         view
         returns (uint256 totalStake_)
     {
-        for (uint256 i; i < 4; i++) {
-            totalStake_ += _stakeData[account][i].stakeAmount;
+        uint256[] memory positions = _getStakerPositions(account);
+        for (uint256 i; i < positions.length; i++) {
+            totalStake_ += _stakeData[account][positions[i]].stakeAmount;
+        }
+    }
+
+    /**
+     * @notice This function is used to get the total staked amount of an account at a past timestamp
+     * @dev stakes made before the vault registry count from their staking time
+     * @param account address of the staker
+     * @param timestamp past timestamp, the total stake at the end of it is returned
+     * @return total staked amount from all the positions at the timestamp
+     */
+    function getTotalStakeAt(address account, uint256 timestamp)
+        external
+        view
+        returns (uint256)
+    {
+        require(timestamp < block.timestamp, "Staking: Timestamp not in the past");
+
+        if (_hasLegacyStakes() && !_stakesMigrated[account]) {
+            return _getLegacyStakeAt(account, timestamp);
         }
+
+        StakeCheckpoint[] storage checkpoints = _stakeCheckpoints[account];
+        uint256 low;
+        uint256 high = checkpoints.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (checkpoints[mid].timestamp > timestamp) high = mid;
+            else low = mid + 1;
+        }
+        return high == 0 ? 0 : checkpoints[high - 1].totalStake;
     }
 
     /**
      * @notice This function is used to get all the vault's details
-     * @return lockingPeriod all durations for staking in seconds
-     * @return rewardRate all APY rates
+     * @dev removed vaults are left out
+     * @return vaults vault numbers in the order they were added
+     * @return vaultData vault records of the vaults
      */
     function getAllVaults()
         external
         view
-        returns (uint256[4] memory lockingPeriod, uint256[4] memory rewardRate)
+        returns (uint256[] memory vaults, Vault[] memory vaultData)
     {
-        for (uint256 i; i < 4; i++) {
-            rewardRate[i] = _rewardRate[i];
+        vaults = _vaultIDs;
+        vaultData = new Vault[](vaults.length);
+        for (uint256 i; i < vaults.length; i++) {
+            vaultData[i] = _vaultData[vaults[i]];
         }
-        lockingPeriod = _vaults;
     }
 
     /**
@@ -300,8 +575,156 @@ contract Staking is ReentrancyGuardUpgradeable {
         view
         returns (uint256 lockingPeriod, uint256 rewardRate)
     {
-        lockingPeriod = _vaults[vault];
-        rewardRate = _rewardRate[vault];
+        lockingPeriod = _vaultData[vault].lockingPeriod;
+        rewardRate = _vaultData[vault].rewardRate;
+    }
+
+    /**
+     * @notice This function is used to get a particular vault's name, stake limits and total stake
+     * @param vault index of the vault to query
+     * @return vault record of the particular vault
+     */
+    function getVaultDetails(uint256 vault)
+        external
+        view
+        returns (Vault memory)
+    {
+        return _vaultData[vault];
+    }
+
+    /**
+     * @notice This function is used to check if the four vaults preceding the vault registry are migrated
+     * @return whether the vaults are migrated, true on deployments made with the vault registry
+     */
+    function vaultsMigrated() external view returns (bool) {
+        return _vaultsMigrated;
+    }
+
+    /**
+     * @notice This function is used to get the emission budget of an emission vault
+     * @param vault index of the vault to query
+     * @return emission pool record of the particular vault
+     */
+    function getEmissionPool(uint256 vault)
+        external
+        view
+        returns (EmissionPool memory)
+    {
+        return _emissionPools[vault];
+    }
+
+    /**
+     * @notice This function is used to get the reward per staked token of an emission vault
+     * @param vault index of the vault to query
+     * @return reward per staked token accumulated so far, scaled by 1e18
+     */
+    function rewardPerToken(uint256 vault) external view returns (uint256) {
+        return _getRewardPerToken(_emissionPools[vault]);
+    }
+
+    /**
+     * @notice This function is used to get the reward tokens a vault pays besides the staking token
+     * @param vault vault number
+     * @return rewardTokens addresses of the reward tokens
+     * @return rewardRates reward rates of the reward tokens
+     */
+    function getVaultRewardTokens(uint256 vault)
+        external
+        view
+        returns (address[] memory rewardTokens, uint256[] memory rewardRates)
+    {
+        rewardTokens = _vaultRewardTokens[vault];
+        rewardRates = new uint256[](rewardTokens.length);
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            rewardRates[i] = _vaultRewardTokenRates[vault][rewardTokens[i]];
+        }
+    }
+
+    /**
+     * @notice This function is used to get the reward tokens of a position
+     * @param account address of the staker
+     * @param positionID position of the stake
+     * @return rewardTokens addresses of the reward tokens
+     * @return rewardsPerSecond rewards per second of the reward tokens
+     * @return claimableRewards rewards of the reward tokens which can be claimed
+     */
+    function getPositionRewardTokens(address account, uint256 positionID)
+        external
+        view
+        returns (
+            address[] memory rewardTokens,
+            uint256[] memory rewardsPerSecond,
+            uint256[] memory claimableRewards
+        )
+    {
+        rewardTokens = _positionRewardTokens[account][positionID];
+        rewardsPerSecond = new uint256[](rewardTokens.length);
+        claimableRewards = new uint256[](rewardTokens.length);
+
+        uint256 interval = _getInterval(
+            _stakeData[account][positionID].stakeUnlockTime,
+            _claimTime[account][positionID]
+        );
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            rewardsPerSecond[i] = _positionRewardsPerSecond[account][positionID][
+                rewardTokens[i]
+            ];
+            claimableRewards[i] = _getTotalReward(rewardsPerSecond[i], interval);
+        }
+    }
+
+    /**
+     * @notice This function is used to get the remaining bonus pool amount of a reward token
+     * @param rewardToken address of the reward token
+     * @return bonus pool of the reward token
+     */
+    function rewardTokenBonusPoolAmount(address rewardToken)
+        external
+        view
+        returns (uint256)
+    {
+        return _rewardTokenBonusPools[rewardToken];
+    }
+
+    /**
+     * @notice This function is used to get the total expected reward amount of a reward token
+     * @param rewardToken address of the reward token
+     * @return total expected reward of the reward token
+     */
+    function rewardTokenExpectedBonus(address rewardToken)
+        external
+        view
+        returns (uint256)
+    {
+        return _rewardTokenExpectedBonus[rewardToken];
+    }
+
+    /**
+     * @notice This function is used to get the released rewards of a reward token a staker can claim
+     * @param account address of the staker
+     * @param rewardToken address of the reward token
+     * @return claimable reward of the reward token
+     */
+    function claimableRewardToken(address account, address rewardToken)
+        external
+        view
+        returns (uint256)
+    {
+        return _claimableRewardTokens[account][rewardToken];
+    }
+
+    /**
+     * @notice This function is used to check if anyone can compound the rewards of a position
+     * @param account address of the staker
+     * @param positionID position of the stake
+     * @return whether the position is opted in to auto-compounding
+     */
+    function isAutoCompound(address account, uint256 positionID)
+        external
+        view
+        returns (bool)
+    {
+        return _autoCompound[account][positionID];
     }
 
     /**
@@ -379,29 +802,90 @@ contract Staking is ReentrancyGuardUpgradeable {
     /**
      * @notice This function is used to get the last claim time
      * @param _account address of the user
-     * @param _vault vault with the stake
-     * @return last claim time of an address for a vault
+     * @param _positionID position of the stake
+     * @return last claim time of an address for a position
      */
-    function getLastClaimTime(address _account, uint256 _vault)
+    function getLastClaimTime(address _account, uint256 _positionID)
         external
         view
         returns (uint256)
     {
-        return _claimTime[_account][_vault];
+        return _claimTime[_account][_positionID];
     }
 
     /**
-     * @notice This function is used to check if an invested vault has been modified
+     * @notice This function is used to check if the vault of a position has been modified
      * @param _account address of the user
-     * @param _vault vault with the stake
+     * @param _positionID position of the stake
      * @return bool whether a vault has been modified or not
      */
-    function isVaultModified(address _account, uint256 _vault)
+    function isVaultModified(address _account, uint256 _positionID)
         external
         view
         returns (bool)
     {
-        return _stakeRate[_account][_vault] != _rewardRate[_vault];
+        uint256 vault = _getStakeData(_account, _positionID).vault;
+        return _stakeRate[_account][_positionID] != _vaultData[vault].rewardRate;
+    }
+
+    /**
+     * @notice This function is used to check if staking and reward claims are paused
+     * @return paused status
+     */
+    function paused() external view returns (bool) {
+        return _paused;
+    }
+
+    /**
+     * @notice This function is used to get the delay of timelocked changes
+     * @return delay in seconds between queueing and executing a change
+     */
+    function timelockDelay() external view returns (uint256) {
+        return _timelockDelay;
+    }
+
+    /**
+     * @notice This function is used to get the ID of a timelocked change
+     * @param action name of the function making the change, e.g. modifyVault
+     * @param params ABI encoded parameters of the function
+     * @return ID of the change
+     */
+    function getChangeID(string calldata action, bytes calldata params)
+        external
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(action, params));
+    }
+
+    /**
+     * @notice This function is used to get the time from which a queued change can be executed
+     * @param changeID ID of the change
+     * @return timestamp from which the change can be executed, 0 if not queued
+     */
+    function getChangeExecutionTime(bytes32 changeID)
+        external
+        view
+        returns (uint256)
+    {
+        return _changeExecutionTimes[changeID];
+    }
+
+    /**
+     * @notice This function is used to get the EIP-2771 forwarder relaying reward claims
+     * @return address of the forwarder
+     */
+    function trustedForwarder() external view returns (address) {
+        return _trustedForwarder;
+    }
+
+    /**
+     * @notice This function is used to check if an address is the EIP-2771 forwarder
+     * @param forwarder address to be checked
+     * @return whether the forwarder can relay reward claims
+     */
+    function isTrustedForwarder(address forwarder) public view virtual returns (bool) {
+        return forwarder != address(0) && forwarder == _trustedForwarder;
     }
 
     /* View Methods End */
@@ -413,59 +897,293 @@ contract Staking is ReentrancyGuardUpgradeable {
      * @dev Only the owner can call this function
      * @param rewardRate reward rate to be set
      * @param lockingPeriod Locking period in seconds
-     * @param vault vault number
+     * @param vault vault number, any number not used by an added vault
      */
     function addVault(
         uint256 vault,
         uint256 lockingPeriod,
         uint256 rewardRate
     ) external onlyOwner checkRate(rewardRate) {
-        require(vault < 4, "Staking: Invalid vault");
-        require(_rewardRate[vault] == 0, "Staking: Vault exist");
+        _checkNewVault(vault);
 
-        _vaults[vault] = lockingPeriod;
-        _rewardRate[vault] = rewardRate;
-        emit VaultAdded(vault, lockingPeriod, rewardRate);
+        _addVault(vault, lockingPeriod, rewardRate);
     }
 
     /**
-     * @notice This function is used to modify reward rate or locking period for a particular vault
+     * @notice This function is used to add a vault sharing an emission budget among its stakers
      * @dev Only the owner can call this function
-     * @param rewardRate reward rate to be set
+     * @dev rewards are split pro-rata to the stake amounts, see addEmissionBudget
+     * @param vault vault number, any number not used by an added vault
      * @param lockingPeriod Locking period in seconds
-     * @param vault vault number to be modified
      */
-    function modifyVault(
-        uint256 vault,
-        uint256 lockingPeriod,
-        uint256 rewardRate
-    ) external onlyOwner checkRate(rewardRate) {
-        _checkVault(vault);
+    function addEmissionVault(uint256 vault, uint256 lockingPeriod)
+        external
+        onlyOwner
+    {
+        _checkNewVault(vault);
 
-        _vaults[vault] = lockingPeriod;
-        _rewardRate[vault] = rewardRate;
-        emit VaultModified(vault, lockingPeriod, rewardRate);
+        _addVault(vault, lockingPeriod, 0);
+        _vaultData[vault].emission = true;
     }
 
     /**
-     * @notice This function is used to remove a particular vault
+     * @notice This function is used to add a vault paying rewards only in reward tokens
      * @dev Only the owner can call this function
-     * @param vault vault number to be removed
+     * @dev the reward tokens of the vault are set with setVaultRewardToken
+     * @param vault vault number, any number not used by an added vault
+     * @param lockingPeriod Locking period in seconds
      */
-    function removeVault(uint256 vault) external onlyOwner {
-        _checkVault(vault);
-
-        uint256 lockingPeriod = _vaults[vault];
-        _vaults[vault] = 0;
-        delete _rewardRate[vault];
+    function addRewardTokenVault(uint256 vault, uint256 lockingPeriod)
+        external
+        onlyOwner
+    {
+        _checkNewVault(vault);
 
-        emit VaultRemoved(vault, lockingPeriod);
+        _addVault(vault, lockingPeriod, 0);
     }
 
     /**
-     * @notice This function is used to change penalty rate
+     * @notice This function is used to set the rate of a reward token paid by a vault besides the staking token
      * @dev Only the owner can call this function
-     * @param penaltyRate_ reward rate to be set
+     * @dev the change is queued if a timelock delay is set
+     * @dev existing positions keep the reward tokens they were staked with
+     * @param vault vault number
+     * @param rewardToken address of the reward token, other than the staking token
+     * @param rewardRate reward rate of the reward token, zero to stop paying it
+     */
+    function setVaultRewardToken(
+        uint256 vault,
+        address rewardToken,
+        uint256 rewardRate
+    ) external onlyOwner {
+        _checkVaultRewardToken(vault, rewardToken, rewardRate);
+
+        if (
+            _queueChange(
+                "setVaultRewardToken",
+                abi.encode(vault, rewardToken, rewardRate)
+            )
+        ) {
+            _setVaultRewardToken(vault, rewardToken, rewardRate);
+        }
+    }
+
+    /**
+     * @notice This function is used to execute a queued change of a reward token paid by a vault
+     * @dev Only the owner can call this function
+     * @param vault vault number
+     * @param rewardToken address of the reward token the change was queued with
+     * @param rewardRate reward rate the change was queued with
+     */
+    function executeSetVaultRewardToken(
+        uint256 vault,
+        address rewardToken,
+        uint256 rewardRate
+    ) external onlyOwner {
+        _executeChange(
+            "setVaultRewardToken",
+            abi.encode(vault, rewardToken, rewardRate)
+        );
+        _checkVaultRewardToken(vault, rewardToken, rewardRate);
+        _setVaultRewardToken(vault, rewardToken, rewardRate);
+    }
+
+    /**
+     * @notice This function is used to stream a reward budget to the stakers of an emission vault
+     * @dev Only the owner can call this function
+     * @dev budget left from a running period is added and streamed over the new duration
+     * @param vault vault number of the emission vault
+     * @param amount amount of reward tokens to be added
+     * @param duration seconds over which the budget is streamed
+     */
+    function addEmissionBudget(
+        uint256 vault,
+        uint256 amount,
+        uint256 duration
+    ) external onlyOwner {
+        _checkVault(vault);
+        require(_vaultData[vault].emission, "Staking: Not an emission vault");
+        require(duration > 0, "Staking: Invalid emission duration");
+        _paymentPrecheck(amount);
+
+        _updateEmissionPool(vault);
+        EmissionPool storage pool = _emissionPools[vault];
+        uint256 leftover;
+        if (block.timestamp < pool.periodFinish) {
+            leftover = (pool.periodFinish - block.timestamp) * pool.emissionRate;
+        }
+        uint256 emissionRate = (amount + leftover) / duration;
+        require(emissionRate > 0, "Staking: Emission rate zero");
+
+        // the leftover is already part of the expected bonus
+        _totalExpectedBonus = _totalExpectedBonus + emissionRate * duration - leftover;
+        _bonusPoolAmount += amount;
+        pool.emissionRate = emissionRate;
+        pool.lastUpdateTime = block.timestamp;
+        pool.periodFinish = block.timestamp + duration;
+
+        emit EmissionBudgetAdded(vault, amount, emissionRate, pool.periodFinish);
+        _tokenAddress.safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    /**
+     * @notice This function is used to modify reward rate or locking period for a particular vault
+     * @dev Only the owner can call this function
+     * @dev the change is queued if a timelock delay is set
+     * @param rewardRate reward rate to be set
+     * @param lockingPeriod Locking period in seconds
+     * @param vault vault number to be modified
+     */
+    function modifyVault(
+        uint256 vault,
+        uint256 lockingPeriod,
+        uint256 rewardRate
+    ) external onlyOwner checkRate(rewardRate) {
+        _checkVault(vault);
+        require(!_vaultData[vault].emission, "Staking: Emission vault");
+
+        if (
+            _queueChange(
+                "modifyVault",
+                abi.encode(vault, lockingPeriod, rewardRate)
+            )
+        ) {
+            _modifyVault(vault, lockingPeriod, rewardRate);
+        }
+    }
+
+    /**
+     * @notice This function is used to execute a queued modification of a vault
+     * @dev Only the owner can call this function
+     * @param rewardRate reward rate the change was queued with
+     * @param lockingPeriod Locking period the change was queued with
+     * @param vault vault number to be modified
+     */
+    function executeModifyVault(
+        uint256 vault,
+        uint256 lockingPeriod,
+        uint256 rewardRate
+    ) external onlyOwner {
+        _executeChange(
+            "modifyVault",
+            abi.encode(vault, lockingPeriod, rewardRate)
+        );
+        _checkVault(vault);
+        require(!_vaultData[vault].emission, "Staking: Emission vault");
+        _modifyVault(vault, lockingPeriod, rewardRate);
+    }
+
+    /**
+     * @notice This function is used to remove a particular vault
+     * @dev Only the owner can call this function
+     * @param vault vault number to be removed
+     */
+    function removeVault(uint256 vault) external onlyOwner {
+        _checkVault(vault);
+
+        Vault storage vaultData = _vaultData[vault];
+        uint256 lockingPeriod = vaultData.lockingPeriod;
+        vaultData.lockingPeriod = 0;
+        vaultData.rewardRate = 0;
+        vaultData.active = false;
+
+        uint256 index = _vaultIndexes[vault] - 1;
+        uint256 lastVault = _vaultIDs[_vaultIDs.length - 1];
+        _vaultIDs[index] = lastVault;
+        _vaultIndexes[lastVault] = index + 1;
+        _vaultIDs.pop();
+        delete _vaultIndexes[vault];
+
+        emit VaultRemoved(vault, lockingPeriod);
+    }
+
+    /**
+     * @notice This function is used to set the name and stake limits of a particular vault
+     * @dev Only the owner can call this function
+     * @dev limits apply to new stakes only
+     * @param vault vault number
+     * @param name display name of the vault
+     * @param minStake minimum stake amount of a staker, 0 for no minimum
+     * @param maxStake maximum stake amount of a staker, 0 for no limit
+     * @param capacity maximum total stake in the vault, 0 for no limit
+     */
+    function setVaultDetails(
+        uint256 vault,
+        string calldata name,
+        uint256 minStake,
+        uint256 maxStake,
+        uint256 capacity
+    ) external onlyOwner {
+        _checkVault(vault);
+        require(
+            maxStake == 0 || minStake <= maxStake,
+            "Staking: Invalid stake limits"
+        );
+
+        Vault storage vaultData = _vaultData[vault];
+        vaultData.name = name;
+        vaultData.minStake = minStake;
+        vaultData.maxStake = maxStake;
+        vaultData.capacity = capacity;
+        emit VaultDetailsChanged(vault, name, minStake, maxStake, capacity);
+    }
+
+    /**
+     * @notice This function is used to open or close a particular vault for new stakes
+     * @dev Only the owner can call this function
+     * @dev stakes in a closed vault can still be unstaked and earn rewards
+     * @param vault vault number
+     * @param active whether the vault accepts new stakes
+     */
+    function setVaultActive(uint256 vault, bool active) external onlyOwner {
+        _checkVault(vault);
+        require(
+            _vaultData[vault].active != active,
+            "Staking: Vault active status same"
+        );
+
+        _vaultData[vault].active = active;
+        emit VaultActiveChanged(vault, active);
+    }
+
+    /**
+     * @notice This function is used to move the four vaults preceding the vault registry into it
+     * @dev Only the owner can call this function
+     * @dev vaults keep their numbers; new vaults and stakes are only accepted after the migration
+     */
+    function migrateVaults() external onlyOwner {
+        require(!_vaultsMigrated, "Staking: Vaults already migrated");
+
+        _vaultsMigrated = true;
+        _legacyStakes = true;
+        for (uint256 i; i < 4; i++) {
+            uint256 rewardRate = _rewardRate[i];
+            if (rewardRate > 0) {
+                _addVault(i, _vaults[i], rewardRate);
+            }
+            delete _vaults[i];
+            delete _rewardRate[i];
+        }
+        emit VaultsMigrated();
+    }
+
+    /**
+     * @notice This function is used to add stakes made before the vault registry to the vault totals
+     * @dev Only the owner can call this function
+     * @dev stakes of a staker are also migrated when the staker stakes, unstakes or claims rewards
+     * @param stakers addresses of the stakers
+     */
+    function migrateStakes(address[] calldata stakers) external onlyOwner {
+        for (uint256 i; i < stakers.length; i++) {
+            _migrateStakes(stakers[i]);
+        }
+    }
+
+    /**
+     * @notice This function is used to change penalty rate
+     * @dev Only the owner can call this function
+     * @dev the change is queued if a timelock delay is set
+     * @param penaltyRate_ reward rate to be set
      */
     function changePenaltyRate(uint256 penaltyRate_)
         external
@@ -477,8 +1195,64 @@ contract Staking is ReentrancyGuardUpgradeable {
             "Staking: Penalty rate same"
         );
 
-        _penaltyRate = penaltyRate_;
-        emit PenaltyRateChanged(penaltyRate_);
+        if (_queueChange("changePenaltyRate", abi.encode(penaltyRate_))) {
+            _changePenaltyRate(penaltyRate_);
+        }
+    }
+
+    /**
+     * @notice This function is used to execute a queued change of the penalty rate
+     * @dev Only the owner can call this function
+     * @param penaltyRate_ penalty rate the change was queued with
+     */
+    function executeChangePenaltyRate(uint256 penaltyRate_)
+        external
+        onlyOwner
+    {
+        _executeChange("changePenaltyRate", abi.encode(penaltyRate_));
+        _changePenaltyRate(penaltyRate_);
+    }
+
+    /**
+     * @notice This function is used to set the delay of timelocked changes
+     * @dev Only the owner can call this function
+     * @dev the change is itself timelocked by the current delay
+     * @param delay delay in seconds between queueing and executing a change
+     */
+    function setTimelockDelay(uint256 delay) external onlyOwner {
+        require(
+            delay <= MAXIMUM_TIMELOCK_DELAY,
+            "Staking: Timelock delay too long"
+        );
+
+        if (_queueChange("setTimelockDelay", abi.encode(delay))) {
+            _setTimelockDelay(delay);
+        }
+    }
+
+    /**
+     * @notice This function is used to execute a queued change of the timelock delay
+     * @dev Only the owner can call this function
+     * @param delay delay the change was queued with
+     */
+    function executeSetTimelockDelay(uint256 delay) external onlyOwner {
+        _executeChange("setTimelockDelay", abi.encode(delay));
+        _setTimelockDelay(delay);
+    }
+
+    /**
+     * @notice This function is used to cancel a queued change
+     * @dev Only the owner can call this function
+     * @param changeID ID of the change, see getChangeID
+     */
+    function cancelChange(bytes32 changeID) external onlyOwner {
+        require(
+            _changeExecutionTimes[changeID] != 0,
+            "Staking: Change not queued"
+        );
+
+        delete _changeExecutionTimes[changeID];
+        emit ChangeCancelled(changeID);
     }
 
     /**
@@ -535,6 +1309,31 @@ contract Staking is ReentrancyGuardUpgradeable {
         emit NominateOwner(potentialOwner_);
     }
 
+    /**
+     * @notice This function is used to cancel the nomination of a potential owner
+     * @dev Only the owner can call this function
+     */
+    function cancelOwnerNomination() external onlyOwner {
+        address potentialOwner_ = _potentialOwner;
+        require(
+            potentialOwner_ != address(0),
+            "Staking: No potential owner"
+        );
+        _potentialOwner = address(0);
+        emit NominationCancelled(potentialOwner_);
+    }
+
+    /**
+     * @notice This function is used to leave the contract without an owner
+     * @dev Only the owner can call this function
+     * @dev owner methods can no longer be called afterwards
+     */
+    function renounceOwnership() external onlyOwner {
+        _owner = address(0);
+        _potentialOwner = address(0);
+        emit OwnerChanged(address(0));
+    }
+
     /**
      * @notice This function is used to change bonus pool threshold
      * @dev Only the owner can call this function
@@ -572,6 +1371,102 @@ contract Staking is ReentrancyGuardUpgradeable {
         _tokenAddress.safeTransferFrom(msg.sender, address(this), amount_);
     }
 
+    /**
+     * @notice This function is used to add bonus pool amount of a reward token
+     * @dev Only the owner can call this function
+     * @param rewardToken address of the reward token
+     * @param amount_ amount to be added
+     */
+    function addRewardTokenBonusPoolAmount(address rewardToken, uint256 amount_)
+        external
+        onlyOwner
+        checkAddress(rewardToken)
+    {
+        require(
+            rewardToken != address(_tokenAddress),
+            "Staking: Invalid reward token"
+        );
+        require(amount_ > 0, "Staking: Amount should be greater than zero");
+
+        uint256 bonusAmount_ = _rewardTokenBonusPools[rewardToken] + amount_;
+        _rewardTokenBonusPools[rewardToken] = bonusAmount_;
+
+        emit RewardTokenBonusPoolAmountAdded(rewardToken, amount_, bonusAmount_);
+        IERC20Upgradeable(rewardToken).safeTransferFrom(
+            msg.sender,
+            address(this),
+            amount_
+        );
+    }
+
+    /**
+     * @notice This function is used to withdraw the bonus pool of a reward token
+     * @dev Only the owner can call this function
+     * @dev amount after deducting expected rewards of the reward token can be withdrawn
+     * @param rewardToken address of the reward token
+     */
+    function withdrawRewardTokenBalance(address rewardToken)
+        external
+        onlyOwner
+        nonReentrant
+    {
+        uint256 expectedBonus = _rewardTokenExpectedBonus[rewardToken];
+        uint256 balance = _rewardTokenBonusPools[rewardToken] - expectedBonus;
+        require(balance > 0, "Staking: Zero balance");
+
+        _rewardTokenBonusPools[rewardToken] = expectedBonus;
+
+        emit RewardTokenBalanceWithdraw(msg.sender, rewardToken, balance);
+        IERC20Upgradeable(rewardToken).safeTransfer(_owner, balance);
+    }
+
+    /**
+     * @notice This function is used to pause staking and reward claims
+     * @dev Only the owner can call this function; unstaking stays available
+     * @dev unlike the Launchpad, staking has no pauser role, the owner both pauses and unpauses
+     */
+    function pause() external onlyOwner {
+        _checkNotPaused();
+        _paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @notice This function is used to unpause staking and reward claims
+     * @dev Only the owner can call this function
+     */
+    function unpause() external onlyOwner {
+        require(_paused, "Staking: not paused");
+        _paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @notice This function is used to set the EIP-2771 forwarder relaying reward claims
+     * @dev Only the owner can call this function
+     * @dev a zero address disables meta-transactions
+     * @dev the change is queued if a timelock delay is set
+     * @param trustedForwarder_ address of the forwarder
+     */
+    function setTrustedForwarder(address trustedForwarder_) external onlyOwner {
+        if (_queueChange("setTrustedForwarder", abi.encode(trustedForwarder_))) {
+            _setTrustedForwarder(trustedForwarder_);
+        }
+    }
+
+    /**
+     * @notice This function is used to execute a queued change of the EIP-2771 forwarder
+     * @dev Only the owner can call this function
+     * @param trustedForwarder_ address of the forwarder the change was queued with
+     */
+    function executeSetTrustedForwarder(address trustedForwarder_)
+        external
+        onlyOwner
+    {
+        _executeChange("setTrustedForwarder", abi.encode(trustedForwarder_));
+        _setTrustedForwarder(trustedForwarder_);
+    }
+
     /* Owner Methods End */
 
     /* Potential Owner Methods Start */
@@ -596,122 +1491,119 @@ contract Staking is ReentrancyGuardUpgradeable {
 
     /**
      * @notice This function is used to stake the coins
-     * @dev if the stake for the vault already exist then
-     * it should add the amount to the existing stake and
-     * release reward till that point and re calcualte the reward with
-     * new amount and new unlocking period
-     * @dev if unlock is over and amount is zero then we need to restake the
-     * previous stake amount
+     * @dev every stake opens a new position with its own unlock time and reward rate
      * @param amount Amount of coins to stake
      * @param vault vault number which represents a particular locking period in seconds
+     * @return positionID position of the stake
      */
-    function stake(uint256 amount, uint256 vault) external nonReentrant {
+    function stake(uint256 amount, uint256 vault)
+        external
+        nonReentrant
+        whenNotPaused
+        returns (uint256 positionID)
+    {
         _checkVault(vault);
-
-        StakeData memory stakeData = _stakeData[msg.sender][vault];
-
-        //value emits existing amount if restake occurs, else the amount passed
-        uint256 amountToEmit; 
-
-        uint256 rewardToTransfer;
-        bool unlockOver;
-        // check if stake for this vault already exists
-        if (_stakeExist[msg.sender][vault]) {
-            (, rewardToTransfer, unlockOver) = _getPenaltyAndRewards(
-                stakeData,
-                _claimTime[msg.sender][vault],
-                false
-            );
-            // check if unlockover; then if amount is zero then consider the previous staked amount
-            if (!unlockOver || amount != 0) {
-                _paymentPrecheck(amount);
-                stakeData.stakeAmount += amount;
-            }
+        _migrateStakes(msg.sender);
+        _paymentPrecheck(amount);
+
+        Vault storage vaultData = _vaultData[vault];
+        require(vaultData.active, "Staking: Vault not active");
+        uint256 stakerVaultStake = _stakerVaultStakes[msg.sender][vault] + amount;
+        _checkStakeLimits(vaultData, amount, stakerVaultStake);
+
+        positionID = _nextPositionIDs[msg.sender]++;
+        uint256 rewardPerSecond;
+        if (vaultData.emission) {
+            // emission positions share the budget and need no bonus pool reserve
+            _updateEmissionPool(vault);
+            EmissionPool storage pool = _emissionPools[vault];
+            pool.totalStaked += amount;
+            _rewardPerTokenPaid[msg.sender][positionID] = pool.rewardPerTokenStored;
+            _emissionPositions[msg.sender][positionID] = true;
         } else {
-            _paymentPrecheck(amount);
-            stakeData.stakeAmount += amount;
-            _stakeExist[msg.sender][vault] = true;
+            uint256 rewardRate_ = vaultData.rewardRate;
+            rewardPerSecond = _getReward(amount, rewardRate_);
+            uint256 totalReward_ = _totalExpectedBonus +
+                _getTotalReward(rewardPerSecond, vaultData.lockingPeriod);
+
+            // check balance of the contract for the reward amount
+            require(
+                totalReward_ <= _bonusPoolAmount,
+                "Staking: Insufficient balance in bonus pool"
+            );
+            _totalExpectedBonus = totalReward_;
+            _stakeRate[msg.sender][positionID] = rewardRate_;
+            _addPositionRewardTokens(
+                msg.sender,
+                positionID,
+                vault,
+                amount,
+                vaultData.lockingPeriod
+            );
         }
 
-        // update the stake details
-        uint256 rewardRate_ = _rewardRate[vault];
-        uint256 lockingPeriod = _vaults[vault];
-        uint256 rewardPerSecond = _getReward(
-            stakeData.stakeAmount,
-            rewardRate_
-        );
-        _stakeRate[msg.sender][vault] = rewardRate_;
-        uint256 reward = _getTotalReward(rewardPerSecond, lockingPeriod);
-        uint256 totalStake_ = _totalStake;
-        uint256 totalReward_ = _totalExpectedBonus;
-        totalStake_ += amount;
-        totalReward_ += reward;
-
-        // check balance of the contract for the reward amount
-        require(
-            totalReward_ <= _bonusPoolAmount,
-            "Staking: Insufficient balance in bonus pool"
+        StakeData memory stakeData = StakeData(
+            amount,
+            block.timestamp,
+            block.timestamp + vaultData.lockingPeriod,
+            rewardPerSecond,
+            vault
         );
+        _stakeData[msg.sender][positionID] = stakeData;
+        _stakeExist[msg.sender][positionID] = true;
+        _claimTime[msg.sender][positionID] = block.timestamp;
+        _addStakerPosition(msg.sender, positionID);
 
-        _claimTime[msg.sender][vault] = block.timestamp;
-
-        stakeData.stakingTime = block.timestamp;
-        stakeData.stakeUnlockTime = block.timestamp + lockingPeriod;
-        stakeData.rewardPerSecond = rewardPerSecond;
-        _stakeData[msg.sender][vault] = stakeData;
-        
-        _totalStake = totalStake_;
-        _totalExpectedBonus = totalReward_;
-
-        if(amount == 0){
-            amountToEmit = stakeData.stakeAmount;
-        }
-        else{
-            amountToEmit = amount;
-        }
+        vaultData.totalStaked += amount;
+        _stakerVaultStakes[msg.sender][vault] = stakerVaultStake;
+        _totalStake += amount;
+        _checkpointTotalStake(msg.sender);
 
         emit Stake(
             msg.sender,
             vault,
-            amountToEmit,
+            positionID,
+            amount,
             rewardPerSecond,
-            stakeData.stakeUnlockTime,
-            rewardToTransfer
+            stakeData.stakeUnlockTime
         );
 
         // check for the bonus pool threshold
         _checkPoolThreshold();
 
-        // transfer reward if there is any
-        if (rewardToTransfer > 0) {
-            emit RewardReleased(msg.sender, vault, rewardToTransfer);
-            _bonusPoolAmount -= rewardToTransfer;
-            _tokenAddress.safeTransfer(msg.sender, rewardToTransfer);
-        }
-
-        // transfer the token to the smart contract if amount is not zero
-        if (amount > 0) {
-            _tokenAddress.safeTransferFrom(msg.sender, address(this), amount);
-        }
+        _tokenAddress.safeTransferFrom(msg.sender, address(this), amount);
     }
 
     /**
      * @notice This function is used to unstake the tokens
      * @dev remaining rewards are sent along with the amount
      * @dev only whole stake can be unstaked; cannot unstake a particular amount
-     * @dev if the lock period for the vault has not been reached a penalty will be
+     * @dev if the lock period for the position has not been reached a penalty will be
      * deducted from the stake before releasing it
-     * @param vault vault number of the stake which has to be unstaked
+     * @param positionID position of the stake which has to be unstaked
      */
-    function unStake(uint256 vault) external nonReentrant {
-        _checkStakeExist(vault);
-
-        StakeData memory stakeData = _stakeData[msg.sender][vault];
-        (uint256 penalty, uint256 reward, ) = _getPenaltyAndRewards(
-            stakeData,
-            _claimTime[msg.sender][vault],
-            true
-        );
+    function unStake(uint256 positionID) external nonReentrant {
+        _checkStakeExist(msg.sender, positionID);
+        _migrateStakes(msg.sender);
+
+        StakeData memory stakeData = _stakeData[msg.sender][positionID];
+        uint256 penalty;
+        uint256 reward;
+        if (_isEmissionPosition(msg.sender, positionID)) {
+            penalty = _collectPenalty(stakeData);
+            reward = _settleEmissionReward(msg.sender, positionID, stakeData);
+            _emissionPools[stakeData.vault].totalStaked -= stakeData.stakeAmount;
+        } else {
+            uint256 claimTime = _claimTime[msg.sender][positionID];
+            _releasePositionRewardTokens(
+                msg.sender,
+                positionID,
+                stakeData,
+                _getInterval(stakeData.stakeUnlockTime, claimTime),
+                true
+            );
+            (penalty, reward) = _getPenaltyAndRewards(stakeData, claimTime);
+        }
 
         uint256 amountToTransfer;
         if (reward > 0) {
@@ -719,59 +1611,146 @@ contract Staking is ReentrancyGuardUpgradeable {
             _bonusPoolAmount -= reward;
         } else amountToTransfer = stakeData.stakeAmount - penalty;
 
-        _stakeExist[msg.sender][vault] = false;
+        _stakeExist[msg.sender][positionID] = false;
+        delete _autoCompound[msg.sender][positionID];
+        delete _emissionPositions[msg.sender][positionID];
+        _removeStakerPosition(msg.sender, positionID);
         _totalStake -= stakeData.stakeAmount;
+        _vaultData[stakeData.vault].totalStaked -= stakeData.stakeAmount;
+        _stakerVaultStakes[msg.sender][stakeData.vault] -= stakeData.stakeAmount;
+        _checkpointTotalStake(msg.sender);
 
-        emit UnStake(msg.sender, vault, stakeData.stakeAmount, penalty, reward);
-        emit RewardReleased(msg.sender, vault, reward);
-        delete _stakeData[msg.sender][vault];
+        emit UnStake(
+            msg.sender,
+            stakeData.vault,
+            positionID,
+            stakeData.stakeAmount,
+            penalty,
+            reward
+        );
+        emit RewardReleased(msg.sender, stakeData.vault, positionID, reward);
+        delete _stakeData[msg.sender][positionID];
 
         _tokenAddress.safeTransfer(msg.sender, amountToTransfer);
     }
 
     /**
-     * @notice This function is used for claiming the reward for a particular vault's stake
+     * @notice This function is used for claiming the reward for a particular position
      * @dev reward is computed from the last claim time
-     * @param vault vault number of the stake of which reward has to be claimed
+     * @dev rewards of the reward tokens of the position are released along with it, see claimRewardToken
+     * @param positionID position of the stake of which reward has to be claimed
      */
-    function claimReward(uint256 vault) external nonReentrant {
-        _checkStakeExist(vault);
+    function claimReward(uint256 positionID) external nonReentrant whenNotPaused {
+        address staker = _msgSender();
+        _checkStakeExist(staker, positionID);
+        _migrateStakes(staker);
 
-        StakeData memory stakeData = _stakeData[msg.sender][vault];
+        StakeData memory stakeData = _stakeData[staker][positionID];
 
-        uint256 interval = _getInterval(
-            stakeData.stakeUnlockTime,
-            _claimTime[msg.sender][vault]
-        );
+        uint256 reward;
+        if (_isEmissionPosition(staker, positionID)) {
+            reward = _settleEmissionReward(staker, positionID, stakeData);
+            require(reward > 0, "Staking: No rewards");
+        } else {
+            uint256 interval = _getInterval(
+                stakeData.stakeUnlockTime,
+                _claimTime[staker][positionID]
+            );
 
-        require(interval > 0, "Staking: No rewards");
-        uint256 reward = _getTotalReward(stakeData.rewardPerSecond, interval);
+            require(interval > 0, "Staking: No rewards");
+            reward = _getTotalReward(stakeData.rewardPerSecond, interval);
+            _totalExpectedBonus -= reward;
+            _releasePositionRewardTokens(
+                staker,
+                positionID,
+                stakeData,
+                interval,
+                false
+            );
+        }
 
-        _claimTime[msg.sender][vault] = block.timestamp;
-        _totalExpectedBonus -= reward;
+        _claimTime[staker][positionID] = block.timestamp;
         _bonusPoolAmount -= reward;
 
-        emit RewardReleased(msg.sender, vault, reward);
-        _tokenAddress.safeTransfer(msg.sender, reward);
+        emit RewardReleased(staker, stakeData.vault, positionID, reward);
+        _tokenAddress.safeTransfer(staker, reward);
     }
 
-    /* User Methods End */
-
-    /* Internal Helper Methods Start */
-
     /**
-     * @notice function for calculating the reward per second based on APY
-     * @dev this is an internal function which is used inside the staking function
-     * @param rewardRate reward rate based on the locking period
-     * @param amount stake amount
-     * @return reward reward per second is returned from this function
+     * @notice This function is used to claim the released rewards of a reward token
+     * @dev rewards of reward tokens are claimed apart from stakes so that a failing reward token
+     * cannot hold up unstaking
+     * @param rewardToken address of the reward token
      */
-    function _getReward(uint256 amount, uint256 rewardRate)
-        internal
-        pure
-        returns (uint256 reward)
-    {
-        reward = (amount * rewardRate) / (10000 * 365 days);
+    function claimRewardToken(address rewardToken) external nonReentrant whenNotPaused {
+        address staker = _msgSender();
+        uint256 reward = _claimableRewardTokens[staker][rewardToken];
+        require(reward > 0, "Staking: No rewards");
+
+        delete _claimableRewardTokens[staker][rewardToken];
+        emit RewardTokenClaimed(staker, rewardToken, reward);
+        IERC20Upgradeable(rewardToken).safeTransfer(staker, reward);
+    }
+
+    /**
+     * @notice This function is used to roll the rewards of a particular position into its stake
+     * @dev rewards move from the bonus pool into the stake without a transfer
+     * @dev rewards of the reward tokens of the position are released, see claimRewardToken
+     * @dev the unlock time is kept; vault stake limits do not apply to compounded rewards
+     * @param positionID position of the stake of which reward has to be compounded
+     */
+    function compound(uint256 positionID) external nonReentrant whenNotPaused {
+        _compound(_msgSender(), positionID);
+    }
+
+    /**
+     * @notice This function is used to roll the rewards of a position opted in to auto-compounding
+     * @dev anyone can call this function, e.g. a keeper compounding on behalf of stakers
+     * @param account address of the staker
+     * @param positionID position of the stake of which reward has to be compounded
+     */
+    function compoundFor(address account, uint256 positionID)
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        require(
+            _autoCompound[account][positionID],
+            "Staking: Auto-compound not enabled"
+        );
+        _compound(account, positionID);
+    }
+
+    /**
+     * @notice This function is used to opt a position in or out of auto-compounding
+     * @param positionID position of the stake
+     * @param enabled whether anyone can compound the rewards of the position
+     */
+    function setAutoCompound(uint256 positionID, bool enabled) external {
+        address staker = _msgSender();
+        _checkStakeExist(staker, positionID);
+
+        _autoCompound[staker][positionID] = enabled;
+        emit AutoCompoundChanged(staker, positionID, enabled);
+    }
+
+    /* User Methods End */
+
+    /* Internal Helper Methods Start */
+
+    /**
+     * @notice function for calculating the reward per second based on APY
+     * @dev this is an internal function which is used inside the staking function
+     * @param rewardRate reward rate based on the locking period
+     * @param amount stake amount
+     * @return reward reward per second is returned from this function
+     */
+    function _getReward(uint256 amount, uint256 rewardRate)
+        internal
+        pure
+        returns (uint256 reward)
+    {
+        reward = (amount * rewardRate) / (10000 * 365 days);
     }
 
     /* Internal Helper Methods End */
@@ -783,22 +1762,14 @@ contract Staking is ReentrancyGuardUpgradeable {
      * @dev this is a private function which is used inside the unstake function
      * @dev if the unstake time is over, they should be getting the reward
      * only till the original unlock time.
-     * @param stakeData entire stake data of a staker for a particular vault
-     * @param isUnstake this is to determine if the call is from unstake() or stake() function
+     * @param stakeData entire stake data of a staker for a particular position
+     * @param claimTime last claim time of the position
      * @return penalty penalty for the unstake
      * @return reward reward for this stake at the time of unstaking
      */
-    function _getPenaltyAndRewards(
-        StakeData memory stakeData,
-        uint256 claimTime,
-        bool isUnstake
-    )
+    function _getPenaltyAndRewards(StakeData memory stakeData, uint256 claimTime)
         private
-        returns (
-            uint256 penalty,
-            uint256 reward,
-            bool unlockOver
-        )
+        returns (uint256 penalty, uint256 reward)
     {
         uint256 unspentReward;
         uint256 interval;
@@ -809,20 +1780,472 @@ contract Staking is ReentrancyGuardUpgradeable {
                 stakeData.rewardPerSecond,
                 stakeData.stakeUnlockTime - block.timestamp
             );
-            if (isUnstake) {
-                penalty = ((stakeData.stakeAmount * _penaltyRate) / 10000);
-                _collectedPenalties += penalty;
-            }
-        } else {
-            if (stakeData.stakeUnlockTime > claimTime)
-                interval = stakeData.stakeUnlockTime - claimTime;
-            unlockOver = true;
+            penalty = _collectPenalty(stakeData);
+        } else if (stakeData.stakeUnlockTime > claimTime) {
+            interval = stakeData.stakeUnlockTime - claimTime;
         }
 
         reward = _getTotalReward(stakeData.rewardPerSecond, interval);
 
         _totalExpectedBonus -= (reward + unspentReward);
-        return (penalty, reward, unlockOver);
+        return (penalty, reward);
+    }
+
+    /**
+     * @notice function for rolling the rewards of a position into its stake
+     * @dev a fixed APY position earns its reward rate on the compounded stake until the unlock time
+     * @dev rewards of reward tokens cannot be compounded and are paid out instead
+     * @param account address of the staker
+     * @param positionID position of the stake
+     */
+    function _compound(address account, uint256 positionID) private {
+        _checkStakeExist(account, positionID);
+        _migrateStakes(account);
+
+        StakeData storage stakeData = _stakeData[account][positionID];
+        uint256 vault = stakeData.vault;
+        uint256 reward;
+        if (_isEmissionPosition(account, positionID)) {
+            reward = _settleEmissionReward(account, positionID, stakeData);
+            _emissionPools[vault].totalStaked += reward;
+        } else {
+            uint256 interval = _getInterval(
+                stakeData.stakeUnlockTime,
+                _claimTime[account][positionID]
+            );
+            reward = _getTotalReward(stakeData.rewardPerSecond, interval);
+            _totalExpectedBonus -= reward;
+            _releasePositionRewardTokens(
+                account,
+                positionID,
+                stakeData,
+                interval,
+                false
+            );
+
+            if (block.timestamp < stakeData.stakeUnlockTime) {
+                uint256 rewardPerSecond = _getReward(
+                    stakeData.stakeAmount + reward,
+                    _stakeRate[account][positionID]
+                );
+                uint256 totalReward_ = _totalExpectedBonus +
+                    _getTotalReward(
+                        rewardPerSecond - stakeData.rewardPerSecond,
+                        stakeData.stakeUnlockTime - block.timestamp
+                    );
+
+                // check balance of the contract for the reward on the compounded stake
+                require(
+                    totalReward_ <= _bonusPoolAmount - reward,
+                    "Staking: Insufficient balance in bonus pool"
+                );
+                _totalExpectedBonus = totalReward_;
+                stakeData.rewardPerSecond = rewardPerSecond;
+            }
+        }
+        require(reward > 0, "Staking: No rewards");
+
+        _claimTime[account][positionID] = block.timestamp;
+        stakeData.stakeAmount += reward;
+        _bonusPoolAmount -= reward;
+        _totalStake += reward;
+        _vaultData[vault].totalStaked += reward;
+        _stakerVaultStakes[account][vault] += reward;
+        _checkpointTotalStake(account);
+
+        emit Compound(account, vault, positionID, reward, stakeData.stakeAmount);
+    }
+
+    /**
+     * @notice function for collecting the penalty of unstaking before the unlock time
+     * @param stakeData entire stake data of a staker for a particular position
+     * @return penalty penalty for the unstake, 0 once the stake is unlocked
+     */
+    function _collectPenalty(StakeData memory stakeData)
+        private
+        returns (uint256 penalty)
+    {
+        if (block.timestamp >= stakeData.stakeUnlockTime) return 0;
+
+        penalty = ((stakeData.stakeAmount * _penaltyRate) / 10000);
+        _collectedPenalties += penalty;
+    }
+
+    /**
+     * @notice function for accumulating the reward per token of an emission vault up to now
+     * @dev budget streamed while nothing is staked is released from the expected bonus
+     * @param vault vault number of the emission vault
+     */
+    function _updateEmissionPool(uint256 vault) private {
+        EmissionPool storage pool = _emissionPools[vault];
+        uint256 lastTime = _lastTimeRewardApplicable(pool);
+        if (lastTime > pool.lastUpdateTime) {
+            uint256 emitted = (lastTime - pool.lastUpdateTime) * pool.emissionRate;
+            if (pool.totalStaked == 0) {
+                _totalExpectedBonus -= emitted;
+            } else {
+                pool.rewardPerTokenStored +=
+                    (emitted * REWARD_PER_TOKEN_PRECISION) /
+                    pool.totalStaked;
+            }
+        }
+        pool.lastUpdateTime = lastTime;
+    }
+
+    /**
+     * @notice function for settling the accrued reward of an emission position
+     * @param account address of the staker
+     * @param positionID position of the stake
+     * @param stakeData entire stake data of the position
+     * @return reward reward accrued since the last settlement
+     */
+    function _settleEmissionReward(
+        address account,
+        uint256 positionID,
+        StakeData memory stakeData
+    ) private returns (uint256 reward) {
+        _updateEmissionPool(stakeData.vault);
+        uint256 rewardPerTokenStored = _emissionPools[stakeData.vault]
+            .rewardPerTokenStored;
+        reward = _getEmissionReward(
+            account,
+            positionID,
+            stakeData.stakeAmount,
+            rewardPerTokenStored
+        );
+        _rewardPerTokenPaid[account][positionID] = rewardPerTokenStored;
+        _totalExpectedBonus -= reward;
+    }
+
+    /**
+     * @notice function for queueing a timelocked change
+     * @dev nothing is queued if no timelock delay is set
+     * @param action name of the function making the change
+     * @param params ABI encoded parameters of the function
+     * @return whether the change can be applied at once
+     */
+    function _queueChange(string memory action, bytes memory params)
+        private
+        returns (bool)
+    {
+        uint256 delay = _timelockDelay;
+        if (delay == 0) return true;
+
+        bytes32 changeID = keccak256(abi.encode(action, params));
+        require(
+            _changeExecutionTimes[changeID] == 0,
+            "Staking: Change already queued"
+        );
+
+        uint256 executableAt = block.timestamp + delay;
+        _changeExecutionTimes[changeID] = executableAt;
+        emit ChangeQueued(changeID, action, params, executableAt);
+        return false;
+    }
+
+    /**
+     * @notice function for removing a queued change once its delay has passed
+     * @param action name of the function making the change
+     * @param params ABI encoded parameters of the function
+     */
+    function _executeChange(string memory action, bytes memory params)
+        private
+    {
+        bytes32 changeID = keccak256(abi.encode(action, params));
+        uint256 executableAt = _changeExecutionTimes[changeID];
+        require(executableAt != 0, "Staking: Change not queued");
+        require(
+            block.timestamp >= executableAt,
+            "Staking: Change is timelocked"
+        );
+
+        delete _changeExecutionTimes[changeID];
+        emit ChangeExecuted(changeID);
+    }
+
+    /**
+     * @notice function for setting the reward rate and locking period of a vault
+     * @param vault vault number to be modified
+     * @param lockingPeriod Locking period in seconds
+     * @param rewardRate reward rate to be set
+     */
+    function _modifyVault(
+        uint256 vault,
+        uint256 lockingPeriod,
+        uint256 rewardRate
+    ) private {
+        _vaultData[vault].lockingPeriod = lockingPeriod;
+        _vaultData[vault].rewardRate = rewardRate;
+        emit VaultModified(vault, lockingPeriod, rewardRate);
+    }
+
+    /**
+     * @notice function for adding a vault to the vault registry
+     * @dev name and stake limits of a previously removed vault are cleared
+     * @param vault vault number
+     * @param lockingPeriod Locking period in seconds
+     * @param rewardRate reward rate to be set
+     */
+    function _addVault(
+        uint256 vault,
+        uint256 lockingPeriod,
+        uint256 rewardRate
+    ) private {
+        Vault storage vaultData = _vaultData[vault];
+        vaultData.name = "";
+        vaultData.lockingPeriod = lockingPeriod;
+        vaultData.rewardRate = rewardRate;
+        vaultData.minStake = 0;
+        vaultData.maxStake = 0;
+        vaultData.capacity = 0;
+        vaultData.active = true;
+        vaultData.emission = false;
+
+        // reward tokens of a removed vault with the same number are not carried over
+        address[] storage rewardTokens = _vaultRewardTokens[vault];
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            delete _vaultRewardTokenRates[vault][rewardTokens[i]];
+        }
+        delete _vaultRewardTokens[vault];
+
+        _vaultIDs.push(vault);
+        _vaultIndexes[vault] = _vaultIDs.length;
+        emit VaultAdded(vault, lockingPeriod, rewardRate);
+    }
+
+    /**
+     * @notice function for setting the rate of a reward token paid by a vault
+     * @dev a reward token is added to the vault with a positive rate and removed with a zero rate
+     * @param vault vault number
+     * @param rewardToken address of the reward token
+     * @param rewardRate reward rate of the reward token
+     */
+    function _setVaultRewardToken(
+        uint256 vault,
+        address rewardToken,
+        uint256 rewardRate
+    ) private {
+        address[] storage rewardTokens = _vaultRewardTokens[vault];
+        if (rewardRate == 0) {
+            uint256 length = rewardTokens.length;
+            for (uint256 i = 0; i < length; i++) {
+                if (rewardTokens[i] == rewardToken) {
+                    rewardTokens[i] = rewardTokens[length - 1];
+                    rewardTokens.pop();
+                    break;
+                }
+            }
+        } else if (_vaultRewardTokenRates[vault][rewardToken] == 0) {
+            require(
+                rewardTokens.length < MAXIMUM_REWARD_TOKENS,
+                "Staking: Too many reward tokens"
+            );
+            rewardTokens.push(rewardToken);
+        }
+
+        _vaultRewardTokenRates[vault][rewardToken] = rewardRate;
+        emit VaultRewardTokenSet(vault, rewardToken, rewardRate);
+    }
+
+    /**
+     * @notice function for reserving the rewards of the reward tokens of a new position
+     * @param account address of the staker
+     * @param positionID position of the stake
+     * @param vault vault number of the stake
+     * @param amount amount of the stake
+     * @param lockingPeriod Locking period of the vault
+     */
+    function _addPositionRewardTokens(
+        address account,
+        uint256 positionID,
+        uint256 vault,
+        uint256 amount,
+        uint256 lockingPeriod
+    ) private {
+        address[] memory rewardTokens = _vaultRewardTokens[vault];
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address rewardToken = rewardTokens[i];
+            uint256 rewardPerSecond = _getReward(
+                amount,
+                _vaultRewardTokenRates[vault][rewardToken]
+            );
+            uint256 totalReward_ = _rewardTokenExpectedBonus[rewardToken] +
+                _getTotalReward(rewardPerSecond, lockingPeriod);
+
+            // check the bonus pool of the reward token for the reward amount
+            require(
+                totalReward_ <= _rewardTokenBonusPools[rewardToken],
+                "Staking: Insufficient balance in bonus pool"
+            );
+            _rewardTokenExpectedBonus[rewardToken] = totalReward_;
+            _positionRewardsPerSecond[account][positionID][rewardToken] = rewardPerSecond;
+        }
+        _positionRewardTokens[account][positionID] = rewardTokens;
+    }
+
+    /**
+     * @notice function for releasing the rewards of the reward tokens of a position to the claimable rewards of the staker
+     * @dev the unspent rewards of a position unstaked before the unlock time are released from the bonus pools
+     * @param account address of the staker
+     * @param positionID position of the stake
+     * @param stakeData stake details of the position
+     * @param interval seconds since the last claim the rewards are paid for
+     * @param unStaked whether the position is being unstaked
+     */
+    function _releasePositionRewardTokens(
+        address account,
+        uint256 positionID,
+        StakeData memory stakeData,
+        uint256 interval,
+        bool unStaked
+    ) private {
+        address[] memory rewardTokens = _positionRewardTokens[account][positionID];
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address rewardToken = rewardTokens[i];
+            uint256 rewardPerSecond = _positionRewardsPerSecond[account][positionID][
+                rewardToken
+            ];
+            uint256 reward = _getTotalReward(rewardPerSecond, interval);
+            uint256 unspentReward;
+            if (unStaked) {
+                if (block.timestamp < stakeData.stakeUnlockTime) {
+                    unspentReward = _getTotalReward(
+                        rewardPerSecond,
+                        stakeData.stakeUnlockTime - block.timestamp
+                    );
+                }
+                delete _positionRewardsPerSecond[account][positionID][rewardToken];
+            }
+
+            _rewardTokenExpectedBonus[rewardToken] -= (reward + unspentReward);
+            _rewardTokenBonusPools[rewardToken] -= reward;
+
+            emit RewardTokenReleased(
+                account,
+                stakeData.vault,
+                positionID,
+                rewardToken,
+                reward
+            );
+            _claimableRewardTokens[account][rewardToken] += reward;
+        }
+        if (unStaked) delete _positionRewardTokens[account][positionID];
+    }
+
+    /**
+     * @notice function for adding stakes made before the vault registry to the vault totals
+     * @dev stakes of a staker are migrated once; nothing to migrate on new deployments
+     * @dev each of the four fixed vaults held one stake, which becomes the position with the vault number
+     * @dev the stake checkpoints are written in the order of the staking times, not of the vaults
+     * @param account address of the staker
+     */
+    function _migrateStakes(address account) private {
+        if (!_hasLegacyStakes() || _stakesMigrated[account]) return;
+
+        _stakesMigrated[account] = true;
+        _nextPositionIDs[account] = 4;
+        for (uint256 i; i < 4; i++) {
+            if (!_stakeExist[account][i]) continue;
+            uint256 stakeAmount = _stakeData[account][i].stakeAmount;
+            _stakeData[account][i].vault = i;
+            _vaultData[i].totalStaked += stakeAmount;
+            _stakerVaultStakes[account][i] += stakeAmount;
+            _addStakerPosition(account, i);
+        }
+
+        uint256 checkpointTime;
+        for (uint256 k; k < 4; k++) {
+            // the earliest staking time after the last checkpoint
+            uint256 stakingTime = type(uint256).max;
+            for (uint256 i; i < 4; i++) {
+                uint256 time = _stakeData[account][i].stakingTime;
+                if (time > checkpointTime && time < stakingTime) stakingTime = time;
+            }
+            if (stakingTime == type(uint256).max) break;
+            checkpointTime = stakingTime;
+            _writeStakeCheckpoint(account, checkpointTime, _getLegacyStakeAt(account, checkpointTime));
+        }
+    }
+
+    /**
+     * @notice function for recording the current total stake of a staker
+     * @param account address of the staker
+     */
+    function _checkpointTotalStake(address account) private {
+        _writeStakeCheckpoint(account, block.timestamp, getTotalStake(account));
+    }
+
+    /**
+     * @notice function for recording the total stake of a staker from a timestamp on
+     * @dev a timestamp not after the latest checkpoint updates the latest checkpoint
+     * @param account address of the staker
+     * @param timestamp timestamp from which the total stake applies
+     * @param totalStake_ total stake of the staker
+     */
+    function _writeStakeCheckpoint(
+        address account,
+        uint256 timestamp,
+        uint256 totalStake_
+    ) private {
+        StakeCheckpoint[] storage checkpoints = _stakeCheckpoints[account];
+        uint256 length = checkpoints.length;
+        if (length != 0 && checkpoints[length - 1].timestamp >= timestamp) {
+            checkpoints[length - 1].totalStake = totalStake_;
+        } else {
+            checkpoints.push(StakeCheckpoint(timestamp, totalStake_));
+        }
+    }
+
+    /**
+     * @notice function for recording an open position of a staker
+     * @param account address of the staker
+     * @param positionID position of the stake
+     */
+    function _addStakerPosition(address account, uint256 positionID) private {
+        _stakerPositions[account].push(positionID);
+        _stakerPositionIndexes[account][positionID] = _stakerPositions[account].length;
+    }
+
+    /**
+     * @notice function for removing an unstaked position of a staker
+     * @param account address of the staker
+     * @param positionID position of the stake
+     */
+    function _removeStakerPosition(address account, uint256 positionID) private {
+        uint256[] storage positions = _stakerPositions[account];
+        uint256 index = _stakerPositionIndexes[account][positionID] - 1;
+        uint256 lastPosition = positions[positions.length - 1];
+        positions[index] = lastPosition;
+        _stakerPositionIndexes[account][lastPosition] = index + 1;
+        positions.pop();
+        delete _stakerPositionIndexes[account][positionID];
+    }
+
+    /**
+     * @notice function for setting the penalty rate
+     * @param penaltyRate_ penalty rate to be set
+     */
+    function _changePenaltyRate(uint256 penaltyRate_) private {
+        _penaltyRate = penaltyRate_;
+        emit PenaltyRateChanged(penaltyRate_);
+    }
+
+    /**
+     * @notice function for setting the delay of timelocked changes
+     * @param delay delay in seconds between queueing and executing a change
+     */
+    function _setTimelockDelay(uint256 delay) private {
+        _timelockDelay = delay;
+        emit TimelockDelayChanged(delay);
+    }
+
+    /**
+     * @notice function for setting the EIP-2771 forwarder relaying reward claims
+     * @param trustedForwarder_ address of the forwarder
+     */
+    function _setTrustedForwarder(address trustedForwarder_) private {
+        _trustedForwarder = trustedForwarder_;
+        emit TrustedForwarderChanged(trustedForwarder_);
     }
 
     /**
@@ -852,18 +2275,248 @@ contract Staking is ReentrancyGuardUpgradeable {
      * @param vault vault number for the stake
      */
     function _checkVault(uint256 vault) private view {
-        require(_rewardRate[vault] > 0, "Staking: Invalid vault");
+        require(_vaultIndexes[vault] != 0, "Staking: Invalid vault");
+    }
+
+    /**
+     * @notice function for checking the stake limits of a vault
+     * @dev this is a private function
+     * @param vaultData vault record of the stake
+     * @param amount amount being staked
+     * @param stakerVaultStake total stake of the staker in the vault after staking
+     */
+    function _checkStakeLimits(
+        Vault storage vaultData,
+        uint256 amount,
+        uint256 stakerVaultStake
+    ) private view {
+        require(
+            amount >= vaultData.minStake,
+            "Staking: Stake below vault minimum"
+        );
+        require(
+            vaultData.maxStake == 0 || stakerVaultStake <= vaultData.maxStake,
+            "Staking: Stake above vault maximum"
+        );
+        require(
+            vaultData.capacity == 0 ||
+                vaultData.totalStaked + amount <= vaultData.capacity,
+            "Staking: Vault capacity reached"
+        );
+    }
+
+    /**
+     * @notice function for getting the total stake of a staker in the four fixed vaults at a timestamp
+     * @dev this is a private function
+     * @param account address of the staker
+     * @param timestamp timestamp, stakes made up to it are counted
+     * @return legacyStake total staked amount of the stakes made up to the timestamp
+     */
+    function _getLegacyStakeAt(address account, uint256 timestamp)
+        private
+        view
+        returns (uint256 legacyStake)
+    {
+        // empty vaults hold no stake data
+        for (uint256 i; i < 4; i++) {
+            StakeData storage stakeData = _stakeData[account][i];
+            if (stakeData.stakingTime <= timestamp) legacyStake += stakeData.stakeAmount;
+        }
+    }
+
+    /**
+     * @notice function for checking if stakes made before the vault registry may be left unmigrated
+     * @dev this is a private function
+     * @return whether the contract was upgraded from the four fixed vaults
+     */
+    function _hasLegacyStakes() private view returns (bool) {
+        return _legacyStakes || !_vaultsMigrated;
+    }
+
+    /**
+     * @notice function for getting the open positions of a staker
+     * @dev this is a private function
+     * @dev stakes made before the vault registry are looked up in the four fixed vaults until migrated
+     * @param account address of the staker
+     * @return positions positions of the stakes
+     */
+    function _getStakerPositions(address account)
+        private
+        view
+        returns (uint256[] memory positions)
+    {
+        if (!_hasLegacyStakes() || _stakesMigrated[account]) {
+            return _stakerPositions[account];
+        }
+
+        uint256 count;
+        positions = new uint256[](4);
+        for (uint256 i; i < 4; i++) {
+            if (_stakeExist[account][i]) positions[count++] = i;
+        }
+        uint256[] memory legacyPositions = new uint256[](count);
+        for (uint256 i; i < count; i++) {
+            legacyPositions[i] = positions[i];
+        }
+        return legacyPositions;
+    }
+
+    /**
+     * @notice function for getting the stake record of a position
+     * @dev this is a private function
+     * @dev unmigrated stakes made before the vault registry are in the vault with their position number
+     * @param account address of the staker
+     * @param positionID position of the stake
+     * @return stakeData stake record of the position
+     */
+    function _getStakeData(address account, uint256 positionID)
+        private
+        view
+        returns (StakeData memory stakeData)
+    {
+        stakeData = _stakeData[account][positionID];
+        if (_hasLegacyStakes() && !_stakesMigrated[account]) {
+            stakeData.vault = positionID;
+        }
+    }
+
+    /**
+     * @notice function for checking if a position shares the emission budget of its vault
+     * @dev this is a private function
+     * @param account address of the staker
+     * @param positionID position of the stake
+     * @return whether the position is an emission position
+     */
+    function _isEmissionPosition(address account, uint256 positionID)
+        private
+        view
+        returns (bool)
+    {
+        return _emissionPositions[account][positionID];
+    }
+
+    /**
+     * @notice function for checking a change of a reward token paid by a vault
+     * @dev this is a private function
+     * @param vault vault number
+     * @param rewardToken address of the reward token
+     * @param rewardRate reward rate of the reward token
+     */
+    function _checkVaultRewardToken(
+        uint256 vault,
+        address rewardToken,
+        uint256 rewardRate
+    ) private view {
+        _checkVault(vault);
+        require(!_vaultData[vault].emission, "Staking: Emission vault");
+        require(
+            rewardToken != address(0) && rewardToken != address(_tokenAddress),
+            "Staking: Invalid reward token"
+        );
+        require(rewardRate <= 10000, "Staking: In-valid fine percentage");
+        require(
+            _vaultRewardTokenRates[vault][rewardToken] != rewardRate,
+            "Staking: Reward token rate same"
+        );
+    }
+
+    /**
+     * @notice function for calculating the accrued reward of an emission position
+     * @dev this is a private function
+     * @param account address of the staker
+     * @param positionID position of the stake
+     * @param stakeAmount stake amount of the position
+     * @param rewardPerTokenStored reward per token of the vault up to now
+     * @return reward accrued since the last settlement
+     */
+    function _getEmissionReward(
+        address account,
+        uint256 positionID,
+        uint256 stakeAmount,
+        uint256 rewardPerTokenStored
+    ) private view returns (uint256) {
+        return
+            (stakeAmount *
+                (rewardPerTokenStored - _rewardPerTokenPaid[account][positionID])) /
+            REWARD_PER_TOKEN_PRECISION;
+    }
+
+    /**
+     * @notice function for calculating the reward per token of an emission vault up to now
+     * @dev this is a private function
+     * @param pool emission pool of the vault
+     * @return reward per staked token, scaled by REWARD_PER_TOKEN_PRECISION
+     */
+    function _getRewardPerToken(EmissionPool storage pool)
+        private
+        view
+        returns (uint256)
+    {
+        if (pool.totalStaked == 0) return pool.rewardPerTokenStored;
+        return
+            pool.rewardPerTokenStored +
+            ((_lastTimeRewardApplicable(pool) - pool.lastUpdateTime) *
+                pool.emissionRate *
+                REWARD_PER_TOKEN_PRECISION) /
+            pool.totalStaked;
+    }
+
+    /**
+     * @notice function for getting the last time an emission vault streams rewards up to now
+     * @dev this is a private function
+     * @param pool emission pool of the vault
+     * @return the current time or the end of the emission period, whichever is earlier
+     */
+    function _lastTimeRewardApplicable(EmissionPool storage pool)
+        private
+        view
+        returns (uint256)
+    {
+        return
+            block.timestamp < pool.periodFinish
+                ? block.timestamp
+                : pool.periodFinish;
+    }
+
+    /**
+     * @notice function for checking if the caller is the owner
+     * @dev this is a private function, shared by the onlyOwner modifier to keep the bytecode small
+     */
+    function _checkOwner() private view {
+        require(
+            _owner == msg.sender,
+            "Staking: Only owner can call this function"
+        );
+    }
+
+    /**
+     * @notice function for checking if staking is not paused
+     * @dev this is a private function, shared by the whenNotPaused modifier to keep the bytecode small
+     */
+    function _checkNotPaused() private view {
+        require(!_paused, "Staking: paused");
+    }
+
+    /**
+     * @notice function for checking if a vault can be added
+     * @dev this is a private function
+     * @param vault vault number
+     */
+    function _checkNewVault(uint256 vault) private view {
+        require(_vaultsMigrated, "Staking: Vaults not migrated");
+        require(_vaultIndexes[vault] == 0, "Staking: Vault exist");
     }
 
     /**
      * @notice function for checking if stake exists
      * @dev this is a private function
-     * @param vault vault number for the stake
+     * @param account address of the staker
+     * @param positionID position of the stake
      */
-    function _checkStakeExist(uint256 vault) private view {
+    function _checkStakeExist(address account, uint256 positionID) private view {
         require(
-            _stakeExist[msg.sender][vault],
-            "Staking: Stake does not exist for this vault"
+            _stakeExist[account][positionID],
+            "Staking: Stake does not exist for this position"
         );
     }
 
@@ -902,6 +2555,36 @@ contract Staking is ReentrancyGuardUpgradeable {
             interval = unlockTime - lastClaimTime;
     }
 
+    /**
+     * @notice function for getting the staker of a call
+     * @dev relayed calls of the trusted forwarder carry the address of the staker in their last 20 bytes
+     * @dev follows ERC2771ContextUpgradeable, which is not inherited as its storage gap would shift
+     * the storage of deployed contracts and its forwarder is immutable
+     * @return sender address of the staker
+     */
+    function _msgSender() internal view virtual returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            /// @solidity memory-safe-assembly
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            return msg.sender;
+        }
+    }
+
+    /**
+     * @notice function for getting the calldata of a call without the staker appended by the trusted forwarder
+     * @return calldata of the call
+     */
+    function _msgData() internal view virtual returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        } else {
+            return msg.data;
+        }
+    }
+
     /* Private View Ends
 
     /* Private Pure */
@@ -2,9 +2,10 @@
 pragma solidity ^0.8.10;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract Token is ERC20 {
-    constructor() ERC20("Token", "TPS") {
+contract Token is ERC20, ERC20Permit {
+    constructor() ERC20("Token", "TPS") ERC20Permit("Token") {
         _mint(msg.sender, 100 * 10**uint256(decimals()));
     }
 
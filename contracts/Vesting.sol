@@ -60,6 +60,15 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
     // Pool index => beneficiary address => Beneficiary{}
     mapping(address => mapping(uint => Beneficiary)) private beneficiaries;
 
+    // Launchpad allowed to add vesting pools and beneficiaries on behalf of the owner
+    address public launchpad;
+
+    // Are token claims paused
+    bool public paused;
+
+    // Address nominated as the next owner, the nomination has to be accepted by that address
+    address public potentialOwner;
+
     /* Events */
 
     /// @notice event emitted when an investor claims their project tokens
@@ -70,6 +79,21 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
 
     /// @notice event emitted when an investor invests in a project and gets added to the beneficiary list
     event BeneficiaryAdded(uint indexed poolIndex, address indexed beneficiary, uint addedTokenAmount);
+
+    /// @notice event emitted when the owner sets the launchpad allowed to add vesting pools
+    event LaunchpadSet(address indexed launchpad);
+
+    /// @notice event emitted when the owner nominates a potential owner
+    event NominateOwner(address indexed potentialOwner);
+
+    /// @notice event emitted when the owner cancels the nomination of a potential owner
+    event NominationCancelled(address indexed potentialOwner);
+
+    /// @notice event emitted when the owner pauses token claims
+    event Paused(address account);
+
+    /// @notice event emitted when the owner unpauses token claims
+    event Unpaused(address account);
     
     /* Modifiers */
 
@@ -84,6 +108,17 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
         _;
     }
 
+    /**
+    * @notice Checks whether the caller is the owner or the launchpad.
+    */
+    modifier onlyOwnerOrLaunchpad() {
+        require(
+            msg.sender == owner() || (launchpad != address(0) && msg.sender == launchpad),
+            "Vesting: caller is not the owner or launchpad"
+        );
+        _;
+    }
+
     /**
     * @notice Checks whether the given pool index points to an existing pool.
     */
@@ -116,6 +151,17 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
         _;
     }
 
+    /**
+    * @notice Checks whether token claims are not paused.
+    */
+    modifier whenNotPaused() {
+        require(
+            !paused,
+            "Vesting: paused"
+        );
+        _;
+    }
+
     /**
     * @notice Checks whether the address is beneficiary of the pool.
     */
@@ -128,7 +174,7 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
     }
 
     /// @custom:oz-upgrades-unsafe-allow constructor
-    constructor() initializer {
+    constructor() {
     /**
      * @dev Locks the contract, preventing any future reinitialization. This cannot be part of an initializer call.
      * Calling this in the constructor of a contract will prevent that contract from being initialized or reinitialized
@@ -155,6 +201,18 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
 
     /* Owner Functions */
 
+    /**
+    * @notice Sets the launchpad that hands off investors of closed projects to vesting pools.
+    * @param launchpad_ Address of the launchpad, zero address to disable the hand-off.
+    */
+    function setLaunchpad(address launchpad_)
+        external
+        onlyOwner
+    {
+        launchpad = launchpad_;
+        emit LaunchpadSet(launchpad_);
+    }
+
     /**
     * @notice Adds new vesting pool.
     * @param name Vesting pool name, Project ID created in Launchpad.
@@ -168,7 +226,7 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
         uint[] memory releaseAmountPercentage,
         uint totalPoolTokenAmount)
         external
-        onlyOwner
+        onlyOwnerOrLaunchpad
         nameDoesNotExist(name)
         tokenAmountNotZero(totalPoolTokenAmount)
     {
@@ -218,7 +276,7 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
         address[] calldata addresses,
         uint[] calldata tokenAmount)
         external
-        onlyOwner
+        onlyOwnerOrLaunchpad
     {
         require(
             addresses.length == tokenAmount.length, 
@@ -226,7 +284,7 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
             );
 
         for (uint i = 0; i < addresses.length; i++) {
-           addToBeneficiariesList(poolIndex, addresses[i], tokenAmount[i]);
+           _addToBeneficiariesList(poolIndex, addresses[i], tokenAmount[i]);
         }
     }
 
@@ -237,7 +295,7 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
     */
     function addToWhitelist(uint poolIndex, address beneficiary)
         public
-        onlyOwner
+        onlyOwnerOrLaunchpad
         addressNotZero(beneficiary)
     {
         beneficiaries[beneficiary][poolIndex].status = true;
@@ -250,7 +308,7 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
     */
     function uploadWhitelist(uint poolIndex, address[] memory whitelists) 
         external
-        onlyOwner 
+        onlyOwnerOrLaunchpad 
     {
         for(uint i=0; i<whitelists.length; i++ ){
             addToWhitelist( poolIndex, whitelists[i]);
@@ -274,8 +332,113 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
             "Vesting: token transfer failed"
         );
     }
+
+    /**
+    * @notice Pauses token claims.
+    * @dev only owner can call this function
+    * @dev unlike the Launchpad, vesting has no pauser role, the owner both pauses and unpauses
+    */
+    function pause()
+        external
+        onlyOwner
+    {
+        require(!paused, "Vesting: paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+    * @notice Unpauses token claims.
+    * @dev only owner can call this function
+    */
+    function unpause()
+        external
+        onlyOwner
+    {
+        require(paused, "Vesting: not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+    * @notice Nominates a potential owner who has to accept the ownership.
+    * @dev only owner can call this function
+    * @param potentialOwner_ Address of the potential owner.
+    */
+    function addPotentialOwner(address potentialOwner_)
+        public
+        onlyOwner
+        addressNotZero(potentialOwner_)
+    {
+        require(
+            potentialOwner_ != owner(),
+            "Vesting: potential owner same as owner"
+        );
+        potentialOwner = potentialOwner_;
+        emit NominateOwner(potentialOwner_);
+    }
+
+    /**
+    * @notice Nominates a potential owner, ownership is only transferred once accepted.
+    * @dev only owner can call this function
+    * @param newOwner Address of the potential owner.
+    */
+    function transferOwnership(address newOwner)
+        public
+        override
+    {
+        addPotentialOwner(newOwner);
+    }
+
+    /**
+    * @notice Cancels the nomination of the potential owner.
+    * @dev only owner can call this function
+    */
+    function cancelOwnerNomination()
+        external
+        onlyOwner
+    {
+        address potentialOwner_ = potentialOwner;
+        require(
+            potentialOwner_ != address(0),
+            "Vesting: no potential owner"
+        );
+        delete potentialOwner;
+        emit NominationCancelled(potentialOwner_);
+    }
+
+    /**
+    * @notice Leaves the contract without an owner and cancels any nomination.
+    * @dev only owner can call this function
+    */
+    function renounceOwnership()
+        public
+        override
+        onlyOwner
+    {
+        delete potentialOwner;
+        _transferOwnership(address(0));
+    }
     /* Owner Functions end */
 
+    /* Potential Owner Functions */
+
+    /**
+    * @notice Accepts the ownership the caller was nominated for.
+    */
+    function acceptOwnership()
+        external
+    {
+        require(
+            msg.sender == potentialOwner,
+            "Vesting: only potential owner"
+        );
+        delete potentialOwner;
+        _transferOwnership(msg.sender);
+    }
+
+    /* Potential Owner Functions end */
+
     /* Investor Functions */
 
     /**
@@ -290,26 +453,8 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
         uint tokenAmount)
         public
         onlyBeneficiary(poolIndex)
-        addressNotZero(address_)
-        poolExists(poolIndex)
-        tokenAmountNotZero(tokenAmount)
     {
-        // Pool storage p = vestingPools[_poolIndex];
-        uint totalPoolAmount = vestingPools[poolIndex].totalPoolTokenAmount;
-        require(
-            totalPoolAmount >= (vestingPools[poolIndex].lockedPoolTokens + tokenAmount),
-            "Vesting: allocated token amount will exceed total pool amount"
-        );
-        if(beneficiaries[address_][poolIndex].investment == 0){
-            poolInvestments[poolIndex].totalInvestors++;
-            poolInvestments[poolIndex].investors.push(address_);
-        }
-
-        vestingPools[poolIndex].lockedPoolTokens += tokenAmount;
-        poolInvestments[poolIndex].totalInvestment += tokenAmount;
-        beneficiaries[address_][poolIndex].investment += tokenAmount;
-
-        emit BeneficiaryAdded(poolIndex, address_, tokenAmount);
+        _addToBeneficiariesList(poolIndex, address_, tokenAmount);
     }
 
     /**
@@ -319,6 +464,7 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
     function claimTokens(uint poolIndex)
         external
         nonReentrant
+        whenNotPaused
         poolExists(poolIndex)
         addressNotZero(msg.sender)
         onlyBeneficiary(poolIndex)
@@ -368,6 +514,42 @@ contract Vesting is OwnableUpgradeable, ReentrancyGuardUpgradeable{
     }
 
     /* Investor Functions end */
+
+    /* Internal Functions */
+
+    /**
+    * @notice Adds address with invested token amount to vesting pool without a caller check.
+    * @param poolIndex Index that refers to vesting pool object.
+    * @param address_ Address of the beneficiary wallet.
+    * @param tokenAmount Invested token amount (incl. decimals).
+    */
+    function _addToBeneficiariesList(
+        uint poolIndex,
+        address address_,
+        uint tokenAmount)
+        internal
+        addressNotZero(address_)
+        poolExists(poolIndex)
+        tokenAmountNotZero(tokenAmount)
+    {
+        uint totalPoolAmount = vestingPools[poolIndex].totalPoolTokenAmount;
+        require(
+            totalPoolAmount >= (vestingPools[poolIndex].lockedPoolTokens + tokenAmount),
+            "Vesting: allocated token amount will exceed total pool amount"
+        );
+        if(beneficiaries[address_][poolIndex].investment == 0){
+            poolInvestments[poolIndex].totalInvestors++;
+            poolInvestments[poolIndex].investors.push(address_);
+        }
+
+        vestingPools[poolIndex].lockedPoolTokens += tokenAmount;
+        poolInvestments[poolIndex].totalInvestment += tokenAmount;
+        beneficiaries[address_][poolIndex].investment += tokenAmount;
+
+        emit BeneficiaryAdded(poolIndex, address_, tokenAmount);
+    }
+
+    /* Internal Functions end */
   
     /* View Functions */
 
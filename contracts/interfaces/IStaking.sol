@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * @title Staking interface
+ * @dev Functions of the Staking smart contract used by the Launchpad to assign
+ * stakers to presale allocation tiers
+ */
+interface IStaking {
+    function getTotalStakeAt(address account, uint256 timestamp) external view returns (uint256);
+}
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+/**
+ * @title Vesting interface
+ * @dev Functions of the Vesting smart contract used by the Launchpad to hand off
+ * investors of a closed project to a vesting pool
+ */
+interface IVesting {
+    function addVestingPool(
+        string calldata name,
+        uint256[] calldata releaseTimes,
+        uint256[] calldata releaseAmountPercentage,
+        uint256 totalPoolTokenAmount
+    ) external;
+
+    function addToBeneficiariesListMultiple(
+        uint256 poolIndex,
+        address[] calldata addresses,
+        uint256[] calldata tokenAmount
+    ) external;
+
+    function uploadWhitelist(uint256 poolIndex, address[] calldata whitelists) external;
+
+    function getPoolIndex(string calldata name) external view returns (uint256);
+
+    function getToken() external view returns (address);
+}
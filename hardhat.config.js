@@ -1,7 +1,24 @@
 require("@nomicfoundation/hardhat-toolbox");
+// web3 of the in-process network for @openzeppelin/test-helpers
+require("@nomiclabs/hardhat-web3");
 require('@openzeppelin/hardhat-upgrades');
+require("hardhat-contract-sizer");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.19",
+  solidity: {
+    version: "0.8.19",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+      viaIR: true,
+    },
+  },
+  // fails the compilation, and so the tests, when a contract exceeds the 24 KB contract size limit
+  contractSizer: {
+    runOnCompile: true,
+    strict: true,
+  },
 };
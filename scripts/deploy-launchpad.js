@@ -1,11 +1,15 @@
 const hre = require("hardhat");
+const { deployLaunchpadModules } = require("./launchpad-modules");
 
 async function main() {
+  const adminModule = await deployLaunchpadModules();
   const lpadInstance = await ethers.getContractFactory("Launchpad");
-  const launchpad = await upgrades.deployProxy(lpadInstance);
-  await launchpad.waitForDeployment();
+  const launchpad = await upgrades.deployProxy(lpadInstance, {
+    constructorArgs: [adminModule.address],
+  });
+  await launchpad.deployed();
 
-  console.log('Vesting Smart Contract deployed to: ', launchpad.getAddress());
+  console.log('Vesting Smart Contract deployed to: ', launchpad.address);
 }
 
 // We recommend this pattern to be able to use async/await everywhere
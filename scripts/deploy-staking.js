@@ -3,9 +3,9 @@ const hre = require("hardhat");
 async function main() {
   const stakingInstance = await ethers.getContractFactory("Staking");
   const staking = await upgrades.deployProxy(stakingInstance);
-  await staking.waitForDeployment();
+  await staking.deployed();
 
-  console.log('Staking Smart Contract deployed to: ', staking.getAddress());
+  console.log('Staking Smart Contract deployed to: ', staking.address);
 }
 
 // We recommend this pattern to be able to use async/await everywhere
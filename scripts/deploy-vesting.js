@@ -3,9 +3,9 @@ const hre = require("hardhat");
 async function main() {
   const vestingInstance = await ethers.getContractFactory("Vesting");
   const vesting = await upgrades.deployProxy(vestingInstance);
-  await vesting.waitForDeployment();
+  await vesting.deployed();
 
-  console.log('Vesting Smart Contract deployed to: ', vesting.getAddress());
+  console.log('Vesting Smart Contract deployed to: ', vesting.address);
 }
 
 // We recommend this pattern to be able to use async/await everywhere
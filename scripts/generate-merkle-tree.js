@@ -0,0 +1,102 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { MerkleTree } = require("merkletreejs");
+
+// Builds the presale whitelist Merkle tree of a Launchpad project from a CSV file
+// with one `address,maxAllocation,tier` row per wallet, maxAllocation being in the
+// smallest unit of the payment token. Writes the root and the proof of every wallet
+// as JSON, to be passed to `addMerkleRoot` and `investPresale` respectively.
+//
+// Usage: node scripts/generate-merkle-tree.js <whitelist.csv> [output.json]
+
+function encodeLeaf(address, maxAllocation, tier) {
+  // Same as `keccak256(abi.encodePacked(...))` in Launchpad
+  return ethers.utils.solidityKeccak256(
+    ["address", "uint256", "uint256"],
+    [address, maxAllocation, tier]
+  );
+}
+
+// Parses a non-negative integer column of a whitelist row
+function parseAmount(value, column, lineNumber) {
+  if (value === undefined || value === "") {
+    throw new Error(`Missing ${column} on line ${lineNumber}`);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${column} on line ${lineNumber}: ${value}`);
+  }
+  return BigInt(value).toString();
+}
+
+function parseWhitelist(csv) {
+  const entries = [];
+  const seen = new Set();
+  csv.split(/\r?\n/).forEach((line, index) => {
+    const row = line.trim();
+    if (!row || row.startsWith("#")) return;
+    const [address, maxAllocation, tier] = row.split(",").map((value) => value.trim());
+    // Skip an optional header row
+    if (index === 0 && !ethers.utils.isAddress(address)) return;
+    if (!ethers.utils.isAddress(address)) {
+      throw new Error(`Invalid address on line ${index + 1}: ${address}`);
+    }
+    const checksummed = ethers.utils.getAddress(address);
+    if (seen.has(checksummed)) {
+      throw new Error(`Duplicate address on line ${index + 1}: ${address}`);
+    }
+    seen.add(checksummed);
+    entries.push({
+      address: checksummed,
+      maxAllocation: parseAmount(maxAllocation, "maxAllocation", index + 1),
+      tier: tier ? parseAmount(tier, "tier", index + 1) : "0",
+    });
+  });
+  return entries;
+}
+
+function buildMerkleTree(entries) {
+  const leaves = entries.map((entry) =>
+    encodeLeaf(entry.address, entry.maxAllocation, entry.tier)
+  );
+  const tree = new MerkleTree(leaves, ethers.utils.keccak256, { sortPairs: true });
+  const whitelist = {};
+  entries.forEach((entry, index) => {
+    whitelist[entry.address] = {
+      maxAllocation: entry.maxAllocation,
+      tier: entry.tier,
+      proof: tree.getHexProof(leaves[index]),
+    };
+  });
+  return { root: tree.getHexRoot(), whitelist };
+}
+
+function main() {
+  const [input, output] = process.argv.slice(2);
+  if (!input) {
+    console.error("Usage: node scripts/generate-merkle-tree.js <whitelist.csv> [output.json]");
+    process.exitCode = 1;
+    return;
+  }
+  const entries = parseWhitelist(fs.readFileSync(input, "utf8"));
+  if (entries.length === 0) {
+    throw new Error("Whitelist is empty");
+  }
+  const json = JSON.stringify(buildMerkleTree(entries), null, 2);
+  if (output) {
+    fs.writeFileSync(output, json);
+    console.log(`Merkle tree of ${entries.length} addresses written to ${output}`);
+  } else {
+    console.log(json);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { encodeLeaf, parseWhitelist, buildMerkleTree };
@@ -0,0 +1,20 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Deploys the modules of the Launchpad, each with the address of the module it delegates to
+ * @returns the module the Launchpad implementation is deployed with
+ */
+async function deployLaunchpadModules() {
+  const ViewModule = await ethers.getContractFactory("LaunchpadViewModule");
+  const viewModule = await ViewModule.deploy();
+  await viewModule.deployed();
+  const ProjectModule = await ethers.getContractFactory("LaunchpadProjectModule");
+  const projectModule = await ProjectModule.deploy(viewModule.address);
+  await projectModule.deployed();
+  const AdminModule = await ethers.getContractFactory("LaunchpadAdminModule");
+  const adminModule = await AdminModule.deploy(projectModule.address);
+  await adminModule.deployed();
+  return adminModule;
+}
+
+module.exports = { deployLaunchpadModules };
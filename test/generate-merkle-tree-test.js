@@ -0,0 +1,104 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { MerkleTree } = require("merkletreejs");
+const {
+  encodeLeaf,
+  parseWhitelist,
+  buildMerkleTree,
+} = require("../scripts/generate-merkle-tree");
+
+describe("Generate Merkle Tree", () => {
+  let add1, add2;
+
+  beforeEach(async () => {
+    [, add1, add2] = await ethers.getSigners();
+  });
+
+  describe("Encode Leaf", () => {
+    it("Should hash the packed address, max allocation and tier", async () => {
+      expect(encodeLeaf(add1.address, 1000, 2)).to.equal(
+        ethers.utils.keccak256(
+          ethers.utils.solidityPack(
+            ["address", "uint256", "uint256"],
+            [add1.address, 1000, 2]
+          )
+        )
+      );
+    });
+  });
+
+  describe("Parse Whitelist", () => {
+    it("Should parse the rows of the whitelist", async () => {
+      const csv = [
+        "address,maxAllocation,tier",
+        `${add1.address.toLowerCase()}, 1000, 2`,
+        "",
+        "# no tier",
+        `${add2.address},500`,
+      ].join("\n");
+      expect(parseWhitelist(csv)).to.deep.equal([
+        { address: add1.address, maxAllocation: "1000", tier: "2" },
+        { address: add2.address, maxAllocation: "500", tier: "0" },
+      ]);
+    });
+
+    describe("Should revert if", () => {
+      it("Address is invalid", async () => {
+        expect(() =>
+          parseWhitelist(`${add1.address},1000,1\n0x1234,1000,1`)
+        ).to.throw("Invalid address on line 2: 0x1234");
+      });
+
+      it("Address is duplicated", async () => {
+        expect(() =>
+          parseWhitelist(
+            `${add1.address},1000,1\n${add1.address.toLowerCase()},500,1`
+          )
+        ).to.throw(`Duplicate address on line 2: ${add1.address.toLowerCase()}`);
+      });
+
+      it("Max allocation is missing", async () => {
+        expect(() => parseWhitelist(`${add1.address}`)).to.throw(
+          "Missing maxAllocation on line 1"
+        );
+      });
+
+      it("Max allocation or tier is not a non-negative integer", async () => {
+        expect(() => parseWhitelist(`${add1.address},1e18,1`)).to.throw(
+          "Invalid maxAllocation on line 1: 1e18"
+        );
+        expect(() => parseWhitelist(`${add1.address},1000,-1`)).to.throw(
+          "Invalid tier on line 1: -1"
+        );
+      });
+    });
+  });
+
+  describe("Build Merkle Tree", () => {
+    it("Should return a proof of every address against the root", async () => {
+      const entries = parseWhitelist(
+        `${add1.address},1000,1\n${add2.address},500,0`
+      );
+      const { root, whitelist } = buildMerkleTree(entries);
+      for (const entry of entries) {
+        const { maxAllocation, tier, proof } = whitelist[entry.address];
+        expect(
+          MerkleTree.verify(
+            proof,
+            encodeLeaf(entry.address, maxAllocation, tier),
+            root,
+            ethers.utils.keccak256,
+            { sortPairs: true }
+          )
+        ).to.equal(true);
+      }
+    });
+
+    it("Should use the leaf as the root of a single address whitelist", async () => {
+      const entries = parseWhitelist(`${add1.address},1000,1`);
+      const { root, whitelist } = buildMerkleTree(entries);
+      expect(root).to.equal(encodeLeaf(add1.address, "1000", "1"));
+      expect(whitelist[add1.address].proof).to.deep.equal([]);
+    });
+  });
+});
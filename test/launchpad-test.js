@@ -7,6 +7,7 @@ const { MerkleTree } = require('merkletreejs');
 const ether = require("@openzeppelin/test-helpers/src/ether");
 const { ZERO_ADDRESS } = require("@openzeppelin/test-helpers/src/constants");
 const { keccak256 } = ethers.utils
+const { encodeLeaf } = require("../scripts/generate-merkle-tree");
 
 describe("Kyoto Launchpad", () =>{
     let admin, projectOwner, add1, add2, LaunchpadV1, launchpad, Token, token, paymentToken, payToken, whitelisted, notWhitelisted, merkleProof, merkleRoot, tree, invalidMerkleProof;
@@ -18,6 +19,25 @@ describe("Kyoto Launchpad", () =>{
         );
         return _amount;
     }
+    // ABI of the Launchpad and its modules, which all share the events and storage of the Launchpad
+    function launchpadAbi(factories) {
+        const fragments = new Map();
+        for (const factory of factories) {
+            for (const fragment of factory.interface.fragments) {
+                if (fragment.type !== "constructor") fragments.set(fragment.format(), fragment);
+            }
+        }
+        return [...fragments.values()];
+    }
+    // timestamp of the latest block, timestamps are based on it as tests move the chain time
+    async function latestTime() {
+        return (await time.latest()).toNumber();
+    }
+    // release schedule unlocking all project tokens at project close
+    const releaseSchedule = [10000, 0, 0, 0];
+    // charge the platform fee instead of project fees
+    const noProjectFee = [false, 0, 0];
+
     beforeEach(async () => {
         [admin, projectOwner, add1, add2, _] = await ethers.getSigners();
     
@@ -26,13 +46,26 @@ describe("Kyoto Launchpad", () =>{
         paymentToken = await ethers.getContractFactory("Token");
         payToken = await paymentToken.deploy();
         LaunchpadV1 = await ethers.getContractFactory("Launchpad");
-        launchpad = await upgrades.deployProxy(
+        // each module delegates the calls it does not implement to the next module
+        const ViewModule = await ethers.getContractFactory("LaunchpadViewModule");
+        const ProjectModule = await ethers.getContractFactory("LaunchpadProjectModule");
+        const AdminModule = await ethers.getContractFactory("LaunchpadAdminModule");
+        const viewModule = await ViewModule.deploy();
+        const projectModule = await ProjectModule.deploy(viewModule.address);
+        const adminModule = await AdminModule.deploy(projectModule.address);
+        const proxy = await upgrades.deployProxy(
           LaunchpadV1,
           {
             initializer: "initialize",
+            constructorArgs: [adminModule.address],
           }
         );
-        launchpad.deployed();
+        await proxy.deployed();
+        launchpad = new ethers.Contract(
+          proxy.address,
+          launchpadAbi([LaunchpadV1, AdminModule, ProjectModule, ViewModule]),
+          admin
+        );
     });
 
     describe("Initialize", () => {
@@ -45,6 +78,30 @@ describe("Kyoto Launchpad", () =>{
         it("Should set deployer as owner", async () => {
           expect(await launchpad.owner()).to.equal(admin.address);
     });
+
+        it("Should reach the functions of every module", async () => {
+          const adminModule = await ethers.getContractAt("LaunchpadAdminModule", await launchpad.adminModule());
+          expect(await launchpad.projectModule()).to.equal(await adminModule.projectModule());
+          expect(await launchpad.viewModule()).to.not.equal(ZERO_ADDRESS);
+          expect(await launchpad.projectExist("ID")).to.equal(false);
+        });
+
+        it("Should revert calls to functions no module implements", async () => {
+          await expect(
+            admin.sendTransaction({ to: launchpad.address, data: "0x12345678" })
+          ).to.be.reverted;
+          await expect(
+            admin.sendTransaction({ to: launchpad.address, value: getValue(1) })
+          ).to.be.reverted;
+        });
+
+        it("Should revert if a module address is zero", async () => {
+          await expect(
+            upgrades.deployProxy(LaunchpadV1, { initializer: "initialize", constructorArgs: [ZERO_ADDRESS] })
+          ).to.be.revertedWith("Launchpad: Invalid module");
+          const AdminModule = await ethers.getContractFactory("LaunchpadAdminModule");
+          await expect(AdminModule.deploy(ZERO_ADDRESS)).to.be.revertedWith("Launchpad: Invalid module");
+        });
   });
     describe("Ownership", () => {
         it("Should add a potential owner", async () => {
@@ -73,6 +130,36 @@ describe("Kyoto Launchpad", () =>{
                 await expect(launchpad.connect(add2).acceptOwnership()).to.be.revertedWith("Launchpad: only potential owner");
             });
         });
+        it("Should cancel the nomination of a potential owner", async () => {
+            await launchpad.connect(admin).addPotentialOwner(add2.address);
+            await expect(launchpad.connect(admin).cancelOwnerNomination()).to.emit(launchpad,"NominationCancelled").withArgs(add2.address);
+            expect(await launchpad.potentialOwner()).to.equal(ZERO_ADDRESS);
+            await expect(launchpad.connect(admin).cancelOwnerNomination()).to.be.revertedWith("Launchpad: no potential owner");
+        });
+        it("Should renounce ownership", async () => {
+            await launchpad.connect(admin).addPotentialOwner(add2.address);
+            await expect(launchpad.connect(admin).renounceOwnership()).to.emit(launchpad,"OwnerChange").withArgs(ZERO_ADDRESS);
+            expect(await launchpad.owner()).to.equal(ZERO_ADDRESS);
+            expect(await launchpad.potentialOwner()).to.equal(ZERO_ADDRESS);
+        });
+        it("Should let a multisig own the contract and batch owner calls", async () => {
+            const Multisig = await ethers.getContractFactory("MockMultisig");
+            const multisig = await Multisig.deploy([add1.address, add2.address], 2);
+            await launchpad.connect(admin).addPotentialOwner(multisig.address);
+            await multisig.connect(add1).submit(
+                [launchpad.address, launchpad.address, launchpad.address],
+                [
+                    launchpad.interface.encodeFunctionData("acceptOwnership"),
+                    launchpad.interface.encodeFunctionData("setFee", [1000]),
+                    launchpad.interface.encodeFunctionData("addPaymentToken", [payToken.address])
+                ]
+            );
+            await expect(multisig.connect(add1).execute(0)).to.be.revertedWith("MockMultisig: not enough confirmations");
+            await multisig.connect(add2).confirm(0);
+            await multisig.connect(add2).execute(0);
+            expect(await launchpad.owner()).to.equal(multisig.address);
+            expect(await launchpad.feePercentage()).to.equal(1000);
+        });
     });
     describe("Admin privileges", () => {
         it("Should add a new admin", async () => {
@@ -90,6 +177,69 @@ describe("Kyoto Launchpad", () =>{
         });
     });
 
+    describe("Roles", () => {
+        const ADMIN = keccak256(ethers.utils.toUtf8Bytes("ADMIN"));
+        let PROJECT_MANAGER, FEE_MANAGER, TREASURY;
+
+        beforeEach(async () => {
+            PROJECT_MANAGER = await launchpad.PROJECT_MANAGER_ROLE();
+            FEE_MANAGER = await launchpad.FEE_MANAGER_ROLE();
+            TREASURY = await launchpad.TREASURY_ROLE();
+        });
+
+        it("Should grant a role", async () => {
+            await expect(launchpad.connect(admin).grantAccessRole(FEE_MANAGER, add1.address)).to.emit(launchpad,"RoleGranted").withArgs(FEE_MANAGER, add1.address, admin.address);
+            expect(await launchpad.hasRole(FEE_MANAGER, add1.address)).to.equal(true);
+            await expect(launchpad.connect(add1).setFee(1000)).to.emit(launchpad,"SetFeePercentage").withArgs(1000);
+        });
+        it("Should restrict a role to its own functions", async () => {
+            await launchpad.connect(admin).grantAccessRole(FEE_MANAGER, add1.address);
+            await expect(launchpad.connect(add1).registerProjects(["PID"])).to.be.revertedWith("Launchpad: not authorized");
+            await expect(launchpad.connect(add1).collectBNBFromFailedTransfers()).to.be.revertedWith("Launchpad: not authorized");
+        });
+        it("Should enumerate the members of a role", async () => {
+            await launchpad.connect(admin).grantAccessRole(TREASURY, add1.address);
+            await launchpad.connect(admin).grantAccessRole(TREASURY, add2.address);
+            expect(await launchpad.getRoleMemberCount(TREASURY)).to.equal(2);
+            expect(await launchpad.getRoleMember(TREASURY, 1)).to.equal(add2.address);
+            await expect(launchpad.connect(admin).revokeAccessRole(TREASURY, add1.address)).to.emit(launchpad,"RoleRevoked").withArgs(TREASURY, add1.address, admin.address);
+            expect(await launchpad.getRoleMembers(TREASURY)).to.deep.equal([add2.address]);
+        });
+        it("Should renounce a role", async () => {
+            await launchpad.connect(admin).grantAccessRole(TREASURY, add1.address);
+            await expect(launchpad.connect(add1).renounceAccessRole(TREASURY)).to.emit(launchpad,"RoleRevoked").withArgs(TREASURY, add1.address, add1.address);
+            expect(await launchpad.getRoleMemberCount(TREASURY)).to.equal(0);
+        });
+        it("Should let members of the admin role manage a role", async () => {
+            await expect(launchpad.connect(admin).setRoleAdmin(TREASURY, PROJECT_MANAGER)).to.emit(launchpad,"RoleAdminChanged").withArgs(TREASURY, ADMIN, PROJECT_MANAGER);
+            await launchpad.connect(admin).grantAccessRole(PROJECT_MANAGER, add1.address);
+            await launchpad.connect(add1).grantAccessRole(TREASURY, add2.address);
+            expect(await launchpad.hasRole(TREASURY, add2.address)).to.equal(true);
+        });
+        it("Should track sub admins as members of the admin role", async () => {
+            await launchpad.connect(admin).grantRole(add1.address);
+            expect(await launchpad.getRoleMembers(ADMIN)).to.deep.equal([add1.address]);
+            await launchpad.connect(admin).revokeRole(add1.address);
+            expect(await launchpad.getRoleMemberCount(ADMIN)).to.equal(0);
+        });
+        describe("Should revert if", () => {
+            it("Caller is not an admin of the role", async () => {
+                await launchpad.connect(admin).grantAccessRole(PROJECT_MANAGER, add1.address);
+                await expect(launchpad.connect(add1).grantAccessRole(TREASURY, add2.address)).to.be.revertedWith("Launchpad: not authorized");
+            });
+            it("Sub admin role is granted by anyone but the owner", async () => {
+                await launchpad.connect(admin).grantRole(add1.address);
+                await expect(launchpad.connect(add1).grantAccessRole(ADMIN, add2.address)).to.be.revertedWith("Launchpad: not authorized");
+            });
+            it("Admin role of the sub admin role is changed", async () => {
+                await expect(launchpad.connect(admin).setRoleAdmin(ADMIN, TREASURY)).to.be.revertedWith("Launchpad: admin role managed by owner");
+            });
+            it("Account does not have the revoked role", async () => {
+                await expect(launchpad.connect(admin).revokeAccessRole(TREASURY, add1.address)).to.be.revertedWith("Launchpad: account does not have role");
+            });
+        });
+    });
+
     describe("Fee Percentage", () =>{
         it("Should set fee percentage", async () => {
             const fee = BigNumber.from(1000);
@@ -133,7 +283,7 @@ describe("Kyoto Launchpad", () =>{
             const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
             const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-            const currentTime = Date.now()
+            const currentTime = await latestTime()
             const winnersOutTime = 0
             const projectOpenTime = currentTime+100
             const projectCloseTime = projectOpenTime+200
@@ -151,7 +301,9 @@ describe("Kyoto Launchpad", () =>{
                 tokenPrice,
                 winnersOutTime,
                 projectOpenTime,
-                projectCloseTime
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
             )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                             projectOwner.address,
                                                             paymentToken,
@@ -171,7 +323,7 @@ describe("Kyoto Launchpad", () =>{
             const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
             const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-            const currentTime = Date.now()
+            const currentTime = await latestTime()
             const winnersOutTime = 0
             const projectOpenTime = currentTime+100
             const projectCloseTime = projectOpenTime+200
@@ -189,7 +341,9 @@ describe("Kyoto Launchpad", () =>{
                 tokenPrice,
                 winnersOutTime,
                 projectOpenTime,
-                projectCloseTime
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
             )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                             projectOwner.address,
                                                             paymentToken,
@@ -210,7 +364,7 @@ describe("Kyoto Launchpad", () =>{
                 const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
                 const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
                 const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-                const currentTime = Date.now()
+                const currentTime = await latestTime()
                 const winnersOutTime = 0
                 const projectOpenTime = currentTime+100
                 const projectCloseTime = projectOpenTime+200
@@ -227,7 +381,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: not authorized");
             });
             it("Project ID exists", async () => {
@@ -238,7 +394,7 @@ describe("Kyoto Launchpad", () =>{
                 const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
                 const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
                 const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-                const currentTime = Date.now()
+                const currentTime = await latestTime()
                 const winnersOutTime = 0
                 const projectOpenTime = currentTime+100
                 const projectCloseTime = projectOpenTime+200
@@ -255,7 +411,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                     projectOwner.address,
                     paymentToken,
@@ -276,7 +434,9 @@ describe("Kyoto Launchpad", () =>{
                         tokenPrice,
                         winnersOutTime,
                         projectOpenTime,
-                        projectCloseTime
+                        projectCloseTime,
+                        releaseSchedule,
+                        noProjectFee
                     )).to.be.revertedWith("Launchpad: Project id already exist");           
             });
             it("Project Owner address is zero", async () => {
@@ -287,7 +447,7 @@ describe("Kyoto Launchpad", () =>{
                 const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
                 const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
                 const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-                const currentTime = Date.now()
+                const currentTime = await latestTime()
                 const winnersOutTime = 0
                 const projectOpenTime = currentTime+100
                 const projectCloseTime = projectOpenTime+200
@@ -304,7 +464,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: Project owner zero");
             }); 
             it("Payment token is not added", async () => {
@@ -314,7 +476,7 @@ describe("Kyoto Launchpad", () =>{
                 const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
                 const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
                 const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-                const currentTime = Date.now()
+                const currentTime = await latestTime()
                 const winnersOutTime = 0
                 const projectOpenTime = currentTime+100
                 const projectCloseTime = projectOpenTime+200
@@ -331,7 +493,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: payment token not supported");
             });
             it("Target amount is zero", async () => {
@@ -342,7 +506,7 @@ describe("Kyoto Launchpad", () =>{
                 const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
                 const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
                 const tokensForDistribution = BigNumber.from(1000).mul(BigNumber.from(10).pow(18))
-                const currentTime = Date.now()
+                const currentTime = await latestTime()
                 const winnersOutTime = 0
                 const projectOpenTime = currentTime+100
                 const projectCloseTime = projectOpenTime+200
@@ -359,7 +523,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: target amount zero");
             });
             it("Token price is zero", async () => {
@@ -370,7 +536,7 @@ describe("Kyoto Launchpad", () =>{
                 const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
                 const tokenPrice = 0
                 const tokensForDistribution = BigNumber.from(1000).mul(BigNumber.from(10).pow(18))
-                const currentTime = Date.now()
+                const currentTime = await latestTime()
                 const winnersOutTime = 0
                 const projectOpenTime = currentTime+100
                 const projectCloseTime = projectOpenTime+200
@@ -387,7 +553,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: token price zero");
             });
             it("Presale time is not zero", async () => {
@@ -398,7 +566,7 @@ describe("Kyoto Launchpad", () =>{
                 const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
                 const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
                 const tokensForDistribution = BigNumber.from(1000).mul(BigNumber.from(10).pow(18))
-                const currentTime = Date.now()
+                const currentTime = await latestTime()
                 const winnersOutTime = currentTime
                 const projectOpenTime = currentTime+100
                 const projectCloseTime = projectOpenTime+200
@@ -415,7 +583,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: presale time not zero");
             });
             it("Timestamps are invalid", async () => {
@@ -426,7 +596,7 @@ describe("Kyoto Launchpad", () =>{
                 const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
                 const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
                 const tokensForDistribution = BigNumber.from(1000).mul(BigNumber.from(10).pow(18))
-                const currentTime = Date.now()
+                const currentTime = await latestTime()
                 const winnersOutTime = 0
                 const projectOpenTime = currentTime-100
                 const projectCloseTime = currentTime-200
@@ -443,7 +613,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: Project invalid timestamps");
             });
         });
@@ -455,7 +627,7 @@ describe("Kyoto Launchpad", () =>{
             const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
             const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-            const currentTime = Date.now()
+            const currentTime = await latestTime()
             const winnersOutTime = 0
             const projectOpenTime = currentTime+100
             const projectCloseTime = projectOpenTime+200
@@ -470,7 +642,9 @@ describe("Kyoto Launchpad", () =>{
                 tokenPrice,
                 winnersOutTime,
                 projectOpenTime,
-                projectCloseTime
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
             )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                             projectOwner.address,
                                                             paymentToken,
@@ -492,7 +666,7 @@ describe("Kyoto Launchpad", () =>{
             const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
             const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-            const currentTime = Date.now()
+            const currentTime = await latestTime()
             const winnersOutTime = 0
             const projectOpenTime = currentTime+100
             const projectCloseTime = projectOpenTime+200
@@ -510,7 +684,9 @@ describe("Kyoto Launchpad", () =>{
                 tokenPrice,
                 winnersOutTime,
                 projectOpenTime,
-                projectCloseTime
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
             )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                             projectOwner.address,
                                                             paymentToken,
@@ -547,7 +723,7 @@ describe("Kyoto Launchpad", () =>{
             const minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
             const tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-            const currentTime = Date.now()
+            const currentTime = await latestTime()
             const winnersOutTime = 0
             const projectOpenTime = currentTime+100
             const projectCloseTime = projectOpenTime+200
@@ -562,7 +738,9 @@ describe("Kyoto Launchpad", () =>{
                 tokenPrice,
                 winnersOutTime,
                 projectOpenTime,
-                projectCloseTime
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
             )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                             projectOwner.address,
                                                             paymentToken,
@@ -603,7 +781,7 @@ describe("Kyoto Launchpad", () =>{
                 minInvestmentAmount = BigNumber.from(10).mul(BigNumber.from(10).pow(18))
                 tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
                 tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-                const currentTime = Date.now()
+                const currentTime = await latestTime()
                 winnersOutTime = 0
                 projectOpenTime = currentTime+100
                 projectCloseTime = projectOpenTime+200
@@ -651,7 +829,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                                 projectOwner.address,
                                                                 paymentToken,
@@ -686,7 +866,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                                 projectOwner.address,
                                                                 paymentToken,
@@ -721,7 +903,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                                 projectOwner.address,
                                                                 paymentToken,
@@ -756,7 +940,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                                 projectOwner.address,
                                                                 paymentToken,
@@ -791,7 +977,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                                 projectOwner.address,
                                                                 paymentToken,
@@ -826,7 +1014,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                                 projectOwner.address,
                                                                 paymentToken,
@@ -861,7 +1051,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                                 projectOwner.address,
                                                                 paymentToken,
@@ -899,7 +1091,7 @@ describe("Kyoto Launchpad", () =>{
             minInvestmentAmount = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-            const currentTime = Date.now()
+            const currentTime = await latestTime()
             winnersOutTime = 0
             projectOpenTime = currentTime+100
             projectCloseTime = projectOpenTime+200
@@ -919,7 +1111,9 @@ describe("Kyoto Launchpad", () =>{
                 tokenPrice,
                 winnersOutTime,
                 projectOpenTime,
-                projectCloseTime
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
             )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                             projectOwner.address,
                                                             paymentToken,
@@ -958,7 +1152,9 @@ describe("Kyoto Launchpad", () =>{
                 tokenPrice,
                 winnersOutTime,
                 projectOpenTime,
-                projectCloseTime
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
             )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                             projectOwner.address,
                                                             payToken.address,
@@ -1002,7 +1198,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                                 projectOwner.address,
                                                                 payToken.address,
@@ -1060,7 +1258,9 @@ describe("Kyoto Launchpad", () =>{
                     tokenPrice,
                     winnersOutTime,
                     projectOpenTime,
-                    projectCloseTime
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
                 )).to.emit(launchpad,"ProjectAdd").withArgs("Second",
                                                                 projectOwner.address,
                                                                 "0x0000000000000000000000000000000000000000",
@@ -1088,7 +1288,7 @@ describe("Kyoto Launchpad", () =>{
             minInvestmentAmount = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-            const currentTime = Date.now()
+            const currentTime = await latestTime()
             winnersOutTime = 0
             projectOpenTime = currentTime+100
             projectCloseTime = projectOpenTime+200
@@ -1106,7 +1306,9 @@ describe("Kyoto Launchpad", () =>{
                 tokenPrice,
                 winnersOutTime,
                 projectOpenTime,
-                projectCloseTime
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
             )
             await time.increaseTo(projectOpenTime)
         });
@@ -1137,16 +1339,18 @@ describe("Kyoto Launchpad", () =>{
                 token.address,
                 tokenPrice,
                 winnersOutTime,
-                Date.now()+100,
-                Date.now()+200
+                await latestTime()+100,
+                await latestTime()+200,
+                releaseSchedule,
+                noProjectFee
             )
-            await time.increaseTo(Date.now()+100)
+            await time.increaseTo(await latestTime()+100)
             const mintValue = BigNumber.from(1000000).mul(BigNumber.from(10).pow(18))
             await payToken.connect(add1).mint(add1.address,mintValue)
             await payToken.connect(add1).approve(launchpad.address, investment)
             await launchpad.connect(add1).investFairLaunch("Second",investment)
             let allocatedTokens = await launchpad.estimateProjectTokensById("Second",investment)
-            await time.increaseTo(Date.now()+200)
+            await time.increaseTo(await latestTime()+200)
             expect(await launchpad.connect(add1).claimIDOTokens("Second")).to.emit(launchpad,"ProjectInvestmentClaim").withArgs("Second",add1.address,allocatedTokens)
             let projectInvestment = await launchpad.getProjectInvestment("Second");
             expect(projectInvestment[0]).to.equal(investment)
@@ -1179,12 +1383,14 @@ describe("Kyoto Launchpad", () =>{
                     "0x0000000000000000000000000000000000000000",
                     tokenPrice,
                     winnersOutTime,
-                    Date.now()+100,
-                    Date.now()+200
+                    await latestTime()+100,
+                    await latestTime()+200,
+                    releaseSchedule,
+                    noProjectFee
                 )
-                await time.increaseTo(Date.now()+100)
+                await time.increaseTo(await latestTime()+100)
                 await launchpad.connect(add1).investFairLaunch("NoToken",investment,{ value: ethers.utils.parseEther("2")})
-                await time.increaseTo(Date.now()+200)
+                await time.increaseTo(await latestTime()+200)
                 await (expect (launchpad.connect(add1).claimIDOTokens("NoToken")).to.be.revertedWith("Launchpad: Project token not added yet"))
             });
             it("User has already claimed", async () => {
@@ -1199,27 +1405,26 @@ describe("Kyoto Launchpad", () =>{
             });
         });
     });
-    describe("Collect IDO investments", () => {
-        let investment, projectID, paymentToken, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, winnersOutTime, projectOpenTime, projectCloseTime
+    describe("Vested claims", () => {
+        let investment, projectID, paymentToken, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, projectOpenTime, projectCloseTime, allocatedTokens
+        // 20% at TGE, 100 seconds cliff, rest unlocked in 4 steps of 100 seconds
+        const vestedSchedule = [2000, 100, 400, 100];
         beforeEach(async () => {
             investment = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             paymentToken = "0x0000000000000000000000000000000000000000";
             await launchpad.connect(admin).addPaymentToken(paymentToken);
-            await launchpad.connect(admin).addPaymentToken(payToken.address);
-            projectID = "first";
+            projectID = "Vested";
             targetAmount = BigNumber.from(10000).mul(BigNumber.from(10).pow(18))
             minInvestmentAmount = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-            const currentTime = Date.now()
-            winnersOutTime = 0
+            const currentTime = await latestTime()
             projectOpenTime = currentTime+100
             projectCloseTime = projectOpenTime+200
             const mintValue = BigNumber.from(1000000).mul(BigNumber.from(10).pow(18))
             await token.connect(projectOwner).mint(projectOwner.address,mintValue)
-            expect(await token.connect(projectOwner).balanceOf(projectOwner.address)).to.be.equal(mintValue)
             await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
-            await launchpad.connect(admin).addPublicLaunch(
+            await expect(launchpad.connect(admin).addPublicLaunch(
                 projectID,
                 projectOwner.address,
                 paymentToken,
@@ -1227,124 +1432,121 @@ describe("Kyoto Launchpad", () =>{
                 minInvestmentAmount,
                 token.address,
                 tokenPrice,
-                winnersOutTime,
+                0,
                 projectOpenTime,
-                projectCloseTime
-            )
+                projectCloseTime,
+                vestedSchedule,
+                noProjectFee
+            )).to.emit(launchpad,"NotifyReleaseSchedule").withArgs(projectID, 2000, 100, 400, 100)
             await time.increaseTo(projectOpenTime)
-        });
-        it("Collect investments made in BNB", async () => {
             await launchpad.connect(add1).investFairLaunch(projectID,investment,{ value: ethers.utils.parseEther("2")})
-            const previousContractBalance =  await launchpad.provider.getBalance(launchpad.address)
-            const previousOwnerBalance = await launchpad.provider.getBalance(projectOwner.address)
-            await time.increaseTo(projectCloseTime)
-            expect(await launchpad.connect(admin).collectIDOInvestment(projectID)).emit(launchpad,"ProjectInvestmentCollect").withArgs(projectID)
-            expect(await launchpad.provider.getBalance(projectOwner.address)).to.equal(previousOwnerBalance.add(BigNumber.from(ethers.utils.parseEther("2"))))
-            expect(await launchpad.provider.getBalance(launchpad.address)).to.equal(previousContractBalance.sub(BigNumber.from(ethers.utils.parseEther("2"))))
-            let projectInvestment = await launchpad.getProjectInvestment(projectID);
-            expect(projectInvestment[3]).to.be.equal(true)
+            allocatedTokens = await launchpad.estimateProjectTokensById(projectID,investment)
         });
-        it("Collect investments made in ERC20", async () => {
-            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
-            await launchpad.connect(admin).addPublicLaunch(
-                "Collect",
-                projectOwner.address,
-                payToken.address,
-                targetAmount,
-                minInvestmentAmount,
-                token.address,
-                tokenPrice,
-                winnersOutTime,
-                Date.now()+100,
-                Date.now()+200
-            )
-            await time.increaseTo(Date.now()+100)
-            await payToken.connect(add1).mint(add1.address,BigNumber.from(1000000).mul(BigNumber.from(10).pow(18)))
-            await payToken.connect(add1).approve(launchpad.address, tokensForDistribution)
-            await launchpad.connect(add1).investFairLaunch("Collect",investment)
-            const previousOwnerBalance =  await payToken.connect(projectOwner).balanceOf(projectOwner.address)
-            const previousContractBalance =  await payToken.connect(admin).balanceOf(launchpad.address)
-            await time.increaseTo(Date.now()+200)
-            expect(await launchpad.connect(admin).collectIDOInvestment("Collect")).emit(launchpad,"ProjectInvestmentCollect").withArgs("Collect")
-            expect(await payToken.balanceOf(projectOwner.address)).to.equal(previousOwnerBalance.add(investment))
-            expect(await payToken.balanceOf(launchpad.address)).to.equal(previousContractBalance.sub(investment))
-            let projectInvestment = await launchpad.getProjectInvestment("Collect");
-            expect(projectInvestment[3]).to.be.equal(true)
+        it("Should store the release schedule", async () => {
+            let schedule = await launchpad.getReleaseSchedule(projectID)
+            expect(schedule[0]).to.equal(2000)
+            expect(schedule[1]).to.equal(100)
+            expect(schedule[2]).to.equal(400)
+            expect(schedule[3]).to.equal(100)
         });
-        it("Set Fee and collect platform share", async () => {
-            const fee = BigNumber.from(5000);
-            await launchpad.connect(admin).setFee(fee)
-            await launchpad.connect(add1).investFairLaunch(projectID,investment,{ value: ethers.utils.parseEther("2")})
-            const adminBalance =  await launchpad.provider.getBalance(admin.address)
-            const ownerBalance = await launchpad.provider.getBalance(projectOwner.address)
-            await time.increaseTo(projectCloseTime)
-            expect(await launchpad.connect(admin).collectIDOInvestment(projectID)).emit(launchpad,"ProjectInvestmentCollect").withArgs(projectID)
-            expect(await launchpad.provider.getBalance(projectOwner.address)).to.equal(ownerBalance.add(BigNumber.from(ethers.utils.parseEther("1"))))
-            expect(await launchpad.provider.getBalance(admin.address)).to.lte(adminBalance.add(BigNumber.from(ethers.utils.parseEther("1"))))
-            let projectInvestment = await launchpad.getProjectInvestment(projectID);
-            expect(projectInvestment[3]).to.be.equal(true)
+        it("Should lock all tokens before the project closes", async () => {
+            let status = await launchpad.getVestingStatus(projectID,add1.address)
+            expect(status[0]).to.equal(0)
+            expect(status[1]).to.equal(0)
+            expect(status[2]).to.equal(allocatedTokens)
+        });
+        it("Should release only the TGE share during the cliff", async () => {
+            const tgeTokens = allocatedTokens.mul(2000).div(10000)
+            await time.increaseTo(projectCloseTime+50)
+            await expect(launchpad.connect(add1).claimIDOTokens(projectID)).to.emit(launchpad,"ProjectInvestmentClaim").withArgs(projectID,add1.address,tgeTokens)
+            expect(await token.balanceOf(add1.address)).to.equal(tgeTokens)
+            let status = await launchpad.getVestingStatus(projectID,add1.address)
+            expect(status[0]).to.equal(0)
+            expect(status[1]).to.equal(tgeTokens)
+            expect(status[2]).to.equal(allocatedTokens.sub(tgeTokens))
+            let investor = await launchpad.getInvestor(projectID,add1.address)
+            expect(investor[1]).to.equal(false)
+        });
+        it("Should release stepped unlocks after the cliff", async () => {
+            const tgeTokens = allocatedTokens.mul(2000).div(10000)
+            const unlockedTokens = tgeTokens.add(allocatedTokens.sub(tgeTokens).mul(200).div(400))
+            await time.increaseTo(projectCloseTime+100+250)
+            await expect(launchpad.connect(add1).claimIDOTokens(projectID)).to.emit(launchpad,"ProjectInvestmentClaim").withArgs(projectID,add1.address,unlockedTokens)
+            let projectInvestment = await launchpad.getProjectInvestment(projectID)
+            expect(projectInvestment[1]).to.equal(unlockedTokens)
+        });
+        it("Should release the remaining tokens once vesting is over", async () => {
+            const tgeTokens = allocatedTokens.mul(2000).div(10000)
+            await time.increaseTo(projectCloseTime+50)
+            await launchpad.connect(add1).claimIDOTokens(projectID)
+            await time.increaseTo(projectCloseTime+100+400)
+            await expect(launchpad.connect(add1).claimIDOTokens(projectID)).to.emit(launchpad,"ProjectInvestmentClaim").withArgs(projectID,add1.address,allocatedTokens.sub(tgeTokens))
+            expect(await token.balanceOf(add1.address)).to.equal(allocatedTokens)
+            let investor = await launchpad.getInvestor(projectID,add1.address)
+            expect(investor[1]).to.equal(true)
+            await (expect (launchpad.connect(add1).claimIDOTokens(projectID)).to.be.revertedWith("Launchpad: already claimed"))
         });
         describe("Should revert if", () => {
-            it("Project does not exist", async () => {
-                await (expect(launchpad.connect(admin).collectIDOInvestment("NoToken")).to.be.revertedWith("Launchpad: invalid Project"))
+            it("No tokens were unlocked since the last claim", async () => {
+                await time.increaseTo(projectCloseTime+20)
+                await launchpad.connect(add1).claimIDOTokens(projectID)
+                await (expect (launchpad.connect(add1).claimIDOTokens(projectID)).to.be.revertedWith("Launchpad: no unlocked tokens"))
             });
-            it("Caller is not an admin", async () => {
-                await (expect(launchpad.connect(add1).collectIDOInvestment(projectID)).to.be.revertedWith("Launchpad: not authorized"))
-            });  
-            it("Project token is not added", async () => {
-                await launchpad.connect(admin).addPublicLaunch(
-                    "NoToken",
+            it("TGE percentage is more than 100%", async () => {
+                await expect(launchpad.connect(admin).addPublicLaunch(
+                    "InvalidTGE",
                     projectOwner.address,
                     paymentToken,
                     targetAmount,
                     minInvestmentAmount,
-                    "0x0000000000000000000000000000000000000000",
+                    ZERO_ADDRESS,
                     tokenPrice,
-                    winnersOutTime,
-                    Date.now()+100,
-                    Date.now()+200
-                )
-                await time.increaseTo(Date.now()+100)
-                await launchpad.connect(add1).investFairLaunch("NoToken",investment,{ value: ethers.utils.parseEther("2")})
-                await time.increaseTo(Date.now()+200)
-                await (expect(launchpad.connect(admin).collectIDOInvestment("NoToken")).to.be.revertedWith("Launchpad: Project token not added yet"))
+                    0,
+                    await latestTime()+1000,
+                    await latestTime()+2000,
+                    [10001, 0, 0, 0],
+                    noProjectFee
+                )).to.be.revertedWith("Launchpad: TGE percentage should be less than 10000");
             });
-            it("Project is cancelled", async () => {
-                await time.increaseTo(projectOpenTime)
-                await launchpad.connect(admin).cancelIDO(projectID)
-                await time.increaseTo(projectCloseTime)
-                await (expect(launchpad.connect(admin).collectIDOInvestment(projectID)).to.be.revertedWith("Launchpad: Project is cancelled"))
-            }); 
-            it("Project is open", async () => {
-                await time.increaseTo(projectOpenTime)
-                await (expect(launchpad.connect(admin).collectIDOInvestment(projectID)).to.be.revertedWith("Launchpad: Project is open"))
+            it("Release interval is longer than vesting duration", async () => {
+                await expect(launchpad.connect(admin).addPublicLaunch(
+                    "InvalidInterval",
+                    projectOwner.address,
+                    paymentToken,
+                    targetAmount,
+                    minInvestmentAmount,
+                    ZERO_ADDRESS,
+                    tokenPrice,
+                    0,
+                    await latestTime()+1000,
+                    await latestTime()+2000,
+                    [2000, 0, 100, 200],
+                    noProjectFee
+                )).to.be.revertedWith("Launchpad: invalid release interval");
             });
-            it("Investment was already collected", async () => {
-                await time.increaseTo(projectCloseTime)
-                await launchpad.connect(admin).collectIDOInvestment(projectID)
-                await (expect(launchpad.connect(admin).collectIDOInvestment(projectID)).to.be.revertedWith("Launchpad: Project investment already collected"))
-            });   
-        });    
+        });
     });
-    describe("Cancel Launch", () => {
-        let investment, projectID, paymentToken, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, winnersOutTime, projectOpenTime, projectCloseTime
+    describe("Vesting hand-off", () => {
+        let investment, projectID, paymentToken, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, projectOpenTime, projectCloseTime, vesting, releaseTimes
         beforeEach(async () => {
+            const VestingV1 = await ethers.getContractFactory("Vesting");
+            vesting = await upgrades.deployProxy(VestingV1, [token.address], { initializer: "initialize" });
+            await vesting.connect(admin).setLaunchpad(launchpad.address)
             investment = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             paymentToken = "0x0000000000000000000000000000000000000000";
             await launchpad.connect(admin).addPaymentToken(paymentToken);
-            await launchpad.connect(admin).addPaymentToken(payToken.address);
             projectID = "first";
             targetAmount = BigNumber.from(10000).mul(BigNumber.from(10).pow(18))
             minInvestmentAmount = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-            const currentTime = Date.now()
-            winnersOutTime = 0
+            const currentTime = await latestTime()
             projectOpenTime = currentTime+100
             projectCloseTime = projectOpenTime+200
+            // release times are in milliseconds in the Vesting contract
+            releaseTimes = [(projectCloseTime+1000)*1000, (projectCloseTime+2000)*1000]
             const mintValue = BigNumber.from(1000000).mul(BigNumber.from(10).pow(18))
-            await token.connect(projectOwner).mint(projectOwner.address,tokensForDistribution)
-            expect(await token.connect(projectOwner).balanceOf(projectOwner.address)).to.be.equal(tokensForDistribution)
+            await token.connect(projectOwner).mint(projectOwner.address,mintValue)
             await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
             await launchpad.connect(admin).addPublicLaunch(
                 projectID,
@@ -1354,99 +1556,2052 @@ describe("Kyoto Launchpad", () =>{
                 minInvestmentAmount,
                 token.address,
                 tokenPrice,
-                winnersOutTime,
+                0,
                 projectOpenTime,
-                projectCloseTime
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
             )
             await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,investment,{ value: ethers.utils.parseEther("2")})
+            await launchpad.connect(add2).investFairLaunch(projectID,investment.mul(2),{ value: ethers.utils.parseEther("4")})
+            await time.increaseTo(projectCloseTime)
         });
-        it("Cancel a project and return project tokens", async () => {
-            let allocatedTokens = await launchpad.estimateProjectTokensById(projectID,targetAmount)
-            expect(await token.connect(admin).balanceOf(launchpad.address)).to.be.equal(tokensForDistribution)
-            expect(await launchpad.connect(admin).cancelIDO(projectID)).emit(launchpad,"ProjectCancel").withArgs(projectID)
-            expect(await token.connect(admin).balanceOf(launchpad.address)).to.be.equal(0)
-            expect(await token.connect(projectOwner).balanceOf(projectOwner.address)).to.be.equal(allocatedTokens)
+        it("Should set the vesting contract", async () => {
+            await expect(launchpad.connect(admin).setVestingContract(vesting.address)).to.emit(launchpad,"SetVestingContract").withArgs(vesting.address)
+            expect(await launchpad.vestingContract()).to.equal(vesting.address)
+        });
+        it("Should add a vesting pool with every investor", async () => {
+            await launchpad.connect(admin).setVestingContract(vesting.address)
+            await launchpad.connect(admin).collectIDOInvestment(projectID)
+            const add1Tokens = await launchpad.estimateProjectTokensById(projectID,investment)
+            const add2Tokens = await launchpad.estimateProjectTokensById(projectID,investment.mul(2))
+            const totalTokens = add1Tokens.add(add2Tokens)
+            await expect(launchpad.connect(admin).addProjectVestingPool(projectID, releaseTimes, [50, 50])).to.emit(
+                launchpad,"ProjectVestingPoolAdd").withArgs(projectID, 0, totalTokens)
+            await expect(launchpad.connect(admin).addProjectVestingBeneficiaries(projectID, 0, 10)).to.emit(
+                launchpad,"ProjectVestingBeneficiariesAdd").withArgs(projectID, 0, 2, totalTokens)
+            expect(await token.balanceOf(vesting.address)).to.equal(totalTokens)
+            expect(await vesting.getPoolIndex(projectID)).to.equal(0)
+            let beneficiary = await vesting.beneficiaryInformation(0, add1.address)
+            expect(beneficiary[0]).to.equal(add1Tokens)
+            expect(beneficiary[3]).to.equal(true)
+            beneficiary = await vesting.beneficiaryInformation(0, add2.address)
+            expect(beneficiary[0]).to.equal(add2Tokens)
+            let projectInvestment = await launchpad.getProjectInvestment(projectID)
+            expect(projectInvestment[1]).to.equal(totalTokens)
+            await (expect (launchpad.connect(add1).claimIDOTokens(projectID)).to.be.revertedWith("Launchpad: already claimed"))
+        });
+        it("Should skip investors who already claimed", async () => {
+            await launchpad.connect(admin).setVestingContract(vesting.address)
+            await launchpad.connect(add1).claimIDOTokens(projectID)
+            await launchpad.connect(admin).collectIDOInvestment(projectID)
+            const add2Tokens = await launchpad.estimateProjectTokensById(projectID,investment.mul(2))
+            await expect(launchpad.connect(admin).addProjectVestingPool(projectID, releaseTimes, [50, 50])).to.emit(
+                launchpad,"ProjectVestingPoolAdd").withArgs(projectID, 0, add2Tokens)
+            await expect(launchpad.connect(admin).addProjectVestingBeneficiaries(projectID, 0, 10)).to.emit(
+                launchpad,"ProjectVestingBeneficiariesAdd").withArgs(projectID, 0, 1, add2Tokens)
+            let beneficiary = await vesting.beneficiaryInformation(0, add1.address)
+            expect(beneficiary[0]).to.equal(0)
+        });
+        it("Should move the investors to the vesting pool in batches", async () => {
+            await launchpad.connect(admin).setVestingContract(vesting.address)
+            await launchpad.connect(admin).collectIDOInvestment(projectID)
+            const add1Tokens = await launchpad.estimateProjectTokensById(projectID,investment)
+            const add2Tokens = await launchpad.estimateProjectTokensById(projectID,investment.mul(2))
+            await launchpad.connect(admin).addProjectVestingPool(projectID, releaseTimes, [50, 50])
+            await expect(launchpad.connect(admin).addProjectVestingBeneficiaries(projectID, 0, 1)).to.emit(
+                launchpad,"ProjectVestingBeneficiariesAdd").withArgs(projectID, 0, 1, add1Tokens)
+            expect(await token.balanceOf(vesting.address)).to.equal(add1Tokens)
+            expect((await vesting.beneficiaryInformation(0, add2.address))[0]).to.equal(0)
+            // moved investors claim from the vesting pool
+            await (expect (launchpad.connect(add1).claimIDOTokens(projectID)).to.be.revertedWith("Launchpad: already claimed"))
+            await expect(launchpad.connect(admin).addProjectVestingBeneficiaries(projectID, 1, 1)).to.emit(
+                launchpad,"ProjectVestingBeneficiariesAdd").withArgs(projectID, 0, 1, add2Tokens)
+            expect((await vesting.beneficiaryInformation(0, add2.address))[0]).to.equal(add2Tokens)
+            expect(await token.balanceOf(vesting.address)).to.equal(add1Tokens.add(add2Tokens))
+            await expect(launchpad.connect(admin).addProjectVestingBeneficiaries(projectID, 0, 2)).to.be.revertedWith("Launchpad: no tokens to vest");
+            await expect(launchpad.connect(admin).addProjectVestingBeneficiaries(projectID, 2, 1)).to.be.revertedWith("Launchpad: no tokens to vest");
         });
         describe("Should revert if", () => {
+            it("Caller is not the owner when setting the vesting contract", async () => {
+                await expect(launchpad.connect(add1).setVestingContract(vesting.address)).to.be.revertedWith("Launchpad: Only owner allowed");
+            });
+            it("Vesting contract is zero", async () => {
+                await expect(launchpad.connect(admin).setVestingContract(ZERO_ADDRESS)).to.be.revertedWith("Launchpad: vesting contract zero");
+            });
             it("Caller is not an admin", async () => {
-                await (expect (launchpad.connect(add1).cancelIDO(projectID)).to.be.revertedWith("Launchpad: not authorized"))
+                await expect(launchpad.connect(add1).addProjectVestingPool(projectID, releaseTimes, [50, 50])).to.be.revertedWith("Launchpad: not authorized");
             });
-            it("Project does not exist", async () => {
-                await (expect (launchpad.connect(admin).cancelIDO("NonExistant")).to.be.revertedWith("Launchpad: invalid Project"))
+            it("Vesting contract is not set", async () => {
+                await launchpad.connect(admin).collectIDOInvestment(projectID)
+                await expect(launchpad.connect(admin).addProjectVestingPool(projectID, releaseTimes, [50, 50])).to.be.revertedWith("Launchpad: vesting contract not set");
             });
-            it("Project is already cancelled", async () => {
-                await launchpad.connect(admin).cancelIDO(projectID)
-                await (expect (launchpad.connect(admin).cancelIDO(projectID)).to.be.revertedWith("Launchpad: Project already cancelled"))
+            it("Investment is not collected", async () => {
+                await launchpad.connect(admin).setVestingContract(vesting.address)
+                await expect(launchpad.connect(admin).addProjectVestingPool(projectID, releaseTimes, [50, 50])).to.be.revertedWith("Launchpad: Project investment not collected");
             });
-            it("Project is closed", async () => {
-                await time.increaseTo(projectCloseTime)
-                await (expect (launchpad.connect(admin).cancelIDO(projectID)).to.be.revertedWith("Launchpad: Project is closed"))
+            it("Vesting pool is already added", async () => {
+                await launchpad.connect(admin).setVestingContract(vesting.address)
+                await launchpad.connect(admin).collectIDOInvestment(projectID)
+                await launchpad.connect(admin).addProjectVestingPool(projectID, releaseTimes, [50, 50])
+                await expect(launchpad.connect(admin).addProjectVestingPool(projectID, releaseTimes, [50, 50])).to.be.revertedWith("Launchpad: vesting pool already added");
             });
-        });    
+            it("Vesting pool is not added", async () => {
+                await launchpad.connect(admin).setVestingContract(vesting.address)
+                await launchpad.connect(admin).collectIDOInvestment(projectID)
+                await expect(launchpad.connect(admin).addProjectVestingBeneficiaries(projectID, 0, 10)).to.be.revertedWith("Launchpad: vesting pool not added");
+            });
+            it("Caller is not an admin when moving investors", async () => {
+                await expect(launchpad.connect(add1).addProjectVestingBeneficiaries(projectID, 0, 10)).to.be.revertedWith("Launchpad: not authorized");
+            });
+            it("Vesting token is not the project token", async () => {
+                const VestingV1 = await ethers.getContractFactory("Vesting");
+                const otherVesting = await upgrades.deployProxy(VestingV1, [payToken.address], { initializer: "initialize" });
+                await launchpad.connect(admin).setVestingContract(otherVesting.address)
+                await launchpad.connect(admin).collectIDOInvestment(projectID)
+                await expect(launchpad.connect(admin).addProjectVestingPool(projectID, releaseTimes, [50, 50])).to.be.revertedWith("Launchpad: vesting token mismatch");
+            });
+        });
     });
-    describe("Refund Investment", () => {
-        let investment, projectID, paymentToken, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, winnersOutTime, projectOpenTime, projectCloseTime
+    describe("Oversubscription", () => {
+        let projectID, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, projectOpenTime, projectCloseTime
         beforeEach(async () => {
-            investment = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
-            paymentToken = "0x0000000000000000000000000000000000000000";
-            await launchpad.connect(admin).addPaymentToken(paymentToken);
             await launchpad.connect(admin).addPaymentToken(payToken.address);
-            projectID = "first";
-            targetAmount = BigNumber.from(10000).mul(BigNumber.from(10).pow(18))
-            minInvestmentAmount = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
-            tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            projectID = "Oversubscribed";
+            targetAmount = getValue(10)
+            minInvestmentAmount = getValue(1)
+            tokenPrice = getValue(2)
             tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
-            const currentTime = Date.now()
-            winnersOutTime = 0
+            const currentTime = await latestTime()
             projectOpenTime = currentTime+100
             projectCloseTime = projectOpenTime+200
-            await token.connect(projectOwner).mint(projectOwner.address,tokensForDistribution)
-            expect(await token.connect(projectOwner).balanceOf(projectOwner.address)).to.be.equal(tokensForDistribution)
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
             await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
             await launchpad.connect(admin).addPublicLaunch(
                 projectID,
                 projectOwner.address,
-                paymentToken,
+                payToken.address,
                 targetAmount,
                 minInvestmentAmount,
                 token.address,
                 tokenPrice,
-                winnersOutTime,
+                0,
                 projectOpenTime,
-                projectCloseTime
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
             )
+            await payToken.connect(add1).mint(add1.address,getValue(100))
+            await payToken.connect(add1).approve(launchpad.address,getValue(100))
+            await payToken.connect(add2).mint(add2.address,getValue(100))
+            await payToken.connect(add2).approve(launchpad.address,getValue(100))
+        });
+        it("Should enable oversubscription", async () => {
+            await expect(launchpad.connect(admin).setOversubscription(projectID,true)).to.emit(launchpad,"SetOversubscription").withArgs(projectID,true)
+            expect(await launchpad.isOversubscriptionEnabled(projectID)).to.equal(true)
+        });
+        it("Should accept investments above target and allocate pro-rata", async () => {
+            await launchpad.connect(admin).setOversubscription(projectID,true)
             await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(10))
+            await launchpad.connect(add2).investFairLaunch(projectID,getValue(30))
+            await time.increaseTo(projectCloseTime)
+            let allocation = await launchpad.getInvestorAllocation(projectID,add1.address)
+            expect(allocation[0]).to.equal(getValue(10).div(4))
+            expect(allocation[1]).to.equal(getValue(10).mul(3).div(4))
+            allocation = await launchpad.getInvestorAllocation(projectID,add2.address)
+            expect(allocation[0]).to.equal(getValue(30).div(4))
+            expect(allocation[1]).to.equal(getValue(30).mul(3).div(4))
         });
-        it("Refund an investment made in BNB", async () => {
-            await launchpad.connect(add1).investFairLaunch(projectID,investment,{ value: ethers.utils.parseEther("2")})
-            await launchpad.connect(admin).cancelIDO(projectID)
-            const previousContractBalance =  await launchpad.provider.getBalance(launchpad.address)
-            const previousUserBalance = await launchpad.provider.getBalance(add1.address)
-            expect(await launchpad.connect(add1).refundInvestment(projectID)).emit(launchpad,"ProjectInvestmentRefund").withArgs(projectID, add1.address,investment)
-            let investor = await launchpad.getInvestor(projectID, add1.address);
-            expect(investor[2]).to.be.equal(true)
-            let project = await launchpad.getProject(projectID);
-            expect(project[10]).to.be.equal(true)
-            expect(await launchpad.provider.getBalance(add1.address)).to.lte(previousUserBalance.add(investment))
-            expect(await launchpad.provider.getBalance(launchpad.address)).to.equal(previousContractBalance.sub(investment))
+        it("Should collect only the target amount", async () => {
+            await launchpad.connect(admin).setOversubscription(projectID,true)
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(10))
+            await launchpad.connect(add2).investFairLaunch(projectID,getValue(30))
+            await time.increaseTo(projectCloseTime)
+            await launchpad.connect(admin).collectIDOInvestment(projectID)
+            expect(await payToken.balanceOf(projectOwner.address)).to.equal(targetAmount)
+            expect(await payToken.balanceOf(launchpad.address)).to.equal(getValue(30))
         });
-        it("Refund an investment made in ERC-20 token", async () => {
-            await token.connect(projectOwner).mint(projectOwner.address,tokensForDistribution)
-            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
-            await launchpad.connect(admin).addPublicLaunch(
-                "Refund",
-                projectOwner.address,
-                payToken.address,
+        it("Should pay out tokens and refund the excess investment on claim", async () => {
+            await launchpad.connect(admin).setOversubscription(projectID,true)
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(10))
+            await launchpad.connect(add2).investFairLaunch(projectID,getValue(30))
+            await time.increaseTo(projectCloseTime)
+            const allocatedTokens = await launchpad.estimateProjectTokensById(projectID,getValue(10).div(4))
+            await expect(launchpad.connect(add1).claimIDOTokens(projectID))
+                .to.emit(launchpad,"ProjectExcessInvestmentRefund").withArgs(projectID,add1.address,getValue(10).mul(3).div(4))
+                .to.emit(launchpad,"ProjectInvestmentClaim").withArgs(projectID,add1.address,allocatedTokens)
+            expect(await token.balanceOf(add1.address)).to.equal(allocatedTokens)
+            expect(await payToken.balanceOf(add1.address)).to.equal(getValue(90).add(getValue(10).mul(3).div(4)))
+            await (expect (launchpad.connect(add1).claimIDOTokens(projectID)).to.be.revertedWith("Launchpad: already claimed"))
+        });
+        it("Should not pay out more than invested when allocations do not divide evenly", async () => {
+            const add3 = (await ethers.getSigners())[4]
+            await payToken.connect(add3).mint(add3.address,getValue(5))
+            await payToken.connect(add3).approve(launchpad.address,getValue(5))
+            await launchpad.connect(admin).setOversubscription(projectID,true)
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(5))
+            await launchpad.connect(add2).investFairLaunch(projectID,getValue(5))
+            await launchpad.connect(add3).investFairLaunch(projectID,getValue(5))
+            await time.increaseTo(projectCloseTime)
+            // a third of the target is accepted from each investor, the rest is refunded, both rounded down
+            const excessInvestment = getValue(5).mul(5).div(15)
+            const allocation = await launchpad.getInvestorAllocation(projectID,add3.address)
+            expect(allocation[0]).to.equal(getValue(5).mul(10).div(15))
+            expect(allocation[1]).to.equal(excessInvestment)
+            await launchpad.connect(admin).collectIDOInvestment(projectID)
+            expect(await payToken.balanceOf(projectOwner.address)).to.equal(targetAmount)
+            for (const investor of [add1, add2, add3]) {
+                await expect(launchpad.connect(investor).claimIDOTokens(projectID))
+                    .to.emit(launchpad,"ProjectExcessInvestmentRefund").withArgs(projectID,investor.address,excessInvestment)
+            }
+            expect(await payToken.balanceOf(add3.address)).to.equal(excessInvestment)
+            // only the rounding dust is left
+            expect(await payToken.balanceOf(launchpad.address)).to.equal(getValue(5).sub(excessInvestment.mul(3)))
+        });
+        it("Should not scale allocations when the target is not exceeded", async () => {
+            await launchpad.connect(admin).setOversubscription(projectID,true)
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(4))
+            await time.increaseTo(projectCloseTime)
+            let allocation = await launchpad.getInvestorAllocation(projectID,add1.address)
+            expect(allocation[0]).to.equal(getValue(4))
+            expect(allocation[1]).to.equal(0)
+        });
+        describe("Should revert if", () => {
+            it("Caller is not an admin", async () => {
+                await expect(launchpad.connect(add1).setOversubscription(projectID,true)).to.be.revertedWith("Launchpad: not authorized");
+            });
+            it("Project has investments", async () => {
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunch(projectID,getValue(4))
+                await expect(launchpad.connect(admin).setOversubscription(projectID,true)).to.be.revertedWith("Launchpad: Project has investments");
+            });
+            it("Amount exceeds target without oversubscription", async () => {
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunch(projectID,getValue(10))
+                await expect(launchpad.connect(add2).investFairLaunch(projectID,getValue(1))).to.be.revertedWith("Launchpad: amount exceeds target");
+            });
+        });
+    });
+    describe("Soft cap", () => {
+        let projectID, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, projectOpenTime, projectCloseTime, softCap
+        beforeEach(async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "SoftCap";
+            targetAmount = getValue(10)
+            softCap = getValue(5)
+            minInvestmentAmount = getValue(1)
+            tokenPrice = getValue(2)
+            tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                minInvestmentAmount,
+                token.address,
+                tokenPrice,
+                0,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+            await payToken.connect(add1).mint(add1.address,getValue(100))
+            await payToken.connect(add1).approve(launchpad.address,getValue(100))
+        });
+        it("Should set the soft cap", async () => {
+            await expect(launchpad.connect(admin).setSoftCap(projectID,softCap)).to.emit(launchpad,"SetSoftCap").withArgs(projectID,softCap)
+            expect(await launchpad.getSoftCap(projectID)).to.equal(softCap)
+        });
+        it("Should fail a project closing below the soft cap and refund investors", async () => {
+            await launchpad.connect(admin).setSoftCap(projectID,softCap)
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(4))
+            expect(await launchpad.isProjectFailed(projectID)).to.equal(false)
+            await time.increaseTo(projectCloseTime)
+            expect(await launchpad.isProjectFailed(projectID)).to.equal(true)
+            await expect(launchpad.connect(add1).refundInvestment(projectID)).to.emit(launchpad,"ProjectInvestmentRefund").withArgs(projectID,add1.address,getValue(4))
+            expect(await payToken.balanceOf(add1.address)).to.equal(getValue(100))
+        });
+        it("Should return project tokens of a failed project", async () => {
+            await launchpad.connect(admin).setSoftCap(projectID,softCap)
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(4))
+            await time.increaseTo(projectCloseTime)
+            const previousOwnerBalance = await token.balanceOf(projectOwner.address)
+            await expect(launchpad.connect(admin).returnFailedProjectTokens(projectID)).to.emit(launchpad,"FailedProjectTokensReturn").withArgs(projectID,tokensForDistribution)
+            expect(await token.balanceOf(projectOwner.address)).to.equal(previousOwnerBalance.add(tokensForDistribution))
+        });
+        it("Should succeed a project reaching the soft cap", async () => {
+            await launchpad.connect(admin).setSoftCap(projectID,softCap)
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,softCap)
+            await time.increaseTo(projectCloseTime)
+            expect(await launchpad.isProjectFailed(projectID)).to.equal(false)
+            await expect(launchpad.connect(admin).collectIDOInvestment(projectID)).to.emit(launchpad,"ProjectInvestmentCollect").withArgs(projectID)
+        });
+        describe("Should revert if", () => {
+            it("Caller is not an admin", async () => {
+                await expect(launchpad.connect(add1).setSoftCap(projectID,softCap)).to.be.revertedWith("Launchpad: not authorized");
+            });
+            it("Soft cap exceeds target", async () => {
+                await expect(launchpad.connect(admin).setSoftCap(projectID,targetAmount.add(1))).to.be.revertedWith("Launchpad: soft cap exceeds target");
+            });
+            it("Project has investments", async () => {
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunch(projectID,getValue(4))
+                await expect(launchpad.connect(admin).setSoftCap(projectID,softCap)).to.be.revertedWith("Launchpad: Project has investments");
+            });
+            it("Investment of a failed project is collected", async () => {
+                await launchpad.connect(admin).setSoftCap(projectID,softCap)
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunch(projectID,getValue(4))
+                await time.increaseTo(projectCloseTime)
+                await expect(launchpad.connect(admin).collectIDOInvestment(projectID)).to.be.revertedWith("Launchpad: soft cap not reached");
+            });
+            it("Tokens of a failed project are claimed", async () => {
+                await launchpad.connect(admin).setSoftCap(projectID,softCap)
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunch(projectID,getValue(4))
+                await time.increaseTo(projectCloseTime)
+                await expect(launchpad.connect(add1).claimIDOTokens(projectID)).to.be.revertedWith("Launchpad: Project failed");
+            });
+            it("Project has not failed when returning project tokens", async () => {
+                await launchpad.connect(admin).setSoftCap(projectID,softCap)
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunch(projectID,softCap)
+                await time.increaseTo(projectCloseTime)
+                await expect(launchpad.connect(admin).returnFailedProjectTokens(projectID)).to.be.revertedWith("Launchpad: Project has not failed");
+            });
+            it("Project tokens are already returned", async () => {
+                await launchpad.connect(admin).setSoftCap(projectID,softCap)
+                await time.increaseTo(projectCloseTime)
+                await launchpad.connect(admin).returnFailedProjectTokens(projectID)
+                await expect(launchpad.connect(admin).returnFailedProjectTokens(projectID)).to.be.revertedWith("Launchpad: Project tokens already returned");
+            });
+        });
+    });
+    describe("Investment caps", () => {
+        let projectID, targetAmount, minInvestmentAmount, tokenPrice, presaleTokenPrice, tokensForDistribution, winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime, merkleTree
+        beforeEach(async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "Caps";
+            targetAmount = getValue(10)
+            minInvestmentAmount = getValue(1)
+            tokenPrice = getValue(2)
+            presaleTokenPrice = getValue(1)
+            tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(presaleTokenPrice)
+            const currentTime = await latestTime()
+            winnersOutTime = currentTime+100
+            presaleEndTime = winnersOutTime+100
+            projectOpenTime = presaleEndTime+100
+            projectCloseTime = projectOpenTime+100
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPresaleLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                minInvestmentAmount,
+                token.address,
+                tokenPrice,
+                presaleTokenPrice,
+                [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                releaseSchedule,
+                noProjectFee
+            )
+            merkleTree = new MerkleTree([encodeLeaf(add1.address, getValue(3), 1), encodeLeaf(add2.address, getValue(4), 2)], keccak256, {
+                sortPairs: true,
+            });
+            await launchpad.connect(admin).setTierMaxInvestment(projectID, 1, getValue(2))
+            await launchpad.connect(admin).setTierMaxInvestment(projectID, 2, getValue(4))
+            for (const investor of [add1, add2]) {
+                await payToken.connect(investor).mint(investor.address,getValue(100))
+                await payToken.connect(investor).approve(launchpad.address,getValue(100))
+            }
+        });
+        it("Should set the investment caps", async () => {
+            await expect(launchpad.connect(admin).setMaxInvestment(projectID,getValue(5))).to.emit(launchpad,"SetMaxInvestment").withArgs(projectID,getValue(5))
+            await expect(launchpad.connect(admin).setTierMaxInvestment(projectID,3,getValue(6))).to.emit(launchpad,"SetTierMaxInvestment").withArgs(projectID,3,getValue(6))
+            expect((await launchpad.getProject(projectID)).maxInvestmentAmount).to.equal(getValue(5))
+            expect(await launchpad.getTierMaxInvestment(projectID,3)).to.equal(getValue(6))
+        });
+        it("Should cap presale investments by tier", async () => {
+            const proof1 = merkleTree.getHexProof(encodeLeaf(add1.address, getValue(3), 1))
+            const proof2 = merkleTree.getHexProof(encodeLeaf(add2.address, getValue(4), 2))
+            await time.increaseTo(winnersOutTime)
+            await launchpad.connect(admin).addMerkleRoot(projectID, merkleTree.getHexRoot())
+            await launchpad.connect(add1).investPresale(projectID, proof1, getValue(3), 1, getValue(2))
+            await expect(launchpad.connect(add1).investPresale(projectID, proof1, getValue(3), 1, getValue(1))).to.be.revertedWith("Launchpad: amount exceeds tier allocation")
+            await launchpad.connect(add2).investPresale(projectID, proof2, getValue(4), 2, getValue(3))
+            await launchpad.connect(add2).investPresale(projectID, proof2, getValue(4), 2, getValue(1))
+            expect((await launchpad.getInvestor(projectID,add1.address)).tier).to.equal(1)
+            expect((await launchpad.getInvestor(projectID,add2.address)).investment).to.equal(getValue(4))
+        });
+        it("Should cap presale investments by whitelist allocation", async () => {
+            await launchpad.connect(admin).setTierMaxInvestment(projectID, 1, 0)
+            const proof1 = merkleTree.getHexProof(encodeLeaf(add1.address, getValue(3), 1))
+            await time.increaseTo(winnersOutTime)
+            await launchpad.connect(admin).addMerkleRoot(projectID, merkleTree.getHexRoot())
+            await launchpad.connect(add1).investPresale(projectID, proof1, getValue(3), 1, getValue(2))
+            await expect(launchpad.connect(add1).investPresale(projectID, proof1, getValue(3), 1, getValue(2))).to.be.revertedWith("Launchpad: amount exceeds allocation")
+            await launchpad.connect(add1).investPresale(projectID, proof1, getValue(3), 1, getValue(1))
+            expect(await launchpad.getPresaleInvestment(projectID,add1.address)).to.equal(getValue(3))
+        });
+        it("Should not cap public round investments by tier", async () => {
+            const proof1 = merkleTree.getHexProof(encodeLeaf(add1.address, getValue(3), 1))
+            await time.increaseTo(winnersOutTime)
+            await launchpad.connect(admin).addMerkleRoot(projectID, merkleTree.getHexRoot())
+            await launchpad.connect(add1).investPresale(projectID, proof1, getValue(3), 1, getValue(2))
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investPresale(projectID, [], 0, 0, getValue(3))
+            expect((await launchpad.getInvestor(projectID,add1.address)).investment).to.equal(getValue(5))
+        });
+        it("Should cap total investment per wallet", async () => {
+            await launchpad.connect(admin).setMaxInvestment(projectID,getValue(3))
+            const proof1 = merkleTree.getHexProof(encodeLeaf(add1.address, getValue(3), 1))
+            await time.increaseTo(winnersOutTime)
+            await launchpad.connect(admin).addMerkleRoot(projectID, merkleTree.getHexRoot())
+            await launchpad.connect(add1).investPresale(projectID, proof1, getValue(3), 1, getValue(2))
+            await time.increaseTo(projectOpenTime)
+            await expect(launchpad.connect(add1).investPresale(projectID, [], 0, 0, getValue(2))).to.be.revertedWith("Launchpad: amount exceeds maximum investment")
+            await launchpad.connect(add1).investPresale(projectID, [], 0, 0, getValue(1))
+        });
+        describe("Should revert if", () => {
+            it("Caller is not an admin", async () => {
+                await expect(launchpad.connect(add1).setMaxInvestment(projectID,getValue(5))).to.be.revertedWith("Launchpad: not authorized");
+                await expect(launchpad.connect(add1).setTierMaxInvestment(projectID,1,getValue(5))).to.be.revertedWith("Launchpad: not authorized");
+            });
+            it("Maximum is less than minimum investment", async () => {
+                await expect(launchpad.connect(admin).setMaxInvestment(projectID,minInvestmentAmount.sub(1))).to.be.revertedWith("Launchpad: maximum less than minimum investment");
+            });
+            it("Project is closed", async () => {
+                await time.increaseTo(projectCloseTime)
+                await expect(launchpad.connect(admin).setMaxInvestment(projectID,getValue(5))).to.be.revertedWith("Launchpad: Project is closed");
+            });
+            it("Tier does not match the whitelist", async () => {
+                const proof1 = merkleTree.getHexProof(encodeLeaf(add1.address, getValue(3), 1))
+                await time.increaseTo(winnersOutTime)
+                await launchpad.connect(admin).addMerkleRoot(projectID, merkleTree.getHexRoot())
+                await expect(launchpad.connect(add1).investPresale(projectID, proof1, getValue(3), 2, getValue(2))).to.be.revertedWith("Launchpad: user is not whitelisted")
+            });
+            it("Allocation does not match the whitelist", async () => {
+                const proof1 = merkleTree.getHexProof(encodeLeaf(add1.address, getValue(3), 1))
+                await time.increaseTo(winnersOutTime)
+                await launchpad.connect(admin).addMerkleRoot(projectID, merkleTree.getHexRoot())
+                await expect(launchpad.connect(add1).investPresale(projectID, proof1, getValue(5), 1, getValue(2))).to.be.revertedWith("Launchpad: user is not whitelisted")
+            });
+        });
+    });
+    describe("Staking tiers", () => {
+        let projectID, targetAmount, minInvestmentAmount, tokenPrice, presaleTokenPrice, tokensForDistribution, winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime, staking, minimumStakes, maxInvestments, reservedInvestments, snapshotTime
+        beforeEach(async () => {
+            const Staking = await ethers.getContractFactory("Staking");
+            staking = await upgrades.deployProxy(
+              Staking,
+              [token.address, admin.address, 200],
+              {
+                initializer: "initialize",
+              }
+            );
+            await staking.connect(admin).addVault(0, 100000, 1000)
+            await token.connect(admin).mint(admin.address,getValue(1000))
+            await token.connect(admin).approve(staking.address,getValue(1000))
+            await staking.connect(admin).addBonusPoolAmount(getValue(1000))
+            for (const [staker, amount] of [[add1, getValue(100)], [add2, getValue(1000)]]) {
+                await token.connect(staker).mint(staker.address,amount)
+                await token.connect(staker).approve(staking.address,amount)
+                await staking.connect(staker).stake(amount,0)
+            }
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "StakingTiers";
+            targetAmount = getValue(10)
+            minInvestmentAmount = getValue(1)
+            tokenPrice = getValue(2)
+            presaleTokenPrice = getValue(1)
+            minimumStakes = [getValue(50), getValue(500)]
+            maxInvestments = [getValue(2), getValue(5)]
+            reservedInvestments = [getValue(2), getValue(5)]
+            tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(presaleTokenPrice)
+            const currentTime = await latestTime()
+            winnersOutTime = currentTime+100
+            presaleEndTime = winnersOutTime+100
+            projectOpenTime = presaleEndTime+100
+            projectCloseTime = projectOpenTime+100
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPresaleLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                minInvestmentAmount,
+                token.address,
+                tokenPrice,
+                presaleTokenPrice,
+                [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                releaseSchedule,
+                noProjectFee
+            )
+            snapshotTime = await latestTime()
+            for (const investor of [add1, add2, projectOwner]) {
+                await payToken.connect(investor).mint(investor.address,getValue(100))
+                await payToken.connect(investor).approve(launchpad.address,getValue(100))
+            }
+        });
+        const setStakingTiers = async () => {
+            await launchpad.connect(admin).setStakingContract(staking.address)
+            return launchpad.connect(admin).setStakingTiers(projectID,snapshotTime,minimumStakes,maxInvestments,reservedInvestments)
+        }
+        it("Should set the staking contract and tiers", async () => {
+            await expect(launchpad.connect(admin).setStakingContract(staking.address)).to.emit(launchpad,"SetStakingContract").withArgs(staking.address)
+            await expect(launchpad.connect(admin).setStakingTiers(projectID,snapshotTime,minimumStakes,maxInvestments,reservedInvestments)).to.emit(launchpad,"SetStakingTiers").withArgs(projectID,snapshotTime,minimumStakes,maxInvestments,reservedInvestments)
+            expect(await launchpad.stakingContract()).to.equal(staking.address)
+            expect(await launchpad.getStakingTiers(projectID)).to.deep.equal(minimumStakes)
+            expect(await launchpad.getStakingSnapshotTime(projectID)).to.equal(snapshotTime)
+            expect(await launchpad.getStakingTierMaxInvestment(projectID,2)).to.equal(getValue(5))
+            expect(await launchpad.getTierReservedInvestment(projectID,2)).to.equal(getValue(5))
+        });
+        it("Should keep the maximum investments of whitelist tiers", async () => {
+            await launchpad.connect(admin).setTierMaxInvestment(projectID, 1, getValue(7))
+            await setStakingTiers()
+            expect(await launchpad.getTierMaxInvestment(projectID,1)).to.equal(getValue(7))
+            expect(await launchpad.getStakingTierMaxInvestment(projectID,1)).to.equal(getValue(2))
+        });
+        it("Should clear all previous staking tiers when the tiers are set again", async () => {
+            await setStakingTiers()
+            await launchpad.connect(admin).setStakingTiers(projectID,snapshotTime,[getValue(50)],[getValue(3)],[getValue(1)])
+            expect(await launchpad.getStakingTiers(projectID)).to.deep.equal([getValue(50)])
+            expect(await launchpad.getStakingTierMaxInvestment(projectID,1)).to.equal(getValue(3))
+            expect(await launchpad.getStakingTierMaxInvestment(projectID,2)).to.equal(0)
+            expect(await launchpad.getTierReservedInvestment(projectID,2)).to.equal(0)
+            expect(await launchpad.getStakingTier(projectID,add2.address)).to.equal(1)
+        });
+        it("Should assign tiers from the total stake at the snapshot time", async () => {
+            // stake of projectOwner after the snapshot does not count
+            await token.connect(projectOwner).approve(staking.address,getValue(500))
+            await staking.connect(projectOwner).stake(getValue(500),0)
+            await setStakingTiers()
+            expect(await launchpad.getStakingTier(projectID,add1.address)).to.equal(1)
+            expect(await launchpad.getStakingTier(projectID,add2.address)).to.equal(2)
+            expect(await launchpad.getStakingTier(projectID,projectOwner.address)).to.equal(0)
+        });
+        it("Should keep the tier of a staker unstaking after the snapshot time", async () => {
+            await setStakingTiers()
+            await staking.connect(add2).unStake(0)
+            await time.increaseTo(winnersOutTime)
+            expect(await launchpad.getStakingTier(projectID,add2.address)).to.equal(2)
+        });
+        it("Should let stakers invest in the presale round up to their tier allocation", async () => {
+            await setStakingTiers()
+            await time.increaseTo(winnersOutTime)
+            await expect(launchpad.connect(add1).investPresale(projectID, [], 0, 0, getValue(2))).to.emit(launchpad,"ProjectInvest").withArgs(projectID,add1.address,getValue(2))
+            await expect(launchpad.connect(add1).investPresale(projectID, [], 0, 0, getValue(1))).to.be.revertedWith("Launchpad: amount exceeds tier allocation")
+            await launchpad.connect(add2).investPresale(projectID, [], 0, 0, getValue(5))
+            expect((await launchpad.getInvestor(projectID,add2.address)).tier).to.equal(2)
+            expect(await launchpad.getPresaleInvestment(projectID,add2.address)).to.equal(getValue(5))
+            expect(await launchpad.getTierReservedInvestment(projectID,2)).to.equal(0)
+        });
+        it("Should reserve the investments of staking tiers during the presale round", async () => {
+            await launchpad.connect(admin).setStakingContract(staking.address)
+            await launchpad.connect(admin).setStakingTiers(projectID,snapshotTime,minimumStakes,[getValue(2), getValue(10)],reservedInvestments)
+            await time.increaseTo(winnersOutTime)
+            // 2 of the 10 target stay reserved for the first tier
+            await expect(launchpad.connect(add2).investPresale(projectID, [], 0, 0, getValue(9))).to.be.revertedWith("Launchpad: amount exceeds target")
+            await expect(launchpad.connect(add2).investPresale(projectID, [], 0, 0, getValue(8))).to.emit(launchpad,"ProjectInvest").withArgs(projectID,add2.address,getValue(8))
+            await expect(launchpad.connect(add1).investPresale(projectID, [], 0, 0, getValue(2))).to.emit(launchpad,"ProjectInvest").withArgs(projectID,add1.address,getValue(2))
+        });
+        it("Should release unused reservations when the public round opens", async () => {
+            await setStakingTiers()
+            await time.increaseTo(projectOpenTime)
+            await expect(launchpad.connect(projectOwner).investPresale(projectID, [], 0, 0, getValue(10))).to.emit(launchpad,"ProjectInvest").withArgs(projectID,projectOwner.address,getValue(10))
+        });
+        describe("Should revert if", () => {
+            it("Staking contract is zero", async () => {
+                await expect(launchpad.connect(admin).setStakingContract(ZERO_ADDRESS)).to.be.revertedWith("Launchpad: staking contract zero");
+            });
+            it("Staking contract is not set", async () => {
+                await expect(launchpad.connect(admin).setStakingTiers(projectID,snapshotTime,minimumStakes,maxInvestments,reservedInvestments)).to.be.revertedWith("Launchpad: staking contract not set");
+            });
+            it("Staking tiers are not ascending", async () => {
+                await launchpad.connect(admin).setStakingContract(staking.address)
+                await expect(launchpad.connect(admin).setStakingTiers(projectID,snapshotTime,[getValue(500), getValue(50)],maxInvestments,reservedInvestments)).to.be.revertedWith("Launchpad: staking tiers not ascending");
+            });
+            it("Staking tier has no maximum investment", async () => {
+                await launchpad.connect(admin).setStakingContract(staking.address)
+                await expect(launchpad.connect(admin).setStakingTiers(projectID,snapshotTime,minimumStakes,[getValue(2), 0],reservedInvestments)).to.be.revertedWith("Launchpad: staking tier maximum investment zero");
+            });
+            it("Whitelist is added to a Project with staking tiers", async () => {
+                await setStakingTiers()
+                await time.increaseTo(winnersOutTime)
+                await expect(launchpad.connect(admin).addMerkleRoot(projectID, keccak256(add1.address))).to.be.revertedWith("Launchpad: Project has staking tiers");
+            });
+            it("Reserved investments exceed the target", async () => {
+                await launchpad.connect(admin).setStakingContract(staking.address)
+                await expect(launchpad.connect(admin).setStakingTiers(projectID,snapshotTime,minimumStakes,maxInvestments,[getValue(5), getValue(6)])).to.be.revertedWith("Launchpad: reserved investment exceeds target");
+            });
+            it("Snapshot is not before the presale round", async () => {
+                await launchpad.connect(admin).setStakingContract(staking.address)
+                await expect(launchpad.connect(admin).setStakingTiers(projectID,winnersOutTime,minimumStakes,maxInvestments,reservedInvestments)).to.be.revertedWith("Launchpad: snapshot after presale round opens");
+            });
+            it("Presale round has started", async () => {
+                await launchpad.connect(admin).setStakingContract(staking.address)
+                await time.increaseTo(winnersOutTime)
+                await expect(launchpad.connect(admin).setStakingTiers(projectID,snapshotTime,minimumStakes,maxInvestments,reservedInvestments)).to.be.revertedWith("Launchpad: presale round started");
+            });
+            it("Stake is below the lowest tier", async () => {
+                await setStakingTiers()
+                await time.increaseTo(winnersOutTime)
+                await expect(launchpad.connect(projectOwner).investPresale(projectID, [], 0, 0, getValue(1))).to.be.revertedWith("Launchpad: stake below lowest tier");
+            });
+        });
+    });
+    describe("Dutch auction", () => {
+        let projectID, targetAmount, minInvestmentAmount, startPrice, floorPrice, tokensForDistribution, projectOpenTime, projectCloseTime
+        beforeEach(async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "DutchAuction";
+            targetAmount = getValue(100)
+            minInvestmentAmount = getValue(1)
+            startPrice = getValue(2)
+            floorPrice = getValue(1)
+            tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(startPrice)
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+1000
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            for (const investor of [add1, add2]) {
+                await payToken.connect(investor).mint(investor.address,getValue(100))
+                await payToken.connect(investor).approve(launchpad.address,getValue(100))
+            }
+        });
+        it("Should add a Dutch auction", async () => {
+            await expect(launchpad.connect(admin).addDutchAuctionLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                minInvestmentAmount,
+                token.address,
+                startPrice,
+                floorPrice,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )).to.emit(launchpad,"NotifyDutchAuctionData").withArgs(projectID,startPrice,floorPrice)
+            expect(await launchpad.getFloorPrice(projectID)).to.equal(floorPrice)
+            expect(await launchpad.getCurrentPrice(projectID)).to.equal(startPrice)
+            expect((await launchpad.getProject(projectID)).tokensForDistribution).to.equal(tokensForDistribution)
+            expect(await token.balanceOf(launchpad.address)).to.equal(tokensForDistribution)
+        });
+        describe("After the auction is added", () => {
+            beforeEach(async () => {
+                await launchpad.connect(admin).addDutchAuctionLaunch(
+                    projectID,
+                    projectOwner.address,
+                    payToken.address,
+                    targetAmount,
+                    minInvestmentAmount,
+                    token.address,
+                    startPrice,
+                    floorPrice,
+                    projectOpenTime,
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
+                )
+            });
+            it("Should decline the price to the floor price", async () => {
+                await time.increaseTo(projectOpenTime+500)
+                expect(await launchpad.getCurrentPrice(projectID)).to.be.closeTo(getValue(3).div(2), getValue(1).div(100))
+                await time.increaseTo(projectCloseTime)
+                expect(await launchpad.getCurrentPrice(projectID)).to.equal(floorPrice)
+            });
+            it("Should settle a sold out auction at the clearing price", async () => {
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunch(projectID,getValue(30))
+                await time.increaseTo(projectOpenTime+500)
+                await launchpad.connect(add2).investFairLaunch(projectID,getValue(40))
+                await time.increaseTo(projectCloseTime)
+                const clearingPrice = getValue(14).div(10)
+                expect(await launchpad.getClearingPrice(projectID)).to.equal(clearingPrice)
+                await launchpad.connect(add1).claimIDOTokens(projectID)
+                await launchpad.connect(add2).claimIDOTokens(projectID)
+                expect(await token.balanceOf(add1.address)).to.equal(getValue(30).mul(BigNumber.from(10).pow(18)).div(clearingPrice))
+                expect(await token.balanceOf(add2.address)).to.equal(getValue(40).mul(BigNumber.from(10).pow(18)).div(clearingPrice))
+                const previousOwnerBalance = await token.balanceOf(projectOwner.address)
+                await launchpad.connect(admin).collectIDOInvestment(projectID)
+                expect(await payToken.balanceOf(projectOwner.address)).to.equal(getValue(70))
+                expect(await token.balanceOf(projectOwner.address)).to.equal(previousOwnerBalance.add(tokensForDistribution.sub(getValue(70).mul(BigNumber.from(10).pow(18)).div(clearingPrice))))
+            });
+            it("Should settle an auction that did not sell out at the floor price", async () => {
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunch(projectID,getValue(10))
+                await time.increaseTo(projectCloseTime)
+                expect(await launchpad.getClearingPrice(projectID)).to.equal(floorPrice)
+                await launchpad.connect(add1).claimIDOTokens(projectID)
+                expect(await token.balanceOf(add1.address)).to.equal(getValue(10))
+            });
+            describe("Should revert if", () => {
+                it("Investment exceeds tokens for sale at the current price", async () => {
+                    await time.increaseTo(projectOpenTime+500)
+                    await launchpad.connect(add1).investFairLaunch(projectID,getValue(30))
+                    await expect(launchpad.connect(add2).investFairLaunch(projectID,getValue(50))).to.be.revertedWith("Launchpad: amount exceeds target");
+                });
+                it("Oversubscription is enabled", async () => {
+                    await expect(launchpad.connect(admin).setOversubscription(projectID,true)).to.be.revertedWith("Launchpad: Project is a Dutch auction");
+                });
+            });
+        });
+        describe("Should revert if", () => {
+            it("Floor price is zero", async () => {
+                await expect(launchpad.connect(admin).addDutchAuctionLaunch(
+                    projectID,
+                    projectOwner.address,
+                    payToken.address,
+                    targetAmount,
+                    minInvestmentAmount,
+                    token.address,
+                    startPrice,
+                    0,
+                    projectOpenTime,
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
+                )).to.be.revertedWith("Launchpad: floor price zero");
+            });
+            it("Floor price is not below start price", async () => {
+                await expect(launchpad.connect(admin).addDutchAuctionLaunch(
+                    projectID,
+                    projectOwner.address,
+                    payToken.address,
+                    targetAmount,
+                    minInvestmentAmount,
+                    token.address,
+                    startPrice,
+                    startPrice,
+                    projectOpenTime,
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
+                )).to.be.revertedWith("Launchpad: floor price not below start price");
+            });
+        });
+    });
+    describe("Batch auction", () => {
+        let investment, projectID, paymentToken, targetAmount, minInvestmentAmount, tokensForDistribution, projectOpenTime, projectCloseTime
+        beforeEach(async () => {
+            investment = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            paymentToken = "0x0000000000000000000000000000000000000000";
+            await launchpad.connect(admin).addPaymentToken(paymentToken);
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "batch";
+            targetAmount = BigNumber.from(10000).mul(BigNumber.from(10).pow(18))
+            minInvestmentAmount = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            tokensForDistribution = BigNumber.from(3000).mul(BigNumber.from(10).pow(18))
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            const mintValue = BigNumber.from(1000000).mul(BigNumber.from(10).pow(18))
+            await token.connect(projectOwner).mint(projectOwner.address,mintValue)
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            for (const investor of [add1, add2]) {
+                await payToken.connect(investor).mint(investor.address,mintValue)
+                await payToken.connect(investor).approve(launchpad.address,mintValue)
+            }
+        });
+        describe("Add batch auction", () => {
+            it("Add Project with project token", async () => {
+                await expect(launchpad.connect(admin).addBatchAuctionLaunch(
+                    projectID,
+                    projectOwner.address,
+                    payToken.address,
+                    targetAmount,
+                    minInvestmentAmount,
+                    token.address,
+                    tokensForDistribution,
+                    projectOpenTime,
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
+                )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
+                                                                projectOwner.address,
+                                                                payToken.address,
+                                                                targetAmount,
+                                                                minInvestmentAmount,
+                                                                token.address,
+                                                                0,
+                                                                0,
+                                                                projectOpenTime,
+                                                                projectCloseTime)
+                  .and.to.emit(launchpad,"NotifyBatchAuctionData").withArgs(projectID,tokensForDistribution);
+                expect((await launchpad.getProject(projectID)).tokensForDistribution).to.equal(tokensForDistribution)
+                expect(await token.balanceOf(launchpad.address)).to.equal(tokensForDistribution)
+            });
+            it("Add Project without project token", async () => {
+                await launchpad.connect(admin).addBatchAuctionLaunch(
+                    projectID,
+                    projectOwner.address,
+                    payToken.address,
+                    targetAmount,
+                    minInvestmentAmount,
+                    ZERO_ADDRESS,
+                    tokensForDistribution,
+                    projectOpenTime,
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
+                )
+                expect((await launchpad.getProject(projectID)).tokensForDistribution).to.equal(0)
+                expect(await token.balanceOf(launchpad.address)).to.equal(0)
+            });
+            describe("Should revert if", () => {
+                it("Caller is not an admin", async () => {
+                    await expect(launchpad.connect(projectOwner).addBatchAuctionLaunch(
+                        projectID,
+                        projectOwner.address,
+                        payToken.address,
+                        targetAmount,
+                        minInvestmentAmount,
+                        token.address,
+                        tokensForDistribution,
+                        projectOpenTime,
+                        projectCloseTime,
+                        releaseSchedule,
+                        noProjectFee
+                    )).to.be.revertedWith("Launchpad: not authorized");
+                });
+                it("Tokens for distribution are zero", async () => {
+                    await expect(launchpad.connect(admin).addBatchAuctionLaunch(
+                        projectID,
+                        projectOwner.address,
+                        payToken.address,
+                        targetAmount,
+                        minInvestmentAmount,
+                        token.address,
+                        0,
+                        projectOpenTime,
+                        projectCloseTime,
+                        releaseSchedule,
+                        noProjectFee
+                    )).to.be.revertedWith("Launchpad: tokens for distribution zero");
+                });
+                it("Timestamps are invalid", async () => {
+                    await expect(launchpad.connect(admin).addBatchAuctionLaunch(
+                        projectID,
+                        projectOwner.address,
+                        payToken.address,
+                        targetAmount,
+                        minInvestmentAmount,
+                        token.address,
+                        tokensForDistribution,
+                        projectCloseTime,
+                        projectOpenTime,
+                        releaseSchedule,
+                        noProjectFee
+                    )).to.be.revertedWith("Launchpad: Project invalid timestamps");
+                });
+            });
+        });
+        describe("Edit batch auction", () => {
+            beforeEach(async () => {
+                await launchpad.connect(admin).addBatchAuctionLaunch(
+                    projectID,
+                    projectOwner.address,
+                    payToken.address,
+                    targetAmount,
+                    minInvestmentAmount,
+                    ZERO_ADDRESS,
+                    tokensForDistribution,
+                    projectOpenTime,
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
+                )
+            });
+            it("Change project token address from zero to valid address", async () => {
+                await expect(launchpad.connect(admin).editBatchAuctionProject(
+                    projectID,
+                    projectOwner.address,
+                    payToken.address,
+                    targetAmount,
+                    minInvestmentAmount,
+                    token.address,
+                    tokensForDistribution,
+                    projectOpenTime,
+                    projectCloseTime
+                )).to.emit(launchpad,"ProjectEdit").withArgs(projectID,
+                                                                token.address,
+                                                                projectOpenTime,
+                                                                projectCloseTime);
+                expect((await launchpad.getProject(projectID)).tokensForDistribution).to.equal(tokensForDistribution)
+                expect(await token.balanceOf(launchpad.address)).to.equal(tokensForDistribution)
+            });
+            describe("Should revert if", () => {
+                it("Project does not exist", async () => {
+                    await expect(launchpad.connect(admin).editBatchAuctionProject(
+                        "unknown",
+                        projectOwner.address,
+                        payToken.address,
+                        targetAmount,
+                        minInvestmentAmount,
+                        token.address,
+                        tokensForDistribution,
+                        projectOpenTime,
+                        projectCloseTime
+                    )).to.be.revertedWith("Launchpad: Project does not exist");
+                });
+                it("Project is edited as a fair launch", async () => {
+                    await expect(launchpad.connect(admin).editPublicProject(
+                        projectID,
+                        projectOwner.address,
+                        payToken.address,
+                        targetAmount,
+                        minInvestmentAmount,
+                        token.address,
+                        getValue(2),
+                        0,
+                        projectOpenTime,
+                        projectCloseTime
+                    )).to.be.revertedWith("Launchpad: Project is a batch auction");
+                });
+                it("Tokens for distribution are changed", async () => {
+                    await launchpad.connect(admin).editBatchAuctionProject(
+                        projectID,
+                        projectOwner.address,
+                        payToken.address,
+                        targetAmount,
+                        minInvestmentAmount,
+                        token.address,
+                        tokensForDistribution,
+                        projectOpenTime,
+                        projectCloseTime
+                    )
+                    await expect(launchpad.connect(admin).editBatchAuctionProject(
+                        projectID,
+                        projectOwner.address,
+                        payToken.address,
+                        targetAmount,
+                        minInvestmentAmount,
+                        token.address,
+                        tokensForDistribution.div(2),
+                        projectOpenTime,
+                        projectCloseTime
+                    )).to.be.revertedWith("Launchpad: tokens for distribution already added");
+                });
+            });
+        });
+        describe("Invest, claim and collect", () => {
+            beforeEach(async () => {
+                await launchpad.connect(admin).addBatchAuctionLaunch(
+                    projectID,
+                    projectOwner.address,
+                    payToken.address,
+                    targetAmount,
+                    minInvestmentAmount,
+                    token.address,
+                    tokensForDistribution,
+                    projectOpenTime,
+                    projectCloseTime,
+                    releaseSchedule,
+                    noProjectFee
+                )
+                await time.increaseTo(projectOpenTime)
+            });
+            it("Invest in a batch auction with ERC 20 token", async () => {
+                await expect(launchpad.connect(add1).investFairLaunch(projectID,investment)).to.emit(
+                    launchpad,"ProjectInvest").withArgs(projectID,add1.address,investment);
+                let projectInvestment = await launchpad.getProjectInvestment(projectID);
+                expect(projectInvestment[0]).to.equal(investment)
+                expect(projectInvestment[2]).to.equal(1)
+                expect(await launchpad.estimateProjectTokensById(projectID,investment)).to.equal(tokensForDistribution.div(2))
+            });
+            it("Claim tokens pro-rata at the final price", async () => {
+                await launchpad.connect(add1).investFairLaunch(projectID,investment)
+                await launchpad.connect(add2).investFairLaunch(projectID,investment.mul(2))
+                await time.increaseTo(projectCloseTime)
+                expect(await launchpad.getClearingPrice(projectID)).to.equal(investment.mul(3).mul(BigNumber.from(10).pow(18)).div(tokensForDistribution))
+                await expect(launchpad.connect(add1).claimIDOTokens(projectID)).to.emit(launchpad,"ProjectInvestmentClaim").withArgs(projectID,add1.address,tokensForDistribution.div(3))
+                await launchpad.connect(add2).claimIDOTokens(projectID)
+                expect(await token.balanceOf(add1.address)).to.equal(tokensForDistribution.div(3))
+                expect(await token.balanceOf(add2.address)).to.equal(tokensForDistribution.mul(2).div(3))
+            });
+            it("Collect the whole investment without project tokens left over", async () => {
+                await launchpad.connect(add1).investFairLaunch(projectID,investment)
+                await time.increaseTo(projectCloseTime)
+                const previousOwnerBalance = await token.balanceOf(projectOwner.address)
+                await expect(launchpad.connect(admin).collectIDOInvestment(projectID)).to.emit(launchpad,"ProjectInvestmentCollect").withArgs(projectID)
+                expect(await payToken.balanceOf(projectOwner.address)).to.equal(investment)
+                expect(await token.balanceOf(projectOwner.address)).to.equal(previousOwnerBalance)
+            });
+            it("Return project tokens when nobody invested", async () => {
+                await time.increaseTo(projectCloseTime)
+                const previousOwnerBalance = await token.balanceOf(projectOwner.address)
+                await launchpad.connect(admin).collectIDOInvestment(projectID)
+                expect(await token.balanceOf(projectOwner.address)).to.equal(previousOwnerBalance.add(tokensForDistribution))
+            });
+            describe("Should revert if", () => {
+                it("Investment exceeds the target amount", async () => {
+                    await expect(launchpad.connect(add1).investFairLaunch(projectID,targetAmount.add(1))).to.be.revertedWith("Launchpad: amount exceeds target");
+                });
+                it("Oversubscription is enabled", async () => {
+                    await expect(launchpad.connect(admin).setOversubscription(projectID,true)).to.be.revertedWith("Launchpad: Project is a batch auction");
+                });
+                it("Tokens are claimed before the auction closes", async () => {
+                    await launchpad.connect(add1).investFairLaunch(projectID,investment)
+                    await expect(launchpad.connect(add1).claimIDOTokens(projectID)).to.be.revertedWith("Launchpad: Project not closed yet");
+                });
+            });
+        });
+    });
+    describe("Multiple payment tokens", () => {
+        let projectID, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, projectOpenTime, projectCloseTime, secondPayToken, secondTokenPrice
+        beforeEach(async () => {
+            secondPayToken = await paymentToken.deploy();
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            await launchpad.connect(admin).addPaymentToken(secondPayToken.address);
+            projectID = "MultiplePaymentTokens";
+            targetAmount = getValue(100)
+            minInvestmentAmount = getValue(1)
+            tokenPrice = getValue(2)
+            secondTokenPrice = getValue(4)
+            tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                minInvestmentAmount,
+                token.address,
+                tokenPrice,
+                0,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+            for (const investor of [add1, add2]) {
+                for (const paymentToken of [payToken, secondPayToken]) {
+                    await paymentToken.connect(investor).mint(investor.address,getValue(100))
+                    await paymentToken.connect(investor).approve(launchpad.address,getValue(100))
+                }
+            }
+        });
+        it("Should accept an additional payment token", async () => {
+            await expect(launchpad.connect(admin).setProjectPaymentToken(projectID,secondPayToken.address,secondTokenPrice)).to.emit(launchpad,"SetProjectPaymentToken").withArgs(projectID,secondPayToken.address,secondTokenPrice)
+            expect(await launchpad.getProjectPaymentTokens(projectID)).to.deep.equal([payToken.address, secondPayToken.address])
+            expect(await launchpad.getPaymentTokenPrice(projectID,payToken.address)).to.equal(tokenPrice)
+            expect(await launchpad.getPaymentTokenPrice(projectID,secondPayToken.address)).to.equal(secondTokenPrice)
+        });
+        it("Should value investments at the price of the payment token", async () => {
+            await launchpad.connect(admin).setProjectPaymentToken(projectID,secondPayToken.address,secondTokenPrice)
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(10))
+            await expect(launchpad.connect(add1).investFairLaunchWithToken(projectID,secondPayToken.address,getValue(20))).to.emit(
+                launchpad,"ProjectInvest").withArgs(projectID,add1.address,getValue(10))
+                .and.to.emit(launchpad,"ProjectPaymentTokenInvest").withArgs(projectID,add1.address,secondPayToken.address,getValue(20))
+            expect((await launchpad.getInvestor(projectID,add1.address)).investment).to.equal(getValue(20))
+            expect(await launchpad.getPaymentTokenInvestment(projectID,payToken.address)).to.equal(getValue(10))
+            expect(await launchpad.getPaymentTokenInvestment(projectID,secondPayToken.address)).to.equal(getValue(20))
+            expect(await launchpad.getInvestorPaymentTokenInvestment(projectID,add1.address,secondPayToken.address)).to.equal(getValue(20))
+            await time.increaseTo(projectCloseTime)
+            await launchpad.connect(add1).claimIDOTokens(projectID)
+            expect(await token.balanceOf(add1.address)).to.equal(getValue(10))
+        });
+        it("Should collect investment in each payment token", async () => {
+            await launchpad.connect(admin).setProjectPaymentToken(projectID,secondPayToken.address,secondTokenPrice)
+            await launchpad.connect(admin).setFee(1000)
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(10))
+            await launchpad.connect(add2).investFairLaunchWithToken(projectID,secondPayToken.address,getValue(20))
+            await time.increaseTo(projectCloseTime)
+            const feeBalance = await secondPayToken.balanceOf(admin.address)
+            await launchpad.connect(admin).collectIDOInvestment(projectID)
+            expect(await payToken.balanceOf(projectOwner.address)).to.equal(getValue(9))
+            expect(await secondPayToken.balanceOf(projectOwner.address)).to.equal(getValue(18))
+            expect((await secondPayToken.balanceOf(admin.address)).sub(feeBalance)).to.equal(getValue(2))
+        });
+        it("Should refund investment in each payment token", async () => {
+            await launchpad.connect(admin).setProjectPaymentToken(projectID,secondPayToken.address,secondTokenPrice)
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(10))
+            await launchpad.connect(add1).investFairLaunchWithToken(projectID,secondPayToken.address,getValue(20))
+            await launchpad.connect(admin).cancelIDO(projectID)
+            await launchpad.connect(add1).refundInvestment(projectID)
+            expect(await payToken.balanceOf(add1.address)).to.equal(getValue(100))
+            expect(await secondPayToken.balanceOf(add1.address)).to.equal(getValue(100))
+        });
+        describe("Should revert if", () => {
+            it("Caller is not an admin", async () => {
+                await expect(launchpad.connect(add1).setProjectPaymentToken(projectID,secondPayToken.address,secondTokenPrice)).to.be.revertedWith("Launchpad: not authorized");
+            });
+            it("Payment token is not supported", async () => {
+                await expect(launchpad.connect(admin).setProjectPaymentToken(projectID,token.address,secondTokenPrice)).to.be.revertedWith("Launchpad: payment token not supported");
+            });
+            it("Payment token is the payment token of the Project", async () => {
+                await expect(launchpad.connect(admin).setProjectPaymentToken(projectID,payToken.address,secondTokenPrice)).to.be.revertedWith("Launchpad: payment token already accepted");
+            });
+            it("Payment token is not accepted", async () => {
+                await time.increaseTo(projectOpenTime)
+                await expect(launchpad.connect(add1).investFairLaunchWithToken(projectID,secondPayToken.address,getValue(20))).to.be.revertedWith("Launchpad: payment token not accepted");
+            });
+        });
+    });
+    describe("USD pricing", () => {
+        let projectID, paymentToken, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, projectOpenTime, projectCloseTime, priceFeed, stalenessThreshold
+        beforeEach(async () => {
+            const MockAggregator = await ethers.getContractFactory("MockAggregator");
+            // 1 BNB = 300 USD with 8 decimals
+            priceFeed = await MockAggregator.deploy(8, BigNumber.from(300).mul(BigNumber.from(10).pow(8)));
+            stalenessThreshold = 3600
+            paymentToken = ZERO_ADDRESS
+            await launchpad.connect(admin).addPaymentToken(paymentToken);
+            projectID = "USDPricing";
+            targetAmount = getValue(3000)
+            minInvestmentAmount = getValue(30)
+            tokenPrice = getValue(1).div(2)
+            tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+10000
+            await token.connect(projectOwner).mint(projectOwner.address,tokensForDistribution)
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                paymentToken,
+                targetAmount,
+                minInvestmentAmount,
+                token.address,
+                tokenPrice,
+                0,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+        });
+        it("Should set the price feed and USD pricing", async () => {
+            await expect(launchpad.connect(admin).setPriceFeed(paymentToken,priceFeed.address,stalenessThreshold)).to.emit(launchpad,"SetPriceFeed").withArgs(paymentToken,priceFeed.address,stalenessThreshold)
+            await expect(launchpad.connect(admin).setUSDPricing(projectID,true)).to.emit(launchpad,"SetUSDPricing").withArgs(projectID,true)
+            expect((await launchpad.getPriceFeed(paymentToken)).aggregator).to.equal(priceFeed.address)
+            expect(await launchpad.isUSDPriced(projectID)).to.equal(true)
+            expect(await launchpad.getUSDValue(paymentToken,getValue(1))).to.equal(getValue(300))
+        });
+        it("Should convert payments at the current oracle price", async () => {
+            await launchpad.connect(admin).setPriceFeed(paymentToken,priceFeed.address,stalenessThreshold)
+            await launchpad.connect(admin).setUSDPricing(projectID,true)
+            await time.increaseTo(projectOpenTime)
+            await priceFeed.setAnswer(BigNumber.from(300).mul(BigNumber.from(10).pow(8)))
+            await expect(launchpad.connect(add1).investFairLaunch(projectID,getValue(1),{ value: getValue(1) })).to.emit(
+                launchpad,"ProjectInvest").withArgs(projectID,add1.address,getValue(300))
+            await priceFeed.setAnswer(BigNumber.from(200).mul(BigNumber.from(10).pow(8)))
+            await launchpad.connect(add2).investFairLaunch(projectID,getValue(2),{ value: getValue(2) })
+            expect((await launchpad.getInvestor(projectID,add2.address)).investment).to.equal(getValue(400))
+            expect(await launchpad.getPaymentTokenInvestment(projectID,paymentToken)).to.equal(getValue(3))
+            await time.increaseTo(projectCloseTime)
+            await launchpad.connect(add1).claimIDOTokens(projectID)
+            expect(await token.balanceOf(add1.address)).to.equal(getValue(600))
+            const previousOwnerBalance = await launchpad.provider.getBalance(projectOwner.address)
+            await launchpad.connect(admin).collectIDOInvestment(projectID)
+            expect(await launchpad.provider.getBalance(projectOwner.address)).to.equal(previousOwnerBalance.add(getValue(3)))
+        });
+        describe("Should revert if", () => {
+            it("Caller is not the owner", async () => {
+                await expect(launchpad.connect(add1).setPriceFeed(paymentToken,priceFeed.address,stalenessThreshold)).to.be.revertedWith("Launchpad: Only owner allowed");
+            });
+            it("Price feed is not set", async () => {
+                await expect(launchpad.connect(admin).setUSDPricing(projectID,true)).to.be.revertedWith("Launchpad: price feed not set");
+            });
+            it("Oracle price is stale", async () => {
+                await launchpad.connect(admin).setPriceFeed(paymentToken,priceFeed.address,stalenessThreshold)
+                await launchpad.connect(admin).setUSDPricing(projectID,true)
+                await time.increaseTo(projectOpenTime)
+                await priceFeed.setUpdatedAt(projectOpenTime-stalenessThreshold-1)
+                await expect(launchpad.connect(add1).investFairLaunch(projectID,getValue(1),{ value: getValue(1) })).to.be.revertedWith("Launchpad: stale oracle price");
+            });
+            it("Oracle price is invalid", async () => {
+                await launchpad.connect(admin).setPriceFeed(paymentToken,priceFeed.address,stalenessThreshold)
+                await priceFeed.setAnswer(0)
+                await expect(launchpad.getUSDValue(paymentToken,getValue(1))).to.be.revertedWith("Launchpad: invalid oracle price");
+            });
+            it("Additional payment token is added to a Project priced in USD", async () => {
+                await launchpad.connect(admin).addPaymentToken(payToken.address);
+                await launchpad.connect(admin).setPriceFeed(paymentToken,priceFeed.address,stalenessThreshold)
+                await launchpad.connect(admin).setUSDPricing(projectID,true)
+                await expect(launchpad.connect(admin).setProjectPaymentToken(projectID,payToken.address,tokenPrice)).to.be.revertedWith("Launchpad: Project is priced in USD");
+            });
+        });
+    });
+    describe("Pause and freeze", () => {
+        let projectID, projectOpenTime, projectCloseTime, PAUSER;
+        beforeEach(async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "Paused";
+            const targetAmount = getValue(10)
+            const tokenPrice = getValue(2)
+            const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                getValue(1),
+                token.address,
+                tokenPrice,
+                0,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+            await payToken.connect(add1).mint(add1.address,getValue(100))
+            await payToken.connect(add1).approve(launchpad.address,getValue(100))
+            PAUSER = await launchpad.PAUSER_ROLE();
+            await launchpad.connect(admin).grantAccessRole(PAUSER, add2.address);
+        });
+        it("Should pause and unpause investments", async () => {
+            await expect(launchpad.connect(add2).pause()).to.emit(launchpad,"Paused").withArgs(add2.address)
+            expect(await launchpad.paused()).to.equal(true)
+            await time.increaseTo(projectOpenTime)
+            await expect(launchpad.connect(add1).investFairLaunch(projectID,getValue(2))).to.be.revertedWith("Launchpad: paused")
+            await expect(launchpad.connect(admin).unpause()).to.emit(launchpad,"Unpaused").withArgs(admin.address)
+            await expect(launchpad.connect(add1).investFairLaunch(projectID,getValue(2))).to.emit(launchpad,"ProjectInvest")
+        });
+        it("Should freeze claims and collection of a project", async () => {
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(2))
+            await expect(launchpad.connect(add2).setProjectFrozen(projectID,true)).to.emit(launchpad,"SetProjectFrozen").withArgs(projectID,true)
+            expect(await launchpad.isProjectFrozen(projectID)).to.equal(true)
+            await time.increaseTo(projectCloseTime+1)
+            await expect(launchpad.connect(add1).claimIDOTokens(projectID)).to.be.revertedWith("Launchpad: Project is frozen")
+            await expect(launchpad.connect(admin).collectIDOInvestment(projectID)).to.be.revertedWith("Launchpad: Project is frozen")
+        });
+        it("Should let an admin who is not a pauser unpause", async () => {
+            const ADMIN = keccak256(ethers.utils.toUtf8Bytes("ADMIN"));
+            await launchpad.connect(admin).grantAccessRole(ADMIN, add1.address)
+            await launchpad.connect(add2).pause()
+            await expect(launchpad.connect(add1).unpause()).to.emit(launchpad,"Unpaused").withArgs(add1.address)
+        });
+        it("Should keep refunds available while paused", async () => {
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(2))
+            await launchpad.connect(admin).cancelIDO(projectID)
+            await launchpad.connect(add2).pause()
+            await expect(launchpad.connect(add1).refundInvestment(projectID)).to.emit(launchpad,"ProjectInvestmentRefund").withArgs(projectID,add1.address,getValue(2))
+        });
+        describe("Should revert if", () => {
+            it("Caller is not a pauser", async () => {
+                await expect(launchpad.connect(add1).pause()).to.be.revertedWith("Launchpad: not authorized")
+                await expect(launchpad.connect(add1).setProjectFrozen(projectID,true)).to.be.revertedWith("Launchpad: not authorized")
+            });
+            it("Pauser unpauses", async () => {
+                await launchpad.connect(add2).pause()
+                await expect(launchpad.connect(add2).unpause()).to.be.revertedWith("Launchpad: not authorized")
+            });
+            it("Platform is not paused", async () => {
+                await expect(launchpad.connect(admin).unpause()).to.be.revertedWith("Launchpad: not paused")
+            });
+        });
+    });
+
+    describe("Timelock", () => {
+        const delay = 86400;
+        beforeEach(async () => {
+            await expect(launchpad.connect(admin).setTimelockDelay(delay)).to.emit(launchpad,"SetTimelockDelay").withArgs(delay);
+        });
+        it("Should queue and execute a fee change", async () => {
+            const changeID = await launchpad.getChangeID("setFee", ethers.utils.defaultAbiCoder.encode(["uint256"],[1000]));
+            await expect(launchpad.connect(admin).setFee(1000)).to.emit(launchpad,"ChangeQueued");
+            expect(await launchpad.feePercentage()).to.equal(0);
+            await time.increaseTo((await launchpad.getChangeExecutionTime(changeID)).toNumber());
+            await expect(launchpad.connect(admin).executeSetFee(1000)).to.emit(launchpad,"SetFeePercentage").withArgs(1000);
+            expect(await launchpad.getChangeExecutionTime(changeID)).to.equal(0);
+        });
+        it("Should queue and execute a payment token addition", async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            const changeID = await launchpad.getChangeID("addPaymentToken", ethers.utils.defaultAbiCoder.encode(["address"],[payToken.address]));
+            await time.increaseTo((await launchpad.getChangeExecutionTime(changeID)).toNumber());
+            await expect(launchpad.connect(admin).executeAddPaymentToken(payToken.address)).to.emit(launchpad,"AddPaymentToken").withArgs(payToken.address);
+        });
+        it("Should cancel a queued change", async () => {
+            await launchpad.connect(admin).setFee(1000);
+            const changeID = await launchpad.getChangeID("setFee", ethers.utils.defaultAbiCoder.encode(["uint256"],[1000]));
+            await expect(launchpad.connect(admin).cancelChange(changeID)).to.emit(launchpad,"ChangeCancelled").withArgs(changeID);
+            await expect(launchpad.connect(admin).executeSetFee(1000)).to.be.revertedWith("Launchpad: change not queued");
+        });
+        it("Should queue and execute a payment token removal", async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            let changeID = await launchpad.getChangeID("addPaymentToken", ethers.utils.defaultAbiCoder.encode(["address"],[payToken.address]));
+            await time.increaseTo((await launchpad.getChangeExecutionTime(changeID)).toNumber());
+            await launchpad.connect(admin).executeAddPaymentToken(payToken.address);
+            await expect(launchpad.connect(admin).removePaymentToken(payToken.address)).to.emit(launchpad,"ChangeQueued");
+            changeID = await launchpad.getChangeID("removePaymentToken", ethers.utils.defaultAbiCoder.encode(["address"],[payToken.address]));
+            await time.increaseTo((await launchpad.getChangeExecutionTime(changeID)).toNumber());
+            await expect(launchpad.connect(admin).executeRemovePaymentToken(payToken.address)).to.emit(launchpad,"RemovePaymentToken").withArgs(payToken.address);
+        });
+        it("Should queue and execute a price feed change", async () => {
+            const aggregator = add2.address;
+            const changeID = await launchpad.getChangeID("setPriceFeed", ethers.utils.defaultAbiCoder.encode(["address","address","uint256"],[payToken.address,aggregator,3600]));
+            await expect(launchpad.connect(admin).setPriceFeed(payToken.address,aggregator,3600)).to.emit(launchpad,"ChangeQueued");
+            expect((await launchpad.getPriceFeed(payToken.address)).aggregator).to.equal(ethers.constants.AddressZero);
+            await time.increaseTo((await launchpad.getChangeExecutionTime(changeID)).toNumber());
+            await expect(launchpad.connect(admin).executeSetPriceFeed(payToken.address,aggregator,3600)).to.emit(launchpad,"SetPriceFeed").withArgs(payToken.address,aggregator,3600);
+            expect((await launchpad.getPriceFeed(payToken.address)).aggregator).to.equal(aggregator);
+        });
+        it("Should queue and execute a trusted forwarder change", async () => {
+            const changeID = await launchpad.getChangeID("setTrustedForwarder", ethers.utils.defaultAbiCoder.encode(["address"],[add2.address]));
+            await expect(launchpad.connect(admin).setTrustedForwarder(add2.address)).to.emit(launchpad,"ChangeQueued");
+            expect(await launchpad.isTrustedForwarder(add2.address)).to.equal(false);
+            await time.increaseTo((await launchpad.getChangeExecutionTime(changeID)).toNumber());
+            await expect(launchpad.connect(admin).executeSetTrustedForwarder(add2.address)).to.emit(launchpad,"SetTrustedForwarder").withArgs(add2.address);
+            expect(await launchpad.isTrustedForwarder(add2.address)).to.equal(true);
+        });
+        it("Should queue and execute a referral fee change", async () => {
+            const changeID = await launchpad.getChangeID("setReferralFee", ethers.utils.defaultAbiCoder.encode(["uint256"],[2000]));
+            await expect(launchpad.connect(admin).setReferralFee(2000)).to.emit(launchpad,"ChangeQueued");
+            expect(await launchpad.referralFeePercentage()).to.equal(0);
+            await expect(launchpad.connect(admin).executeSetReferralFee(2000)).to.be.revertedWith("Launchpad: change is timelocked");
+            await time.increaseTo((await launchpad.getChangeExecutionTime(changeID)).toNumber());
+            await expect(launchpad.connect(admin).executeSetReferralFee(2000)).to.emit(launchpad,"SetReferralFeePercentage").withArgs(2000);
+            expect(await launchpad.referralFeePercentage()).to.equal(2000);
+        });
+        describe("Should revert if", () => {
+            it("Delay has not passed", async () => {
+                await launchpad.connect(admin).setFee(1000);
+                await expect(launchpad.connect(admin).executeSetFee(1000)).to.be.revertedWith("Launchpad: change is timelocked");
+            });
+            it("Change is already queued", async () => {
+                await launchpad.connect(admin).setFee(1000);
+                await expect(launchpad.connect(admin).setFee(1000)).to.be.revertedWith("Launchpad: change already queued");
+            });
+            it("Delay is too long", async () => {
+                await expect(launchpad.connect(admin).setTimelockDelay(31*delay)).to.be.revertedWith("Launchpad: timelock delay too long");
+            });
+            it("Caller is not the owner", async () => {
+                await expect(launchpad.connect(add1).setTimelockDelay(0)).to.be.revertedWith("Launchpad: Only owner allowed");
+            });
+            it("A fee manager cancels a change", async () => {
+                await launchpad.connect(admin).grantAccessRole(await launchpad.FEE_MANAGER_ROLE(), add1.address);
+                await launchpad.connect(admin).setTimelockDelay(0);
+                const changeID = await launchpad.getChangeID("setTimelockDelay", ethers.utils.defaultAbiCoder.encode(["uint256"],[0]));
+                await expect(launchpad.connect(add1).cancelChange(changeID)).to.be.revertedWith("Launchpad: Only owner allowed");
+            });
+        });
+    });
+
+    describe("Project fees", () => {
+        let projectID, projectOpenTime, projectCloseTime;
+        beforeEach(async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            await launchpad.connect(admin).setFee(1000);
+            projectID = "Fees";
+            const targetAmount = getValue(10)
+            const tokenPrice = getValue(1)
+            const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                getValue(1),
+                token.address,
+                tokenPrice,
+                0,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+            await payToken.connect(add1).mint(add1.address,getValue(100))
+            await payToken.connect(add1).approve(launchpad.address,getValue(100))
+        });
+        const addFeeProject = async (projectFee) => {
+            return launchpad.connect(admin).addPublicLaunch(
+                "FeesAtCreation",
+                projectOwner.address,
+                payToken.address,
+                getValue(10),
+                getValue(1),
+                token.address,
+                getValue(1),
+                0,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                projectFee
+            )
+        }
+        it("Should set the fees of a project at creation and reserve the project token fee", async () => {
+            // 2% of the 10 tokens for distribution
+            const reservedFee = getValue(10).mul(200).div(10000)
+            await token.connect(projectOwner).approve(launchpad.address, getValue(10).add(reservedFee))
+            const ownerBalance = await token.balanceOf(projectOwner.address)
+            await expect(addFeeProject([true, 500, 200])).to.emit(launchpad,"SetProjectFee").withArgs("FeesAtCreation",500,200)
+            expect(await launchpad.getProjectFee("FeesAtCreation")).to.deep.equal([BigNumber.from(500), BigNumber.from(200)])
+            expect(ownerBalance.sub(await token.balanceOf(projectOwner.address))).to.equal(getValue(10).add(reservedFee))
+        });
+        it("Should set the fees of a project", async () => {
+            const reservedFee = getValue(10).mul(200).div(10000)
+            expect(await launchpad.getProjectFee(projectID)).to.deep.equal([BigNumber.from(1000), BigNumber.from(0)])
+            await token.connect(projectOwner).approve(launchpad.address, reservedFee)
+            await expect(launchpad.connect(admin).setProjectFee(projectID,500,200)).to.emit(launchpad,"SetProjectFee").withArgs(projectID,500,200)
+            expect(await launchpad.getProjectFee(projectID)).to.deep.equal([BigNumber.from(500), BigNumber.from(200)])
+            expect(await token.balanceOf(launchpad.address)).to.equal(getValue(10).add(reservedFee))
+            // a lower project token fee returns the difference
+            await launchpad.connect(admin).setProjectFee(projectID,500,100)
+            expect(await token.balanceOf(launchpad.address)).to.equal(getValue(10).add(reservedFee.div(2)))
+        });
+        it("Should split the fees of a project among the fee recipients", async () => {
+            const reservedFee = getValue(10).mul(200).div(10000)
+            await token.connect(projectOwner).approve(launchpad.address, reservedFee)
+            await launchpad.connect(admin).setProjectFee(projectID,500,200)
+            await expect(launchpad.connect(admin).setFeeRecipients([add2.address,admin.address],[4000,6000])).to.emit(launchpad,"SetFeeRecipients")
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(4))
+            await time.increaseTo(projectCloseTime+1)
+            const ownerBalance = await token.balanceOf(projectOwner.address)
+            await launchpad.connect(admin).collectIDOInvestment(projectID)
+            // 5% of 4 payment tokens and 2% of 4 project tokens sold, split 40/60
+            const paymentFee = getValue(4).mul(500).div(10000)
+            const projectTokenFee = getValue(4).mul(200).div(10000)
+            expect(await payToken.balanceOf(add2.address)).to.equal(paymentFee.mul(4000).div(10000))
+            expect(await payToken.balanceOf(projectOwner.address)).to.equal(getValue(4).sub(paymentFee))
+            expect(await token.balanceOf(add2.address)).to.equal(projectTokenFee.mul(4000).div(10000))
+            // unsold tokens and the fee reserved on them go back to the project owner
+            expect((await token.balanceOf(projectOwner.address)).sub(ownerBalance)).to.equal(getValue(6).add(reservedFee).sub(projectTokenFee))
+            expect(await token.balanceOf(launchpad.address)).to.equal(getValue(4))
+        });
+        it("Should return the reserved project token fee of a cancelled project", async () => {
+            const reservedFee = getValue(10).mul(200).div(10000)
+            await token.connect(projectOwner).approve(launchpad.address, getValue(10).add(reservedFee))
+            await addFeeProject([true, 500, 200])
+            const ownerBalance = await token.balanceOf(projectOwner.address)
+            await launchpad.connect(admin).cancelIDO("FeesAtCreation")
+            expect((await token.balanceOf(projectOwner.address)).sub(ownerBalance)).to.equal(getValue(10).add(reservedFee))
+        });
+        it("Should queue and execute fee changes of a project and of the fee recipients", async () => {
+            await launchpad.connect(admin).setTimelockDelay(86400)
+            await token.connect(projectOwner).approve(launchpad.address, getValue(10).mul(200).div(10000))
+            await expect(launchpad.connect(admin).setProjectFee(projectID,500,200)).to.emit(launchpad,"ChangeQueued")
+            await expect(launchpad.connect(admin).setFeeRecipients([add2.address],[10000])).to.emit(launchpad,"ChangeQueued")
+            expect(await launchpad.getProjectFee(projectID)).to.deep.equal([BigNumber.from(1000), BigNumber.from(0)])
+            const changeID = await launchpad.getChangeID("setProjectFee", ethers.utils.defaultAbiCoder.encode(["string","uint256","uint256"],[projectID,500,200]))
+            await time.increaseTo((await launchpad.getChangeExecutionTime(changeID)).toNumber())
+            await expect(launchpad.connect(admin).executeSetProjectFee(projectID,500,200)).to.emit(launchpad,"SetProjectFee").withArgs(projectID,500,200)
+            await expect(launchpad.connect(admin).executeSetFeeRecipients([add2.address],[10000])).to.emit(launchpad,"SetFeeRecipients")
+            expect(await launchpad.getProjectFee(projectID)).to.deep.equal([BigNumber.from(500), BigNumber.from(200)])
+        });
+        describe("Should revert if", () => {
+            it("Project has investments", async () => {
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunch(projectID,getValue(4))
+                await expect(launchpad.connect(admin).setProjectFee(projectID,500,0)).to.be.revertedWith("Launchpad: Project has investments")
+            });
+            it("Fee percentage is above 10000", async () => {
+                await expect(launchpad.connect(admin).setProjectFee(projectID,0,10001)).to.be.revertedWith("Launchpad: fee Percentage should be less than 10000")
+                await expect(addFeeProject([true, 10001, 0])).to.be.revertedWith("Launchpad: fee Percentage should be less than 10000")
+            });
+            it("Fee shares do not add up to 10000", async () => {
+                await expect(launchpad.connect(admin).setFeeRecipients([add2.address],[5000])).to.be.revertedWith("Launchpad: fee shares do not add up to 10000")
+            });
+            it("Caller is not a fee manager", async () => {
+                await expect(launchpad.connect(add1).setFeeRecipients([add2.address],[10000])).to.be.revertedWith("Launchpad: not authorized")
+            });
+        });
+    });
+
+    describe("Referrals", () => {
+        let projectID, projectOpenTime, projectCloseTime;
+        beforeEach(async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            await launchpad.connect(admin).setFee(1000);
+            await expect(launchpad.connect(admin).setReferralFee(2000)).to.emit(launchpad,"SetReferralFeePercentage").withArgs(2000);
+            projectID = "Referrals";
+            const targetAmount = getValue(10)
+            const tokenPrice = getValue(1)
+            const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                getValue(1),
+                token.address,
+                tokenPrice,
+                0,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+            await payToken.connect(add1).mint(add1.address,getValue(100))
+            await payToken.connect(add1).approve(launchpad.address,getValue(100))
+        });
+        it("Should track investments of referred investors", async () => {
+            await time.increaseTo(projectOpenTime)
+            await expect(launchpad.connect(add1).investFairLaunchWithReferrer(projectID,payToken.address,getValue(2),add2.address)).to.emit(launchpad,"ReferredInvest").withArgs(projectID,add1.address,add2.address,getValue(2))
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(2))
+            expect(await launchpad.getReferrer(projectID,add1.address)).to.equal(add2.address)
+            const stats = await launchpad.getReferralStats(projectID,add2.address)
+            expect(stats.referredInvestment).to.equal(getValue(4))
+            expect(stats.referralCount).to.equal(1)
+            expect(await launchpad.getProjectReferredInvestment(projectID)).to.equal(getValue(4))
+        });
+        it("Should let referrers claim their share of the platform fee", async () => {
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunchWithReferrer(projectID,payToken.address,getValue(4),add2.address)
+            await time.increaseTo(projectCloseTime+1)
+            await launchpad.connect(admin).collectIDOInvestment(projectID)
+            // 20% of the 10% fee on 4 payment tokens
+            const reward = getValue(4).mul(1000).div(10000).mul(2000).div(10000)
+            expect((await launchpad.getReferralRewards(projectID,add2.address)).rewards[0]).to.equal(reward)
+            await expect(launchpad.connect(add2).claimReferralRewards(projectID)).to.emit(launchpad,"ReferralRewardClaim").withArgs(projectID,add2.address,payToken.address,reward)
+            expect(await payToken.balanceOf(add2.address)).to.equal(reward)
+        });
+        describe("Should revert if", () => {
+            it("Investor refers themselves", async () => {
+                await time.increaseTo(projectOpenTime)
+                await expect(launchpad.connect(add1).investFairLaunchWithReferrer(projectID,payToken.address,getValue(2),add1.address)).to.be.revertedWith("Launchpad: cannot refer yourself")
+            });
+            it("Investment is not collected", async () => {
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunchWithReferrer(projectID,payToken.address,getValue(2),add2.address)
+                await expect(launchpad.connect(add2).claimReferralRewards(projectID)).to.be.revertedWith("Launchpad: Project investment not collected")
+            });
+            it("Rewards are already claimed", async () => {
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(add1).investFairLaunchWithReferrer(projectID,payToken.address,getValue(2),add2.address)
+                await time.increaseTo(projectCloseTime+1)
+                await launchpad.connect(admin).collectIDOInvestment(projectID)
+                await launchpad.connect(add2).claimReferralRewards(projectID)
+                await expect(launchpad.connect(add2).claimReferralRewards(projectID)).to.be.revertedWith("Launchpad: referral rewards already claimed")
+            });
+        });
+    });
+
+    describe("Permit and meta-transactions", () => {
+        let projectID, projectOpenTime, projectCloseTime, chainId;
+        beforeEach(async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "Permit";
+            const targetAmount = getValue(10)
+            const tokenPrice = getValue(1)
+            const tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                getValue(1),
+                token.address,
+                tokenPrice,
+                0,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+            await payToken.connect(add1).mint(add1.address,getValue(100))
+            chainId = (await ethers.provider.getNetwork()).chainId
+        });
+        // signs a permit of add1 for the launchpad to spend amount of the payment token
+        async function signPermit(amount, deadline) {
+            const signature = await add1._signTypedData(
+                { name: "Token", version: "1", chainId, verifyingContract: payToken.address },
+                { Permit: [
+                    { name: "owner", type: "address" },
+                    { name: "spender", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ] },
+                { owner: add1.address, spender: launchpad.address, value: amount, nonce: await payToken.nonces(add1.address), deadline }
+            );
+            return ethers.utils.splitSignature(signature);
+        }
+        // relays a call of add1 to the launchpad through the forwarder
+        async function relay(forwarder, data) {
+            const request = { from: add1.address, to: launchpad.address, value: 0, gas: 1000000, nonce: await forwarder.getNonce(add1.address), data };
+            const signature = await add1._signTypedData(
+                { name: "MinimalForwarder", version: "0.0.1", chainId, verifyingContract: forwarder.address },
+                { ForwardRequest: [
+                    { name: "from", type: "address" },
+                    { name: "to", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "gas", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "data", type: "bytes" }
+                ] },
+                request
+            );
+            return forwarder.connect(add2).execute(request, signature);
+        }
+        it("Should invest with a permit", async () => {
+            await time.increaseTo(projectOpenTime)
+            const { v, r, s } = await signPermit(getValue(2), projectCloseTime)
+            await expect(launchpad.connect(add1).investFairLaunchWithPermit(projectID,payToken.address,getValue(2),projectCloseTime,v,r,s)).to.emit(launchpad,"ProjectInvest").withArgs(projectID,add1.address,getValue(2))
+        });
+        it("Should invest and claim through the trusted forwarder", async () => {
+            const Forwarder = await ethers.getContractFactory("MockForwarder");
+            const forwarder = await Forwarder.deploy();
+            await expect(launchpad.connect(admin).setTrustedForwarder(forwarder.address)).to.emit(launchpad,"SetTrustedForwarder").withArgs(forwarder.address)
+            expect(await launchpad.isTrustedForwarder(forwarder.address)).to.equal(true)
+            await payToken.connect(add1).approve(launchpad.address,getValue(2))
+            await time.increaseTo(projectOpenTime)
+            await expect(relay(forwarder, launchpad.interface.encodeFunctionData("investFairLaunch",[projectID,getValue(2)]))).to.emit(launchpad,"ProjectInvest").withArgs(projectID,add1.address,getValue(2))
+            await time.increaseTo(projectCloseTime+1)
+            await expect(relay(forwarder, launchpad.interface.encodeFunctionData("claimIDOTokens",[projectID]))).to.emit(launchpad,"ProjectInvestmentClaim").withArgs(projectID,add1.address,getValue(2))
+        });
+        describe("Should revert if", () => {
+            it("Payment token is BNB", async () => {
+                const { v, r, s } = await signPermit(getValue(2), projectCloseTime)
+                await expect(launchpad.connect(add1).investFairLaunchWithPermit(projectID,ZERO_ADDRESS,getValue(2),projectCloseTime,v,r,s)).to.be.revertedWith("Launchpad: permit not supported for BNB")
+            });
+            it("Caller is not the owner", async () => {
+                await expect(launchpad.connect(add1).setTrustedForwarder(add2.address)).to.be.revertedWith("Launchpad: Only owner allowed")
+            });
+        });
+    });
+
+    describe("Project registry", () => {
+        let projectOpenTime, projectCloseTime;
+        const addProject = async (projectID, openTime, closeTime) => {
+            const targetAmount = getValue(10)
+            await token.connect(projectOwner).approve(launchpad.address, targetAmount)
+            return launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                getValue(1),
+                token.address,
+                getValue(1),
+                0,
+                openTime,
+                closeTime,
+                releaseSchedule,
+                noProjectFee
+            )
+        }
+        beforeEach(async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            await addProject("Registry1", projectOpenTime, projectCloseTime)
+            await addProject("Registry2", projectCloseTime, projectCloseTime+200)
+            await addProject("Registry3", projectCloseTime, projectCloseTime+200)
+            await launchpad.connect(admin).deleteIDO("Registry3")
+        });
+        it("Should number projects in the order they are added", async () => {
+            expect(await launchpad.getProjectCount()).to.equal(3)
+            expect(await launchpad.getProjectNumber("Registry2")).to.equal(2)
+            expect(await launchpad.getProjectID(1)).to.equal("Registry1")
+            await expect(addProject("Registry4", projectCloseTime, projectCloseTime+200)).to.emit(launchpad,"ProjectRegister").withArgs("Registry4",4)
+        });
+        it("Should list projects with pagination", async () => {
+            const projects = await launchpad.getProjects(1,10)
+            expect(projects.length).to.equal(2)
+            expect(projects[0].projectID).to.equal("Registry2")
+            expect(projects[0].project.projectOpenTime).to.equal(projectCloseTime)
+            expect((await launchpad.getProjects(3,10)).length).to.equal(0)
+        });
+        it("Should list projects by status", async () => {
+            await time.increaseTo(projectOpenTime)
+            expect(await launchpad.getProjectStatus("Registry1")).to.equal(1)
+            expect(await launchpad.getProjectCountByStatus(0)).to.equal(1)
+            expect((await launchpad.getProjectsByStatus(0,0,10))[0].projectID).to.equal("Registry2")
+            expect((await launchpad.getProjectsByStatus(3,0,10))[0].projectID).to.equal("Registry3")
+            await time.increaseTo(projectCloseTime+1)
+            expect((await launchpad.getProjectsByStatus(2,0,10))[0].projectID).to.equal("Registry1")
+            expect((await launchpad.getProjectsByStatus(2,1,10)).length).to.equal(0)
+        });
+        it("Should list projects by status with a limit above the project count", async () => {
+            const projects = await launchpad.getProjectsByStatus(0,0,ethers.constants.MaxUint256)
+            expect(projects.map((project) => project.projectID)).to.deep.equal(["Registry1","Registry2"])
+        });
+        it("Should return project, investment and presale data in one call", async () => {
+            await payToken.connect(add1).mint(add1.address,getValue(10))
+            await payToken.connect(add1).approve(launchpad.address,getValue(10))
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch("Registry1",getValue(2))
+            const details = await launchpad.getProjectDetails("Registry1")
+            expect(details.projectNumber).to.equal(1)
+            expect(details.project.projectOwner).to.equal(projectOwner.address)
+            expect(details.investment.totalInvestment).to.equal(getValue(2))
+            expect(details.presalePrice).to.equal(0)
+        });
+        describe("Should revert if", () => {
+            it("Project number is invalid", async () => {
+                await expect(launchpad.getProjectID(0)).to.be.revertedWith("Launchpad: invalid Project number")
+                await expect(launchpad.getProjectID(4)).to.be.revertedWith("Launchpad: invalid Project number")
+            });
+            it("Project is already registered", async () => {
+                await expect(launchpad.connect(admin).registerProjects(["Registry1"])).to.be.revertedWith("Launchpad: Project already registered")
+            });
+        });
+    });
+
+    describe("Investor listing", () => {
+        let projectID, projectOpenTime, projectCloseTime;
+        beforeEach(async () => {
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "Investors";
+            const targetAmount = getValue(10)
+            const currentTime = await latestTime()
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            await token.connect(projectOwner).mint(projectOwner.address,getValue(1000))
+            await token.connect(projectOwner).approve(launchpad.address, targetAmount)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                getValue(1),
+                token.address,
+                getValue(1),
+                0,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+            for (const investor of [add1, add2, admin]) {
+                await payToken.connect(investor).mint(investor.address,getValue(10))
+                await payToken.connect(investor).approve(launchpad.address,getValue(10))
+            }
+            await time.increaseTo(projectOpenTime)
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(2))
+            await launchpad.connect(add2).investFairLaunch(projectID,getValue(3))
+            await launchpad.connect(add1).investFairLaunch(projectID,getValue(1))
+            await launchpad.connect(admin).investFairLaunch(projectID,getValue(1))
+        });
+        it("Should list investors in the order of their first investment", async () => {
+            expect(await launchpad.getInvestorCount(projectID)).to.equal(3)
+            expect(await launchpad.getInvestorAddresses(projectID,1,10)).to.deep.equal([add2.address,admin.address])
+            expect(await launchpad.getInvestorAddresses(projectID,3,10)).to.deep.equal([])
+        });
+        it("Should return investments and claim status of investors", async () => {
+            await time.increaseTo(projectCloseTime+1)
+            await launchpad.connect(add1).claimIDOTokens(projectID)
+            const investors = await launchpad.getInvestors(projectID,0,2)
+            expect(investors.length).to.equal(2)
+            expect(investors[0].investor).to.equal(add1.address)
+            expect(investors[0].investment).to.equal(getValue(3))
+            expect(investors[0].publicInvestment).to.equal(getValue(3))
+            expect(investors[0].claimed).to.equal(true)
+            expect(investors[0].claimedProjectTokens).to.equal(getValue(3))
+            expect(investors[1].claimed).to.equal(false)
+        });
+        describe("Should revert if", () => {
+            it("Project does not exist", async () => {
+                await expect(launchpad.getInvestors("Invalid",0,10)).to.be.revertedWith("Launchpad: invalid Project")
+            });
+        });
+    });
+
+    describe("Collect IDO investments", () => {
+        let investment, projectID, paymentToken, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, winnersOutTime, projectOpenTime, projectCloseTime
+        beforeEach(async () => {
+            investment = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            paymentToken = "0x0000000000000000000000000000000000000000";
+            await launchpad.connect(admin).addPaymentToken(paymentToken);
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "first";
+            targetAmount = BigNumber.from(10000).mul(BigNumber.from(10).pow(18))
+            minInvestmentAmount = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
+            const currentTime = await latestTime()
+            winnersOutTime = 0
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            const mintValue = BigNumber.from(1000000).mul(BigNumber.from(10).pow(18))
+            await token.connect(projectOwner).mint(projectOwner.address,mintValue)
+            expect(await token.connect(projectOwner).balanceOf(projectOwner.address)).to.be.equal(mintValue)
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                paymentToken,
+                targetAmount,
+                minInvestmentAmount,
+                token.address,
+                tokenPrice,
+                winnersOutTime,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+            await time.increaseTo(projectOpenTime)
+        });
+        it("Collect investments made in BNB", async () => {
+            await launchpad.connect(add1).investFairLaunch(projectID,investment,{ value: ethers.utils.parseEther("2")})
+            const previousContractBalance =  await launchpad.provider.getBalance(launchpad.address)
+            const previousOwnerBalance = await launchpad.provider.getBalance(projectOwner.address)
+            await time.increaseTo(projectCloseTime)
+            expect(await launchpad.connect(admin).collectIDOInvestment(projectID)).emit(launchpad,"ProjectInvestmentCollect").withArgs(projectID)
+            expect(await launchpad.provider.getBalance(projectOwner.address)).to.equal(previousOwnerBalance.add(BigNumber.from(ethers.utils.parseEther("2"))))
+            expect(await launchpad.provider.getBalance(launchpad.address)).to.equal(previousContractBalance.sub(BigNumber.from(ethers.utils.parseEther("2"))))
+            let projectInvestment = await launchpad.getProjectInvestment(projectID);
+            expect(projectInvestment[3]).to.be.equal(true)
+        });
+        it("Collect investments made in ERC20", async () => {
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                "Collect",
+                projectOwner.address,
+                payToken.address,
+                targetAmount,
+                minInvestmentAmount,
+                token.address,
+                tokenPrice,
+                winnersOutTime,
+                await latestTime()+100,
+                await latestTime()+200,
+                releaseSchedule,
+                noProjectFee
+            )
+            await time.increaseTo(await latestTime()+100)
+            await payToken.connect(add1).mint(add1.address,BigNumber.from(1000000).mul(BigNumber.from(10).pow(18)))
+            await payToken.connect(add1).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(add1).investFairLaunch("Collect",investment)
+            const previousOwnerBalance =  await payToken.connect(projectOwner).balanceOf(projectOwner.address)
+            const previousContractBalance =  await payToken.connect(admin).balanceOf(launchpad.address)
+            await time.increaseTo(await latestTime()+200)
+            expect(await launchpad.connect(admin).collectIDOInvestment("Collect")).emit(launchpad,"ProjectInvestmentCollect").withArgs("Collect")
+            expect(await payToken.balanceOf(projectOwner.address)).to.equal(previousOwnerBalance.add(investment))
+            expect(await payToken.balanceOf(launchpad.address)).to.equal(previousContractBalance.sub(investment))
+            let projectInvestment = await launchpad.getProjectInvestment("Collect");
+            expect(projectInvestment[3]).to.be.equal(true)
+        });
+        it("Set Fee and collect platform share", async () => {
+            const fee = BigNumber.from(5000);
+            await launchpad.connect(admin).setFee(fee)
+            await launchpad.connect(add1).investFairLaunch(projectID,investment,{ value: ethers.utils.parseEther("2")})
+            const adminBalance =  await launchpad.provider.getBalance(admin.address)
+            const ownerBalance = await launchpad.provider.getBalance(projectOwner.address)
+            await time.increaseTo(projectCloseTime)
+            expect(await launchpad.connect(admin).collectIDOInvestment(projectID)).emit(launchpad,"ProjectInvestmentCollect").withArgs(projectID)
+            expect(await launchpad.provider.getBalance(projectOwner.address)).to.equal(ownerBalance.add(BigNumber.from(ethers.utils.parseEther("1"))))
+            expect(await launchpad.provider.getBalance(admin.address)).to.lte(adminBalance.add(BigNumber.from(ethers.utils.parseEther("1"))))
+            let projectInvestment = await launchpad.getProjectInvestment(projectID);
+            expect(projectInvestment[3]).to.be.equal(true)
+        });
+        describe("Should revert if", () => {
+            it("Project does not exist", async () => {
+                await (expect(launchpad.connect(admin).collectIDOInvestment("NoToken")).to.be.revertedWith("Launchpad: invalid Project"))
+            });
+            it("Caller is not an admin", async () => {
+                await (expect(launchpad.connect(add1).collectIDOInvestment(projectID)).to.be.revertedWith("Launchpad: not authorized"))
+            });  
+            it("Project token is not added", async () => {
+                await launchpad.connect(admin).addPublicLaunch(
+                    "NoToken",
+                    projectOwner.address,
+                    paymentToken,
+                    targetAmount,
+                    minInvestmentAmount,
+                    "0x0000000000000000000000000000000000000000",
+                    tokenPrice,
+                    winnersOutTime,
+                    await latestTime()+100,
+                    await latestTime()+200,
+                    releaseSchedule,
+                    noProjectFee
+                )
+                await time.increaseTo(await latestTime()+100)
+                await launchpad.connect(add1).investFairLaunch("NoToken",investment,{ value: ethers.utils.parseEther("2")})
+                await time.increaseTo(await latestTime()+200)
+                await (expect(launchpad.connect(admin).collectIDOInvestment("NoToken")).to.be.revertedWith("Launchpad: Project token not added yet"))
+            });
+            it("Project is cancelled", async () => {
+                await time.increaseTo(projectOpenTime)
+                await launchpad.connect(admin).cancelIDO(projectID)
+                await time.increaseTo(projectCloseTime)
+                await (expect(launchpad.connect(admin).collectIDOInvestment(projectID)).to.be.revertedWith("Launchpad: Project is cancelled"))
+            }); 
+            it("Project is open", async () => {
+                await time.increaseTo(projectOpenTime)
+                await (expect(launchpad.connect(admin).collectIDOInvestment(projectID)).to.be.revertedWith("Launchpad: Project is open"))
+            });
+            it("Investment was already collected", async () => {
+                await time.increaseTo(projectCloseTime)
+                await launchpad.connect(admin).collectIDOInvestment(projectID)
+                await (expect(launchpad.connect(admin).collectIDOInvestment(projectID)).to.be.revertedWith("Launchpad: Project investment already collected"))
+            });   
+        });    
+    });
+    describe("Cancel Launch", () => {
+        let investment, projectID, paymentToken, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, winnersOutTime, projectOpenTime, projectCloseTime
+        beforeEach(async () => {
+            investment = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            paymentToken = "0x0000000000000000000000000000000000000000";
+            await launchpad.connect(admin).addPaymentToken(paymentToken);
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "first";
+            targetAmount = BigNumber.from(10000).mul(BigNumber.from(10).pow(18))
+            minInvestmentAmount = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
+            const currentTime = await latestTime()
+            winnersOutTime = 0
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            const mintValue = BigNumber.from(1000000).mul(BigNumber.from(10).pow(18))
+            await token.connect(projectOwner).mint(projectOwner.address,tokensForDistribution)
+            expect(await token.connect(projectOwner).balanceOf(projectOwner.address)).to.be.equal(tokensForDistribution)
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                paymentToken,
+                targetAmount,
+                minInvestmentAmount,
+                token.address,
+                tokenPrice,
+                winnersOutTime,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+            await time.increaseTo(projectOpenTime)
+        });
+        it("Cancel a project and return project tokens", async () => {
+            let allocatedTokens = await launchpad.estimateProjectTokensById(projectID,targetAmount)
+            expect(await token.connect(admin).balanceOf(launchpad.address)).to.be.equal(tokensForDistribution)
+            expect(await launchpad.connect(admin).cancelIDO(projectID)).emit(launchpad,"ProjectCancel").withArgs(projectID)
+            expect(await token.connect(admin).balanceOf(launchpad.address)).to.be.equal(0)
+            expect(await token.connect(projectOwner).balanceOf(projectOwner.address)).to.be.equal(allocatedTokens)
+        });
+        describe("Should revert if", () => {
+            it("Caller is not an admin", async () => {
+                await (expect (launchpad.connect(add1).cancelIDO(projectID)).to.be.revertedWith("Launchpad: not authorized"))
+            });
+            it("Project does not exist", async () => {
+                await (expect (launchpad.connect(admin).cancelIDO("NonExistant")).to.be.revertedWith("Launchpad: invalid Project"))
+            });
+            it("Project is already cancelled", async () => {
+                await launchpad.connect(admin).cancelIDO(projectID)
+                await (expect (launchpad.connect(admin).cancelIDO(projectID)).to.be.revertedWith("Launchpad: Project already cancelled"))
+            });
+            it("Project is closed", async () => {
+                await time.increaseTo(projectCloseTime)
+                await (expect (launchpad.connect(admin).cancelIDO(projectID)).to.be.revertedWith("Launchpad: Project is closed"))
+            });
+        });    
+    });
+    describe("Refund Investment", () => {
+        let investment, projectID, paymentToken, targetAmount, minInvestmentAmount, tokenPrice, tokensForDistribution, winnersOutTime, projectOpenTime, projectCloseTime
+        beforeEach(async () => {
+            investment = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            paymentToken = "0x0000000000000000000000000000000000000000";
+            await launchpad.connect(admin).addPaymentToken(paymentToken);
+            await launchpad.connect(admin).addPaymentToken(payToken.address);
+            projectID = "first";
+            targetAmount = BigNumber.from(10000).mul(BigNumber.from(10).pow(18))
+            minInvestmentAmount = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
+            tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(tokenPrice)
+            const currentTime = await latestTime()
+            winnersOutTime = 0
+            projectOpenTime = currentTime+100
+            projectCloseTime = projectOpenTime+200
+            await token.connect(projectOwner).mint(projectOwner.address,tokensForDistribution)
+            expect(await token.connect(projectOwner).balanceOf(projectOwner.address)).to.be.equal(tokensForDistribution)
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                projectID,
+                projectOwner.address,
+                paymentToken,
+                targetAmount,
+                minInvestmentAmount,
+                token.address,
+                tokenPrice,
+                winnersOutTime,
+                projectOpenTime,
+                projectCloseTime,
+                releaseSchedule,
+                noProjectFee
+            )
+            await time.increaseTo(projectOpenTime)
+        });
+        it("Refund an investment made in BNB", async () => {
+            await launchpad.connect(add1).investFairLaunch(projectID,investment,{ value: ethers.utils.parseEther("2")})
+            await launchpad.connect(admin).cancelIDO(projectID)
+            const previousContractBalance =  await launchpad.provider.getBalance(launchpad.address)
+            const previousUserBalance = await launchpad.provider.getBalance(add1.address)
+            expect(await launchpad.connect(add1).refundInvestment(projectID)).emit(launchpad,"ProjectInvestmentRefund").withArgs(projectID, add1.address,investment)
+            let investor = await launchpad.getInvestor(projectID, add1.address);
+            expect(investor[2]).to.be.equal(true)
+            let project = await launchpad.getProject(projectID);
+            expect(project[10]).to.be.equal(true)
+            expect(await launchpad.provider.getBalance(add1.address)).to.lte(previousUserBalance.add(investment))
+            expect(await launchpad.provider.getBalance(launchpad.address)).to.equal(previousContractBalance.sub(investment))
+        });
+        it("Refund an investment made in ERC-20 token", async () => {
+            await token.connect(projectOwner).mint(projectOwner.address,tokensForDistribution)
+            await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
+            await launchpad.connect(admin).addPublicLaunch(
+                "Refund",
+                projectOwner.address,
+                payToken.address,
                 targetAmount,
                 minInvestmentAmount,
                 token.address,
                 tokenPrice,
                 winnersOutTime,
-                Date.now()+100,
-                Date.now()+200
+                await latestTime()+100,
+                await latestTime()+200,
+                releaseSchedule,
+                noProjectFee
             )
             await payToken.connect(add1).mint(add1.address,investment)
-            await time.increaseTo(Date.now()+100)
+            await time.increaseTo(await latestTime()+100)
             await payToken.connect(add1).approve(launchpad.address, investment)
             await launchpad.connect(add1).investFairLaunch("Refund",investment)
             const previousUserBalance =  await payToken.connect(add1).balanceOf(add1.address)
@@ -1492,7 +3647,7 @@ describe("Kyoto Launchpad", () =>{
             tokenPrice = BigNumber.from(2).mul(BigNumber.from(10).pow(18))
             presaleTokenPrice = BigNumber.from(1).mul(BigNumber.from(10).pow(18))
             tokensForDistribution = targetAmount.mul(BigNumber.from(10).pow(18)).div(presaleTokenPrice)
-            const currentTime = Date.now()
+            const currentTime = await latestTime()
             winnersOutTime = currentTime+100
             presaleEndTime = winnersOutTime + 100
             projectOpenTime = presaleEndTime + 300
@@ -1512,7 +3667,9 @@ describe("Kyoto Launchpad", () =>{
                 token.address,
                 tokenPrice,
                 presaleTokenPrice,
-                [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                releaseSchedule,
+                noProjectFee
             )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                             projectOwner.address,
                                                             paymentToken,
@@ -1535,7 +3692,9 @@ describe("Kyoto Launchpad", () =>{
                 token.address,
                 tokenPrice,
                 presaleTokenPrice,
-                [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                releaseSchedule,
+                noProjectFee
             )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                             projectOwner.address,
                                                             payToken.address,
@@ -1559,7 +3718,9 @@ describe("Kyoto Launchpad", () =>{
                     token.address,
                     tokenPrice,
                     presaleTokenPrice,
-                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                    releaseSchedule,
+                    noProjectFee
                 )
             });
             it("Caller is not an admin", async () => {
@@ -1572,7 +3733,9 @@ describe("Kyoto Launchpad", () =>{
                     token.address,
                     tokenPrice,
                     presaleTokenPrice,
-                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: not authorized"))
             });
             it("Project already exists", async () => {
@@ -1585,7 +3748,9 @@ describe("Kyoto Launchpad", () =>{
                     token.address,
                     tokenPrice,
                     presaleTokenPrice,
-                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: Project id already exist"))
             });
             it("Payment token is not supported", async () => {
@@ -1598,7 +3763,9 @@ describe("Kyoto Launchpad", () =>{
                     token.address,
                     tokenPrice,
                     presaleTokenPrice,
-                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: payment token not supported"))
             });
             it("Target amount is zero", async () => {
@@ -1611,7 +3778,9 @@ describe("Kyoto Launchpad", () =>{
                     token.address,
                     tokenPrice,
                     presaleTokenPrice,
-                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: target amount zero"))
             });
             it("Token price is zero", async () => {
@@ -1624,7 +3793,9 @@ describe("Kyoto Launchpad", () =>{
                     token.address,
                     0,
                     presaleTokenPrice,
-                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: token price zero"))
             });
             it("Timestamps are invalid", async () => {
@@ -1637,7 +3808,9 @@ describe("Kyoto Launchpad", () =>{
                     token.address,
                     tokenPrice,
                     presaleTokenPrice,
-                    [presaleEndTime, winnersOutTime,  projectOpenTime, projectCloseTime]
+                    [presaleEndTime, winnersOutTime,  projectOpenTime, projectCloseTime],
+                    releaseSchedule,
+                    noProjectFee
                 )).to.be.revertedWith("Launchpad: Project invalid timestamps"))
             });    
         });
@@ -1651,7 +3824,9 @@ describe("Kyoto Launchpad", () =>{
                 paymentToken,
                 tokenPrice,
                 presaleTokenPrice,
-                [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                releaseSchedule,
+                noProjectFee
             )).to.emit(launchpad,"ProjectAdd").withArgs(projectID,
                                                             projectOwner.address,
                                                             payToken.address,
@@ -1675,7 +3850,9 @@ describe("Kyoto Launchpad", () =>{
                     token.address,
                     tokenPrice,
                     presaleTokenPrice,
-                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                    releaseSchedule,
+                    noProjectFee
                 )
             });
             it("Change timestamps of an added presale launch", async () => {
@@ -1706,7 +3883,9 @@ describe("Kyoto Launchpad", () =>{
                     paymentToken,
                     tokenPrice,
                     presaleTokenPrice,
-                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                    releaseSchedule,
+                    noProjectFee
                 )
                 await token.connect(projectOwner).approve(launchpad.address, tokensForDistribution)
                 await expect(launchpad.connect(admin).editPresaleProject(
@@ -1796,30 +3975,27 @@ describe("Kyoto Launchpad", () =>{
                     token.address,
                     tokenPrice,
                     presaleTokenPrice,
-                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime]
+                    [winnersOutTime, presaleEndTime, projectOpenTime, projectCloseTime],
+                    releaseSchedule,
+                    noProjectFee
                 )
             });
             it("Invest in a presale launch with BNB", async () => {
-                function encodeLeaf(address) {
-                    // Same as `abi.encodePacked` in Solidity
-                    return ethers.utils.defaultAbiCoder.encode(["address"],[address]);
-                }
-                const list = [encodeLeaf(add1.address)]
-                const invalidList = [encodeLeaf(add2.address)]
+                const list = [encodeLeaf(add1.address, investment, 0)]
+                const invalidList = [encodeLeaf(add2.address, investment, 0)]
                 const merkleTree = new MerkleTree(list, keccak256, {
-                    hashLeaves: true,
                     sortPairs: true,
                 });
                 const root = merkleTree.getHexRoot();
-                const leaf = keccak256(list[0]);
-                const invalidLeaf = keccak256(invalidList[0]);
+                const leaf = list[0];
+                const invalidLeaf = invalidList[0];
                 const proof = merkleTree.getHexProof(leaf);
                 const invalidProof = merkleTree.getHexProof(invalidLeaf);
                 const previousUserBalance =  await launchpad.provider.getBalance(add1.address)
                 const previousLpadBalance =  await launchpad.provider.getBalance(launchpad.address)
                 await time.increaseTo(winnersOutTime)
                 await expect(launchpad.connect(admin).addMerkleRoot(projectID,root)).to.emit(launchpad,"SetMerkleRoot").withArgs(projectID,root)
-                await expect(launchpad.connect(add1).investPresale(projectID, proof ,investment,{ value: ethers.utils.parseEther("2") })).to.emit(
+                await expect(launchpad.connect(add1).investPresale(projectID, proof, investment, 0, investment,{ value: ethers.utils.parseEther("2") })).to.emit(
                     launchpad,"ProjectInvest").withArgs(projectID,add1.address,investment);  
                 let projectInvestment = await launchpad.getProjectInvestment(projectID);
                 expect(projectInvestment[0]).to.equal(investment)
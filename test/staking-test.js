@@ -108,7 +108,7 @@ describe("Staking", () => {
       ).to.be.revertedWith("Staking: In-valid fine percentage");
     });
 
-    it("Should revert if the max vault has been reached (4 vaults)", async () => {
+    it("Should add more than four vaults", async () => {
       let lockPeriod1 = getTimeInSec(2);
       let lockPeriod2 = getTimeInSec(3);
       let lockPeriod3 = getTimeInSec(4);
@@ -120,9 +120,10 @@ describe("Staking", () => {
       await staking.connect(admin).addVault(2, lockPeriod3, 100);
       await staking.connect(admin).addVault(3, lockPeriod4, 200);
 
-      await expect(
-        staking.connect(admin).addVault(4, lockPeriod5, 1000)
-      ).to.be.revertedWith("Staking: Invalid vault");
+      await expect(staking.connect(admin).addVault(10, lockPeriod5, 1000))
+        .to.emit(staking, "VaultAdded")
+        .withArgs(10, lockPeriod5, 1000);
+      expect((await staking.getVault(10)).lockingPeriod).to.equal(lockPeriod5);
     });
 
     it("Should revert if the vault exist", async () => {
@@ -221,6 +222,376 @@ describe("Staking", () => {
     });
   });
 
+  describe("Vault Details", () => {
+    let lockPeriod = getTimeInSec(2);
+
+    beforeEach(async () => {
+      await staking.connect(admin).addVault(0, lockPeriod, 200);
+      await token.connect(admin).approve(staking.address, getValue(80));
+      await staking.connect(admin).addBonusPoolAmount(getValue(80));
+      await token.connect(admin).mint(add1.address, getValue(30));
+      await token.connect(add1).approve(staking.address, getValue(30));
+      await token.connect(admin).mint(add2.address, getValue(30));
+      await token.connect(add2).approve(staking.address, getValue(30));
+    });
+
+    it("Should set the name and stake limits of the vault and emit the event", async () => {
+      await expect(
+        staking.connect(admin).setVaultDetails(0, "Gold", getValue(5), getValue(20), getValue(25))
+      )
+        .to.emit(staking, "VaultDetailsChanged")
+        .withArgs(0, "Gold", getValue(5), getValue(20), getValue(25));
+
+      let vault = await staking.getVaultDetails(0);
+      expect(vault.name).to.equal("Gold");
+      expect(vault.capacity).to.equal(getValue(25));
+      expect(vault.active).to.equal(true);
+    });
+
+    it("Should track the total stake of the vault", async () => {
+      await staking.connect(add1).stake(getValue(10), 0);
+      await staking.connect(add2).stake(getValue(15), 0);
+      expect((await staking.getVaultDetails(0)).totalStaked).to.equal(getValue(25));
+
+      await staking.connect(add1).unStake(0);
+      expect((await staking.getVaultDetails(0)).totalStaked).to.equal(getValue(15));
+    });
+
+    it("Should revert if the stake is outside the vault limits", async () => {
+      await staking.connect(admin).setVaultDetails(0, "Gold", getValue(5), getValue(20), getValue(25));
+
+      await expect(
+        staking.connect(add1).stake(getValue(1), 0)
+      ).to.be.revertedWith("Staking: Stake below vault minimum");
+      await expect(
+        staking.connect(add1).stake(getValue(21), 0)
+      ).to.be.revertedWith("Staking: Stake above vault maximum");
+
+      await staking.connect(add1).stake(getValue(20), 0);
+      await expect(
+        staking.connect(add2).stake(getValue(10), 0)
+      ).to.be.revertedWith("Staking: Vault capacity reached");
+    });
+
+    it("Should revert if the stake limits are invalid", async () => {
+      await expect(
+        staking.connect(admin).setVaultDetails(0, "Gold", getValue(20), getValue(5), 0)
+      ).to.be.revertedWith("Staking: Invalid stake limits");
+    });
+
+    it("Should close the vault for new stakes and keep unstaking open", async () => {
+      await staking.connect(add1).stake(getValue(10), 0);
+      await expect(staking.connect(admin).setVaultActive(0, false))
+        .to.emit(staking, "VaultActiveChanged")
+        .withArgs(0, false);
+
+      await expect(
+        staking.connect(add2).stake(getValue(10), 0)
+      ).to.be.revertedWith("Staking: Vault not active");
+      await staking.connect(add1).unStake(0);
+    });
+
+    it("Should revert if the vaults are already migrated", async () => {
+      expect(await staking.vaultsMigrated()).to.equal(true);
+      await expect(staking.connect(admin).migrateVaults()).to.be.revertedWith(
+        "Staking: Vaults already migrated"
+      );
+    });
+  });
+
+  describe("Vault Migration", () => {
+    let lockPeriod = getTimeInSec(2);
+    let amount = getValue(10);
+
+    beforeEach(async () => {
+      // deploy the staking contract with the four fixed vaults and stake into them
+      const StakingV1 = await ethers.getContractFactory("MockStakingV1");
+      staking = await upgrades.deployProxy(
+        StakingV1,
+        [token.address, admin.address, 200],
+        {
+          initializer: "initialize",
+        }
+      );
+      await staking.connect(admin).addVault(0, lockPeriod, 200);
+      await staking.connect(admin).addVault(1, lockPeriod * 2, 400);
+      await staking.connect(admin).addVault(2, lockPeriod * 3, 600);
+      await token.connect(admin).approve(staking.address, getValue(50));
+      await staking.connect(admin).addBonusPoolAmount(getValue(50));
+      await token.connect(admin).mint(add1.address, amount.mul(2));
+      await token.connect(add1).approve(staking.address, amount.mul(2));
+      await token.connect(admin).mint(add2.address, amount);
+      await token.connect(add2).approve(staking.address, amount);
+      await staking.connect(add1).stake(amount, 0);
+      await staking.connect(add1).stake(amount, 2);
+      await staking.connect(add2).stake(amount, 1);
+
+      staking = await upgrades.upgradeProxy(staking.address, Staking);
+    });
+
+    it("Should move the four fixed vaults into the vault registry", async () => {
+      expect(await staking.vaultsMigrated()).to.equal(false);
+      await expect(
+        staking.connect(admin).addVault(4, lockPeriod, 200)
+      ).to.be.revertedWith("Staking: Vaults not migrated");
+
+      await expect(staking.connect(admin).migrateVaults()).to.emit(
+        staking,
+        "VaultsMigrated"
+      );
+
+      let [vaults] = await staking.getAllVaults();
+      expect(vaults.map(Number)).to.deep.equal([0, 1, 2]);
+      let vault = await staking.getVaultDetails(2);
+      expect(vault.lockingPeriod).to.equal(lockPeriod * 3);
+      expect(vault.rewardRate).to.equal(600);
+      expect(vault.active).to.equal(true);
+      // the unused fourth vault is left out
+      expect((await staking.getVaultDetails(3)).rewardRate).to.equal(0);
+    });
+
+    it("Should keep the stakes made into the four fixed vaults", async () => {
+      await staking.connect(admin).migrateVaults();
+
+      // stakes are looked up in their vault until migrated
+      let [positions] = await staking.getAllStakes(add1.address);
+      expect(positions.map(Number)).to.deep.equal([0, 2]);
+      expect(await staking.getTotalStake(add1.address)).to.equal(amount.mul(2));
+      expect((await staking.getVaultDetails(0)).totalStaked).to.equal(0);
+      let snapshotTime = (await ethers.provider.getBlock("latest")).timestamp - 1;
+      expect(await staking.getTotalStakeAt(add1.address, snapshotTime)).to.equal(amount.mul(2));
+
+      await staking.connect(admin).migrateStakes([add1.address]);
+      expect(await staking.getTotalStakeAt(add1.address, snapshotTime)).to.equal(amount.mul(2));
+      expect((await staking.getVaultDetails(0)).totalStaked).to.equal(amount);
+      expect((await staking.getVaultDetails(2)).totalStaked).to.equal(amount);
+      let [stakeData] = await staking.getStake(add1.address, 2);
+      expect(stakeData.stakeAmount).to.equal(amount);
+      expect(stakeData.vault).to.equal(2);
+
+      // new stakes open positions after the four fixed vaults
+      await token.connect(admin).mint(add1.address, amount);
+      await token.connect(add1).approve(staking.address, amount);
+      await expect(staking.connect(add1).stake(amount, 0))
+        .to.emit(staking, "Stake");
+      [positions] = await staking.getAllStakes(add1.address);
+      expect(positions.map(Number)).to.deep.equal([0, 2, 4]);
+    });
+
+    it("Should count each stake made into the four fixed vaults from its own staking time", async () => {
+      // the stake in vault 0 is newer than the stake in vault 1
+      const StakingV1 = await ethers.getContractFactory("MockStakingV1");
+      let legacyStaking = await upgrades.deployProxy(
+        StakingV1,
+        [token.address, admin.address, 200],
+        {
+          initializer: "initialize",
+        }
+      );
+      await legacyStaking.connect(admin).addVault(0, lockPeriod, 200);
+      await legacyStaking.connect(admin).addVault(1, lockPeriod * 2, 400);
+      await token.connect(admin).approve(legacyStaking.address, getValue(50));
+      await legacyStaking.connect(admin).addBonusPoolAmount(getValue(50));
+      await token.connect(admin).mint(add1.address, amount.mul(2));
+      await token.connect(add1).approve(legacyStaking.address, amount.mul(2));
+      await legacyStaking.connect(add1).stake(amount, 1);
+      let olderStakeTime = (await ethers.provider.getBlock("latest")).timestamp;
+      await legacyStaking.connect(add1).stake(amount, 0);
+      let newerStakeTime = (await ethers.provider.getBlock("latest")).timestamp;
+      legacyStaking = await upgrades.upgradeProxy(legacyStaking.address, Staking);
+      await legacyStaking.connect(admin).migrateVaults();
+
+      expect(await legacyStaking.getTotalStakeAt(add1.address, olderStakeTime - 1)).to.equal(0);
+      expect(await legacyStaking.getTotalStakeAt(add1.address, olderStakeTime)).to.equal(amount);
+      expect(await legacyStaking.getTotalStakeAt(add1.address, newerStakeTime)).to.equal(amount.mul(2));
+
+      await legacyStaking.connect(admin).migrateStakes([add1.address]);
+      expect(await legacyStaking.getTotalStakeAt(add1.address, olderStakeTime - 1)).to.equal(0);
+      expect(await legacyStaking.getTotalStakeAt(add1.address, olderStakeTime)).to.equal(amount);
+      expect(await legacyStaking.getTotalStakeAt(add1.address, newerStakeTime)).to.equal(amount.mul(2));
+    });
+
+    it("Should migrate the stakes of a staker on unstake", async () => {
+      await staking.connect(admin).migrateVaults();
+      await network.provider.send("evm_increaseTime", [lockPeriod * 2]);
+      await network.provider.send("evm_mine");
+
+      let [, totalReward] = await staking.getStake(add2.address, 1);
+      await expect(staking.connect(add2).unStake(1))
+        .to.emit(staking, "UnStake")
+        .withArgs(add2.address, 1, 1, amount, 0, totalReward);
+      expect(await token.balanceOf(add2.address)).to.equal(amount.add(totalReward));
+      expect((await staking.getVaultDetails(1)).totalStaked).to.equal(0);
+      expect(await staking.getTotalStake(add2.address)).to.equal(0);
+    });
+  });
+
+  describe("Emission Vaults", () => {
+    let lockPeriod = 100;
+
+    beforeEach(async () => {
+      await staking.connect(admin).addEmissionVault(5, lockPeriod);
+      await token.connect(admin).mint(add1.address, getValue(100));
+      await token.connect(add1).approve(staking.address, getValue(100));
+      await token.connect(admin).mint(add2.address, getValue(300));
+      await token.connect(add2).approve(staking.address, getValue(300));
+      // fund the emission budget
+      await token.connect(admin).mint(admin.address, getValue(1000));
+      await token.connect(admin).approve(staking.address, getValue(1000));
+    });
+
+    it("Should stake without a bonus pool", async () => {
+      await staking.connect(add1).stake(getValue(100), 5);
+      expect(await staking.totalExpectedBonus()).to.equal(0);
+      expect((await staking.getVaultDetails(5)).emission).to.equal(true);
+    });
+
+    it("Should split the emission budget pro-rata among the stakers", async () => {
+      await staking.connect(add1).stake(getValue(100), 5);
+      await expect(staking.connect(admin).addEmissionBudget(5, getValue(1000), 1000))
+        .to.emit(staking, "EmissionBudgetAdded");
+      let budgetTime = (await ethers.provider.getBlock("latest")).timestamp;
+      expect(await staking.totalExpectedBonus()).to.equal(getValue(1000));
+
+      // add2 joins halfway through the emission period
+      await network.provider.send("evm_setNextBlockTimestamp", [budgetTime + 500]);
+      await staking.connect(add2).stake(getValue(300), 5);
+
+      await network.provider.send("evm_setNextBlockTimestamp", [budgetTime + 2000]);
+      await network.provider.send("evm_mine");
+
+      // 500 seconds alone and 500 seconds with a quarter of the stake
+      let stakeData = await staking.getStake(add1.address, 0);
+      expect(stakeData[2]).to.equal(getValue(625));
+
+      await expect(staking.connect(add1).claimReward(0))
+        .to.emit(staking, "RewardReleased")
+        .withArgs(add1.address, 5, 0, getValue(625));
+      await expect(staking.connect(add2).unStake(0))
+        .to.emit(staking, "UnStake")
+        .withArgs(add2.address, 5, 0, getValue(300), 0, getValue(375));
+      expect(await staking.totalExpectedBonus()).to.equal(0);
+    });
+
+    it("Should revert if the vault is not an emission vault", async () => {
+      await staking.connect(admin).addVault(0, lockPeriod, 200);
+      await expect(
+        staking.connect(admin).addEmissionBudget(0, getValue(1000), 1000)
+      ).to.be.revertedWith("Staking: Not an emission vault");
+      await expect(
+        staking.connect(admin).modifyVault(5, lockPeriod, 200)
+      ).to.be.revertedWith("Staking: Emission vault");
+    });
+
+    it("Should revert if the emission duration is zero", async () => {
+      await expect(
+        staking.connect(admin).addEmissionBudget(5, getValue(1000), 0)
+      ).to.be.revertedWith("Staking: Invalid emission duration");
+    });
+  });
+
+  describe("Reward Tokens", () => {
+    let rewardToken;
+    let amount = getValue(10);
+    let bonusPool = getValue(80);
+    let lockPeriod = getTimeInSec(2);
+
+    beforeEach(async () => {
+      rewardToken = await Token.deploy();
+      await staking.connect(admin).addRewardTokenVault(1, lockPeriod);
+      await token.connect(admin).transfer(add1.address, amount);
+      await token.connect(add1).approve(staking.address, amount);
+      await rewardToken.connect(admin).approve(staking.address, bonusPool);
+    });
+
+    it("Should pay the rewards in the reward token", async () => {
+      await expect(staking.connect(admin).setVaultRewardToken(1, rewardToken.address, 1000))
+        .to.emit(staking, "VaultRewardTokenSet")
+        .withArgs(1, rewardToken.address, 1000);
+      await expect(
+        staking.connect(admin).addRewardTokenBonusPoolAmount(rewardToken.address, bonusPool)
+      )
+        .to.emit(staking, "RewardTokenBonusPoolAmountAdded")
+        .withArgs(rewardToken.address, bonusPool, bonusPool);
+
+      await staking.connect(add1).stake(amount, 1);
+
+      let rewardPerSecond = getRewardPerSec(amount, 1000);
+      let totalReward = getTotalReward(rewardPerSecond, lockPeriod);
+      expect(await staking.rewardTokenExpectedBonus(rewardToken.address)).to.equal(
+        totalReward
+      );
+      expect(await staking.totalExpectedBonus()).to.equal(0);
+
+      await network.provider.send("evm_increaseTime", [lockPeriod]);
+      await network.provider.send("evm_mine");
+
+      await expect(staking.connect(add1).claimReward(0))
+        .to.emit(staking, "RewardTokenReleased")
+        .withArgs(add1.address, 1, 0, rewardToken.address, totalReward);
+      expect(await staking.claimableRewardToken(add1.address, rewardToken.address)).to.equal(
+        totalReward
+      );
+      expect(await token.balanceOf(add1.address)).to.equal(0);
+      expect(await staking.rewardTokenBonusPoolAmount(rewardToken.address)).to.equal(
+        BigNumber.from(bonusPool).sub(totalReward)
+      );
+
+      await expect(staking.connect(add1).claimRewardToken(rewardToken.address))
+        .to.emit(staking, "RewardTokenClaimed")
+        .withArgs(add1.address, rewardToken.address, totalReward);
+      expect(await rewardToken.balanceOf(add1.address)).to.equal(totalReward);
+      await expect(
+        staking.connect(add1).claimRewardToken(rewardToken.address)
+      ).to.be.revertedWith("Staking: No rewards");
+    });
+
+    it("Should return the stake on unstake without transferring the reward token", async () => {
+      await staking.connect(admin).setVaultRewardToken(1, rewardToken.address, 1000);
+      await staking.connect(admin).addRewardTokenBonusPoolAmount(rewardToken.address, bonusPool);
+      await staking.connect(add1).stake(amount, 1);
+
+      await network.provider.send("evm_increaseTime", [lockPeriod]);
+      await network.provider.send("evm_mine");
+
+      let totalReward = getTotalReward(getRewardPerSec(amount, 1000), lockPeriod);
+      await staking.connect(add1).unStake(0);
+      expect(await token.balanceOf(add1.address)).to.equal(amount);
+      expect(await rewardToken.balanceOf(add1.address)).to.equal(0);
+      expect(await staking.claimableRewardToken(add1.address, rewardToken.address)).to.equal(
+        totalReward
+      );
+    });
+
+    it("Should revert if the bonus pool of the reward token is insufficient", async () => {
+      await staking.connect(admin).setVaultRewardToken(1, rewardToken.address, 1000);
+
+      await expect(staking.connect(add1).stake(amount, 1)).to.be.revertedWith(
+        "Staking: Insufficient balance in bonus pool"
+      );
+    });
+
+    it("Should remove a reward token with a zero rate", async () => {
+      await staking.connect(admin).setVaultRewardToken(1, rewardToken.address, 1000);
+      let rewardTokens = await staking.getVaultRewardTokens(1);
+      expect(rewardTokens[0]).to.deep.equal([rewardToken.address]);
+      expect(rewardTokens[1][0]).to.equal(1000);
+
+      await staking.connect(admin).setVaultRewardToken(1, rewardToken.address, 0);
+      rewardTokens = await staking.getVaultRewardTokens(1);
+      expect(rewardTokens[0]).to.deep.equal([]);
+    });
+
+    it("Should revert if the reward token is the staking token", async () => {
+      await expect(
+        staking.connect(admin).setVaultRewardToken(1, token.address, 1000)
+      ).to.be.revertedWith("Staking: Invalid reward token");
+      await expect(
+        staking.connect(admin).addRewardTokenBonusPoolAmount(token.address, bonusPool)
+      ).to.be.revertedWith("Staking: Invalid reward token");
+    });
+  });
+
   describe("Change Penalty Rate", () => {
     it("Should revert if the caller is not the owner", async () => {
       await expect(
@@ -463,6 +834,66 @@ describe("Staking", () => {
     });
   });
 
+  describe("Cancel Nomination and Renounce Ownership", () => {
+    it("Should cancel the nomination of the potential owner", async () => {
+      await staking.connect(admin).addPotentialOwner(add1.address);
+      await expect(staking.connect(admin).cancelOwnerNomination())
+        .to.emit(staking, "NominationCancelled")
+        .withArgs(add1.address);
+      expect(await staking.potentialOwner()).to.equal(constants.ZERO_ADDRESS);
+      await expect(
+        staking.connect(add1).acceptOwnership()
+      ).to.be.revertedWith(
+        "Staking: Only the potential owner can accept ownership"
+      );
+    });
+
+    it("Should revert if there is no potential owner", async () => {
+      await expect(
+        staking.connect(admin).cancelOwnerNomination()
+      ).to.be.revertedWith("Staking: No potential owner");
+    });
+
+    it("Should renounce ownership", async () => {
+      await staking.connect(admin).addPotentialOwner(add1.address);
+      await expect(staking.connect(admin).renounceOwnership())
+        .to.emit(staking, "OwnerChanged")
+        .withArgs(constants.ZERO_ADDRESS);
+      expect(await staking.owner()).to.equal(constants.ZERO_ADDRESS);
+      expect(await staking.potentialOwner()).to.equal(constants.ZERO_ADDRESS);
+    });
+
+    it("Should let a multisig own the contract and batch owner calls", async () => {
+      const Multisig = await ethers.getContractFactory("MockMultisig");
+      const multisig = await Multisig.deploy([add1.address, add2.address], 2);
+      await staking.connect(admin).addPotentialOwner(multisig.address);
+
+      await multisig
+        .connect(add1)
+        .submit(
+          [staking.address],
+          [staking.interface.encodeFunctionData("acceptOwnership")]
+        );
+      await multisig.connect(add2).confirm(0);
+      await multisig.connect(add2).execute(0);
+      expect(await staking.owner()).to.equal(multisig.address);
+
+      await multisig
+        .connect(add1)
+        .submit(
+          [staking.address, staking.address],
+          [
+            staking.interface.encodeFunctionData("addVault", [0, 100, 200]),
+            staking.interface.encodeFunctionData("changePenaltyRate", [300]),
+          ]
+        );
+      await multisig.connect(add2).confirm(1);
+      await multisig.connect(add1).execute(1);
+      expect(await staking.penaltyRate()).to.equal(300);
+      expect((await staking.getVault(0))[0]).to.equal(100);
+    });
+  });
+
   describe("Change Bonus Pool Threshold", () => {
     it("Should revert if the caller is not the owner", async () => {
       await expect(
@@ -554,6 +985,136 @@ describe("Staking", () => {
     });
   });
 
+  describe("Timelock", () => {
+    const delay = getTimeInSec(1);
+
+    beforeEach(async () => {
+      await staking.connect(admin).addVault(0, getTimeInSec(2), 200);
+      await expect(staking.connect(admin).setTimelockDelay(delay))
+        .to.emit(staking, "TimelockDelayChanged")
+        .withArgs(delay);
+    });
+
+    it("Should queue and execute a vault modification", async () => {
+      await expect(
+        staking.connect(admin).modifyVault(0, getTimeInSec(4), 400)
+      ).to.emit(staking, "ChangeQueued");
+      await expect(
+        staking.connect(admin).executeModifyVault(0, getTimeInSec(4), 400)
+      ).to.be.revertedWith("Staking: Change is timelocked");
+
+      await network.provider.send("evm_increaseTime", [delay]);
+      await expect(
+        staking.connect(admin).executeModifyVault(0, getTimeInSec(4), 400)
+      )
+        .to.emit(staking, "VaultModified")
+        .withArgs(0, getTimeInSec(4), 400);
+    });
+
+    it("Should queue and execute a penalty rate change", async () => {
+      await staking.connect(admin).changePenaltyRate(300);
+      expect(await staking.penaltyRate()).to.equal(200);
+
+      await network.provider.send("evm_increaseTime", [delay]);
+      await expect(staking.connect(admin).executeChangePenaltyRate(300))
+        .to.emit(staking, "PenaltyRateChanged")
+        .withArgs(300);
+      expect(await staking.penaltyRate()).to.equal(300);
+    });
+
+    it("Should cancel a queued change", async () => {
+      await staking.connect(admin).changePenaltyRate(300);
+      const changeID = await staking.getChangeID(
+        "changePenaltyRate",
+        ethers.utils.defaultAbiCoder.encode(["uint256"], [300])
+      );
+      await expect(staking.connect(admin).cancelChange(changeID))
+        .to.emit(staking, "ChangeCancelled")
+        .withArgs(changeID);
+      await expect(
+        staking.connect(admin).executeChangePenaltyRate(300)
+      ).to.be.revertedWith("Staking: Change not queued");
+    });
+
+    it("Should queue and execute a trusted forwarder change", async () => {
+      await expect(
+        staking.connect(admin).setTrustedForwarder(add2.address)
+      ).to.emit(staking, "ChangeQueued");
+      expect(await staking.isTrustedForwarder(add2.address)).to.equal(false);
+
+      await network.provider.send("evm_increaseTime", [delay]);
+      await expect(staking.connect(admin).executeSetTrustedForwarder(add2.address))
+        .to.emit(staking, "TrustedForwarderChanged")
+        .withArgs(add2.address);
+      expect(await staking.isTrustedForwarder(add2.address)).to.equal(true);
+    });
+
+    it("Should revert if the caller is not the owner", async () => {
+      await expect(
+        staking.connect(add1).setTimelockDelay(0)
+      ).to.be.revertedWith("Staking: Only owner can call this function");
+    });
+  });
+
+  describe("Pause", () => {
+    it("Should pause staking and reward claims", async () => {
+      await expect(staking.connect(admin).pause())
+        .to.emit(staking, "Paused")
+        .withArgs(admin.address);
+      expect(await staking.paused()).to.equal(true);
+
+      await staking.connect(admin).addVault(0, getTimeInSec(2), 200);
+      await expect(
+        staking.connect(admin).stake(getValue(10), 0)
+      ).to.be.revertedWith("Staking: paused");
+      await expect(
+        staking.connect(admin).claimReward(0)
+      ).to.be.revertedWith("Staking: paused");
+    });
+
+    it("Should let stakers unstake while paused", async () => {
+      let amount = getValue(10);
+
+      await staking.connect(admin).addVault(0, getTimeInSec(2), 200);
+      await token.connect(admin).mint(admin.address, amount);
+      await token.connect(admin).approve(staking.address, getValue(110));
+      await staking.connect(admin).addBonusPoolAmount(getValue(100));
+      await token.connect(admin).transfer(add1.address, amount);
+      await token.connect(add1).approve(staking.address, amount);
+      await staking.connect(add1).stake(amount, 0);
+
+      await staking.connect(admin).pause();
+      await expect(staking.connect(add1).unStake(0)).to.emit(
+        staking,
+        "UnStake"
+      );
+    });
+
+    it("Should unpause staking", async () => {
+      await staking.connect(admin).pause();
+      await expect(staking.connect(admin).unpause())
+        .to.emit(staking, "Unpaused")
+        .withArgs(admin.address);
+      expect(await staking.paused()).to.equal(false);
+    });
+
+    it("Should revert if the caller is not the owner", async () => {
+      await expect(staking.connect(add1).pause()).to.be.revertedWith(
+        "Staking: Only owner can call this function"
+      );
+      await staking.connect(admin).pause();
+      await expect(staking.connect(add1).unpause()).to.be.revertedWith(
+        "Staking: Only owner can call this function"
+      );
+    });
+
+    it("Should revert unpausing if staking is not paused", async () => {
+      await expect(staking.connect(admin).unpause()).to.be.revertedWith(
+        "Staking: not paused"
+      );
+    });
+  });
+
   describe("Stake Tokens", () => {
     it("Should revert if the amount is not greater than zero", async () => {
       let lockPeriod = getTimeInSec(2);
@@ -689,7 +1250,7 @@ describe("Staking", () => {
       expect(thresholdReached).to.equal(true);
     });
 
-    it("Should re-stake for the same vault, set the values, send rewards and emit events properly", async () => {
+    it("Should open a separate position when staking again into the same vault", async () => {
       let amount = getValue(10);
       let reStake = getValue(20);
       let bonusPool = getValue(80);
@@ -703,124 +1264,47 @@ describe("Staking", () => {
       await token.connect(admin).approve(staking.address, bonusPool);
       await staking.connect(admin).addBonusPoolAmount(bonusPool);
 
-      // add bonus pool threshold
-      await staking.changeBonusPoolThreshold(1000);
-
-      // transfer some amount to the address 1
-      await token.connect(admin).transfer(add1.address, amount);
-      await token.connect(add1).approve(staking.address, amount);
+      // mint the stakes of the address 1
+      await token.connect(admin).mint(add1.address, amount.add(reStake));
+      await token.connect(add1).approve(staking.address, amount.add(reStake));
 
       // add1 stake 10 tokens
       await staking.connect(add1).stake(amount, 0);
-
-      // compute reward datas for the first stake
-      let rewardPerSecond1 = getRewardPerSec(amount, 1000);
-      let totalReward1 = getTotalReward(rewardPerSecond1, lockPeriod);
+      let firstStake = await staking.getStake(add1.address, 0);
 
       await network.provider.send("evm_increaseTime", [restakeTime]);
       await network.provider.send("evm_mine");
 
-      // reward datas at the time of re-stake
-      let totalReward2 = getTotalReward(rewardPerSecond1, restakeTime + 3);
+      // compute reward datas for both positions
+      let rewardPerSecond1 = getRewardPerSec(amount, 1000);
       let rewardPerSecond2 = getRewardPerSec(reStake, 1000);
-
-      // reward for the new stake
-      let totalReward3 = getTotalReward(rewardPerSecond2, lockPeriod);
-
-      // current total expected bonus
-      let unSpentTime = BigNumber.from(lockPeriod).sub(
-        BigNumber.from(restakeTime + 3)
+      let totalExpectedBonus = getTotalReward(rewardPerSecond1, lockPeriod).add(
+        getTotalReward(rewardPerSecond2, lockPeriod)
       );
+      let stakeUnlockTime = BigNumber.from(
+        (await ethers.provider._getBlock()).timestamp + 1
+      ).add(BigNumber.from(lockPeriod));
 
-      let unSpentReward = getTotalReward(rewardPerSecond1, unSpentTime);
-      let totalExpectedBonus = BigNumber.from(totalReward1)
-        .sub(BigNumber.from(totalReward2))
-        .sub(BigNumber.from(unSpentReward))
-        .add(BigNumber.from(totalReward3));
-
-      // transfer some more amount to the address 1
-      await token.connect(admin).transfer(add1.address, amount);
-      await token.connect(add1).approve(staking.address, amount);
-
-      // add1 re-stake 10 tokens
-      await expect(staking.connect(add1).stake(amount, 0))
-        .to.emit(staking, "RewardReleased")
-        .withArgs(add1.address, 0, totalReward2);
-
-      // check the balance of add1
-      let balance = await token.balanceOf(add1.address);
-      expect(balance).to.equal(totalReward2);
-
-      // check the balance of the pool
-      let poolBalance = BigNumber.from(bonusPool).sub(totalReward2);
+      // add1 stake 20 more tokens without releasing rewards of the first position
+      await expect(staking.connect(add1).stake(reStake, 0))
+        .to.emit(staking, "Stake")
+        .withArgs(add1.address, 0, 1, reStake, rewardPerSecond2, stakeUnlockTime);
+      expect(await token.balanceOf(add1.address)).to.equal(0);
 
-      // get stake and other datas from smart contract
+      // the first position keeps its amount and unlock time
       let stakeData = await staking.getStake(add1.address, 0);
+      expect(stakeData[0].stakeAmount).to.equal(amount);
+      expect(stakeData[0].stakeUnlockTime).to.equal(firstStake[0].stakeUnlockTime);
+
+      stakeData = await staking.getStake(add1.address, 1);
       expect(stakeData[0].stakeAmount).to.equal(reStake);
       expect(stakeData[0].rewardPerSecond).to.equal(rewardPerSecond2);
-      expect(await staking.totalExpectedBonus()).to.equal(
-        totalExpectedBonus
-      );
-      expect(await staking.bonusPoolAmount()).to.equal(poolBalance);
-    });
-
-    it("Should repeat the stake for the same vault after un-locking period without adding amount", async () => {
-      let amount = getValue(10);
-      let bonusPool = getValue(90);
-      let lockPeriod = getTimeInSec(2);
-      let restakeTime = getTimeInSec(3);
-
-      // add locking period
-      await staking.connect(admin).addVault(0, lockPeriod, 1000);
-
-      // add bonus pool amount
-      await token.connect(admin).approve(staking.address, bonusPool);
-      await staking.connect(admin).addBonusPoolAmount(bonusPool);
-
-      // add bonus pool threshold
-      await staking.changeBonusPoolThreshold(1000);
-
-      // transfer some amount to the address 1
-      await token.connect(admin).transfer(add1.address, amount);
-      await token.connect(add1).approve(staking.address, amount);
-
-      // add1 stake 10 tokens
-      await staking.connect(add1).stake(amount, 0);
-
-      // compute reward datas for the first stake
-      let rewardPerSecond = getRewardPerSec(amount, 1000);
-      let totalReward = getTotalReward(rewardPerSecond, lockPeriod);
-
-      await network.provider.send("evm_increaseTime", [restakeTime]);
-      await network.provider.send("evm_mine");
-
-      let totalExpectedBonus = totalReward;
-      let currentTime = (await ethers.provider._getBlock()).timestamp + 1;
-      let stakeUnlockTime = BigNumber.from(currentTime).add(
-        BigNumber.from(lockPeriod)
-      );
-
-      // add1 repeat stake
-      await expect(staking.connect(add1).stake(0, 0))
-        .to.emit(staking, "RewardReleased")
-        .withArgs(add1.address, 0, totalReward);
-
-      // check the balance of add1
-      let balance = await token.balanceOf(add1.address);
-      expect(balance).to.equal(totalReward);
-
-      // check the balance of the pool
-      let poolBalance = BigNumber.from(bonusPool).sub(totalReward);
-
-      // get stake and other datas from smart contract
-      let stakeData = await staking.getStake(add1.address, 0);
-      expect(stakeData[0].stakeAmount).to.equal(amount);
-      expect(stakeData[0].rewardPerSecond).to.equal(rewardPerSecond);
       expect(stakeData[0].stakeUnlockTime).to.equal(stakeUnlockTime);
-      expect(await staking.totalExpectedBonus()).to.equal(
-        totalExpectedBonus
-      );
-      expect(await staking.bonusPoolAmount()).to.equal(poolBalance);
+      expect(stakeData[0].vault).to.equal(0);
+
+      expect(await staking.getTotalStake(add1.address)).to.equal(amount.add(reStake));
+      expect(await staking.totalExpectedBonus()).to.equal(totalExpectedBonus);
+      expect(await staking.bonusPoolAmount()).to.equal(bonusPool);
     });
 
     it("Should stake full balance", async () => {
@@ -863,7 +1347,7 @@ describe("Staking", () => {
       await token.connect(add1).approve(staking.address, amount);
 
       await expect(staking.connect(add1).unStake(0)).to.be.revertedWith(
-        "Staking: Stake does not exist for this vault"
+        "Staking: Stake does not exist for this position"
       );
     });
 
@@ -907,11 +1391,11 @@ describe("Staking", () => {
 
       await expect(staking.connect(add1).unStake(0))
         .to.emit(staking, "UnStake")
-        .withArgs(add1.address, 0, amount, 0, totalReward);
+        .withArgs(add1.address, 0, 0, amount, 0, totalReward);
 
       // get stake and other datas from smart contract
       await expect(staking.getStake(add1.address, 0)).to.be.revertedWith(
-        "Staking: Stake does not exist for the staker for this vault"
+        "Staking: Stake does not exist for the staker for this position"
       );
       expect(await staking.totalStake()).to.equal(0);
       expect(await staking.totalExpectedBonus()).to.equal(0);
@@ -959,15 +1443,15 @@ describe("Staking", () => {
 
       await expect(staking.connect(add1).claimReward(0))
         .to.emit(staking, "RewardReleased")
-        .withArgs(add1.address, 0, totalReward);
+        .withArgs(add1.address, 0, 0, totalReward);
 
       await expect(staking.connect(add1).unStake(0))
         .to.emit(staking, "UnStake")
-        .withArgs(add1.address, 0, amount, 0, 0);
+        .withArgs(add1.address, 0, 0, amount, 0, 0);
 
       // get stake and other datas from smart contract
       await expect(staking.getStake(add1.address, 0)).to.be.revertedWith(
-        "Staking: Stake does not exist for the staker for this vault"
+        "Staking: Stake does not exist for the staker for this position"
       );
       expect(await staking.totalStake()).to.equal(0);
       expect(await staking.totalExpectedBonus()).to.equal(0);
@@ -1021,11 +1505,11 @@ describe("Staking", () => {
 
       await expect(staking.connect(add1).unStake(0))
         .to.emit(staking, "UnStake")
-        .withArgs(add1.address, 0, amount, penalty, totalRewardAfterUnstake);
+        .withArgs(add1.address, 0, 0, amount, penalty, totalRewardAfterUnstake);
 
       // get stake and other datas from smart contract
       await expect(staking.getStake(add1.address, 0)).to.be.revertedWith(
-        "Staking: Stake does not exist for the staker for this vault"
+        "Staking: Stake does not exist for the staker for this position"
       );
       expect(await staking.totalStake()).to.equal(0);
       expect(await staking.totalExpectedBonus()).to.equal(0);
@@ -1047,7 +1531,7 @@ describe("Staking", () => {
       await expect(
         staking.connect(add1).claimReward(0)
       ).to.be.revertedWith(
-        "Staking: Stake does not exist for this vault"
+        "Staking: Stake does not exist for this position"
       );
     });
 
@@ -1090,7 +1574,7 @@ describe("Staking", () => {
 
       await expect(staking.connect(add1).claimReward(0))
         .to.emit(staking, "RewardReleased")
-        .withArgs(add1.address, 0, totalRewardAtClaim);
+        .withArgs(add1.address, 0, 0, totalRewardAtClaim);
 
       // get stake and other data from smart contract
       expect(await staking.totalExpectedBonus()).to.equal(0);
@@ -1145,7 +1629,7 @@ describe("Staking", () => {
 
       await expect(staking.connect(add1).claimReward(0))
         .to.emit(staking, "RewardReleased")
-        .withArgs(add1.address, 0, totalRewardAtClaim);
+        .withArgs(add1.address, 0, 0, totalRewardAtClaim);
 
       // get stake and other data from smart contract
       expect(await staking.totalExpectedBonus()).to.equal(
@@ -1156,6 +1640,150 @@ describe("Staking", () => {
     });
   });
 
+  describe("Compound Rewards", () => {
+    let amount = getValue(10);
+    let bonusPool = getValue(80);
+    let lockPeriod = getTimeInSec(2);
+
+    beforeEach(async () => {
+      await staking.connect(admin).addVault(0, lockPeriod, 200);
+      await token.connect(admin).approve(staking.address, bonusPool);
+      await staking.connect(admin).addBonusPoolAmount(bonusPool);
+      await token.connect(admin).transfer(add1.address, amount);
+      await token.connect(add1).approve(staking.address, amount);
+      await staking.connect(add1).stake(amount, 0);
+    });
+
+    it("Should roll the rewards into the stake without a transfer", async () => {
+      let rewardPerSecond = getRewardPerSec(amount, 200);
+      let totalReward = getTotalReward(rewardPerSecond, lockPeriod);
+      let compoundedAmount = BigNumber.from(amount).add(totalReward);
+
+      await network.provider.send("evm_increaseTime", [lockPeriod]);
+      await network.provider.send("evm_mine");
+
+      await expect(staking.connect(add1).compound(0))
+        .to.emit(staking, "Compound")
+        .withArgs(add1.address, 0, 0, totalReward, compoundedAmount);
+
+      let stakeData = await staking.getStake(add1.address, 0);
+      expect(stakeData[0].stakeAmount).to.equal(compoundedAmount);
+      expect(await staking.totalStake()).to.equal(compoundedAmount);
+      expect(await staking.totalExpectedBonus()).to.equal(0);
+      expect(await staking.bonusPoolAmount()).to.equal(
+        BigNumber.from(bonusPool).sub(totalReward)
+      );
+      expect(await token.balanceOf(add1.address)).to.equal(0);
+
+      await expect(staking.connect(add1).compound(0)).to.be.revertedWith(
+        "Staking: No rewards"
+      );
+    });
+
+    it("Should let anyone compound a position opted in to auto-compounding", async () => {
+      await network.provider.send("evm_increaseTime", [lockPeriod]);
+      await network.provider.send("evm_mine");
+
+      await expect(
+        staking.connect(add2).compoundFor(add1.address, 0)
+      ).to.be.revertedWith("Staking: Auto-compound not enabled");
+
+      await expect(staking.connect(add1).setAutoCompound(0, true))
+        .to.emit(staking, "AutoCompoundChanged")
+        .withArgs(add1.address, 0, true);
+      expect(await staking.isAutoCompound(add1.address, 0)).to.equal(true);
+
+      await expect(staking.connect(add2).compoundFor(add1.address, 0)).to.emit(
+        staking,
+        "Compound"
+      );
+    });
+
+    it("Should revert if the stake for the position does not exist", async () => {
+      await expect(staking.connect(add2).compound(0)).to.be.revertedWith(
+        "Staking: Stake does not exist for this position"
+      );
+      await expect(
+        staking.connect(add2).setAutoCompound(0, true)
+      ).to.be.revertedWith("Staking: Stake does not exist for this position");
+    });
+  });
+
+  describe("Trusted Forwarder", () => {
+    it("Should set the trusted forwarder", async () => {
+      await expect(staking.connect(admin).setTrustedForwarder(add2.address))
+        .to.emit(staking, "TrustedForwarderChanged")
+        .withArgs(add2.address);
+      expect(await staking.trustedForwarder()).to.equal(add2.address);
+      expect(await staking.isTrustedForwarder(add2.address)).to.equal(true);
+    });
+
+    it("Should claim rewards relayed by the forwarder on behalf of the staker", async () => {
+      let amount = getValue(10);
+      let lockPeriod = getTimeInSec(2);
+
+      await staking.connect(admin).addVault(0, lockPeriod, 200);
+      await token.connect(admin).approve(staking.address, getValue(80));
+      await staking.connect(admin).addBonusPoolAmount(getValue(80));
+      await token.connect(admin).transfer(add1.address, amount);
+      await token.connect(add1).approve(staking.address, amount);
+      await staking.connect(add1).stake(amount, 0);
+      let stakeTime = (await ethers.provider.getBlock("latest")).timestamp;
+
+      const Forwarder = await ethers.getContractFactory("MockForwarder");
+      const forwarder = await Forwarder.deploy();
+      await staking.connect(admin).setTrustedForwarder(forwarder.address);
+      let claimTime = stakeTime + getTimeInSec(1);
+      await network.provider.send("evm_setNextBlockTimestamp", [claimTime]);
+
+      const request = {
+        from: add1.address,
+        to: staking.address,
+        value: 0,
+        gas: 1000000,
+        nonce: 0,
+        data: staking.interface.encodeFunctionData("claimReward", [0]),
+      };
+      const signature = await add1._signTypedData(
+        {
+          name: "MinimalForwarder",
+          version: "0.0.1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: forwarder.address,
+        },
+        {
+          ForwardRequest: [
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "gas", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "data", type: "bytes" },
+          ],
+        },
+        request
+      );
+      let reward = getTotalReward(
+        getRewardPerSec(amount, 200),
+        claimTime - stakeTime
+      );
+      let forwarderBalance = await token.balanceOf(forwarder.address);
+      await expect(forwarder.connect(add2).execute(request, signature))
+        .to.emit(staking, "RewardReleased")
+        .withArgs(add1.address, 0, 0, reward);
+      expect(await token.balanceOf(add1.address)).to.equal(reward);
+      expect(await token.balanceOf(forwarder.address)).to.equal(
+        forwarderBalance
+      );
+    });
+
+    it("Should revert if the caller is not the owner", async () => {
+      await expect(
+        staking.connect(add1).setTrustedForwarder(add2.address)
+      ).to.be.revertedWith("Staking: Only owner can call this function");
+    });
+  });
+
   describe("Get Stake", () => {
     it("Should revert if the stake for the particular vault does not exist", async () => {
       let amount = getValue(10);
@@ -1175,7 +1803,7 @@ describe("Staking", () => {
 
       // call getStake
       await expect(staking.getStake(add1.address, 0)).to.be.revertedWith(
-        "Staking: Stake does not exist for the staker for this vault"
+        "Staking: Stake does not exist for the staker for this position"
       );
     });
 
@@ -1257,14 +1885,16 @@ describe("Staking", () => {
 
       let stakes = await staking.getAllStakes(add1.address);
 
-      expect(stakes[0][0].stakeAmount).to.equal(amount);
-      expect(stakes[0][1].stakeAmount).to.equal(amount);
-      expect(stakes[0][2].stakeAmount).to.equal(amount);
-      expect(stakes[0][3].stakeAmount).to.equal(amount);
-      expect(stakes[0][0].rewardPerSecond).to.equal(rewardPerSecond1);
-      expect(stakes[0][1].rewardPerSecond).to.equal(rewardPerSecond2);
-      expect(stakes[0][2].rewardPerSecond).to.equal(rewardPerSecond3);
-      expect(stakes[0][3].rewardPerSecond).to.equal(rewardPerSecond4);
+      expect(stakes[0]).to.deep.equal([0, 1, 2, 3].map((vault) => BigNumber.from(vault)));
+
+      expect(stakes[1][0].stakeAmount).to.equal(amount);
+      expect(stakes[1][1].stakeAmount).to.equal(amount);
+      expect(stakes[1][2].stakeAmount).to.equal(amount);
+      expect(stakes[1][3].stakeAmount).to.equal(amount);
+      expect(stakes[1][0].rewardPerSecond).to.equal(rewardPerSecond1);
+      expect(stakes[1][1].rewardPerSecond).to.equal(rewardPerSecond2);
+      expect(stakes[1][2].rewardPerSecond).to.equal(rewardPerSecond3);
+      expect(stakes[1][3].rewardPerSecond).to.equal(rewardPerSecond4);
     });
   });
 
@@ -1280,16 +1910,19 @@ describe("Staking", () => {
       await staking.connect(admin).addVault(1, lockPeriod2, 300);
       await staking.connect(admin).addVault(2, lockPeriod3, 400);
       await staking.connect(admin).addVault(3, lockPeriod4, 500);
+      await staking.connect(admin).addVault(4, lockPeriod4, 600);
+      await staking.connect(admin).removeVault(4);
 
       let result = await staking.getAllVaults();
-      expect(result[0][0]).to.equal(lockPeriod1);
-      expect(result[0][1]).to.equal(lockPeriod2);
-      expect(result[0][2]).to.equal(lockPeriod3);
-      expect(result[0][3]).to.equal(lockPeriod4);
-      expect(result[1][0]).to.equal(200);
-      expect(result[1][1]).to.equal(300);
-      expect(result[1][2]).to.equal(400);
-      expect(result[1][3]).to.equal(500);
+      expect(result[0]).to.deep.equal([0, 1, 2, 3].map((vault) => BigNumber.from(vault)));
+      expect(result[1][0].lockingPeriod).to.equal(lockPeriod1);
+      expect(result[1][1].lockingPeriod).to.equal(lockPeriod2);
+      expect(result[1][2].lockingPeriod).to.equal(lockPeriod3);
+      expect(result[1][3].lockingPeriod).to.equal(lockPeriod4);
+      expect(result[1][0].rewardRate).to.equal(200);
+      expect(result[1][1].rewardRate).to.equal(300);
+      expect(result[1][2].rewardRate).to.equal(400);
+      expect(result[1][3].rewardRate).to.equal(500);
     });
   });
 
@@ -1327,5 +1960,35 @@ describe("Staking", () => {
         totalStake
       );
     });
+
+    it("Should return the total staked amount at a past timestamp", async () => {
+      let amount = getValue(10);
+
+      await staking.connect(admin).addVault(0, getTimeInSec(2), 200);
+      await token.connect(admin).approve(staking.address, getValue(70));
+      await staking.connect(admin).addBonusPoolAmount(getValue(70));
+      await token.connect(admin).mint(add1.address, amount.mul(2));
+      await token.connect(add1).approve(staking.address, amount.mul(2));
+
+      await staking.connect(add1).stake(amount, 0);
+      let firstStakeTime = (await ethers.provider.getBlock("latest")).timestamp;
+      await staking.connect(add1).stake(amount, 0);
+      let secondStakeTime = (await ethers.provider.getBlock("latest")).timestamp;
+      await staking.connect(add1).unStake(0);
+      let unStakeTime = (await ethers.provider.getBlock("latest")).timestamp;
+      await network.provider.send("evm_mine");
+
+      expect(await staking.getTotalStakeAt(add1.address, firstStakeTime - 1)).to.equal(0);
+      expect(await staking.getTotalStakeAt(add1.address, firstStakeTime)).to.equal(amount);
+      expect(await staking.getTotalStakeAt(add1.address, secondStakeTime)).to.equal(amount.mul(2));
+      expect(await staking.getTotalStakeAt(add1.address, unStakeTime)).to.equal(amount);
+    });
+
+    it("Should revert if the timestamp is not in the past", async () => {
+      let currentTime = (await ethers.provider.getBlock("latest")).timestamp;
+      await expect(
+        staking.getTotalStakeAt(add1.address, currentTime + 1)
+      ).to.be.revertedWith("Staking: Timestamp not in the past");
+    });
   });
 });
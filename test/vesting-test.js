@@ -21,7 +21,7 @@ describe("Vesting", function () {
     Token = await ethers.getContractFactory("Token");
     testToken = await Token.deploy();
     TokenVesting = await ethers.getContractFactory("Vesting");
-    await testToken.waitForDeployment();
+    await testToken.deployed();
 
     Proxy = await upgrades.deployProxy(
       TokenVesting,
@@ -30,7 +30,7 @@ describe("Vesting", function () {
         initializer: "initialize",
       }
     );
-    await Proxy.waitForDeployment();
+    await Proxy.deployed();
   });
 
   describe("Initialize", () => {
@@ -114,6 +114,140 @@ describe("Vesting", function () {
     });
   });
 
+  describe("Launchpad", () => {
+    it("Should set the launchpad", async () => {
+      await expect(Proxy.setLaunchpad(addr2.address))
+        .to.emit(Proxy, "LaunchpadSet")
+        .withArgs(addr2.address);
+      expect(await Proxy.launchpad()).to.equal(addr2.address);
+    });
+
+    it("Should revert if caller is not the owner", async () => {
+      await expect(
+        Proxy.connect(addr1).setLaunchpad(addr2.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should let the launchpad add a pool and beneficiaries", async () => {
+      await Proxy.setLaunchpad(addr2.address);
+      const baseTime = Date.now()*1000;
+      await Proxy.connect(addr2).addVestingPool(
+        "first",
+        [baseTime+50000,baseTime+100000],
+        [50,50],
+        1000
+      );
+      await Proxy.connect(addr2).uploadWhitelist(0,[addr1.address]);
+      await expect(
+        Proxy.connect(addr2).addToBeneficiariesListMultiple(0,[addr1.address],[100])
+      )
+        .to.emit(Proxy, "BeneficiaryAdded")
+        .withArgs(0, addr1.address, 100);
+    });
+
+    it("Should revert if caller is neither the owner nor the launchpad", async () => {
+      const baseTime = Date.now()*1000;
+      await expect(
+        Proxy.connect(addr1).addVestingPool(
+          "first",
+          [baseTime+50000],
+          [100],
+          1000
+        )
+      ).to.be.revertedWith("Vesting: caller is not the owner or launchpad");
+    });
+  });
+
+  describe("Ownership", () => {
+    it("Should nominate a potential owner instead of transferring ownership", async () => {
+      await expect(Proxy.transferOwnership(addr1.address))
+        .to.emit(Proxy, "NominateOwner")
+        .withArgs(addr1.address);
+      expect(await Proxy.owner()).to.equal(owner.address);
+      await Proxy.connect(addr1).acceptOwnership();
+      expect(await Proxy.owner()).to.equal(addr1.address);
+      expect(await Proxy.potentialOwner()).to.equal(constants.ZERO_ADDRESS);
+    });
+
+    it("Should cancel the nomination of the potential owner", async () => {
+      await Proxy.addPotentialOwner(addr1.address);
+      await expect(Proxy.cancelOwnerNomination())
+        .to.emit(Proxy, "NominationCancelled")
+        .withArgs(addr1.address);
+      await expect(
+        Proxy.connect(addr1).acceptOwnership()
+      ).to.be.revertedWith("Vesting: only potential owner");
+    });
+
+    it("Should renounce ownership", async () => {
+      await Proxy.addPotentialOwner(addr1.address);
+      await Proxy.renounceOwnership();
+      expect(await Proxy.owner()).to.equal(constants.ZERO_ADDRESS);
+      expect(await Proxy.potentialOwner()).to.equal(constants.ZERO_ADDRESS);
+    });
+
+    it("Should let a multisig own the contract and batch owner calls", async () => {
+      const Multisig = await ethers.getContractFactory("MockMultisig");
+      const multisig = await Multisig.deploy([addr1.address, addr2.address], 2);
+      await Proxy.addPotentialOwner(multisig.address);
+      await multisig.connect(addr1).submit(
+        [Proxy.address, Proxy.address],
+        [
+          Proxy.interface.encodeFunctionData("acceptOwnership"),
+          Proxy.interface.encodeFunctionData("setLaunchpad", [addr2.address]),
+        ]
+      );
+      await multisig.connect(addr2).confirm(0);
+      await multisig.connect(addr2).execute(0);
+      expect(await Proxy.owner()).to.equal(multisig.address);
+      expect(await Proxy.launchpad()).to.equal(addr2.address);
+    });
+
+    it("Should revert if caller is not the owner", async () => {
+      await expect(
+        Proxy.connect(addr1).addPotentialOwner(addr2.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should revert if the potential owner is the owner", async () => {
+      await expect(
+        Proxy.addPotentialOwner(owner.address)
+      ).to.be.revertedWith("Vesting: potential owner same as owner");
+    });
+  });
+
+  describe("Pause", () => {
+    it("Should pause token claims", async () => {
+      await expect(Proxy.pause())
+        .to.emit(Proxy, "Paused")
+        .withArgs(owner.address);
+      expect(await Proxy.paused()).to.equal(true);
+      await expect(
+        Proxy.connect(addr1).claimTokens(0)
+      ).to.be.revertedWith("Vesting: paused");
+    });
+
+    it("Should unpause token claims", async () => {
+      await Proxy.pause();
+      await expect(Proxy.unpause())
+        .to.emit(Proxy, "Unpaused")
+        .withArgs(owner.address);
+      await expect(
+        Proxy.connect(addr1).claimTokens(0)
+      ).to.be.revertedWith("Vesting: pool does not exist");
+    });
+
+    it("Should revert if caller is not the owner", async () => {
+      await expect(
+        Proxy.connect(addr1).pause()
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await Proxy.pause();
+      await expect(
+        Proxy.connect(addr1).unpause()
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
   describe("Vesting", function () {
     it("Should assign the total supply of tokens to the owner", async function () {
       const ownerBalance = await testToken.balanceOf(owner.address);
@@ -135,8 +269,7 @@ describe("Vesting", function () {
       expect(vestingContractBalance).to.equal(1000);
       //expect(await Proxy.getWithdrawableAmount()).to.equal(1000);
 
-      const baseTimeNow = Date.now();
-      const baseTime = baseTimeNow*1000;
+      const baseTime = (await ethers.provider.getBlock("latest")).timestamp;
       const beneficiary = addr1;
       const name = "first";
       const releaseTimes = [baseTime+50000,baseTime+100000];
@@ -156,24 +289,24 @@ describe("Vesting", function () {
         Proxy.connect(beneficiary).addToBeneficiariesList(0,beneficiary.address,100)
       );
       await time.increaseTo(baseTime+50000);
-      await (
+      await expect(
         Proxy.connect(beneficiary).claimTokens(0)
       )
         .to.emit(testToken, "Transfer")
-        .withArgs(beneficiary.address,0, 50);
+        .withArgs(Proxy.address, beneficiary.address, 50);
 
         await time.increaseTo(baseTime+100000);
-        await (
+        await expect(
           Proxy.connect(beneficiary).claimTokens(0)
         )
           .to.emit(testToken, "Transfer")
-          .withArgs(beneficiary.address,0, 50);        
+          .withArgs(Proxy.address, beneficiary.address, 50);        
     });
 
     it("Should check input parameters for addVestingPool method", async function () {
       
       await testToken.transfer(Proxy.address, 1000);
-      const time = Date.now();
+      const time = (await ethers.provider.getBlock("latest")).timestamp;
       await expect(
         Proxy.addVestingPool(
           "name",